@@ -0,0 +1,341 @@
+#!/usr/bin/env node
+/**
+ * void-cli - Headless VOID renderer (Node 18+, no dependencies).
+ * Runs the same effect code as the browser CPU path on plain RGBA buffers.
+ *
+ * Usage:
+ *   node cli/void-cli.mjs <input.png> -c <project.void|presets.json> -o <out.png> [options]
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+
+import { EffectChain } from '../js/pipeline/EffectChain.js';
+import { renderBuffer, renderTiles, backgroundRows, designSize, PREVIEW_MAX, TILED_MIN_PIXELS } from '../js/pipeline/Renderer.js';
+import { ProjectFile, PROJECT_FORMAT } from '../js/utils/ProjectFile.js';
+import { PresetManager, PRESET_PACK_FORMAT } from '../js/presets/PresetManager.js';
+import { FactoryPresets } from '../js/presets/FactoryPresets.js';
+import { SeedService } from '../js/utils/Random.js';
+import { registerPalette, isCustomPalette } from '../js/utils/Palettes.js';
+import { decodePng } from '../js/codecs/PngDecoder.js';
+import { PngEncoder } from '../js/codecs/PngEncoder.js';
+import { encodeBuffer, JS_FORMATS } from '../js/codecs/Codecs.js';
+import { BMP_DEPTHS } from '../js/codecs/BmpEncoder.js';
+import { IcoEncoder, ICO_SIZES } from '../js/codecs/IcoEncoder.js';
+import { createBuffer, fitSize, blit } from '../js/pipeline/Raster.js';
+import { VectorExporter, VECTOR_SOURCES } from '../js/utils/VectorExporter.js';
+
+const VECTOR_FORMATS = ['svg', 'pdf'];
+const FORMATS = [...Object.keys(JS_FORMATS), 'ico', ...VECTOR_FORMATS];
+
+const HELP = `void-cli - render an image through a VOID effect chain
+
+Usage:
+  node cli/void-cli.mjs <input.png> [options]
+
+Options:
+  -c, --config <file>      .void project, preset pack or single preset JSON
+  -p, --preset <id|name>   Preset to apply (from the pack, or a factory preset)
+  -o, --output <file>      Output file (default: <input>_void.png)
+  -f, --format <fmt>       Output format: ${FORMATS.join(', ')} (default: png)
+      --ico-sizes <list>   ICO sizes, e.g. 16,32,48 (default: project settings or ${ICO_SIZES.join(',')})
+      --bmp-depth <bits>   BMP bit depth: ${BMP_DEPTHS.join(', ')} (default: project settings or 24)
+      --tiff-compression   TIFF compression: lzw, none (default: project settings or lzw)
+      --no-tga-rle         Write uncompressed TGA
+      --vector-source <s>  SVG / PDF content: ${Object.keys(VECTOR_SOURCES).join(', ')} (default: project settings or halftone)
+      --dpi <n>            SVG / PDF physical size in pixels per inch (default: project settings or 300)
+      --tiled              Render in bands, streamed to PNG (automatic above ${TILED_MIN_PIXELS / 1048576} MP)
+  -W, --width <px>         Output width  (keeps aspect if --height is omitted)
+  -H, --height <px>        Output height (keeps aspect if --width is omitted)
+  -s, --scale <factor>     Output size as a factor of the input size
+      --effect-scale <f>   Override effect px scaling (default: output width / preview width)
+      --preview-max <px>   Preview size the look was designed at (default: ${PREVIEW_MAX})
+      --seed <n>           Override the project seed (glitch, grain, k-means). Default: project seed, or 0
+  -h, --help               Show this help
+`;
+
+
+async function main() {
+    const { values: opts, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            config: { type: 'string', short: 'c' },
+            preset: { type: 'string', short: 'p' },
+            output: { type: 'string', short: 'o' },
+            format: { type: 'string', short: 'f' },
+            'ico-sizes': { type: 'string' },
+            'bmp-depth': { type: 'string' },
+            'tiff-compression': { type: 'string' },
+            'no-tga-rle': { type: 'boolean' },
+            'vector-source': { type: 'string' },
+            dpi: { type: 'string' },
+            tiled: { type: 'boolean' },
+            width: { type: 'string', short: 'W' },
+            height: { type: 'string', short: 'H' },
+            scale: { type: 'string', short: 's' },
+            'effect-scale': { type: 'string' },
+            'preview-max': { type: 'string' },
+            seed: { type: 'string' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+
+    if (opts.help || (positionals.length === 0 && !opts.config)) {
+        process.stdout.write(HELP);
+        return;
+    }
+
+    // 1. Look (chain + canvas settings)
+    const look = await loadLook(opts);
+
+    // 2. Source (argument, or the source embedded in the project)
+    const inputPath = positionals[0] || null;
+    const source = inputPath
+        ? await readSource(await readFile(inputPath), inputPath)
+        : await readEmbeddedSource(look.project);
+
+    const format = (opts.format || 'png').toLowerCase();
+    if (!FORMATS.includes(format)) fail(`Unsupported output format "${format}" (supported: ${FORMATS.join(', ')}).`);
+
+    const seeds = look.seeds;
+    if (opts.seed !== undefined) seeds.seed = integer(opts.seed, 'seed') >>> 0;
+    const previewMax = number(opts['preview-max'], 'preview-max') || PREVIEW_MAX;
+    const design = designSize(source.width, source.height, previewMax);
+
+    // env.info collects what effects report back (Dither's active palette for indexed formats)
+    const env = { ...seeds.env(), info: {} };
+    const effectScale = (width) => number(opts['effect-scale'], 'effect-scale') || width / design.width;
+    const render = (width, height) => renderBuffer(source, look.chain, {
+        width, height,
+        scaleFactor: effectScale(width),
+        backgroundMode: look.backgroundMode,
+        backgroundColor: look.backgroundColor,
+        env
+    });
+
+    // 3. Render & encode
+    let blob, summary;
+    if (format === 'ico') {
+        // One render per size, like ImageProcessor.buildIcon()
+        const sizes = icoSizes(opts, look);
+        const images = sizes.map(size => {
+            const fit = fitSize(source.width, source.height, size);
+            const icon = createBuffer(size, size);
+            blit(render(fit.width, fit.height), icon, (size - fit.width) >> 1, (size - fit.height) >> 1);
+            return icon;
+        });
+        blob = await IcoEncoder.encode(images);
+        summary = `ICO ${sizes.join('/')} px`;
+    } else if (VECTOR_FORMATS.includes(format)) {
+        // Like ImageProcessor.exportVector(): the chain up to the Halftone / Dither slot, as shapes
+        const { width, height } = outputSize(source, look, opts);
+        const set = look.exportSettings || {};
+        const vectorSource = opts['vector-source'] || set.vectorSource || 'halftone';
+        if (!VECTOR_SOURCES[vectorSource]) fail(`--vector-source must be one of ${Object.keys(VECTOR_SOURCES).join(', ')}.`);
+        const dpi = number(opts.dpi, 'dpi') || set.printDpi || 300;
+
+        let layers;
+        try {
+            layers = VectorExporter.fromChain(backgroundRows(source, width, height, 0, height, look), look.chain, vectorSource, effectScale(width), env);
+        } catch (e) {
+            fail(e.message);
+        }
+        blob = await VectorExporter.encode(layers, width, height, format, { dpi });
+        summary = `${width}x${height} ${format.toUpperCase()} (${layers.length} layer(s), ${dpi} DPI)`;
+    } else {
+        const { width, height } = outputSize(source, look, opts);
+        if (opts.tiled || (format === 'png' && width * height > TILED_MIN_PIXELS)) {
+            // Same bands as ImageProcessor.exportTiled()
+            if (format !== 'png') fail("--tiled writes PNG only.");
+            const encoder = new PngEncoder(width, height);
+            await renderTiles(look.chain, {
+                width, height,
+                scaleFactor: effectScale(width),
+                env,
+                source: (w, h, top, rows) => backgroundRows(source, w, h, top, rows, look),
+                onRows: (rows) => encoder.addRows(rows),
+                onProgress: (done, total) => process.stderr.write(`\rTile ${done}/${total}${done === total ? '\n' : ''}`)
+            });
+            blob = await encoder.finish();
+            summary = `${width}x${height} PNG (tiled)`;
+        } else {
+            const result = render(width, height);
+            blob = await encodeBuffer(result, format, { ...encodeOptions(opts, look), palette: env.info.palette });
+            summary = `${width}x${height} ${format.toUpperCase()}`;
+        }
+    }
+
+    // 4. Write
+    const ext = JS_FORMATS[format] || format;
+    const output = opts.output || `${(inputPath || 'void').replace(/\.[^./\\]+$/, '')}_void.${ext}`;
+    await writeFile(output, new Uint8Array(await blob.arrayBuffer()));
+
+    console.log(`${output}: ${summary} (${look.chain.instances.length} slot(s), seed ${seeds.seed})`);
+}
+
+/**
+ * Resolve the chain from --config / --preset.
+ * @returns {Object} { chain, backgroundMode, backgroundColor, exportSettings, seeds, project }
+ */
+async function loadLook(opts) {
+    const look = {
+        chain: new EffectChain(),
+        backgroundMode: 'image',
+        backgroundColor: '#000000',
+        exportSettings: null,
+        seeds: new SeedService(0),
+        project: null
+    };
+
+    let presets = FactoryPresets;
+
+    if (opts.config) {
+        let json;
+        try {
+            json = JSON.parse(await readFile(opts.config, 'utf8'));
+        } catch (e) {
+            fail(`Could not read config "${opts.config}": ${e.message}`);
+        }
+
+        if (json && json.format === PROJECT_FORMAT) {
+            const project = ProjectFile.migrate(json);
+            (project.palettes || []).filter(p => p && isCustomPalette(p.id) && Array.isArray(p.colors)).forEach(registerPalette);
+            look.chain = EffectChain.fromJSON(project.chain);
+            look.backgroundMode = project.backgroundMode || look.backgroundMode;
+            look.backgroundColor = project.backgroundColor || look.backgroundColor;
+            look.exportSettings = project.exportSettings || null;
+            if (project.random) look.seeds = SeedService.fromJSON(project.random);
+            look.project = project;
+        } else if (json && json.format === PRESET_PACK_FORMAT && Array.isArray(json.presets)) {
+            presets = json.presets.concat(FactoryPresets);
+            if (!opts.preset) {
+                if (!json.presets.length) fail("Preset pack is empty.");
+                opts.preset = json.presets[0].id;
+            }
+        } else if (json && (json.scope === 'chain' || json.scope === 'effect')) {
+            usePresetPalettes(json);
+            look.chain = PresetManager.applyToChain(look.chain, json);
+        } else {
+            fail(`"${opts.config}" is not a VOID project, preset pack or preset.`);
+        }
+    }
+
+    if (opts.preset) {
+        const preset = presets.find(p => p.id === opts.preset) ||
+            presets.find(p => p.name && p.name.toLowerCase() === opts.preset.toLowerCase());
+        if (!preset) fail(`Preset "${opts.preset}" not found.`);
+        usePresetPalettes(preset);
+        look.chain = PresetManager.applyToChain(look.chain, preset);
+    }
+
+    return look;
+}
+
+/**
+ * Register the custom palettes a preset carries; warn about the ones it uses but lacks.
+ */
+function usePresetPalettes(preset) {
+    PresetManager.palettesFor(preset).forEach(registerPalette);
+    const missing = PresetManager.missingPalettes(preset);
+    if (missing.length) console.warn(`void-cli: preset "${preset.name}" uses custom palette(s) it does not carry (${missing.join(', ')}); those Dither slots fall back to 1-Bit.`);
+}
+
+async function readSource(bytes, name) {
+    try {
+        return await decodePng(bytes);
+    } catch (e) {
+        fail(`Could not read "${name}": ${e.message} void-cli reads PNG input only; convert other formats first.`);
+    }
+}
+
+async function readEmbeddedSource(project) {
+    const url = project && project.source && project.source.dataURL;
+    if (!url) fail("No input image given and the project has no embedded source.");
+    const bytes = new Uint8Array(await (await fetch(url)).arrayBuffer());
+    return readSource(bytes, project.source.name || 'embedded source');
+}
+
+// Same rules as ImageProcessor.exportResult(): CLI flags > project export settings > original size
+function outputSize(source, look, opts) {
+    const aspect = source.height / source.width;
+    let width = source.width;
+    let height = source.height;
+
+    const set = look.exportSettings;
+    if (set && set.resizeMode === 'custom') {
+        width = set.customWidth || 100;
+        height = set.customHeight || 100;
+    } else if (set && set.resizeMode === 'screen') {
+        const previewMax = number(opts['preview-max'], 'preview-max') || PREVIEW_MAX;
+        ({ width, height } = designSize(source.width, source.height, previewMax));
+    }
+
+    const scale = number(opts.scale, 'scale');
+    const w = integer(opts.width, 'width');
+    const h = integer(opts.height, 'height');
+
+    if (scale) {
+        width = Math.max(1, Math.round(source.width * scale));
+        height = Math.max(1, Math.round(source.height * scale));
+    }
+    if (w && h) {
+        width = w; height = h;
+    } else if (w) {
+        width = w; height = Math.max(1, Math.round(w * aspect));
+    } else if (h) {
+        height = h; width = Math.max(1, Math.round(h / aspect));
+    }
+
+    return { width, height };
+}
+
+function icoSizes(opts, look) {
+    if (opts['ico-sizes']) {
+        const sizes = opts['ico-sizes'].split(',').map(v => parseInt(v, 10));
+        const bad = sizes.find(v => !ICO_SIZES.includes(v));
+        if (bad !== undefined) fail(`--ico-sizes: ${bad} is not one of ${ICO_SIZES.join(', ')}.`);
+        return [...new Set(sizes)].sort((a, b) => a - b);
+    }
+    const set = look.exportSettings;
+    return set && Array.isArray(set.icoSizes) && set.icoSizes.length ? set.icoSizes : ICO_SIZES;
+}
+
+// Format options: CLI flags > project export settings > defaults
+function encodeOptions(opts, look) {
+    const set = look.exportSettings || {};
+    const bmpDepth = opts['bmp-depth'] !== undefined ? integer(opts['bmp-depth'], 'bmp-depth') : (set.bmpDepth || 24);
+    if (!BMP_DEPTHS.includes(bmpDepth)) fail(`--bmp-depth must be one of ${BMP_DEPTHS.join(', ')}.`);
+
+    const tiffCompression = opts['tiff-compression'] || set.tiffCompression || 'lzw';
+    if (!['lzw', 'none'].includes(tiffCompression)) fail("--tiff-compression must be lzw or none.");
+
+    return {
+        bmpDepth,
+        tiffCompression,
+        tgaRle: opts['no-tga-rle'] ? false : set.tgaRle !== false
+    };
+}
+
+function number(value, name) {
+    if (value === undefined) return null;
+    const n = parseFloat(value);
+    if (!isFinite(n) || n <= 0) fail(`--${name} must be a positive number.`);
+    return n;
+}
+
+function integer(value, name) {
+    if (value === undefined) return null;
+    const n = parseInt(value, 10);
+    if (!Number.isInteger(n) || (name !== 'seed' && n <= 0)) fail(`--${name} must be a positive integer.`);
+    return n;
+}
+
+function fail(message) {
+    console.error(`void-cli: ${message}`);
+    process.exit(1);
+}
+
+main().catch(err => {
+    console.error(`void-cli: ${err.message}`);
+    process.exit(1);
+});
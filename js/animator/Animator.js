@@ -20,39 +20,76 @@ export class Animator {
 
     /**
      * Define which parameters are safe/useful to animate
+     * Targets are "<slotId>.<param>", one entry per slot in the effect chain.
      */
     getAnimatableParameters() {
+        const defs = this.getParameterDefinitions();
+        const targets = [];
+
+        const chain = this.processor.pipeline;
+        chain.forEach(inst => {
+            defs.forEach(def => {
+                const [effId, param] = def.value.split('.');
+                if (effId !== inst.effect.id) return;
+                // Slot names as in the rest of the UI ("DIGITAL GLITCH #2 › RGB Shift")
+                targets.push({ label: `${chain.label(inst)} › ${def.label}`, value: `${inst.id}.${param}` });
+            });
+        });
+        return targets;
+    }
+
+    /**
+     * Animatable params per effect type (keyed by effect id).
+     * range: swing at DEPTH 100%; the value is clamped to [min, max] (min defaults to 0, null = no bound).
+     */
+    getParameterDefinitions() {
         return [
             // PRE-PROCESS
-            { label: "PRE: Blur Radius", value: "preprocess_v1.blurRadius" },
-            { label: "PRE: Sharpen Amount", value: "preprocess_v1.sharpenAmount" },
-            { label: "PRE: Noise Amount", value: "preprocess_v1.noiseAmount" },
-            { label: "PRE: Saturation", value: "preprocess_v1.saturation" },
-            { label: "PRE: Hue Shift", value: "preprocess_v1.hue" },
-            { label: "PRE: Brightness", value: "preprocess_v1.brightness" },
+            { label: "Blur Radius", value: "preprocess_v1.blurRadius", range: 20 },
+            { label: "Sharpen Amount", value: "preprocess_v1.sharpenAmount", range: 1 },
+            { label: "Noise Amount", value: "preprocess_v1.noiseAmount", range: 1 },
+            { label: "Saturation", value: "preprocess_v1.saturation", range: 1 },
+            { label: "Hue Shift", value: "preprocess_v1.hue", range: 180, min: null },
+            { label: "Brightness", value: "preprocess_v1.brightness", range: 1 },
 
             // HALFTONE
-            { label: "CMYK: Dot Size", value: "halftone_v1.scale" },
-            { label: "CMYK: Opacity", value: "halftone_v1.opacity" },
-            { label: "CMYK: Angle Cyan", value: "halftone_v1.angleC" },
-            { label: "CMYK: Angle Magenta", value: "halftone_v1.angleM" },
-            { label: "CMYK: Angle Yellow", value: "halftone_v1.angleY" },
-            { label: "CMYK: Angle Black", value: "halftone_v1.angleK" },
+            { label: "Dot Size", value: "halftone_v1.scale", range: 1 },
+            { label: "Opacity", value: "halftone_v1.opacity", range: 1 },
+            { label: "Angle Cyan", value: "halftone_v1.angleC", range: 90 },
+            { label: "Angle Magenta", value: "halftone_v1.angleM", range: 90 },
+            { label: "Angle Yellow", value: "halftone_v1.angleY", range: 90 },
+            { label: "Angle Black", value: "halftone_v1.angleK", range: 90 },
+            { label: "FM Dot Size", value: "halftone_v1.fmSize", range: 20 },
+            { label: "Ink Limit", value: "halftone_v1.inkLimit", range: 300, min: 100, max: 400 },
 
             // DITHER
-            { label: "DITHER: Contrast", value: "dither_v1.contrast" },
-            { label: "DITHER: Resolution/DPI", value: "dither_v1.resolution" },
-            { label: "DITHER: Spread", value: "dither_v1.spread" },
-            { label: "DITHER: Bleeding", value: "dither_v1.bleeding" },
+            { label: "Contrast", value: "dither_v1.contrast", range: 100, min: null },
+            { label: "Resolution/DPI", value: "dither_v1.resolution", range: 1 },
+            { label: "Spread", value: "dither_v1.spread", range: 1 },
+            { label: "Bleeding", value: "dither_v1.bleeding", range: 1 },
 
             // GLITCH
-            { label: "GLITCH: RGB Shift", value: "glitch_v1.rgbShift" },
-            { label: "GLITCH: Scanline Opacity", value: "glitch_v1.scanlines" },
-            { label: "GLITCH: Scanline Height", value: "glitch_v1.scanlineSize" },
-            { label: "GLITCH: Jitter", value: "glitch_v1.jitter" }
+            { label: "RGB Shift", value: "glitch_v1.rgbShift", range: 50 },
+            { label: "Scanline Opacity", value: "glitch_v1.scanlines", range: 1 },
+            { label: "Scanline Height", value: "glitch_v1.scanlineSize", range: 20 },
+            { label: "Jitter", value: "glitch_v1.jitter", range: 1 },
+            { label: "Block Smear", value: "glitch_v1.blockSmear", range: 1, max: 1 },
+            { label: "DCT Crush", value: "glitch_v1.blockQuant", range: 1, max: 1 },
+            { label: "Block Shift", value: "glitch_v1.blockShift", range: 1, max: 1 },
+            { label: "Datamosh", value: "glitch_v1.datamosh", range: 1, max: 1 }
         ];
     }
 
+    /**
+     * Definition for a "<slotId>.<param>" target (range 1, min 0 for unknown params).
+     */
+    getDefinition(target) {
+        const [slotId, param] = target.split('.');
+        const inst = this.processor.pipeline.get(slotId);
+        const def = inst && this.getParameterDefinitions().find(d => d.value === `${inst.effect.id}.${param}`);
+        return def || { range: 1 };
+    }
+
     setupUI() {
         const ui = this.processor.ui;
         // Use params.enabled logic ? No, direct toggle.
@@ -75,6 +112,9 @@ export class Animator {
             this.addLFO(group);
         });
 
+        // Rebuild modules for existing automations (UI is regenerated on chain edits)
+        this.automations.forEach(auto => this.addLFO(group, auto));
+
         // --- EXPORT SECTION ---
         group.addDescription("EXPORT ANIMATION");
 
@@ -269,28 +309,26 @@ export class Animator {
             if (auto.type === 'sine') wave = Math.sin(now * s);
             else if (auto.type === 'triangle') wave = Math.abs((now * s) % 2 - 1) * 2 - 1; // -1 to 1
             else if (auto.type === 'square') wave = Math.sin(now * s) > 0 ? 1 : -1;
-            else if (auto.type === 'noise') wave = (Math.random() * 2) - 1;
+            else if (auto.type === 'noise') {
+                // Seeded per automation & frame: replays identically for the same seed
+                const frame = this.processor.seeds.frameAt(now);
+                wave = (this.processor.seeds.stream(auto.id, frame)() * 2) - 1;
+            }
 
             const strength = auto.amp / 100;
 
-            let range = 1.0;
-            if (param.includes('shift') || param.includes('Shift')) range = 50;
-            if (param.includes('angle')) range = 90;
-            if (param.includes('Size') || param.includes('Radius')) range = 20;
-            if (param.includes('contrast')) range = 100;
-            if (param.includes('luma') || param.includes('level')) range = 255;
-            if (param.includes('hue')) range = 180;
-
-            const delta = wave * strength * range;
-            let newVal = base + delta;
+            const def = this.getDefinition(auto.target);
+            let newVal = base + wave * strength * def.range;
 
-            // Clamp positive for most values
-            if (newVal < 0 && !param.includes('hue') && !param.includes('contrast')) newVal = 0;
+            // Clamp (positive for most values)
+            const min = def.min === undefined ? 0 : def.min;
+            if (min !== null && newVal < min) newVal = min;
+            if (def.max !== undefined && newVal > def.max) newVal = def.max;
 
             this.processor.state[effId][param] = newVal;
         });
 
-        this.processor.render();
+        this.processor.render(now);
         requestAnimationFrame(() => this.loop());
     }
 }
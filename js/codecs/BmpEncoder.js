@@ -0,0 +1,84 @@
+/**
+ * BmpEncoder.js
+ * Windows BMP writer: 1 / 4 / 8-bit paletted or 24-bit truecolor (BITMAPINFOHEADER, bottom-up).
+ * BMP has no alpha: transparent pixels keep their RGB.
+ */
+
+import { indexBuffer, packRows } from './Indexed.js';
+
+export const BMP_DEPTHS = [1, 4, 8, 24];
+
+export class BmpEncoder {
+    constructor() { }
+
+    /**
+     * @param {Object} buf - { data, width, height }
+     * @param {Object} options - { bitDepth: 1|4|8|24, palette: [[r,g,b]...] (optional, paletted depths) }
+     * @returns {Blob} image/bmp
+     */
+    static encode(buf, options = {}) {
+        const bitDepth = options.bitDepth || 24;
+        if (!BMP_DEPTHS.includes(bitDepth)) throw new Error(`BMP: unsupported bit depth ${bitDepth}.`);
+        const { width, height, data } = buf;
+
+        let pixels, palette = [];
+        if (bitDepth === 24) {
+            const stride = Math.ceil(width * 3 / 4) * 4;
+            pixels = new Uint8Array(stride * height);
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    const si = (y * width + x) * 4;
+                    const di = y * stride + x * 3;
+                    pixels[di] = data[si + 2];
+                    pixels[di + 1] = data[si + 1];
+                    pixels[di + 2] = data[si];
+                }
+            }
+            pixels = flipRows(pixels, stride, height);
+        } else {
+            const indexed = indexBuffer(buf, 1 << bitDepth, { palette: options.palette, transparency: false });
+            palette = indexed.palette;
+            const { rows, stride } = packRows(indexed.indices, width, height, bitDepth, 4);
+            pixels = flipRows(rows, stride, height);
+        }
+
+        const paletteSize = bitDepth === 24 ? 0 : (1 << bitDepth) * 4;
+        const offset = 14 + 40 + paletteSize;
+        const out = new Uint8Array(offset + pixels.length);
+        const v = new DataView(out.buffer);
+
+        // BITMAPFILEHEADER
+        out[0] = 0x42; out[1] = 0x4D; // 'BM'
+        v.setUint32(2, out.length, true);
+        v.setUint32(10, offset, true);
+
+        // BITMAPINFOHEADER
+        v.setUint32(14, 40, true);
+        v.setInt32(18, width, true);
+        v.setInt32(22, height, true); // Positive = bottom-up
+        v.setUint16(26, 1, true);
+        v.setUint16(28, bitDepth, true);
+        v.setUint32(30, 0, true); // BI_RGB
+        v.setUint32(34, pixels.length, true);
+        v.setInt32(38, 2835, true); // 72 DPI
+        v.setInt32(42, 2835, true);
+        v.setUint32(46, bitDepth === 24 ? 0 : palette.length, true);
+
+        // Color table (BGRx)
+        palette.forEach((c, i) => {
+            const o = 54 + i * 4;
+            out[o] = c[2]; out[o + 1] = c[1]; out[o + 2] = c[0];
+        });
+
+        out.set(pixels, offset);
+        return new Blob([out], { type: 'image/bmp' });
+    }
+}
+
+function flipRows(rows, stride, height) {
+    const out = new Uint8Array(rows.length);
+    for (let y = 0; y < height; y++) {
+        out.set(rows.subarray(y * stride, (y + 1) * stride), (height - 1 - y) * stride);
+    }
+    return out;
+}
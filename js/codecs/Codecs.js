@@ -0,0 +1,43 @@
+/**
+ * Codecs.js
+ * Still-image formats encoded in JS (no canvas.toBlob), shared by Export, Batch and void-cli.
+ */
+
+import { PngEncoder } from './PngEncoder.js';
+import { BmpEncoder } from './BmpEncoder.js';
+import { TgaEncoder } from './TgaEncoder.js';
+import { TiffEncoder } from './TiffEncoder.js';
+import { indexBuffer } from './Indexed.js';
+
+// format -> file extension
+export const JS_FORMATS = {
+    png: 'png',
+    png8: 'png',
+    bmp: 'bmp',
+    tga: 'tga',
+    tiff: 'tif'
+};
+
+/**
+ * @param {Object} buf - { data, width, height }
+ * @param {string} format - Key of JS_FORMATS
+ * @param {Object} options - { bmpDepth, tgaRle, tiffCompression, palette }
+ *   palette: [[r,g,b]...] to store as-is (Dither GRADE palette), for PNG-8 / paletted BMP
+ * @returns {Promise<Blob>}
+ */
+export async function encodeBuffer(buf, format, options = {}) {
+    switch (format) {
+        case 'png':
+            return PngEncoder.encode(buf);
+        case 'png8':
+            return PngEncoder.encodeIndexed(indexBuffer(buf, 256, { palette: options.palette }), buf.width, buf.height);
+        case 'bmp':
+            return BmpEncoder.encode(buf, { bitDepth: options.bmpDepth || 24, palette: options.palette });
+        case 'tga':
+            return TgaEncoder.encode(buf, { rle: !!options.tgaRle });
+        case 'tiff':
+            return TiffEncoder.encode(buf, { compression: options.tiffCompression });
+        default:
+            throw new Error(`Unknown format: ${format}`);
+    }
+}
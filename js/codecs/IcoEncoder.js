@@ -0,0 +1,93 @@
+/**
+ * IcoEncoder.js
+ * Multi-resolution .ico writer.
+ * Sizes below 256 are stored as 32-bit BMP (DIB + AND mask, readable everywhere),
+ * 256 is stored as PNG (the standard for large icons, keeps the file small).
+ */
+
+import { PngEncoder } from './PngEncoder.js';
+
+export const ICO_SIZES = [16, 32, 48, 64, 128, 256];
+
+export class IcoEncoder {
+    constructor() { }
+
+    /**
+     * @param {Array} images - Square RGBA buffers { data, width, height }, max 256 px
+     * @returns {Promise<Blob>} image/x-icon
+     */
+    static async encode(images) {
+        if (!images.length) throw new Error("ICO: no sizes selected.");
+        const sorted = [...images].sort((a, b) => a.width - b.width);
+
+        const payloads = [];
+        for (const img of sorted) {
+            if (img.width > 256 || img.height > 256) throw new Error(`ICO: ${img.width}x${img.height} exceeds 256 px.`);
+            payloads.push(img.width >= 256
+                ? new Uint8Array(await (await PngEncoder.encode(img)).arrayBuffer())
+                : IcoEncoder.bmpEntry(img));
+        }
+
+        // ICONDIR (6) + ICONDIRENTRY (16 each)
+        const header = new Uint8Array(6 + 16 * sorted.length);
+        const v = new DataView(header.buffer);
+        v.setUint16(0, 0, true); // Reserved
+        v.setUint16(2, 1, true); // Type: icon
+        v.setUint16(4, sorted.length, true);
+
+        let offset = header.length;
+        sorted.forEach((img, i) => {
+            const e = 6 + i * 16;
+            header[e] = img.width >= 256 ? 0 : img.width; // 0 = 256
+            header[e + 1] = img.height >= 256 ? 0 : img.height;
+            header[e + 2] = 0; // No palette
+            header[e + 3] = 0; // Reserved
+            v.setUint16(e + 4, 1, true); // Color planes
+            v.setUint16(e + 6, 32, true); // Bits per pixel
+            v.setUint32(e + 8, payloads[i].length, true);
+            v.setUint32(e + 12, offset, true);
+            offset += payloads[i].length;
+        });
+
+        return new Blob([header, ...payloads], { type: 'image/x-icon' });
+    }
+
+    /**
+     * BITMAPINFOHEADER + BGRA rows (bottom-up) + 1-bit AND mask.
+     * Height is doubled in the header (XOR + AND masks), as the ICO format requires.
+     */
+    static bmpEntry(img) {
+        const { width, height, data } = img;
+        const xorSize = width * height * 4;
+        const maskStride = Math.ceil(width / 32) * 4; // Rows padded to 32 bits
+        const andSize = maskStride * height;
+
+        const out = new Uint8Array(40 + xorSize + andSize);
+        const v = new DataView(out.buffer);
+        v.setUint32(0, 40, true);
+        v.setInt32(4, width, true);
+        v.setInt32(8, height * 2, true);
+        v.setUint16(12, 1, true); // Planes
+        v.setUint16(14, 32, true); // Bit count
+        v.setUint32(16, 0, true); // BI_RGB
+        v.setUint32(20, xorSize + andSize, true);
+
+        for (let y = 0; y < height; y++) {
+            const row = height - 1 - y; // Bottom-up
+            for (let x = 0; x < width; x++) {
+                const si = (y * width + x) * 4;
+                const di = 40 + (row * width + x) * 4;
+                out[di] = data[si + 2];
+                out[di + 1] = data[si + 1];
+                out[di + 2] = data[si];
+                out[di + 3] = data[si + 3];
+
+                // AND mask: 1 = transparent
+                if (data[si + 3] === 0) {
+                    out[40 + xorSize + row * maskStride + (x >> 3)] |= 0x80 >> (x & 7);
+                }
+            }
+        }
+        return out;
+    }
+}
@@ -0,0 +1,127 @@
+/**
+ * Indexed.js
+ * RGBA buffer -> palette indices, for PNG-8 and paletted BMP.
+ * With a given palette (e.g. Dither's active GRADE palette) it is stored as-is;
+ * otherwise the palette is the image's exact colors, or a median cut when there are too many.
+ */
+
+import { ColorQuantizer } from '../utils/ColorQuantizer.js';
+
+/**
+ * @param {Object} buf - { data, width, height }
+ * @param {number} maxColors - 2 to 256
+ * @param {Object} options - { palette: [[r,g,b]...] | null, transparency: boolean }
+ * @returns {Object} { indices: Uint8Array, palette: [[r,g,b,a]...] }
+ */
+export function indexBuffer(buf, maxColors, options = {}) {
+    const data = buf.data;
+    const transparency = options.transparency !== false;
+
+    let hasTransparent = false;
+    if (transparency) {
+        for (let i = 3; i < data.length; i += 4) {
+            if (data[i] < 128) { hasTransparent = true; break; }
+        }
+    }
+    const slots = hasTransparent ? maxColors - 1 : maxColors; // Keep one entry for transparency
+
+    // A given palette is used only if it fits (e.g. 16-color palette into a 1-bit BMP doesn't).
+    // Its entries keep their order; colors added by later effects (scanlines...) are appended
+    // when there's room, otherwise they snap to the nearest palette entry.
+    const given = options.palette ? dedupe(options.palette) : null;
+    let colors = null;
+    if (given && given.length <= slots) {
+        const extra = exactColors(data, slots - given.length, transparency, given);
+        colors = extra ? given.concat(extra) : given;
+    } else {
+        colors = exactColors(data, slots, transparency);
+    }
+    if (!colors) colors = dedupe(ColorQuantizer.extract(buf, slots, 'mediancut'));
+    if (!colors.length) colors = [[0, 0, 0]];
+
+    const palette = colors.map(c => [c[0], c[1], c[2], 255]);
+    const transparentIndex = hasTransparent ? palette.push([0, 0, 0, 0]) - 1 : -1;
+
+    // Nearest palette entry, cached per RGB
+    const cache = new Map();
+    const indices = new Uint8Array(buf.width * buf.height);
+    for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+        if (transparentIndex >= 0 && data[i + 3] < 128) {
+            indices[p] = transparentIndex;
+            continue;
+        }
+        const key = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+        let idx = cache.get(key);
+        if (idx === undefined) {
+            idx = nearest(data[i], data[i + 1], data[i + 2], colors);
+            cache.set(key, idx);
+        }
+        indices[p] = idx;
+    }
+
+    return { indices, palette };
+}
+
+// Unique colors (not in `exclude`), or null if there are more than max
+function exactColors(data, max, transparency, exclude = []) {
+    const known = new Set(exclude.map(c => (c[0] << 16) | (c[1] << 8) | c[2]));
+    const seen = new Map();
+    for (let i = 0; i < data.length; i += 4) {
+        if (transparency && data[i + 3] < 128) continue;
+        const key = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+        if (!seen.has(key) && !known.has(key)) {
+            if (seen.size >= max) return null;
+            seen.set(key, [data[i], data[i + 1], data[i + 2]]);
+        }
+    }
+    return [...seen.values()];
+}
+
+function dedupe(palette) {
+    const seen = new Set();
+    return palette.map(c => c.map(v => Math.max(0, Math.min(255, Math.round(v))))).filter(c => {
+        const key = c.join(',');
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+function nearest(r, g, b, colors) {
+    let best = 0, bestDist = Infinity;
+    for (let i = 0; i < colors.length; i++) {
+        const c = colors[i];
+        const d = (r - c[0]) ** 2 + (g - c[1]) ** 2 + (b - c[2]) ** 2;
+        if (d < bestDist) { bestDist = d; best = i; }
+    }
+    return best;
+}
+
+/**
+ * Smallest PNG/BMP bit depth that can hold the palette
+ */
+export function depthForColors(count, depths = [1, 2, 4, 8]) {
+    return depths.find(d => (1 << d) >= count) || 8;
+}
+
+/**
+ * Pack indices into rows of `bitDepth` bits, MSB first.
+ * @param {number} align - Row alignment in bytes (1 for PNG, 4 for BMP)
+ */
+export function packRows(indices, width, height, bitDepth, align = 1) {
+    const stride = Math.ceil(Math.ceil(width * bitDepth / 8) / align) * align;
+    const out = new Uint8Array(stride * height);
+    const perByte = 8 / bitDepth;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const v = indices[y * width + x];
+            if (bitDepth === 8) {
+                out[y * stride + x] = v;
+            } else {
+                const shift = 8 - bitDepth * (x % perByte + 1);
+                out[y * stride + Math.floor(x / perByte)] |= v << shift;
+            }
+        }
+    }
+    return { rows: out, stride };
+}
@@ -0,0 +1,287 @@
+/**
+ * Metadata.js
+ * Embed / read the VOID project (effect chain & settings) inside exported images.
+ *  - PNG: iTXt chunk 'void:project' (UTF-8 JSON) + tEXt 'Software'
+ *  - JPG: XMP packet in an APP1 segment
+ *  - WebP: XMP chunk (the file is promoted to the extended VP8X layout if needed)
+ * Other formats are returned unchanged.
+ */
+
+import { chunk } from './PngEncoder.js';
+
+export const METADATA_KEY = 'void:project';
+
+const XMP_NS = 'https://filetransformer.dualsfwshield.be/ns/void/1.0/';
+const XMP_HEADER = 'http://ns.adobe.com/xap/1.0/\0';
+const JPEG_SEGMENT_MAX = 65533; // APP1 payload limit (length field is 16 bits, includes itself)
+
+/**
+ * @param {Blob} blob - Encoded image
+ * @param {string} json - Serialized project
+ * @returns {Promise<Blob>} Same type, with metadata when the format supports it
+ */
+export async function embedMetadata(blob, json) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    const format = sniff(bytes);
+
+    if (format === 'png') return new Blob([embedPng(bytes, json)], { type: blob.type });
+    if (format === 'jpg') {
+        const out = embedJpeg(bytes, json);
+        if (!out) console.warn("Metadata: project too large for a JPEG XMP segment, skipped.");
+        return out ? new Blob([out], { type: blob.type }) : blob;
+    }
+    if (format === 'webp') return new Blob([embedWebp(bytes, json)], { type: blob.type });
+    return blob;
+}
+
+/**
+ * @param {Blob} blob - Image file
+ * @returns {Promise<string|null>} Serialized project, if any
+ */
+export async function readMetadata(blob) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    switch (sniff(bytes)) {
+        case 'png': return readPng(bytes);
+        case 'jpg': return readXmp(readJpegXmp(bytes));
+        case 'webp': return readXmp(readWebpXmp(bytes));
+        default: return null;
+    }
+}
+
+function sniff(b) {
+    if (b[0] === 0x89 && b[1] === 0x50 && b[2] === 0x4E && b[3] === 0x47) return 'png';
+    if (b[0] === 0xFF && b[1] === 0xD8) return 'jpg';
+    if (ascii(b, 0, 4) === 'RIFF' && ascii(b, 8, 4) === 'WEBP') return 'webp';
+    return null;
+}
+
+// --- PNG ---
+
+function embedPng(bytes, json) {
+    const utf8 = new TextEncoder().encode(json);
+    const key = latin1Bytes(METADATA_KEY);
+
+    // keyword \0 | compression flag 0 | method 0 | language '' \0 | translated keyword '' \0 | text
+    const itxt = new Uint8Array(key.length + 5 + utf8.length);
+    itxt.set(key, 0);
+    itxt.set(utf8, key.length + 5);
+
+    const software = latin1Bytes(SOFTWARE_TEXT);
+
+    // Right after IHDR (signature 8 + IHDR chunk 25), so readers find it without scanning IDAT
+    const view = new DataView(bytes.buffer, bytes.byteOffset);
+    const ihdrEnd = 8 + 12 + view.getUint32(8);
+    const stripped = stripPngChunk(bytes, METADATA_KEY);
+
+    return concat([
+        stripped.subarray(0, ihdrEnd),
+        chunk('iTXt', itxt),
+        chunk('tEXt', software),
+        stripped.subarray(ihdrEnd)
+    ]);
+}
+
+const SOFTWARE_TEXT = 'Software\0VOID';
+
+// Remove a previous VOID iTXt and its Software tEXt (re-export of an imported image)
+function stripPngChunk(bytes, keyword) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset);
+    const parts = [bytes.subarray(0, 8)];
+    let pos = 8;
+    while (pos < bytes.length) {
+        const length = view.getUint32(pos);
+        const type = ascii(bytes, pos + 4, 4);
+        const end = pos + 12 + length;
+        const isOurs = (type === 'iTXt' && ascii(bytes, pos + 8, keyword.length) === keyword && bytes[pos + 8 + keyword.length] === 0) ||
+            (type === 'tEXt' && length === SOFTWARE_TEXT.length && ascii(bytes, pos + 8, length) === SOFTWARE_TEXT);
+        if (!isOurs) parts.push(bytes.subarray(pos, end));
+        pos = end;
+    }
+    return concat(parts);
+}
+
+function readPng(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset);
+    let pos = 8;
+    while (pos + 8 <= bytes.length) {
+        const length = view.getUint32(pos);
+        const type = ascii(bytes, pos + 4, 4);
+        const data = bytes.subarray(pos + 8, pos + 8 + length);
+        pos += 12 + length;
+
+        if (type === 'iTXt' || type === 'tEXt') {
+            const sep = data.indexOf(0);
+            if (ascii(data, 0, sep) !== METADATA_KEY) continue;
+            if (type === 'tEXt') return ascii(data, sep + 1, data.length - sep - 1);
+            if (data[sep + 1] !== 0) continue; // Compressed iTXt: not written by VOID
+            const lang = data.indexOf(0, sep + 3);
+            const trans = data.indexOf(0, lang + 1);
+            return new TextDecoder().decode(data.subarray(trans + 1));
+        }
+        if (type === 'IEND') break;
+    }
+    return null;
+}
+
+// --- XMP ---
+
+function buildXmp(json) {
+    return `<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>` +
+        `<x:xmpmeta xmlns:x="adobe:ns:meta/">` +
+        `<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">` +
+        `<rdf:Description rdf:about="" xmlns:xmp="http://ns.adobe.com/xap/1.0/" xmlns:void="${XMP_NS}">` +
+        `<xmp:CreatorTool>VOID</xmp:CreatorTool>` +
+        `<void:project>${escapeXml(json)}</void:project>` +
+        `</rdf:Description></rdf:RDF></x:xmpmeta><?xpacket end="w"?>`;
+}
+
+function readXmp(bytes) {
+    if (!bytes) return null;
+    const xml = new TextDecoder().decode(bytes);
+    const match = /<void:project>([\s\S]*?)<\/void:project>/.exec(xml);
+    return match ? unescapeXml(match[1]) : null;
+}
+
+function escapeXml(s) {
+    return s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function unescapeXml(s) {
+    return s.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+}
+
+// --- JPEG ---
+
+function embedJpeg(bytes, json) {
+    const payload = concat([latin1Bytes(XMP_HEADER), new TextEncoder().encode(buildXmp(json))]);
+    if (payload.length + 2 > JPEG_SEGMENT_MAX) return null;
+
+    const segment = new Uint8Array(4 + payload.length);
+    segment[0] = 0xFF; segment[1] = 0xE1; // APP1
+    new DataView(segment.buffer).setUint16(2, payload.length + 2);
+    segment.set(payload, 4);
+
+    // After SOI and a JFIF APP0 if present (JFIF must come first); drop an older XMP segment
+    const parts = [bytes.subarray(0, 2)];
+    let pos = 2;
+    let inserted = false;
+    while (pos + 4 <= bytes.length && bytes[pos] === 0xFF) {
+        const marker = bytes[pos + 1];
+        if (marker === 0xDA) break; // Start of scan: the rest is entropy-coded data
+        const length = (bytes[pos + 2] << 8) | bytes[pos + 3];
+        const end = pos + 2 + length;
+
+        if (!inserted && marker !== 0xE0) {
+            parts.push(segment);
+            inserted = true;
+        }
+        const isXmp = marker === 0xE1 && ascii(bytes, pos + 4, XMP_HEADER.length) === XMP_HEADER;
+        if (!isXmp) parts.push(bytes.subarray(pos, end));
+        pos = end;
+    }
+    if (!inserted) parts.push(segment);
+    parts.push(bytes.subarray(pos));
+    return concat(parts);
+}
+
+function readJpegXmp(bytes) {
+    let pos = 2;
+    while (pos + 4 <= bytes.length && bytes[pos] === 0xFF) {
+        const marker = bytes[pos + 1];
+        if (marker === 0xDA) break;
+        const length = (bytes[pos + 2] << 8) | bytes[pos + 3];
+        if (marker === 0xE1 && ascii(bytes, pos + 4, XMP_HEADER.length) === XMP_HEADER) {
+            return bytes.subarray(pos + 4 + XMP_HEADER.length, pos + 2 + length);
+        }
+        pos += 2 + length;
+    }
+    return null;
+}
+
+// --- WebP ---
+
+function webpChunks(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset);
+    const chunks = [];
+    let pos = 12;
+    while (pos + 8 <= bytes.length) {
+        const size = view.getUint32(pos + 4, true);
+        chunks.push({ type: ascii(bytes, pos, 4), data: bytes.subarray(pos + 8, pos + 8 + size) });
+        pos += 8 + size + (size % 2);
+    }
+    return chunks;
+}
+
+function embedWebp(bytes, json) {
+    let chunks = webpChunks(bytes).filter(c => c.type !== 'XMP ');
+
+    if (chunks[0].type !== 'VP8X') {
+        // Simple format (single VP8 / VP8L chunk): promote to VP8X, which can carry metadata
+        const { width, height, alpha } = webpInfo(chunks[0]);
+        const vp8x = new Uint8Array(10);
+        vp8x[0] = alpha ? 0x10 : 0;
+        writeUint24(vp8x, 4, width - 1);
+        writeUint24(vp8x, 7, height - 1);
+        chunks = [{ type: 'VP8X', data: vp8x }, ...chunks];
+    } else {
+        chunks[0] = { type: 'VP8X', data: chunks[0].data.slice() };
+    }
+    chunks[0].data[0] |= 0x04; // XMP flag
+    chunks.push({ type: 'XMP ', data: new TextEncoder().encode(buildXmp(json)) });
+
+    // Reassemble RIFF
+    const parts = chunks.map(c => {
+        const out = new Uint8Array(8 + c.data.length + (c.data.length % 2));
+        out.set(latin1Bytes(c.type), 0);
+        new DataView(out.buffer).setUint32(4, c.data.length, true);
+        out.set(c.data, 8);
+        return out;
+    });
+    const body = concat(parts);
+    const header = new Uint8Array(12);
+    header.set(latin1Bytes('RIFF'), 0);
+    new DataView(header.buffer).setUint32(4, body.length + 4, true);
+    header.set(latin1Bytes('WEBP'), 8);
+    return concat([header, body]);
+}
+
+// Canvas size from a VP8 (lossy) or VP8L (lossless) bitstream header
+function webpInfo(c) {
+    const d = c.data;
+    if (c.type === 'VP8L') {
+        const bits = d[1] | (d[2] << 8) | (d[3] << 16) | (d[4] << 24);
+        return { width: (bits & 0x3FFF) + 1, height: ((bits >>> 14) & 0x3FFF) + 1, alpha: !!((bits >>> 28) & 1) };
+    }
+    // VP8: 3-byte frame tag, start code 9D 01 2A, then 14-bit width / height
+    return { width: (d[6] | (d[7] << 8)) & 0x3FFF, height: (d[8] | (d[9] << 8)) & 0x3FFF, alpha: false };
+}
+
+function readWebpXmp(bytes) {
+    const xmp = webpChunks(bytes).find(c => c.type === 'XMP ');
+    return xmp ? xmp.data : null;
+}
+
+// --- Helpers ---
+
+function ascii(bytes, start, length) {
+    let s = '';
+    for (let i = start; i < start + length && i < bytes.length; i++) s += String.fromCharCode(bytes[i]);
+    return s;
+}
+
+function latin1Bytes(s) {
+    return Uint8Array.from(s, ch => ch.charCodeAt(0));
+}
+
+function writeUint24(bytes, offset, v) {
+    bytes[offset] = v & 0xff;
+    bytes[offset + 1] = (v >> 8) & 0xff;
+    bytes[offset + 2] = (v >> 16) & 0xff;
+}
+
+function concat(parts) {
+    const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+    let o = 0;
+    parts.forEach(p => { out.set(p, o); o += p.length; });
+    return out;
+}
@@ -0,0 +1,292 @@
+/**
+ * PaletteFormats.js
+ * Palette files <-> { name, colors: ['#rrggbb'...] }.
+ *  - GIMP .gpl, JASC .pal (and RIFF .pal on import), Lospec .hex: text
+ *  - Adobe .ase (Swatch Exchange, RGB / CMYK / Lab / Gray swatches) and .act (Color Table): binary
+ *  - PNG swatch strip: one pixel per color (any swatch image works on import: unique colors in scan order)
+ */
+
+import { decodePng, isPng } from './PngDecoder.js';
+import { PngEncoder } from './PngEncoder.js';
+import { labToRgb } from '../utils/ColorSpace.js';
+
+export const MAX_PALETTE_COLORS = 256;
+
+const TEXT_EXTENSIONS = ['gpl', 'pal', 'hex', 'txt'];
+
+// format -> { label, extension, mime }
+export const PALETTE_FORMATS = {
+    gpl: { label: "GIMP (.gpl)", extension: 'gpl', mime: 'text/plain' },
+    ase: { label: "Adobe Swatch Exchange (.ase)", extension: 'ase', mime: 'application/octet-stream' },
+    act: { label: "Adobe Color Table (.act)", extension: 'act', mime: 'application/octet-stream' },
+    pal: { label: "JASC Palette (.pal)", extension: 'pal', mime: 'text/plain' },
+    hex: { label: "Lospec (.hex)", extension: 'hex', mime: 'text/plain' },
+    png: { label: "PNG Strip (1px / color)", extension: 'png', mime: 'image/png' }
+};
+
+/**
+ * @param {Uint8Array} bytes - File contents
+ * @param {string} filename - Used for the extension (.act has no magic) and as a fallback name
+ * @returns {Promise<Object>} { name, colors }
+ */
+export async function parsePalette(bytes, filename = 'Palette') {
+    const ext = (filename.split('.').pop() || '').toLowerCase();
+    const fallbackName = filename.replace(/\.[^.]+$/, '');
+    let result;
+
+    if (isPng(bytes)) result = await parsePng(bytes);
+    else if (ascii(bytes, 0, 4) === 'ASEF') result = parseAse(bytes);
+    else if (ascii(bytes, 0, 4) === 'RIFF' && ascii(bytes, 8, 4) === 'PAL ') result = parseRiffPal(bytes);
+    else if (ext === 'act') result = parseAct(bytes);
+    else {
+        const text = new TextDecoder().decode(bytes);
+        if (/^GIMP Palette/.test(text)) result = parseGpl(text);
+        else if (/^JASC-PAL/.test(text)) result = parseJasc(text);
+        // Headerless ACT by size, unless the extension says it is a text palette
+        else if (!TEXT_EXTENSIONS.includes(ext) && (bytes.length === 768 || bytes.length === 772)) result = parseAct(bytes);
+        else result = parseHex(text);
+    }
+
+    const colors = dedupe(result.colors);
+    if (!colors.length) throw new Error(`No colors found in "${filename}".`);
+    if (colors.length > MAX_PALETTE_COLORS) throw new Error(`"${filename}" has ${colors.length} colors (max ${MAX_PALETTE_COLORS}).`);
+    return { name: result.name || fallbackName, colors };
+}
+
+/**
+ * @param {Object} palette - { name, colors }
+ * @param {string} format - Key of PALETTE_FORMATS
+ * @returns {Promise<Blob>}
+ */
+export async function encodePalette(palette, format) {
+    const rgb = palette.colors.map(hexToRgb);
+    const mime = (PALETTE_FORMATS[format] || {}).mime;
+    switch (format) {
+        case 'gpl': {
+            const lines = ['GIMP Palette', `Name: ${palette.name}`, `Columns: ${Math.min(16, rgb.length)}`, '#'];
+            rgb.forEach((c, i) => lines.push(`${c.map(v => String(v).padStart(3)).join(' ')}\t${palette.colors[i]}`));
+            return new Blob([lines.join('\n') + '\n'], { type: mime });
+        }
+        case 'pal': {
+            const lines = ['JASC-PAL', '0100', String(rgb.length), ...rgb.map(c => c.join(' '))];
+            return new Blob([lines.join('\r\n') + '\r\n'], { type: mime });
+        }
+        case 'hex':
+            return new Blob([palette.colors.map(h => h.slice(1).toLowerCase()).join('\n') + '\n'], { type: mime });
+        case 'act': {
+            // 256 triples, then color count and transparent index (0xFFFF = none)
+            const out = new Uint8Array(772);
+            rgb.slice(0, 256).forEach((c, i) => out.set(c, i * 3));
+            const view = new DataView(out.buffer);
+            view.setUint16(768, Math.min(256, rgb.length));
+            view.setUint16(770, 0xFFFF);
+            return new Blob([out], { type: mime });
+        }
+        case 'ase':
+            return new Blob([encodeAse(palette.name, rgb, palette.colors)], { type: mime });
+        case 'png': {
+            const data = new Uint8ClampedArray(rgb.length * 4);
+            rgb.forEach((c, i) => data.set([c[0], c[1], c[2], 255], i * 4));
+            return PngEncoder.encode({ data, width: rgb.length, height: 1 });
+        }
+        default:
+            throw new Error(`Unknown palette format: ${format}`);
+    }
+}
+
+// --- Text formats ---
+
+function parseGpl(text) {
+    let name = null;
+    const colors = [];
+    text.split(/\r?\n/).slice(1).forEach(line => {
+        const named = /^Name:\s*(.*)$/.exec(line);
+        if (named) { name = named[1].trim(); return; }
+        const m = /^\s*(\d+)\s+(\d+)\s+(\d+)/.exec(line);
+        if (m) colors.push(rgbToHex([+m[1], +m[2], +m[3]]));
+    });
+    return { name, colors };
+}
+
+function parseJasc(text) {
+    // JASC-PAL, version, count, then one "r g b" per line
+    const lines = text.split(/\r?\n/);
+    const count = parseInt(lines[2], 10) || 0;
+    const colors = [];
+    for (let i = 3; i < lines.length && colors.length < count; i++) {
+        const m = /^\s*(\d+)\s+(\d+)\s+(\d+)/.exec(lines[i]);
+        if (m) colors.push(rgbToHex([+m[1], +m[2], +m[3]]));
+    }
+    return { name: null, colors };
+}
+
+function parseHex(text) {
+    const colors = [];
+    text.split(/\r?\n/).forEach(line => {
+        const m = /^\s*#?(?:[0-9a-f]{2})?([0-9a-f]{6})\b/i.exec(line); // paint.net lines are AARRGGBB
+        if (m) colors.push(`#${m[1].toLowerCase()}`);
+    });
+    return { name: null, colors };
+}
+
+// --- Binary formats ---
+
+function parseAct(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const count = bytes.length >= 772 ? Math.min(256, view.getUint16(768) || 256) : Math.floor(Math.min(768, bytes.length) / 3);
+    const colors = [];
+    for (let i = 0; i < count; i++) colors.push(rgbToHex([bytes[i * 3], bytes[i * 3 + 1], bytes[i * 3 + 2]]));
+    return { name: null, colors };
+}
+
+function parseRiffPal(bytes) {
+    // RIFF 'PAL ' > 'data' chunk: version, count, then r g b flags
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let pos = 12;
+    while (pos + 8 <= bytes.length) {
+        const size = view.getUint32(pos + 4, true);
+        if (ascii(bytes, pos, 4) === 'data') {
+            const count = view.getUint16(pos + 10, true);
+            const colors = [];
+            for (let i = 0; i < count; i++) {
+                const o = pos + 12 + i * 4;
+                colors.push(rgbToHex([bytes[o], bytes[o + 1], bytes[o + 2]]));
+            }
+            return { name: null, colors };
+        }
+        pos += 8 + size + (size % 2);
+    }
+    return { name: null, colors: [] };
+}
+
+function parseAse(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const blocks = view.getUint32(8);
+    let pos = 12;
+    let name = null;
+    const colors = [];
+
+    for (let b = 0; b < blocks && pos + 6 <= bytes.length; b++) {
+        const type = view.getUint16(pos);
+        const length = view.getUint32(pos + 2);
+        const start = pos + 6;
+        pos = start + length;
+        if (type !== 0x0001 && type !== 0xC001) continue; // Color entry / group start
+
+        // Name: UTF-16BE, length in code units including the terminating 0
+        const nameLength = view.getUint16(start);
+        let label = '';
+        for (let i = 0; i < nameLength - 1; i++) label += String.fromCharCode(view.getUint16(start + 2 + i * 2));
+        if (type === 0xC001) {
+            if (!name) name = label;
+            continue;
+        }
+
+        let o = start + 2 + nameLength * 2;
+        const model = ascii(bytes, o, 4);
+        o += 4;
+        const f = (i) => view.getFloat32(o + i * 4);
+        const to255 = (v) => Math.max(0, Math.min(255, Math.round(v * 255)));
+        if (model === 'RGB ') {
+            colors.push(rgbToHex([to255(f(0)), to255(f(1)), to255(f(2))]));
+        } else if (model === 'CMYK') {
+            const k = f(3);
+            colors.push(rgbToHex([0, 1, 2].map(i => to255((1 - f(i)) * (1 - k)))));
+        } else if (model === 'LAB ') {
+            colors.push(rgbToHex(labToRgb(f(0) * 100, f(1), f(2))));
+        } else if (model === 'Gray') {
+            const v = to255(f(0));
+            colors.push(rgbToHex([v, v, v]));
+        }
+    }
+    return { name, colors };
+}
+
+function encodeAse(name, rgb, hexes) {
+    const utf16 = (s) => {
+        const out = new Uint8Array(2 + (s.length + 1) * 2);
+        const view = new DataView(out.buffer);
+        view.setUint16(0, s.length + 1);
+        for (let i = 0; i < s.length; i++) view.setUint16(2 + i * 2, s.charCodeAt(i));
+        return out;
+    };
+    const block = (type, body) => {
+        const out = new Uint8Array(6 + body.length);
+        const view = new DataView(out.buffer);
+        view.setUint16(0, type);
+        view.setUint32(2, body.length);
+        out.set(body, 6);
+        return out;
+    };
+
+    // Group start, one RGB entry per color (type 2 = normal), group end
+    const blocks = [block(0xC001, utf16(name))];
+    rgb.forEach((c, i) => {
+        const label = utf16(hexes[i]);
+        const body = new Uint8Array(label.length + 4 + 12 + 2);
+        const view = new DataView(body.buffer);
+        body.set(label, 0);
+        body.set(latin1Bytes('RGB '), label.length);
+        c.forEach((v, k) => view.setFloat32(label.length + 4 + k * 4, v / 255));
+        view.setUint16(label.length + 16, 2);
+        blocks.push(block(0x0001, body));
+    });
+    blocks.push(block(0xC002, new Uint8Array(0)));
+
+    const header = new Uint8Array(12);
+    const view = new DataView(header.buffer);
+    header.set(latin1Bytes('ASEF'), 0);
+    view.setUint16(4, 1); // Version 1.0
+    view.setUint16(6, 0);
+    view.setUint32(8, blocks.length);
+    return concat([header, ...blocks]);
+}
+
+// --- PNG swatch ---
+
+async function parsePng(bytes) {
+    const img = await decodePng(bytes);
+    const colors = [];
+    const seen = new Set();
+    for (let i = 0; i < img.data.length; i += 4) {
+        if (img.data[i + 3] < 128) continue;
+        const hex = rgbToHex([img.data[i], img.data[i + 1], img.data[i + 2]]);
+        if (seen.has(hex)) continue;
+        seen.add(hex);
+        colors.push(hex);
+        if (colors.length > MAX_PALETTE_COLORS) break; // A photo, not a swatch: parsePalette reports it
+    }
+    return { name: null, colors };
+}
+
+// --- Helpers ---
+
+function dedupe(colors) {
+    return [...new Set(colors)];
+}
+
+function hexToRgb(hex) {
+    const m = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex);
+    return m ? [parseInt(m[1], 16), parseInt(m[2], 16), parseInt(m[3], 16)] : [0, 0, 0];
+}
+
+function rgbToHex(c) {
+    return '#' + c.map(v => v.toString(16).padStart(2, '0')).join('');
+}
+
+function ascii(bytes, start, length) {
+    let s = '';
+    for (let i = start; i < start + length && i < bytes.length; i++) s += String.fromCharCode(bytes[i]);
+    return s;
+}
+
+function latin1Bytes(s) {
+    return Uint8Array.from(s, ch => ch.charCodeAt(0));
+}
+
+function concat(parts) {
+    const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+    let o = 0;
+    parts.forEach(p => { out.set(p, o); o += p.length; });
+    return out;
+}
@@ -0,0 +1,114 @@
+/**
+ * PdfEncoder.js
+ * Minimal PDF 1.5 writer for vector layers (see VectorExporter): one page, one Flate-compressed
+ * content stream, each layer an optional content group (a layer in Acrobat / Illustrator).
+ * CMYK inks fill in DeviceCMYK so they separate onto their own plates; other colors are RGB.
+ */
+
+import { deflate } from './PngEncoder.js';
+
+const KAPPA = 0.5522847498; // Bezier handle length for a quarter circle
+
+export class PdfEncoder {
+    constructor() { }
+
+    /**
+     * @param {Array} layers - VectorExporter layers, bottom first
+     * @param {number} width - Image size in px
+     * @param {number} height
+     * @param {Object} options - { dpi } for the page size (default 72: 1 px = 1 pt)
+     * @returns {Promise<Blob>} application/pdf
+     */
+    static async encode(layers, width, height, options = {}) {
+        const dpi = Math.max(1, options.dpi || 72);
+        const s = 72 / dpi;
+        const pageWidth = num(width * s), pageHeight = num(height * s);
+
+        // 1. Content: flip to image pixels (y down), clip to the image, then each layer
+        const ops = [`${num(s, 6)} 0 0 ${num(-s, 6)} 0 ${pageHeight} cm`, `0 0 ${width} ${height} re W n`];
+        layers.forEach((layer, i) => {
+            ops.push(`/OC /L${i} BDC q`);
+            if (layer.blend === 'multiply') ops.push('/Multiply gs');
+            ops.push(layer.process
+                ? `${layer.process.map(v => num(v, 4)).join(' ')} k`
+                : `${hexToRgb(layer.color).map(v => num(v / 255, 4)).join(' ')} rg`);
+            const paths = layer.shapes.map(shapePath).filter(Boolean);
+            if (paths.length) ops.push(paths.join('\n'), 'f');
+            ops.push('Q EMC');
+        });
+        const content = await deflate(new TextEncoder().encode(ops.join('\n')));
+
+        // 2. Objects: 1 catalog, 2 pages, 3 page, 4 content, 5 info, then one OCG per layer
+        const ocgs = layers.map((_, i) => `${6 + i} 0 R`).join(' ');
+        const properties = layers.map((_, i) => `/L${i} ${6 + i} 0 R`).join(' ');
+        const objects = [
+            `<< /Type /Catalog /Pages 2 0 R /OCProperties << /OCGs [${ocgs}] /D << /Order [${ocgs}] /ON [${ocgs}] >> >> >>`,
+            `<< /Type /Pages /Kids [3 0 R] /Count 1 >>`,
+            `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] /Contents 4 0 R ` +
+            `/Resources << /ExtGState << /Multiply << /Type /ExtGState /BM /Multiply >> >> /Properties << ${properties} >> >> >>`,
+            [`<< /Length ${content.length} /Filter /FlateDecode >>\nstream\n`, content, '\nendstream'],
+            `<< /Producer (VOID) >>`,
+            ...layers.map(layer => `<< /Type /OCG /Name (${pdfString(layer.name)}) >>`)
+        ];
+
+        // 3. File: header, objects, cross-reference table, trailer
+        const encoder = new TextEncoder();
+        const parts = [encoder.encode('%PDF-1.5\n%\xE2\xE3\xCF\xD3\n')];
+        let offset = parts[0].length;
+        const offsets = [];
+        objects.forEach((body, i) => {
+            offsets.push(offset);
+            const pieces = [`${i + 1} 0 obj\n`, ...(Array.isArray(body) ? body : [body]), '\nendobj\n']
+                .map(p => typeof p === 'string' ? encoder.encode(p) : p);
+            pieces.forEach(p => { parts.push(p); offset += p.length; });
+        });
+
+        const xref = [`xref\n0 ${objects.length + 1}\n`, '0000000000 65535 f \n',
+            ...offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`),
+            `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${offset}\n%%EOF\n`];
+        parts.push(encoder.encode(xref.join('')));
+
+        return new Blob(parts, { type: 'application/pdf' });
+    }
+}
+
+/**
+ * Path operators for one shape (filled by the layer's f).
+ */
+function shapePath(shape) {
+    if (shape.type === 'ellipse') {
+        // Four Bezier quarters of the unit circle, scaled, rotated and moved into place
+        const { cx, cy, rx, ry } = shape;
+        const a = (shape.angle || 0) * Math.PI / 180;
+        const cos = Math.cos(a), sin = Math.sin(a);
+        const pt = (u, v) => `${num(cx + u * rx * cos - v * ry * sin)} ${num(cy + u * rx * sin + v * ry * cos)}`;
+        const k = KAPPA;
+        return `${pt(1, 0)} m ${pt(1, k)} ${pt(k, 1)} ${pt(0, 1)} c ${pt(-k, 1)} ${pt(-1, k)} ${pt(-1, 0)} c ` +
+            `${pt(-1, -k)} ${pt(-k, -1)} ${pt(0, -1)} c ${pt(k, -1)} ${pt(1, -k)} ${pt(1, 0)} c h`;
+    }
+    if (shape.type === 'polygons') {
+        return shape.polygons.map(poly => {
+            let d = `${num(poly[0])} ${num(poly[1])} m`;
+            for (let k = 2; k < poly.length; k += 2) d += ` ${num(poly[k])} ${num(poly[k + 1])} l`;
+            return d + ' h';
+        }).join('\n');
+    }
+    const r = shape.rects;
+    const lines = [];
+    for (let k = 0; k < r.length; k += 4) lines.push(`${r[k]} ${r[k + 1]} ${r[k + 2]} ${r[k + 3]} re`);
+    return lines.join('\n');
+}
+
+function num(v, digits = 2) {
+    return String(+v.toFixed(digits));
+}
+
+// Literal string: ASCII, with ( ) \ escaped
+function pdfString(text) {
+    return String(text).replace(/[^\x20-\x7e]/g, '').replace(/[()\\]/g, '\\$&');
+}
+
+function hexToRgb(hex) {
+    const m = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex);
+    return m ? [parseInt(m[1], 16), parseInt(m[2], 16), parseInt(m[3], 16)] : [0, 0, 0];
+}
@@ -0,0 +1,166 @@
+/**
+ * PngDecoder.js
+ * Minimal PNG reader for void-cli (no canvas in Node).
+ * Supports every non-interlaced color type / bit depth; output is always RGBA 8-bit.
+ * Text chunks (tEXt / iTXt) are returned as well.
+ */
+
+import { PNG_SIGNATURE, paeth } from './PngEncoder.js';
+
+/**
+ * @param {Uint8Array} bytes - PNG file contents
+ * @returns {Promise<Object>} { data, width, height, text }
+ */
+export async function decodePng(bytes) {
+    if (!isPng(bytes)) throw new Error("Not a PNG file.");
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let header = null;
+    let palette = null;
+    let trns = null;
+    const idat = [];
+    const text = {};
+
+    let pos = 8;
+    while (pos < bytes.length) {
+        const length = view.getUint32(pos);
+        const type = String.fromCharCode(...bytes.subarray(pos + 4, pos + 8));
+        const data = bytes.subarray(pos + 8, pos + 8 + length);
+        pos += 12 + length;
+
+        if (type === 'IHDR') {
+            const v = new DataView(data.buffer, data.byteOffset, data.byteLength);
+            header = {
+                width: v.getUint32(0),
+                height: v.getUint32(4),
+                bitDepth: data[8],
+                colorType: data[9],
+                interlace: data[12]
+            };
+        } else if (type === 'PLTE') {
+            palette = data;
+        } else if (type === 'tRNS') {
+            trns = data;
+        } else if (type === 'IDAT') {
+            idat.push(data);
+        } else if (type === 'tEXt') {
+            const sep = data.indexOf(0);
+            text[latin1(data.subarray(0, sep))] = latin1(data.subarray(sep + 1));
+        } else if (type === 'iTXt') {
+            readITXt(data, text);
+        } else if (type === 'IEND') {
+            break;
+        }
+    }
+
+    if (!header) throw new Error("PNG: missing IHDR.");
+    if (header.interlace) throw new Error("PNG: interlaced images are not supported.");
+
+    const raw = new Uint8Array(await new Response(
+        new Blob(idat).stream().pipeThrough(new DecompressionStream('deflate'))
+    ).arrayBuffer());
+
+    const { width, height, bitDepth, colorType } = header;
+    const channels = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }[colorType];
+    if (!channels) throw new Error(`PNG: unknown color type ${colorType}.`);
+
+    const bitsPerPixel = channels * bitDepth;
+    const bpp = Math.max(1, bitsPerPixel >> 3);
+    const stride = Math.ceil(width * bitsPerPixel / 8);
+
+    const out = { data: new Uint8ClampedArray(width * height * 4), width, height, text };
+    let prev = new Uint8Array(stride);
+    let row = new Uint8Array(stride);
+
+    for (let y = 0; y < height; y++) {
+        const offset = y * (stride + 1);
+        unfilterRow(raw[offset], raw.subarray(offset + 1, offset + 1 + stride), prev, row, bpp);
+        expandRow(row, y, header, channels, palette, trns, out.data);
+        [prev, row] = [row, prev];
+    }
+
+    return out;
+}
+
+export function isPng(bytes) {
+    if (bytes.length < 8) return false;
+    for (let i = 0; i < 8; i++) if (bytes[i] !== PNG_SIGNATURE[i]) return false;
+    return true;
+}
+
+function unfilterRow(filter, src, prev, dst, bpp) {
+    for (let i = 0; i < src.length; i++) {
+        const a = i >= bpp ? dst[i - bpp] : 0;
+        const b = prev[i];
+        const c = i >= bpp ? prev[i - bpp] : 0;
+        let p = 0;
+        switch (filter) {
+            case 1: p = a; break;
+            case 2: p = b; break;
+            case 3: p = (a + b) >> 1; break;
+            case 4: p = paeth(a, b, c); break;
+        }
+        dst[i] = (src[i] + p) & 0xff;
+    }
+}
+
+// Unpack one scanline into RGBA 8-bit
+function expandRow(row, y, header, channels, palette, trns, out) {
+    const { width, bitDepth, colorType } = header;
+    const maxVal = (1 << bitDepth) - 1;
+
+    // Sample n of the row, scaled to 8-bit (palette indices stay raw)
+    const sample = (n, raw = false) => {
+        if (bitDepth === 8) return row[n];
+        if (bitDepth === 16) return raw ? (row[n * 2] << 8) | row[n * 2 + 1] : row[n * 2];
+        const bit = n * bitDepth;
+        const v = (row[bit >> 3] >> (8 - bitDepth - (bit & 7))) & maxVal;
+        return raw ? v : Math.round(v * 255 / maxVal);
+    };
+
+    // Transparent key color (grayscale / RGB tRNS), compared at full depth
+    const key = (trns && (colorType === 0 || colorType === 2))
+        ? Array.from({ length: colorType === 0 ? 1 : 3 }, (_, i) => (trns[i * 2] << 8) | trns[i * 2 + 1])
+        : null;
+
+    for (let x = 0; x < width; x++) {
+        const o = (y * width + x) * 4;
+        const s = x * channels;
+
+        if (colorType === 3) {
+            const idx = sample(s, true);
+            out[o] = palette[idx * 3];
+            out[o + 1] = palette[idx * 3 + 1];
+            out[o + 2] = palette[idx * 3 + 2];
+            out[o + 3] = trns && idx < trns.length ? trns[idx] : 255;
+        } else if (colorType === 0 || colorType === 4) {
+            const g = sample(s);
+            out[o] = out[o + 1] = out[o + 2] = g;
+            out[o + 3] = colorType === 4 ? sample(s + 1) : (key && sample(s, true) === key[0] ? 0 : 255);
+        } else {
+            out[o] = sample(s);
+            out[o + 1] = sample(s + 1);
+            out[o + 2] = sample(s + 2);
+            if (colorType === 6) {
+                out[o + 3] = sample(s + 3);
+            } else {
+                const hit = key && sample(s, true) === key[0] && sample(s + 1, true) === key[1] && sample(s + 2, true) === key[2];
+                out[o + 3] = hit ? 0 : 255;
+            }
+        }
+    }
+}
+
+function readITXt(data, text) {
+    // keyword \0 compressionFlag compressionMethod languageTag \0 translatedKeyword \0 text
+    const k = data.indexOf(0);
+    const keyword = latin1(data.subarray(0, k));
+    if (data[k + 1] !== 0) return; // Compressed iTXt not supported (never written by VOID)
+    const lang = data.indexOf(0, k + 3);
+    const trans = data.indexOf(0, lang + 1);
+    text[keyword] = new TextDecoder().decode(data.subarray(trans + 1));
+}
+
+function latin1(bytes) {
+    return String.fromCharCode(...bytes);
+}
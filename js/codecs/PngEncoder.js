@@ -0,0 +1,232 @@
+/**
+ * PngEncoder.js
+ * Streaming PNG writer (RGBA 8-bit) in plain JS, plus an indexed PNG-8 writer.
+ * Compression uses the platform CompressionStream ('deflate' = zlib), available in browsers and Node 18+.
+ * Rows can be pushed in batches, so large images never need a full-size buffer.
+ */
+
+import { depthForColors, packRows } from './Indexed.js';
+
+export class PngEncoder {
+    /**
+     * @param {number} width
+     * @param {number} height
+     */
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.rowsWritten = 0;
+        this.prevRow = new Uint8Array(width * 4); // For Up / Average / Paeth filters
+        this.idat = []; // Compressed IDAT chunks as they arrive
+
+        const stream = new CompressionStream('deflate');
+        this.writer = stream.writable.getWriter();
+
+        // Drain the compressor concurrently so writes don't stall
+        const reader = stream.readable.getReader();
+        this.pump = (async () => {
+            for (;;) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                this.idat.push(chunk('IDAT', value));
+            }
+        })();
+    }
+
+    /**
+     * Append rows.
+     * @param {Object} buf - { data, width, height } with width === this.width
+     */
+    async addRows(buf) {
+        if (buf.width !== this.width) throw new Error("PNG: row width mismatch.");
+        const stride = this.width * 4;
+        const out = new Uint8Array(buf.height * (stride + 1));
+
+        for (let y = 0; y < buf.height; y++) {
+            const row = buf.data.subarray(y * stride, (y + 1) * stride);
+            filterRow(row, this.prevRow, out, y * (stride + 1));
+            this.prevRow.set(row);
+        }
+
+        this.rowsWritten += buf.height;
+        await this.writer.write(out);
+    }
+
+    /**
+     * @returns {Promise<Blob>} image/png
+     */
+    async finish() {
+        if (this.rowsWritten !== this.height) {
+            throw new Error(`PNG: expected ${this.height} rows, got ${this.rowsWritten}.`);
+        }
+        await this.writer.close();
+        await this.pump;
+
+        return new Blob([
+            PNG_SIGNATURE,
+            chunk('IHDR', ihdr(this.width, this.height, 8, 6)),
+            ...this.idat,
+            chunk('IEND', new Uint8Array(0))
+        ], { type: 'image/png' });
+    }
+
+    /**
+     * One-shot encode of a full buffer
+     * @returns {Promise<Blob>}
+     */
+    static async encode(buf) {
+        const enc = new PngEncoder(buf.width, buf.height);
+        await enc.addRows(buf);
+        return enc.finish();
+    }
+
+    /**
+     * Indexed PNG (PNG-8): PLTE (+ tRNS for transparent entries), bit depth 1/2/4/8 by palette size.
+     * @param {Object} indexed - { indices, palette: [[r,g,b,a]...] } (see Indexed.indexBuffer)
+     * @param {Object} options - { dpi } writes a pHYs chunk
+     * @returns {Promise<Blob>}
+     */
+    static async encodeIndexed(indexed, width, height, options = {}) {
+        const { indices, palette } = indexed;
+        if (palette.length > 256) throw new Error("PNG-8: more than 256 colors.");
+
+        const bitDepth = depthForColors(palette.length);
+        const { rows, stride } = packRows(indices, width, height, bitDepth);
+
+        // Filter type 0 (None) on every row: the usual best choice for indexed data
+        const raw = new Uint8Array(height * (stride + 1));
+        for (let y = 0; y < height; y++) {
+            raw.set(rows.subarray(y * stride, (y + 1) * stride), y * (stride + 1) + 1);
+        }
+
+        const plte = new Uint8Array(palette.length * 3);
+        palette.forEach((c, i) => plte.set([c[0], c[1], c[2]], i * 3));
+
+        // tRNS only needs entries up to the last non-opaque one
+        let lastAlpha = -1;
+        palette.forEach((c, i) => { if (c[3] < 255) lastAlpha = i; });
+
+        const parts = [
+            PNG_SIGNATURE,
+            chunk('IHDR', ihdr(width, height, bitDepth, 3)),
+            chunk('PLTE', plte)
+        ];
+        if (lastAlpha >= 0) parts.push(chunk('tRNS', Uint8Array.from(palette.slice(0, lastAlpha + 1), c => c[3])));
+        if (options.dpi) parts.push(chunk('pHYs', phys(options.dpi)));
+        parts.push(chunk('IDAT', await deflate(raw)));
+        parts.push(chunk('IEND', new Uint8Array(0)));
+
+        return new Blob(parts, { type: 'image/png' });
+    }
+}
+
+/**
+ * zlib-wrapped deflate of a whole buffer
+ * @returns {Promise<Uint8Array>}
+ */
+export async function deflate(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+export const PNG_SIGNATURE = new Uint8Array([137, 80, 78, 71, 13, 10, 26, 10]);
+
+export function ihdr(width, height, bitDepth, colorType) {
+    const d = new Uint8Array(13);
+    const v = new DataView(d.buffer);
+    v.setUint32(0, width);
+    v.setUint32(4, height);
+    d[8] = bitDepth;
+    d[9] = colorType;
+    d[10] = 0; // Deflate
+    d[11] = 0; // Adaptive filtering
+    d[12] = 0; // No interlace
+    return d;
+}
+
+/**
+ * pHYs body: pixels per meter on both axes, unit = meter
+ */
+export function phys(dpi) {
+    const d = new Uint8Array(9);
+    const v = new DataView(d.buffer);
+    const ppm = Math.round(dpi / 0.0254);
+    v.setUint32(0, ppm);
+    v.setUint32(4, ppm);
+    d[8] = 1;
+    return d;
+}
+
+/**
+ * Build a chunk: length + type + data + CRC
+ * @param {string} type - 4 ASCII chars
+ * @param {Uint8Array} data
+ */
+export function chunk(type, data) {
+    const out = new Uint8Array(12 + data.length);
+    const v = new DataView(out.buffer);
+    v.setUint32(0, data.length);
+    for (let i = 0; i < 4; i++) out[4 + i] = type.charCodeAt(i);
+    out.set(data, 8);
+    v.setUint32(8 + data.length, crc32(out.subarray(4, 8 + data.length)));
+    return out;
+}
+
+/**
+ * Adaptive filter: pick the filter with the smallest sum of absolute values (libpng heuristic).
+ */
+export function filterRow(row, prev, out, offset, bpp = 4) {
+    const len = row.length;
+    let best = 0, bestSum = Infinity;
+
+    for (let f = 0; f < 5; f++) {
+        let sum = 0;
+        for (let i = 0; i < len && sum < bestSum; i++) {
+            const v = filterByte(f, row, prev, i, bpp);
+            sum += v < 128 ? v : 256 - v;
+        }
+        if (sum < bestSum) { bestSum = sum; best = f; }
+    }
+
+    out[offset] = best;
+    for (let i = 0; i < len; i++) out[offset + 1 + i] = filterByte(best, row, prev, i, bpp);
+}
+
+function filterByte(f, row, prev, i, bpp) {
+    const x = row[i];
+    const a = i >= bpp ? row[i - bpp] : 0;
+    const b = prev[i];
+    const c = i >= bpp ? prev[i - bpp] : 0;
+    switch (f) {
+        case 1: return (x - a) & 0xff;
+        case 2: return (x - b) & 0xff;
+        case 3: return (x - ((a + b) >> 1)) & 0xff;
+        case 4: return (x - paeth(a, b, c)) & 0xff;
+        default: return x;
+    }
+}
+
+export function paeth(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a), pb = Math.abs(p - b), pc = Math.abs(p - c);
+    if (pa <= pb && pa <= pc) return a;
+    if (pb <= pc) return b;
+    return c;
+}
+
+// CRC-32 (PNG / ZIP polynomial)
+const CRC_TABLE = (() => {
+    const t = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+        t[n] = c >>> 0;
+    }
+    return t;
+})();
+
+export function crc32(bytes) {
+    let c = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+    return (c ^ 0xffffffff) >>> 0;
+}
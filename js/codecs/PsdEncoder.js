@@ -0,0 +1,183 @@
+/**
+ * PsdEncoder.js
+ * Layered Photoshop file: RGB 8-bit, PackBits (RLE) channels, resolution resource.
+ * Each layer is a flat color shown through its own alpha, so ink plates stay editable
+ * (recolor, hide, re-blend) and the merged composite previews the print.
+ */
+
+const BLEND_KEYS = { normal: 'norm', multiply: 'mul ' };
+
+export class PsdEncoder {
+    constructor() { }
+
+    /**
+     * @param {Array} layers - Bottom first: [{ name, color: [r, g, b], alpha: Uint8Array width * height (null = opaque), blend: 'normal' | 'multiply' }]
+     * @param {number} width
+     * @param {number} height
+     * @param {Object} options - { dpi }
+     * @returns {Blob} image/vnd.adobe.photoshop
+     */
+    static encode(layers, width, height, options = {}) {
+        const dpi = Math.max(1, Math.round(options.dpi || 72));
+
+        // 1. Header: signature, version 1, reserved, 3 channels, size, 8 bits, RGB
+        const header = new Uint8Array(26);
+        const hv = new DataView(header.buffer);
+        ascii(header, 0, '8BPS');
+        hv.setUint16(4, 1);
+        hv.setUint16(12, 3);
+        hv.setUint32(14, height);
+        hv.setUint32(18, width);
+        hv.setUint16(22, 8);
+        hv.setUint16(24, 3);
+
+        const colorMode = new Uint8Array(4); // No color mode data
+
+        // 2. Image resources: ResolutionInfo (0x03ED), pixels per inch as 16.16 fixed
+        const resources = new Uint8Array(4 + 28);
+        const rv = new DataView(resources.buffer);
+        rv.setUint32(0, 28);
+        ascii(resources, 4, '8BIM');
+        rv.setUint16(8, 0x03ED);
+        rv.setUint32(12, 16); // Empty name (2 bytes) precedes the size
+        rv.setUint32(16, dpi * 65536);
+        rv.setUint16(20, 1); // Pixels per inch
+        rv.setUint16(22, 1); // Width in inches
+        rv.setUint32(24, dpi * 65536);
+        rv.setUint16(28, 1);
+        rv.setUint16(30, 1);
+
+        // 3. Layers: records, then each layer's channels (alpha, R, G, B)
+        const records = [];
+        const channelData = [];
+        layers.forEach(layer => {
+            const planes = [layer.alpha || solid(width * height, 255), ...layer.color.map(v => solid(width * height, v))];
+            const encoded = planes.map(plane => {
+                const { counts, rows } = packChannel(plane, width, height);
+                return [u16(1), counts, ...rows];
+            });
+            channelData.push(...encoded.flat());
+
+            const name = pascal(layer.name, 4);
+            const record = new Uint8Array(16 + 2 + 4 * 6 + 12 + 4 + 8 + name.length);
+            const v = new DataView(record.buffer);
+            v.setInt32(8, height); // Bounds: top, left, bottom, right
+            v.setInt32(12, width);
+            v.setUint16(16, 4);
+            [-1, 0, 1, 2].forEach((id, c) => {
+                v.setInt16(18 + c * 6, id);
+                v.setUint32(20 + c * 6, encoded[c].reduce((n, p) => n + p.length, 0));
+            });
+            let o = 18 + 24;
+            ascii(record, o, '8BIM');
+            ascii(record, o + 4, BLEND_KEYS[layer.blend] || BLEND_KEYS.normal);
+            record[o + 8] = 255; // Opacity; clipping, flags (visible), filler stay 0
+            v.setUint32(o + 12, 8 + name.length); // Extra data: empty mask and blending ranges, then the name
+            record.set(name, o + 24);
+            records.push(record);
+        });
+
+        const layerCount = u16(layers.length);
+        let layerInfoSize = 2 + size(records) + size(channelData);
+        const layerPad = new Uint8Array(layerInfoSize % 2);
+        layerInfoSize += layerPad.length;
+        const layerInfo = [u32(4 + layerInfoSize + 4), u32(layerInfoSize), layerCount, ...records, ...channelData, layerPad, u32(0)];
+
+        // 4. Merged image: paper white multiplied by the layers in order
+        const composite = [0, 1, 2].map(() => solid(width * height, 255));
+        layers.forEach(layer => {
+            for (let p = 0; p < width * height; p++) {
+                const a = layer.alpha ? layer.alpha[p] / 255 : 1;
+                if (!a) continue;
+                for (let c = 0; c < 3; c++) {
+                    const under = composite[c][p];
+                    const over = layer.blend === 'multiply' ? under * layer.color[c] / 255 : layer.color[c];
+                    composite[c][p] = Math.round(under + (over - under) * a);
+                }
+            }
+        });
+        const merged = composite.map(plane => packChannel(plane, width, height));
+
+        return new Blob([
+            header, colorMode, resources,
+            ...layerInfo,
+            u16(1), ...merged.map(m => m.counts), ...merged.flatMap(m => m.rows)
+        ], { type: 'image/vnd.adobe.photoshop' });
+    }
+}
+
+/**
+ * PackBits rows of one channel, with the big-endian byte count of each row.
+ */
+function packChannel(plane, width, height) {
+    const counts = new Uint8Array(height * 2);
+    const cv = new DataView(counts.buffer);
+    const rows = [];
+    for (let y = 0; y < height; y++) {
+        const row = packBits(plane.subarray(y * width, (y + 1) * width));
+        cv.setUint16(y * 2, row.length);
+        rows.push(row);
+    }
+    return { counts, rows };
+}
+
+function packBits(row) {
+    const out = new Uint8Array(row.length + Math.ceil(row.length / 128) + 1);
+    const n = row.length;
+    let i = 0, o = 0;
+    while (i < n) {
+        let run = 1;
+        while (i + run < n && run < 128 && row[i + run] === row[i]) run++;
+        if (run > 2) {
+            // Repeat: 1 - run as a signed byte, then the value
+            out[o++] = 257 - run;
+            out[o++] = row[i];
+            i += run;
+            continue;
+        }
+        // Literal up to the next run of 3+ (shorter repeats cost no less as literals), count - 1 first
+        const start = i;
+        while (i < n && i - start < 128 && !(i + 2 < n && row[i] === row[i + 1] && row[i] === row[i + 2])) i++;
+        out[o++] = i - start - 1;
+        out.set(row.subarray(start, i), o);
+        o += i - start;
+    }
+    return out.slice(0, o);
+}
+
+// --- Helpers ---
+
+function solid(length, value) {
+    return new Uint8Array(length).fill(value);
+}
+
+/**
+ * Pascal string (length byte + Latin-1, max 255), zero-padded to a multiple of `align`.
+ */
+function pascal(text, align) {
+    const s = String(text).replace(/[^\x20-\x7e]/g, '').slice(0, 255);
+    const out = new Uint8Array(Math.ceil((s.length + 1) / align) * align);
+    out[0] = s.length;
+    ascii(out, 1, s);
+    return out;
+}
+
+function ascii(bytes, offset, s) {
+    for (let i = 0; i < s.length; i++) bytes[offset + i] = s.charCodeAt(i);
+}
+
+function u16(v) {
+    const out = new Uint8Array(2);
+    new DataView(out.buffer).setUint16(0, v);
+    return out;
+}
+
+function u32(v) {
+    const out = new Uint8Array(4);
+    new DataView(out.buffer).setUint32(0, v);
+    return out;
+}
+
+function size(parts) {
+    return parts.reduce((n, p) => n + p.length, 0);
+}
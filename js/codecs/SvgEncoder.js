@@ -0,0 +1,66 @@
+/**
+ * SvgEncoder.js
+ * Vector layers (see VectorExporter) as SVG: one group per layer, marked as an Inkscape layer,
+ * with circles / ellipses per dot and one path for everything else, clipped to the image.
+ */
+
+export class SvgEncoder {
+    constructor() { }
+
+    /**
+     * @param {Array} layers - VectorExporter layers, bottom first
+     * @param {number} width - Image size in px (the viewBox)
+     * @param {number} height
+     * @param {Object} options - { dpi } for the physical size (default 72: 1 px = 1 pt)
+     * @returns {Blob} image/svg+xml
+     */
+    static encode(layers, width, height, options = {}) {
+        const dpi = Math.max(1, options.dpi || 72);
+        const out = [
+            '<?xml version="1.0" encoding="UTF-8"?>\n',
+            `<svg xmlns="http://www.w3.org/2000/svg" xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape" `,
+            `width="${num(width / dpi, 4)}in" height="${num(height / dpi, 4)}in" viewBox="0 0 ${width} ${height}">\n`,
+            `<defs><clipPath id="image"><rect width="${width}" height="${height}"/></clipPath></defs>\n`
+        ];
+
+        layers.forEach((layer, i) => {
+            const style = layer.blend === 'multiply' ? ' style="mix-blend-mode:multiply"' : '';
+            out.push(`<g id="layer${i + 1}" inkscape:groupmode="layer" inkscape:label="${xml(layer.name)}" fill="${layer.color}" clip-path="url(#image)"${style}>\n`);
+
+            const path = [];
+            layer.shapes.forEach(shape => {
+                if (shape.type === 'ellipse') {
+                    const { cx, cy, rx, ry, angle } = shape;
+                    if (rx === ry) {
+                        out.push(`<circle cx="${num(cx)}" cy="${num(cy)}" r="${num(rx)}"/>\n`);
+                    } else {
+                        const rotate = angle ? ` transform="rotate(${num(angle)} ${num(cx)} ${num(cy)})"` : '';
+                        out.push(`<ellipse cx="${num(cx)}" cy="${num(cy)}" rx="${num(rx)}" ry="${num(ry)}"${rotate}/>\n`);
+                    }
+                } else if (shape.type === 'polygons') {
+                    shape.polygons.forEach(poly => {
+                        let d = `M${num(poly[0])} ${num(poly[1])}`;
+                        for (let k = 2; k < poly.length; k += 2) d += `L${num(poly[k])} ${num(poly[k + 1])}`;
+                        path.push(d + 'Z');
+                    });
+                } else if (shape.type === 'rects') {
+                    const r = shape.rects;
+                    for (let k = 0; k < r.length; k += 4) path.push(`M${r[k]} ${r[k + 1]}h${r[k + 2]}v${r[k + 3]}h${-r[k + 2]}z`);
+                }
+            });
+            if (path.length) out.push(`<path d="${path.join('')}"/>\n`);
+            out.push('</g>\n');
+        });
+
+        out.push('</svg>\n');
+        return new Blob(out, { type: 'image/svg+xml' });
+    }
+}
+
+function num(v, digits = 2) {
+    return String(+v.toFixed(digits));
+}
+
+function xml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
@@ -0,0 +1,82 @@
+/**
+ * TgaEncoder.js
+ * Truevision TGA writer: 32-bit BGRA with alpha, top-left origin.
+ * Uncompressed (type 2) or RLE (type 10), the two variants game tools read.
+ */
+
+export class TgaEncoder {
+    constructor() { }
+
+    /**
+     * @param {Object} buf - { data, width, height }
+     * @param {Object} options - { rle: boolean }
+     * @returns {Blob} image/x-tga
+     */
+    static encode(buf, options = {}) {
+        const { width, height, data } = buf;
+        if (width > 65535 || height > 65535) throw new Error("TGA: max size is 65535 px.");
+
+        const header = new Uint8Array(18);
+        const v = new DataView(header.buffer);
+        header[2] = options.rle ? 10 : 2; // Image type
+        v.setUint16(12, width, true);
+        v.setUint16(14, height, true);
+        header[16] = 32; // Bits per pixel
+        header[17] = 0x28; // 8 alpha bits, top-left origin
+
+        // BGRA pixels
+        const bgra = new Uint8Array(width * height * 4);
+        for (let i = 0; i < bgra.length; i += 4) {
+            bgra[i] = data[i + 2];
+            bgra[i + 1] = data[i + 1];
+            bgra[i + 2] = data[i];
+            bgra[i + 3] = data[i + 3];
+        }
+
+        const body = options.rle ? rleEncode(bgra, width, height) : bgra;
+        return new Blob([header, body], { type: 'image/x-tga' });
+    }
+}
+
+/**
+ * TGA RLE: packets never cross scanlines (required by some readers).
+ * Header byte: 1xxxxxxx = run of (x+1) copies, 0xxxxxxx = (x+1) raw pixels.
+ */
+function rleEncode(px, width, height) {
+    const out = new Uint8Array(px.length + Math.ceil(px.length / 4 / 128) + height); // Worst case
+    let o = 0;
+
+    const same = (a, b) => px[a] === px[b] && px[a + 1] === px[b + 1] && px[a + 2] === px[b + 2] && px[a + 3] === px[b + 3];
+
+    for (let y = 0; y < height; y++) {
+        let x = 0;
+        while (x < width) {
+            const start = (y * width + x) * 4;
+
+            // Run length at x
+            let run = 1;
+            while (x + run < width && run < 128 && same(start, start + run * 4)) run++;
+
+            if (run > 1) {
+                out[o++] = 0x80 | (run - 1);
+                out.set(px.subarray(start, start + 4), o);
+                o += 4;
+                x += run;
+                continue;
+            }
+
+            // Raw packet until the next run of 2+
+            let count = 1;
+            while (x + count < width && count < 128) {
+                const i = start + count * 4;
+                if (x + count + 1 < width && same(i, i + 4)) break;
+                count++;
+            }
+            out[o++] = count - 1;
+            out.set(px.subarray(start, start + count * 4), o);
+            o += count * 4;
+            x += count;
+        }
+    }
+    return out.subarray(0, o);
+}
@@ -0,0 +1,257 @@
+/**
+ * TiffEncoder.js
+ * Baseline TIFF writer: RGBA 8-bit (unassociated alpha), little-endian,
+ * uncompressed or LZW (with horizontal predictor), split into ~64 KB strips.
+ * Also multi-page bilevel (1-bit) files, one IFD per page.
+ */
+
+import { packRows } from './Indexed.js';
+
+export const TIFF_COMPRESSION = { none: 1, lzw: 5 };
+
+const STRIP_BYTES = 65536;
+
+// Tag ids
+const T = {
+    NewSubfileType: 254, ImageWidth: 256, ImageLength: 257, BitsPerSample: 258, Compression: 259,
+    Photometric: 262, StripOffsets: 273, SamplesPerPixel: 277, RowsPerStrip: 278,
+    StripByteCounts: 279, XResolution: 282, YResolution: 283, PlanarConfig: 284,
+    PageName: 285, ResolutionUnit: 296, PageNumber: 297, Software: 305, Predictor: 317, ExtraSamples: 338
+};
+const SHORT = 3, LONG = 4, RATIONAL = 5, ASCII = 2;
+
+export class TiffEncoder {
+    constructor() { }
+
+    /**
+     * @param {Object} buf - { data, width, height }
+     * @param {Object} options - { compression: 'none' | 'lzw' }
+     * @returns {Blob} image/tiff
+     */
+    static encode(buf, options = {}) {
+        const { width, height, data } = buf;
+        const compression = options.compression === 'lzw' ? 'lzw' : 'none';
+        const stride = width * 4;
+        const rowsPerStrip = Math.max(1, Math.floor(STRIP_BYTES / stride));
+
+        // 1. Strips
+        const strips = [];
+        for (let y = 0; y < height; y += rowsPerStrip) {
+            const rows = Math.min(rowsPerStrip, height - y);
+            let strip = new Uint8Array(data.buffer, data.byteOffset + y * stride, rows * stride).slice();
+            if (compression === 'lzw') strip = lzwEncode(predict(strip, width, rows));
+            strips.push(strip);
+        }
+
+        // 2. Tags
+        const software = 'VOID\0';
+        const entries = [
+            [T.ImageWidth, LONG, [width]],
+            [T.ImageLength, LONG, [height]],
+            [T.BitsPerSample, SHORT, [8, 8, 8, 8]],
+            [T.Compression, SHORT, [TIFF_COMPRESSION[compression]]],
+            [T.Photometric, SHORT, [2]], // RGB
+            [T.StripOffsets, LONG, null], // Filled by writeTiff
+            [T.SamplesPerPixel, SHORT, [4]],
+            [T.RowsPerStrip, LONG, [rowsPerStrip]],
+            [T.StripByteCounts, LONG, strips.map(s => s.length)],
+            [T.XResolution, RATIONAL, [72, 1]],
+            [T.YResolution, RATIONAL, [72, 1]],
+            [T.PlanarConfig, SHORT, [1]], // Chunky
+            [T.ResolutionUnit, SHORT, [2]], // Inch
+            [T.Software, ASCII, software],
+            [T.ExtraSamples, SHORT, [2]] // Unassociated alpha
+        ];
+        if (compression === 'lzw') entries.push([T.Predictor, SHORT, [2]]);
+
+        return writeTiff([{ entries, strips }]);
+    }
+
+    /**
+     * Multi-page bilevel TIFF (1 bit, black = 1), e.g. one halftone plate per page.
+     * @param {Array} pages - [{ width, height, bits: Uint8Array one per pixel (1 = black), name }]
+     * @param {Object} options - { compression: 'none' | 'lzw', dpi }
+     * @returns {Blob} image/tiff
+     */
+    static encodeBilevel(pages, options = {}) {
+        const compression = options.compression === 'lzw' ? 'lzw' : 'none';
+        const dpi = Math.max(1, Math.round(options.dpi || 72));
+
+        const images = pages.map((page, n) => {
+            const { rows, stride } = packRows(page.bits, page.width, page.height, 1);
+            const rowsPerStrip = Math.max(1, Math.floor(STRIP_BYTES / stride));
+            const strips = [];
+            for (let y = 0; y < page.height; y += rowsPerStrip) {
+                const count = Math.min(rowsPerStrip, page.height - y);
+                let strip = rows.slice(y * stride, (y + count) * stride);
+                if (compression === 'lzw') strip = lzwEncode(strip);
+                strips.push(strip);
+            }
+
+            const entries = [
+                [T.NewSubfileType, LONG, [2]], // One page of a multi-page file
+                [T.ImageWidth, LONG, [page.width]],
+                [T.ImageLength, LONG, [page.height]],
+                [T.BitsPerSample, SHORT, [1]],
+                [T.Compression, SHORT, [TIFF_COMPRESSION[compression]]],
+                [T.Photometric, SHORT, [0]], // WhiteIsZero
+                [T.StripOffsets, LONG, null],
+                [T.SamplesPerPixel, SHORT, [1]],
+                [T.RowsPerStrip, LONG, [rowsPerStrip]],
+                [T.StripByteCounts, LONG, strips.map(s => s.length)],
+                [T.XResolution, RATIONAL, [dpi, 1]],
+                [T.YResolution, RATIONAL, [dpi, 1]],
+                [T.ResolutionUnit, SHORT, [2]], // Inch
+                [T.Software, ASCII, 'VOID\0'],
+                [T.PageNumber, SHORT, [n, pages.length]]
+            ];
+            if (page.name) entries.push([T.PageName, ASCII, page.name.replace(/[^\x20-\x7e]/g, '') + '\0']);
+            return { entries, strips };
+        });
+
+        return writeTiff(images);
+    }
+}
+
+/**
+ * Lay out header | (strips | IFD | out-of-line values) per image, with the IFDs chained.
+ * @param {Array} images - [{ entries: [[tag, type, values]], strips }]; StripOffsets values are filled in
+ * @returns {Blob} image/tiff
+ */
+function writeTiff(images) {
+    const typeSize = { [SHORT]: 2, [LONG]: 4, [RATIONAL]: 8, [ASCII]: 1 };
+    let offset = 8;
+
+    const built = images.map(({ entries, strips }) => {
+        entries.sort((a, b) => a[0] - b[0]);
+        const stripOffsets = strips.map(s => { const o = offset; offset += s.length; return o; });
+        entries.find(e => e[0] === T.StripOffsets)[2] = stripOffsets;
+        const pad = offset % 2 ? [new Uint8Array(1)] : []; // IFD on a word boundary
+        offset += pad.length;
+
+        const ifdOffset = offset;
+        const ifdSize = 2 + entries.length * 12 + 4;
+        let extraOffset = ifdOffset + ifdSize;
+
+        const extras = [];
+        const ifd = new Uint8Array(ifdSize);
+        const iv = new DataView(ifd.buffer);
+        iv.setUint16(0, entries.length, true);
+
+        entries.forEach(([tag, type, values], i) => {
+            const count = type === RATIONAL ? values.length / 2 : values.length;
+            const size = count * typeSize[type];
+            const e = 2 + i * 12;
+            iv.setUint16(e, tag, true);
+            iv.setUint16(e + 2, type, true);
+            iv.setUint32(e + 4, count, true);
+
+            // Values fit in 4 bytes inline, otherwise point to an extra block
+            const block = new Uint8Array(Math.max(4, size));
+            writeValues(new DataView(block.buffer), type, values);
+            if (size <= 4) {
+                ifd.set(block.subarray(0, 4), e + 8);
+            } else {
+                iv.setUint32(e + 8, extraOffset, true);
+                extras.push(block);
+                extraOffset += block.length + (block.length % 2);
+                if (block.length % 2) extras.push(new Uint8Array(1));
+            }
+        });
+        offset = extraOffset;
+        return { strips, pad, ifd, iv, next: 2 + entries.length * 12, extras, ifdOffset };
+    });
+
+    // Next IFD (0 = last)
+    built.forEach((b, i) => b.iv.setUint32(b.next, i + 1 < built.length ? built[i + 1].ifdOffset : 0, true));
+
+    const header = new Uint8Array(8);
+    const hv = new DataView(header.buffer);
+    header[0] = 0x49; header[1] = 0x49; // 'II' little-endian
+    hv.setUint16(2, 42, true);
+    hv.setUint32(4, built[0].ifdOffset, true);
+
+    return new Blob([header, ...built.flatMap(b => [...b.strips, ...b.pad, b.ifd, ...b.extras])], { type: 'image/tiff' });
+}
+
+function writeValues(view, type, values) {
+    if (type === ASCII) {
+        for (let i = 0; i < values.length; i++) view.setUint8(i, values.charCodeAt(i));
+        return;
+    }
+    values.forEach((v, i) => {
+        if (type === SHORT) view.setUint16(i * 2, v, true);
+        else view.setUint32(i * 4, v, true); // LONG & RATIONAL parts
+    });
+}
+
+// Horizontal differencing (Predictor 2), per channel
+function predict(strip, width, rows) {
+    const stride = width * 4;
+    for (let y = 0; y < rows; y++) {
+        const row = y * stride;
+        for (let i = stride - 1; i >= 4; i--) strip[row + i] = (strip[row + i] - strip[row + i - 4]) & 0xff;
+    }
+    return strip;
+}
+
+/**
+ * TIFF LZW (MSB-first codes, 9-12 bits, early change).
+ */
+function lzwEncode(input) {
+    const CLEAR = 256, EOI = 257;
+    const out = [];
+    let bitBuf = 0, bitCount = 0;
+    let codeSize = 9;
+
+    const emit = (code) => {
+        bitBuf = (bitBuf << codeSize) | code;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            bitCount -= 8;
+            out.push((bitBuf >>> bitCount) & 0xff);
+        }
+        bitBuf &= (1 << bitCount) - 1;
+    };
+
+    let dict = new Map();
+    let next = 258;
+    emit(CLEAR);
+
+    if (input.length === 0) {
+        emit(EOI);
+        if (bitCount > 0) out.push((bitBuf << (8 - bitCount)) & 0xff);
+        return Uint8Array.from(out);
+    }
+
+    let prefix = input[0];
+    for (let i = 1; i < input.length; i++) {
+        const c = input[i];
+        const key = prefix * 256 + c;
+        const code = dict.get(key);
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+
+        emit(prefix);
+        dict.set(key, next++);
+
+        // Early change: widen one code before the table fills the current width
+        if (next + 1 > (1 << codeSize) && codeSize < 12) codeSize++;
+        if (next >= 4094) {
+            emit(CLEAR);
+            dict = new Map();
+            next = 258;
+            codeSize = 9;
+        }
+        prefix = c;
+    }
+
+    emit(prefix);
+    // The decoder adds a table entry for this last code, which may widen the EOI code
+    if (next + 2 > (1 << codeSize) && codeSize < 12) codeSize++;
+    emit(EOI);
+    if (bitCount > 0) out.push((bitBuf << (8 - bitCount)) & 0xff);
+    return Uint8Array.from(out);
+}
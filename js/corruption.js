@@ -1,10 +1,24 @@
 /**
  * VOID - Corruption Suite Logic
+ * Garbage bytes come from a seeded PRNG: same file + same seed = same corrupted output.
  */
 
+import { createRandom, newSeed } from './utils/Random.js';
+
+// Seed input + re-roll button (starts with a fresh seed)
+function setupSeed(prefix) {
+    const input = document.getElementById(`${prefix}-seed`);
+    input.value = newSeed();
+    document.getElementById(`${prefix}-reroll`).addEventListener('click', () => {
+        input.value = newSeed();
+    });
+    return () => (parseInt(input.value, 10) || 0) >>> 0;
+}
+
 // === FAKE FILE MAKER ===
 const btnFake = document.getElementById('btn-fake-gen');
 const statusFake = document.getElementById('fake-status');
+const getFakeSeed = setupSeed('fake');
 
 btnFake.addEventListener('click', () => {
     try {
@@ -34,6 +48,7 @@ btnFake.addEventListener('click', () => {
         // Allocating huge array might fail.
         // Better: Array of chunks.
 
+        const random = createRandom(getFakeSeed());
         const chunkSize = 1024 * 1024 * 10; // 10MB chunks
         const chunks = [];
         let remaining = bytes;
@@ -47,7 +62,7 @@ btnFake.addEventListener('click', () => {
             const chunk = new Uint8Array(currentSize);
             // Optional: Randomize start to kill header
             if (chunks.length === 0 && currentSize > 100) {
-                for (let i = 0; i < 100; i++) chunk[i] = Math.floor(Math.random() * 255);
+                for (let i = 0; i < 100; i++) chunk[i] = Math.floor(random() * 255);
             }
             chunks.push(chunk);
             remaining -= currentSize;
@@ -78,6 +93,7 @@ const inputCorrupt = document.getElementById('corrupt-input');
 const inputAmt = document.getElementById('corrupt-amt');
 const labelAmt = document.getElementById('corrupt-val');
 const statusCorrupt = document.getElementById('corrupt-status');
+const getCorruptSeed = setupSeed('corrupt');
 
 inputAmt.addEventListener('input', (e) => {
     labelAmt.textContent = e.target.value + '%';
@@ -91,6 +107,7 @@ btnCorrupt.addEventListener('click', () => {
 
     const file = inputCorrupt.files[0];
     const percentage = parseFloat(inputAmt.value); // 0.1 to 5
+    const random = createRandom(getCorruptSeed());
 
     statusCorrupt.textContent = "Reading file...";
 
@@ -107,8 +124,8 @@ btnCorrupt.addEventListener('click', () => {
 
         // Random replacement
         for (let i = 0; i < targetCount; i++) {
-            const idx = Math.floor(Math.random() * len);
-            view[idx] = Math.floor(Math.random() * 255);
+            const idx = Math.floor(random() * len);
+            view[idx] = Math.floor(random() * 255);
         }
 
         // Create Blob
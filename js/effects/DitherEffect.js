@@ -1,5 +1,9 @@
 import { Palettes, getPaletteVec3 } from '../utils/Palettes.js';
-import { ColorQuantizer } from '../utils/ColorQuantizer.js';
+import { ColorQuantizer, COLOR_METRICS, EXTRACT_METHODS } from '../utils/ColorQuantizer.js';
+import { processContext, resizeRows, gaussianBlur, blurReach } from '../pipeline/Raster.js';
+import { blueNoiseMap } from '../utils/BlueNoise.js';
+import { srgbToLinear, linearToSrgb } from '../utils/ColorSpace.js';
+import { GradientPresets, MAX_STOPS, presetStops, paletteStops, legacyStops, tonalStops, sampleStops } from '../utils/Gradients.js';
 
 /**
  * DitherEffect - Optimized V2 with RGB support, Tonal & Grade Modes.
@@ -13,15 +17,15 @@ export const DitherEffect = {
         enabled: false,
         // Common
         resolution: 1.0,
-        algorithm: 'floyd', // floyd, atkinson, sierra, bayer4, bayer8, modulation, stitched, thread, bitwave, grid
+        algorithm: 'floyd', // floyd, atkinson, sierra, jarvis, stucki, burkes, sierra3, sierra2, custom, bayer4, bayer8, bluenoise64, bluenoise128, modulation, stitched, thread, bitwave, grid
         resampling: 'nearest',
 
         // Mode: 'tonal' or 'grade'
         renderMode: 'tonal',
 
         // Tonal Mode Params
-        // Custom 3-Stop Gradient or simple Threshold
-        // New: Thresholding handles
+        // N-stop gradient: [{ pos: 0-255, color: '#hex' }]. null = the legacy 3 stops below
+        gradientStops: null,
         lumaLow: 60, // 0-255
         lumaHigh: 190, // 0-255
         colorShadow: '#000000',
@@ -30,16 +34,36 @@ export const DitherEffect = {
 
         // Grade Mode Params
         // Color quantization
-        palette: 'bw_1bit', // Key from Palettes.js
+        palette: 'bw_1bit', // Key from Palettes.js, or 'extract' (AUTO; older projects: 'extract_<count>')
         colorSpace: 'palette', // 'palette', 'rgb'
         indexedCount: 16, // If auto-extract
+        extractMethod: 'kmeans', // AUTO palette: kmeans, mediancut, octree, wu
+        extractCount: 16, // AUTO palette size, 2-256
         contrast: 0,
+        colorMetric: 'rgb', // Palette matching: rgb, redmean, lab76, lab2000, oklab
 
         // Algorithmic Tweaks
         spread: 1.0,
         bleeding: 0.0,
         roundness: 0.0, // Post-process blur+threshold
 
+        // Custom error diffusion kernel: 5 x 3 weights, current pixel at index 2
+        // (row 0 only diffuses to the right). Divisor 0 = sum of weights.
+        kernelWeights: [0, 0, 0, 7, 0, 0, 3, 5, 1, 0, 0, 0, 0, 0, 0],
+        kernelDivisor: 16,
+
+        // Error diffusion behaviour
+        serpentine: false, // Alternate scan direction per row (mirrored kernel)
+        attenuation: 1.0, // Share of the error passed on (0-1)
+        errorClamp: 0, // Max error per channel after bleeding/attenuation (0 = no limit)
+
+        // Dither in linear RGB (gamma-correct): error and thresholds in light, not sRGB bytes
+        linearLight: false,
+
+        // Video: keep last frame's output where the source barely moved
+        temporal: 'off', // off, reuse (re-dither what moved), bluenoise (+ blue noise instead of diffusion)
+        motionThreshold: 8, // Max channel change (0-255) that still counts as "unchanged"
+
         // Advanced
         knockout: false,
     },
@@ -60,13 +84,44 @@ export const DitherEffect = {
             { label: "Floyd-Steinberg (Smooth)", value: "floyd" },
             { label: "Atkinson (High Contrast)", value: "atkinson" },
             { label: "Sierra Lite (Speed)", value: "sierra" },
+            { label: "Jarvis-Judice-Ninke (Soft)", value: "jarvis" },
+            { label: "Stucki (Crisp)", value: "stucki" },
+            { label: "Burkes (Two-Row Stucki)", value: "burkes" },
+            { label: "Sierra-3 (Full)", value: "sierra3" },
+            { label: "Sierra-2 (Two-Row)", value: "sierra2" },
+            { label: "Custom Kernel", value: "custom" },
             { label: "Bayer 4x4 (Grid)", value: "bayer4" },
             { label: "Bayer 8x8 (Fine)", value: "bayer8" },
+            { label: "Blue Noise 64x64 (Organic)", value: "bluenoise64" },
+            { label: "Blue Noise 128x128 (Finer)", value: "bluenoise128" },
             { label: "Thread (Linear)", value: "thread" },
             { label: "Bitwave (Sine)", value: "bitwave" },
             { label: "Grid Modulation (Cross)", value: "grid" },
-            { label: "Stitched (Rug)", value: "stitched" }
-        ], params.algorithm, (v) => onUpdate('algorithm', v), "Error Diffusion Algorithm used for dithering.");
+            { label: "Stitched (Rug)", value: "stitched" },
+            { label: "Modulation (Sine Grid)", value: "modulation" }
+        ], params.algorithm, (v) => {
+            onUpdate('algorithm', v);
+            kernelDiv.style.display = v === 'custom' ? 'block' : 'none';
+            diffusionDiv.style.display = isErrorDiffusion(v) ? 'block' : 'none';
+        }, "Error Diffusion Algorithm used for dithering.");
+
+        // Error diffusion options (hidden for None / pattern algorithms)
+        const diffusionDiv = document.createElement('div');
+        diffusionDiv.className = 'sub-group_diffusion';
+        diffusionDiv.style.display = isErrorDiffusion(params.algorithm) ? 'block' : 'none';
+        group.content.appendChild(diffusionDiv);
+        builder.addToggle(diffusionDiv, "SERPENTINE SCAN", params.serpentine, (v) => onUpdate('serpentine', v), "Alternate row direction: breaks up diagonal 'worm' artifacts.");
+        builder.addSlider(diffusionDiv, "ERROR ATTENUATION", 0.0, 1.0, params.attenuation, 0.05, (v) => onUpdate('attenuation', v), "Share of the error passed to neighbours (lower = flatter, cleaner areas).");
+        builder.addSlider(diffusionDiv, "MAX ERROR (0 = Off)", 0, 255, params.errorClamp, 1, (v) => onUpdate('errorClamp', v), "Limit the error per channel, so Bleeding can't smear bright areas.");
+
+        // Custom kernel editor (shown for ALGORITHM = Custom Kernel)
+        const kernelDiv = document.createElement('div');
+        kernelDiv.className = 'sub-group_kernel';
+        kernelDiv.style.display = params.algorithm === 'custom' ? 'block' : 'none';
+        group.content.appendChild(kernelDiv);
+        builder.addDescription(kernelDiv, "Error shares to the right (✱ = current pixel) and on the next two rows.");
+        builder.addMatrix(kernelDiv, "KERNEL WEIGHTS", params.kernelWeights, KERNEL_COLS, (v) => onUpdate('kernelWeights', v), { 0: '·', 1: '·', 2: '✱' });
+        builder.addNumber(kernelDiv, "DIVISOR (0 = Sum)", params.kernelDivisor, (v) => onUpdate('kernelDivisor', v || 0));
 
         group.addSlider("RESOLUTION / DPI", 0.05, 1.0, params.resolution, 0.05, (v) => onUpdate('resolution', v), "Pixelation factor / Downsampling.");
 
@@ -85,24 +140,55 @@ export const DitherEffect = {
         };
 
         // --- POPULATE TONAL ---
-        builder.addDescription(tonalDiv, "Map grayscale to gradient. Tweaking Mid-Points.");
-        builder.addSlider(tonalDiv, "LUMA LOW (Shadow Cut)", 0, 255, params.lumaLow, 1, (v) => onUpdate('lumaLow', v), "Black point threshold (Clip Shadows).");
-        builder.addSlider(tonalDiv, "LUMA HIGH (Highlight Cut)", 0, 255, params.lumaHigh, 1, (v) => onUpdate('lumaHigh', v), "White point threshold (Clip Highlights).");
-
-        if (builder.addColor) {
-            builder.addColor(tonalDiv, "HIGHLIGHT", params.colorHighlight, (v) => onUpdate('colorHighlight', v), "Color for highlights.");
-            builder.addColor(tonalDiv, "MIDTONE", params.colorMid, (v) => onUpdate('colorMid', v), "Color for midtones.");
-            builder.addColor(tonalDiv, "SHADOW", params.colorShadow, (v) => onUpdate('colorShadow', v), "Color for shadows.");
-        }
+        builder.addDescription(tonalDiv, "Map grayscale to a gradient. Drag stops on the bar, double-click it to add one.");
+        const stops = params.gradientStops && params.gradientStops.length ? params.gradientStops : legacyStops(params);
+        const gradient = builder.addGradient(tonalDiv, "GRADIENT STOPS", stops, MAX_STOPS, (v) => onUpdate('gradientStops', v));
+
+        const presetOptions = Object.keys(GradientPresets).map(k => ({ label: GradientPresets[k].name, value: k }));
+        presetOptions.unshift({ label: "(Choose)", value: '' });
+        builder.addSelect(tonalDiv, "GRADIENT PRESET", presetOptions, '', (v) => {
+            if (!v) return;
+            const preset = presetStops(v);
+            gradient.set(preset);
+            onUpdate('gradientStops', preset);
+        });
+
+        const importOptions = Object.keys(Palettes).map(k => ({ label: Palettes[k].custom ? `★ ${Palettes[k].name}` : Palettes[k].name, value: k }));
+        importOptions.unshift({ label: "(Choose)", value: '' });
+        builder.addSelect(tonalDiv, "FROM PALETTE", importOptions, '', (v) => {
+            if (!v) return;
+            const imported = paletteStops(v);
+            gradient.set(imported);
+            onUpdate('gradientStops', imported);
+        });
 
         // --- POPULATE GRADE ---
         builder.addDescription(gradeDiv, "Quantize colors to a palette.");
-        const palOptions = Object.keys(Palettes).map(k => ({ label: Palettes[k].name, value: k }));
-        palOptions.unshift({ label: "AUTO (Extract 16)", value: 'extract_16' });
-        palOptions.unshift({ label: "AUTO (Extract 4)", value: 'extract_4' });
-        palOptions.unshift({ label: "AUTO (Extract 64)", value: 'extract_64' });
-
-        builder.addSelect(gradeDiv, "PALETTE", palOptions, params.palette, (v) => onUpdate('palette', v), "Color palette used for quantization.");
+        const palOptions = Object.keys(Palettes).map(k => ({ label: Palettes[k].custom ? `★ ${Palettes[k].name}` : Palettes[k].name, value: k }));
+        palOptions.unshift({ label: "AUTO (Extract from Image)", value: 'extract' });
+
+        const isExtract = params.palette.startsWith('extract');
+        builder.addSelect(gradeDiv, "PALETTE", palOptions, isExtract ? 'extract' : params.palette, (v) => {
+            onUpdate('palette', v);
+            extractDiv.style.display = v === 'extract' ? 'block' : 'none';
+        }, "Color palette used for quantization.");
+
+        // AUTO palette settings (older 'extract_<count>' palettes switch to 'extract' when edited)
+        const extractDiv = document.createElement('div');
+        extractDiv.className = 'sub-group_extract';
+        extractDiv.style.display = isExtract ? 'block' : 'none';
+        gradeDiv.appendChild(extractDiv);
+        const extract = extractSettings(params);
+        builder.addSelect(extractDiv, "EXTRACT METHOD", Object.keys(EXTRACT_METHODS).map(k => ({ label: EXTRACT_METHODS[k], value: k })), extract.method, (v) => {
+            onUpdate('extractMethod', v);
+            if (params.palette !== 'extract') onUpdate('palette', 'extract');
+        }, "Wu and K-Means++ give the closest colors; Median Cut and Octree are faster on big palettes.");
+        builder.addSlider(extractDiv, "EXTRACT COLORS", 2, 256, extract.count, 1, (v) => {
+            onUpdate('extractCount', v);
+            if (params.palette !== 'extract') onUpdate('palette', 'extract');
+        }, "Number of colors taken from the image.");
+        builder.addDescription(extractDiv, "To keep an extracted palette, use FREEZE AUTO PALETTE in the PALETTES panel.");
+        builder.addSelect(gradeDiv, "COLOR MATCH", Object.keys(COLOR_METRICS).map(k => ({ label: COLOR_METRICS[k], value: k })), params.colorMetric, (v) => onUpdate('colorMetric', v), "How pixels are matched to palette colors. Perceptual metrics (Lab, OKLab) keep skin tones and blues on the right entry.");
         builder.addSlider(gradeDiv, "CONTRAST", -100, 100, params.contrast, 1, (v) => onUpdate('contrast', v), "Adjust contrast before reducing colors.");
 
         // Initial Visibility
@@ -110,305 +196,602 @@ export const DitherEffect = {
 
         // --- COMMON ADVANCED ---
         // Append to main group again
+        group.addToggle("LINEAR LIGHT", params.linearLight, (v) => onUpdate('linearLight', v), "Gamma-correct dithering: error and thresholds in linear light, so the dithered image keeps the brightness of the original.");
+        group.addSelect("VIDEO STABILITY", [
+            { label: "Off", value: "off" },
+            { label: "Reuse Static Pixels", value: "reuse" },
+            { label: "Reuse + Blue Noise (Most Stable)", value: "bluenoise" }
+        ], params.temporal, (v) => {
+            onUpdate('temporal', v);
+            motionDiv.style.display = v === 'off' ? 'none' : 'block';
+        }, "Video only: keep the previous frame's dither where the picture didn't move, so it doesn't boil. Blue Noise also swaps diffusion for a fixed pattern.");
+        const motionDiv = document.createElement('div');
+        motionDiv.className = 'sub-group_motion';
+        motionDiv.style.display = params.temporal === 'off' ? 'none' : 'block';
+        group.content.appendChild(motionDiv);
+        builder.addSlider(motionDiv, "MOTION THRESHOLD", 0, 64, params.motionThreshold, 1, (v) => onUpdate('motionThreshold', v), "Source change (per channel) below which a pixel keeps last frame's output.");
+
         group.addSlider("ROUNDING (Stylize)", 0.0, 1.0, params.roundness, 0.05, (v) => onUpdate('roundness', v), "Pixel shape rounding (Post-Blur).");
 
-        if (['bayer4', 'bayer8', 'bitwave', 'grid', 'stitched', 'thread'].includes(params.algorithm)) {
+        if (['bayer4', 'bayer8', 'bluenoise64', 'bluenoise128', 'bitwave', 'grid', 'stitched', 'thread', 'modulation'].includes(params.algorithm)) {
             group.addSlider("SPREAD / BIAS", 0.1, 5.0, params.spread, 0.1, (v) => onUpdate('spread', v), "Dithering matrix spread/bias.");
         }
 
         group.addSlider("BLEEDING", 0.0, 1.0, params.bleeding, 0.05, (v) => onUpdate('bleeding', v), "Ink bleed simulation.");
         group.addToggle("KNOCKOUT BG", params.knockout, (v) => onUpdate('knockout', v), "Make background transparent (Removes black/white).");
+
+        return group;
     },
 
-    process: (ctx, width, height, params, scaleFactor = 1.0) => {
+    process: (ctx, width, height, params, scaleFactor = 1.0, env = {}) => {
         if (!params.enabled) return;
+        processContext(ctx, width, height, (buf) => DitherEffect.apply(buf, params, scaleFactor, env));
+    },
 
-        // Resolution applies to the canvas size
-        const w = Math.max(1, Math.floor(width * params.resolution));
+    /**
+     * Overlap for tiled renders: a cell (1 / RESOLUTION rows) is sampled from its middle,
+     * error diffusion pushes error MAX_KERNEL_ROWS cells down, ROUNDING blurs cells together.
+     */
+    tileMargin: (params, scaleFactor = 1.0, width, height) => {
         const h = Math.max(1, Math.floor(height * params.resolution));
+        const cell = height / h;
+        const blurRad = params.roundness * 2 * params.resolution;
+        const cells = 1 + MAX_KERNEL_ROWS + (params.roundness > 0 && blurRad > 0.2 ? blurReach(blurRad) : 0);
+        let margin = cell * cells + 1;
+        if (params.resampling === 'preserve') {
+            const w = Math.max(1, Math.floor(width * params.resolution));
+            const shrink = Math.min(w / width, h / height);
+            margin += 1 + (shrink < 0.5 ? blurReach(0.5 / shrink - 0.5) : 0);
+        }
+        return margin;
+    },
 
-        // 1. Downscale
-        const tempCanvas = document.createElement('canvas');
-        tempCanvas.width = w;
-        tempCanvas.height = h;
-        const tCtx = tempCanvas.getContext('2d');
+    /**
+     * Quantize a plain RGBA buffer (in place). Shared by the canvas path and void-cli.
+     * @param {Object} buf - { data, width, height } (ImageData compatible)
+     * @param {Object} env - { random, info, tile, cache } (see EffectChain.applyBuffer)
+     */
+    apply: (buf, params, scaleFactor = 1.0, env = {}) => {
+        if (!params.enabled) return;
 
-        tCtx.imageSmoothingEnabled = params.resampling === 'preserve';
-        tCtx.drawImage(ctx.canvas, 0, 0, w, h);
+        const width = buf.width;
+        const height = buf.height;
+        const top = env.tile ? env.tile.top : 0;
+        const fullHeight = env.tile ? env.tile.height : height;
+
+        // Resolution applies to the canvas size (the full image when tiled, so cells line up)
+        const w = Math.max(1, Math.floor(width * params.resolution));
+        const h = Math.max(1, Math.floor(fullHeight * params.resolution));
+        const smallRow = (y) => Math.min(h - 1, Math.floor((y + 0.5) * (h / fullHeight)));
 
-        const imageData = tCtx.getImageData(0, 0, w, h);
-        const data = imageData.data;
+        // 1. Downscale (small rows k0..k1 cover this buffer: all of them unless tiled)
+        const k0 = smallRow(top);
+        const k1 = smallRow(top + height - 1) + 1;
+        const small = resizeRows(buf, top, fullHeight, w, h, k0, k1, params.resampling === 'preserve');
+        const data = small.data;
 
         // PREPARE PALETTE (If Grade Mode)
         let activePalette = null;
         if (params.renderMode === 'grade') {
             if (params.palette.startsWith('extract')) {
-                const count = parseInt(params.palette.split('_')[1]);
-                activePalette = ColorQuantizer.extract(imageData, count, 'kmeans'); // Use K-Means
+                // Tiled renders extract once (preview-size pass) and reuse it for every tile.
+                // Video frames start k-means from the previous frame's palette, so colors don't jump.
+                const { count, method } = extractSettings(params);
+                const cache = env.cache;
+                const key = `${method}|${count}`;
+                const previous = env.history && env.history.extracted && env.history.extracted.key === key ? env.history.extracted.palette : null;
+                activePalette = (cache && cache.palette) || ColorQuantizer.extract(small, count, method, env.random, { init: previous });
+                if (cache) cache.palette = activePalette;
+                if (env.history) env.history.extracted = { key, palette: activePalette };
+                extractedPalettes.set(params, activePalette);
             } else {
                 activePalette = getPaletteVec3(params.palette);
             }
         }
 
+        // Report the palette so indexed exports (PNG-8, BMP) can store it as-is
+        if (env.info) env.info.palette = activePalette;
+
         const factorContrast = (259 * (params.contrast + 255)) / (255 * (259 - params.contrast));
 
-        // Parse hex colors for Tonal Mode
+        // Gradient stops for Tonal Mode (the first one is the knockout "shadow")
+        const stops = tonalStops(params);
         const palTonal = {
-            shadow: hexToRgb(params.colorShadow || '#000000'),
-            mid: hexToRgb(params.colorMid || '#808080'),
-            high: hexToRgb(params.colorHighlight || '#ffffff'),
-            lowCut: params.lumaLow,
-            highCut: params.lumaHigh
+            stops,
+            shadow: stops[0].rgb
         };
 
+        // Linear light: the loops run on a float copy holding linear RGB (0-255 scale),
+        // mapColor matches in sRGB and hands back linear colors
+        const work = params.linearLight ? toLinearBuffer(data) : data;
+        if (params.linearLight) {
+            const toLinear = (c) => c.map(v => 255 * srgbToLinear(v));
+            palTonal.shadowMatch = toLinear(palTonal.shadow);
+            if (activePalette) palTonal.linearPalette = activePalette.map(toLinear);
+        }
+
+        // Video: pixels that didn't move keep last frame's output (diffusion with "Blue Noise" stability
+        // becomes a fixed pattern, which doesn't boil either)
+        const temporal = params.temporal && params.temporal !== 'off' && env.history && !env.tile;
+        const reuse = temporal ? temporalReuse(env.history, data, w, k1 - k0, params) : null;
+        const loopParams = temporal && params.temporal === 'bluenoise' && isErrorDiffusion(params.algorithm)
+            ? { ...params, algorithm: 'bluenoise64' } : params;
+
         // --- PROCESS LOOP ---
-        applyEffectLoop(data, w, h, params, factorContrast, palTonal, activePalette);
-        tCtx.putImageData(imageData, 0, 0);
+        const loop = (from, to) => applyEffectLoop(work, w, k1 - k0, loopParams, factorContrast, palTonal, activePalette, { offset: k0, from, to, reuse });
+        if (env.tile && env.cache && isErrorDiffusion(params.algorithm)) {
+            diffuseTile(work, w, k1 - k0, k0, smallRow(env.tile.end - 1) + 1, env.cache, loop);
+        } else {
+            loop(0, k1 - k0);
+        }
+        if (temporal) env.history.output = work.slice();
+        if (work !== data) fromLinearBuffer(work, data);
 
         // --- ROUNDING (Post-Process) ---
         if (params.roundness > 0) {
-            // "Gooey" effect: Blur -> Threshold
-            // Radius depends on resolution. 1.0 = ~2px blur?
+            // "Gooey" effect: Blur -> Threshold ("Metaballs")
+            // Blur on the downscaled buffer gives better rounding relative to pixel grid.
             const blurRad = params.roundness * 2 * params.resolution;
             if (blurRad > 0.2) {
-                // We need to draw the dithered pixels, blur them, then threshold back.
-                // Draw back to temp Canvas? tCtx already has data.
-                // Draw to 'ctx' (dest) then blur?
-
-                // 1. Blur
-                // Need a fresh context to blur?
-                // Use 'ctx' as scratch? No, 'ctx' is destination size.
-                // Blur on tCtx (Downscaled) gives better rounding relative to pixel grid.
-
-                tCtx.filter = `blur(${blurRad}px)`;
-                tCtx.globalCompositeOperation = 'source-over';
-                tCtx.drawImage(tempCanvas, 0, 0); // Self-draw to blur?
-                tCtx.filter = 'none';
-
-                // 2. Threshold (Cutoff to make sharp edges again)
-                // Access pixels again
-                const pData = tCtx.getImageData(0, 0, w, h);
-                const d = pData.data;
-                const thresh = 120; // Cutoff
+                gaussianBlur(small, blurRad);
 
-                for (let i = 0; i < d.length; i += 4) {
-                    // Alpha thresholding or Luma?
-                    // If knockout, Alpha.
-                    // If solid, Luma.
-                    // Simple Hard Cut
-                    if (d[i + 3] < thresh) d[i + 3] = 0;
-                    else d[i + 3] = 255; // Full binary alpha?
-
-                    // What about Color?
-                    // Provide 'posterize' effect on rgb too?
-                    // Just alpha threshold makes "blobs".
-                    // If we want "Rounded Pixels" inside the image, we need to blur color too?
-                    // Yes, blur mixes colors.
-                    // We need to snap colors back to Palette?
-                    // That's expensive.
-                    // "Rounding" usually softens the harsh dither squares.
-
-                    // Optimized: Just Blur is "Soft Dither".
-                    // Blur + Threshold is "Metaballs".
+                // Threshold (Cutoff to make sharp edges again)
+                const thresh = 120; // Cutoff
+                for (let i = 0; i < data.length; i += 4) {
+                    // Simple Hard Cut on Alpha
+                    if (data[i + 3] < thresh) data[i + 3] = 0;
+                    else data[i + 3] = 255;
 
                     // Ensure full opacity if not knockout
-                    if (!params.knockout) d[i + 3] = 255;
+                    if (!params.knockout) data[i + 3] = 255;
                 }
-                tCtx.putImageData(pData, 0, 0);
             }
         }
 
-        ctx.imageSmoothingEnabled = false;
-        ctx.clearRect(0, 0, width, height);
-        ctx.drawImage(tempCanvas, 0, 0, width, height);
+        // 2. Upscale back (Nearest, keeps the pixel grid)
+        buf.data.set(resizeRows(small, k0, h, width, fullHeight, top, top + height, false).data);
     },
 
-    // --- GPU Support (Only supports Bayer/Ordered/Modulation) ---
+    // --- GPU Support ---
+    // Pixel-exact port of the CPU path for everything that isn't sequential: None and the
+    // pattern algorithms, TONAL and GRADE (palette + LUT as textures), contrast, linear light,
+    // knockout. Error diffusion, AUTO palettes (extraction), rounding and smooth downscaling stay
+    // on the CPU. Video stability only re-uses pixels there; patterns are fixed per pixel anyway.
+    /**
+     * Last AUTO palette extracted for these params (the preview's slot), for freezing it into the library
+     * @returns {Array|null} [[r,g,b]...]
+     */
+    extractedPalette: (params) => extractedPalettes.get(params) || null,
+
     isGPUSupported: (params) => {
         const algo = params.algorithm;
-        // Disabled GPU for now as Algo logic significantly diverged. 
-        // Need to update Shaders to match new Thread/Bitwave logic later.
-        return false;
+        if (algo !== 'none' && !isPattern(algo)) return false;
+        if (params.roundness > 0) return false;
+        if (params.resampling === 'preserve' && params.resolution < 1) return false;
+        if (params.renderMode === 'grade' && params.palette.startsWith('extract')) return false;
+        return true;
     },
 
     shaderSource: `#version 300 es
-    precision mediump float;
-    
-    in vec2 v_uv;
-    uniform sampler2D u_image;
+    precision highp float;
+    precision highp int;
+
+    uniform highp sampler2D u_image; // Unit 0, sampled per texel (no filtering)
     uniform vec2 u_resolution; // Canvas size
-    uniform float u_pixelScale; // Resolution factor (0.05 - 1.0)
-    
-    // Params
-    uniform int u_mode; // 0=Tonal, 1=Grade
-    uniform vec3 u_palLow;
-    uniform vec3 u_palMid;
-    uniform vec3 u_palHigh;
+    uniform vec2 u_small; // Dither grid size (canvas * resolution, floored)
 
-    uniform float u_contrast;
+    uniform int u_mode; // 0=Tonal, 1=Grade
+    uniform int u_algo; // 0=None, 1=Bias map, 2=Grid, 3=Modulation, 4=Bitwave
+    uniform highp sampler2D u_threshold; // Bias map at spread 1 (R32F, unit 1)
+    uniform float u_thresholdSize;
     uniform float u_spread;
-    uniform int u_algo; // 0=None, 1=Bayer4, 2=Bayer8, 3=Modulation, 4=Stitched
+
+    // Tonal: gradient stops as RGBA32F (rgb 0-255, a = position 0-255), unit 4
+    uniform highp sampler2D u_stops;
+    uniform float u_stopCount;
+    uniform vec3 u_shadow; // First stop (knockout)
+
+    // Grade
+    uniform highp sampler2D u_palette; // RGBA32F, one texel per color (unit 2)
+    uniform float u_paletteSize;
+    uniform int u_metric; // 0=RGB, 1=Redmean, 2=LUT (perceptual)
+    uniform highp sampler2D u_lut; // 32^3 palette indices as 1024 x 32 (unit 3)
+    uniform float u_contrast; // Contrast factor (1 = off)
+
+    uniform int u_linear;
+    uniform int u_knockout;
 
     out vec4 outColor;
 
-    // Bayer Matrices (Hardcoded)
-    float bayer4(vec2 uv) {
-        int x = int(mod(uv.x, 4.0));
-        int y = int(mod(uv.y, 4.0));
-        int idx = y * 4 + x;
-        // 0-15 map
-        float m = 0.0;
-        if (idx == 0) m = 0.0; else if (idx == 1) m = 8.0; else if (idx == 2) m = 2.0; else if (idx == 3) m = 10.0;
-        if (idx == 4) m = 12.0; else if (idx == 5) m = 4.0; else if (idx == 6) m = 14.0; else if (idx == 7) m = 6.0;
-        if (idx == 8) m = 3.0; else if (idx == 9) m = 11.0; else if (idx == 10) m = 1.0; else if (idx == 11) m = 9.0;
-        if (idx == 12) m = 15.0; else if (idx == 13) m = 7.0; else if (idx == 14) m = 13.0; else if (idx == 15) m = 5.0;
-        return m / 16.0;
+    vec3 toLinear(vec3 c) {
+        return mix(c / 12.92, pow((c + 0.055) / 1.055, vec3(2.4)), step(0.04045, c));
     }
 
-    // ApproximatedBayer8 (Too large to switch-case, use texture or simple recursive math? 
-    // Just use Bayer4 repeatedly or Modulation for speed. Let's stick to Bayer4 for V1 GPU)
-    
-    float stitched(vec2 uv) {
-        int x = int(mod(uv.x, 4.0));
-        int y = int(mod(uv.y, 4.0));
-        float m = 4.0;
-        if ((x==0 && y==1) || (x==2 && y==3)) m = 0.0; // Pattern approx
-        // ... simplified logic from js:
-        // mapStitch = [[4,0,4,0],[0,4,0,4]...]
-        // (m - 2) * 10 
-        
-        bool evenRow = (int(mod(float(y), 2.0)) == 0);
-        bool evenCol = (int(mod(float(x), 2.0)) == 0);
-        
-        if (evenRow == evenCol) m = 4.0; else m = 0.0;
-        
-        return ((m - 2.0)/2.0); // -1 to 1
+    vec3 toSrgb(vec3 c) {
+        c = clamp(c, 0.0, 1.0);
+        return mix(c * 12.92, 1.055 * pow(c, vec3(1.0 / 2.4)) - 0.055, step(0.0031308, c));
     }
 
-    vec3 rgb2rgb(vec3 c) { return c; }
+    // srgbToLinear / linearToSrgb on the CPU's 0-255 scale (the CPU rounds before its table)
+    vec3 lin255(vec3 c) { return 255.0 * toLinear(clamp(floor(c + 0.5), 0.0, 255.0) / 255.0); }
+    vec3 srgb255(vec3 c) { return 255.0 * toSrgb(c / 255.0); }
 
-    void main() {
-        // Pixelate Coords
-        vec2 dims = u_resolution * u_pixelScale;
-        vec2 pixUV = floor(v_uv * dims) / dims;
-        
-        // Pixel Coord (Screen space for dither pattern)
-        vec2 p = v_uv * dims;
-        
-        vec4 color = texture(u_image, pixUV);
-        vec3 c = color.rgb;
-
-        // Contrast
-        if (u_contrast != 0.0) {
-            float f = (259.0 * (u_contrast + 255.0)) / (255.0 * (259.0 - u_contrast));
-            c = clamp(f * (c - 0.5) + 0.5, 0.0, 1.0);
+    vec3 contrast(vec3 c) { return clamp(u_contrast * (c - 128.0) + 128.0, 0.0, 255.0); }
+
+    vec3 paletteColor(int i) { return texelFetch(u_palette, ivec2(i, 0), 0).rgb; }
+
+    vec3 closest(vec3 c, bool linearPalette) {
+        int n = int(u_paletteSize + 0.5);
+        if (u_metric == 2 && !linearPalette) {
+            ivec3 q = ivec3(floor(clamp(c, 0.0, 255.0) + 0.5)) >> 3;
+            int key = (q.r << 10) | (q.g << 5) | q.b;
+            return paletteColor(int(texelFetch(u_lut, ivec2(key & 1023, key >> 10), 0).r + 0.5));
         }
+        float best = 1e30;
+        int idx = 0;
+        for (int i = 0; i < 256; i++) {
+            if (i >= n) break;
+            vec3 p = paletteColor(i);
+            if (linearPalette) p = lin255(p);
+            vec3 d = c - p;
+            float dist;
+            if (u_metric == 1 && !linearPalette) {
+                float rm = (c.r + p.r) / 2.0;
+                dist = (2.0 + rm / 256.0) * d.r * d.r + 4.0 * d.g * d.g + (2.0 + (255.0 - rm) / 256.0) * d.b * d.b;
+            } else {
+                dist = dot(d, d);
+            }
+            if (dist < best) { best = dist; idx = i; }
+        }
+        return paletteColor(idx);
+    }
 
-        // Bias
-        float bias = 0.0;
-        if (u_algo == 1) { // Bayer4
-            bias = (bayer4(p) - 0.5) * u_spread; 
-        } else if (u_algo == 3) { // Modulation
-            bias = (sin(p.x * 0.5) * cos(p.y * 0.5)) * 0.1 * u_spread;
-        } else if (u_algo == 4) { // Stitched
-           bias = stitched(p) * 0.1 * u_spread;
+    vec3 tonal(vec3 c) {
+        float luma = clamp(0.299 * c.r + 0.587 * c.g + 0.114 * c.b, 0.0, 255.0);
+        int n = int(u_stopCount + 0.5);
+        vec4 prev = texelFetch(u_stops, ivec2(0, 0), 0);
+        if (luma < prev.a) return prev.rgb;
+        for (int i = 1; i < ${MAX_STOPS}; i++) {
+            if (i >= n) break;
+            vec4 s = texelFetch(u_stops, ivec2(i, 0), 0);
+            if (luma < s.a) return prev.rgb + (s.rgb - prev.rgb) * ((luma - prev.a) / (s.a - prev.a));
+            prev = s;
         }
+        return prev.rgb;
+    }
 
+    void main() {
+        // Same integer pixel grid as Raster.resizeRows (nearest): canvas -> dither cell -> source texel
+        ivec2 full = ivec2(u_resolution + 0.5);
+        ivec2 small = ivec2(u_small + 0.5);
+        ivec2 px = ivec2(int(gl_FragCoord.x), full.y - 1 - int(gl_FragCoord.y));
+        ivec2 cell = min(small - 1, ((2 * px + 1) * small) / (2 * full));
+        ivec2 src = min(full - 1, ((2 * cell + 1) * full) / (2 * small));
+
+        vec4 texel = texelFetch(u_image, src, 0);
+        vec3 c = floor(texel.rgb * 255.0 + 0.5);
+        if (u_linear == 1) c = lin255(c);
+
+        // Bias (processPattern)
+        float x = float(cell.x), y = float(cell.y);
+        float bias = 0.0;
+        if (u_algo == 1) {
+            int size = int(u_thresholdSize + 0.5);
+            bias = texelFetch(u_threshold, cell & (size - 1), 0).r * u_spread;
+        } else if (u_algo == 2) {
+            bias = (sin(x * 0.8) + cos(y * 0.8)) * 24.0 * u_spread;
+        } else if (u_algo == 3) {
+            bias = sin(x * 0.5) * cos(y * 0.5) * 32.0 * u_spread;
+        } else if (u_algo == 4) {
+            bias = (sin((x + y) * 0.2) * 5.0 + cos(x * 0.1) * 3.0) * 8.0 * u_spread;
+        }
         c += bias;
-        c = clamp(c, 0.0, 1.0);
 
-        // Map
-        if (u_mode == 0) { // Tonal
-            float luma = dot(c, vec3(0.299, 0.587, 0.114));
-            
-            vec3 final;
-            if (luma < 0.5) {
-                final = mix(u_palLow, u_palMid, luma * 2.0);
+        // Map (mapColor)
+        vec3 mapped;
+        bool linearMatch = u_linear == 1 && u_mode == 1 && u_metric == 0;
+        if (linearMatch) {
+            if (u_contrast != 1.0) c = lin255(contrast(srgb255(c)));
+            mapped = closest(c, true);
+        } else {
+            if (u_linear == 1) c = srgb255(c);
+            if (u_mode == 1) {
+                mapped = closest(u_contrast != 1.0 ? contrast(c) : c, false);
             } else {
-                final = mix(u_palMid, u_palHigh, (luma - 0.5) * 2.0);
+                mapped = tonal(c);
             }
-            outColor = vec4(final, 1.0);
-        } else {
-             // Grade
-             outColor = vec4(c, 1.0);
         }
+
+        // Knockout: output equal to the shadow color (linear light compares rounded colors)
+        vec3 shadowCheck = u_linear == 1 ? floor(mapped + 0.5) : mapped;
+        float alpha = (u_knockout == 1 && shadowCheck == u_shadow) ? 0.0 : texel.a;
+
+        outColor = vec4(mapped / 255.0, alpha);
     }`,
 
     getUniforms: (params, width, height, scaleFactor = 1.0) => {
-        let algo = 0;
-        if (params.algorithm === 'bayer4') algo = 1;
-        if (params.algorithm === 'bayer8') algo = 1; // Fallback to 4 for now in GPU
-        if (params.algorithm === 'modulation') algo = 3;
-        if (params.algorithm === 'stitched') algo = 4;
-
-        // Hex to Vec3 0-1
-        const toVec = (hex) => {
-            const rgb = hexToRgb(hex);
-            return [rgb[0] / 255, rgb[1] / 255, rgb[2] / 255];
-        };
+        const algo = params.algorithm;
+        let code = 0;
+        if (biasMap(algo)) code = 1;
+        else if (algo === 'grid') code = 2;
+        else if (algo === 'modulation') code = 3;
+        else if (algo === 'bitwave') code = 4;
+
+        const metric = params.colorMetric || 'rgb';
+        const map = biasMap(algo);
+        const stops = tonalStops(params);
 
         return {
             u_resolution: [width, height],
-            u_pixelScale: params.resolution, // This is technically 1.0 usually? No params.resolution acts as Downscale factor.
-            u_contrast: params.contrast,
-            u_spread: params.spread,
-            u_mode: params.renderMode === 'tonal' ? 0 : 1,
-            u_palLow: toVec(params.colorShadow),
-            u_palMid: toVec(params.colorMid),
-            u_palHigh: toVec(params.colorHighlight),
-            u_algo: algo
+            u_small: [Math.max(1, Math.floor(width * params.resolution)), Math.max(1, Math.floor(height * params.resolution))],
+            u_mode: params.renderMode === 'grade' ? 1 : 0,
+            u_algo: code,
+            u_thresholdSize: map ? map.size : 1,
+            u_spread: params.spread || 1.0,
+            u_stopCount: stops.length,
+            u_shadow: stops[0].rgb,
+            u_paletteSize: params.renderMode === 'grade' ? getPaletteVec3(params.palette).length : 1,
+            u_metric: ColorQuantizer.usesLUT(metric) ? 2 : (metric === 'redmean' ? 1 : 0),
+            u_contrast: params.contrast !== 0 ? (259 * (params.contrast + 255)) / (255 * (259 - params.contrast)) : 1.0,
+            u_linear: params.linearLight ? 1 : 0,
+            u_knockout: params.knockout ? 1 : 0
         };
+    },
+
+    // Data textures bound next to u_image (unit 0)
+    getTextures: (params) => {
+        const textures = {};
+        const map = biasMap(params.algorithm);
+        if (map) textures.u_threshold = { unit: 1, data: map.bias, width: map.size, height: map.size };
+
+        if (params.renderMode === 'tonal') {
+            const stops = tonalStops(params);
+            textures.u_stops = { unit: 4, data: stopsTexture(stops), width: stops.length, height: 1, channels: 4 };
+        }
+
+        if (params.renderMode === 'grade') {
+            const palette = getPaletteVec3(params.palette);
+            const metric = params.colorMetric || 'rgb';
+            textures.u_palette = { unit: 2, data: paletteTexture(palette), width: palette.length, height: 1, channels: 4 };
+            if (ColorQuantizer.usesLUT(metric)) {
+                textures.u_lut = { unit: 3, data: lutTexture(palette, metric), width: 1024, height: 32 };
+            }
+        }
+        return textures;
     }
 };
 
-function hexToRgb(hex) {
-    const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-    return result ? [
-        parseInt(result[1], 16),
-        parseInt(result[2], 16),
-        parseInt(result[3], 16)
-    ] : [0, 0, 0];
+// AUTO palettes by params object (the live slot's), see extractedPalette
+const extractedPalettes = new WeakMap();
+
+// { count, method } of an AUTO palette ('extract', or 'extract_<count>' from older projects)
+function extractSettings(params) {
+    const legacy = parseInt(params.palette.split('_')[1], 10);
+    return {
+        count: Math.max(2, Math.min(256, legacy || params.extractCount || 16)),
+        method: params.extractMethod || 'kmeans'
+    };
+}
+
+// GPU textures, kept while the palette is unchanged (so they aren't re-uploaded every frame)
+let paletteTex = { key: null, data: null };
+let stopsTex = { key: null, data: null };
+const lutTextures = new WeakMap(); // LUT (Int16Array) -> Float32Array
+
+function paletteTexture(palette) {
+    const key = palette.map(c => c.join(',')).join(';');
+    if (paletteTex.key !== key) {
+        const data = new Float32Array(palette.length * 4);
+        palette.forEach((c, i) => data.set([c[0], c[1], c[2], 255], i * 4));
+        paletteTex = { key, data };
+    }
+    return paletteTex.data;
+}
+
+function stopsTexture(stops) {
+    const key = stops.map(s => `${s.pos}:${s.rgb.join(',')}`).join(';');
+    if (stopsTex.key !== key) {
+        const data = new Float32Array(stops.length * 4);
+        stops.forEach((s, i) => data.set([s.rgb[0], s.rgb[1], s.rgb[2], s.pos], i * 4));
+        stopsTex = { key, data };
+    }
+    return stopsTex.data;
+}
+
+function lutTexture(palette, metric) {
+    const lut = ColorQuantizer.paletteLUT(palette, metric);
+    if (!lutTextures.has(lut)) lutTextures.set(lut, Float32Array.from(lut));
+    return lutTextures.get(lut);
+}
+
+// Deepest error diffusion kernel, in rows below the current one
+const MAX_KERNEL_ROWS = 2;
+
+function isPattern(algo) {
+    return algo.startsWith('bayer') || algo.startsWith('bluenoise') || ['grid', 'stitched', 'thread', 'bitwave', 'modulation'].includes(algo);
+}
+
+// 'bluenoise64' -> 64, 0 for other algorithms
+function blueNoiseSize(algo) {
+    return algo.startsWith('bluenoise') ? (parseInt(algo.slice(9), 10) || 64) : 0;
+}
+
+function isErrorDiffusion(algo) {
+    return algo !== 'none' && !isPattern(algo);
 }
 
-function applyEffectLoop(data, w, h, params, contrastF, palTonal, activePalette) {
+/**
+ * @param {Object} rows - { offset, from, to, reuse }: data's row 0 is full-image small row `offset`
+ *   (patterns stay on the full-image grid); only rows from..to are processed.
+ *   reuse: { keep, output } pixels copied from the previous video frame (see temporalReuse).
+ */
+function applyEffectLoop(data, w, h, params, contrastF, palTonal, activePalette, rows = {}) {
+    const offset = rows.offset || 0;
+    const from = rows.from || 0;
+    const to = rows.to === undefined ? h : rows.to;
 
     // Choose Algo Type
     const algo = params.algorithm;
 
     if (algo === 'none') {
         processSimple(data, w, h, params, contrastF, palTonal, activePalette);
+        restoreKept(data, rows.reuse);
         return;
     }
 
-    // Pattern Based (Bayer, Modulation, Stitched)
-    if (algo.startsWith('bayer') || ['grid', 'stitched', 'thread', 'bitwave', 'modulation'].includes(algo)) {
-        processPattern(data, w, h, params, contrastF, palTonal, activePalette);
+    // Pattern Based (Bayer, Blue Noise, Modulation, Stitched)
+    if (isPattern(algo)) {
+        processPattern(data, w, h, params, contrastF, palTonal, activePalette, offset);
+        restoreKept(data, rows.reuse);
         return;
     }
 
-    // Error Diffusion (Floyd, Atkinson, Sierra)
-    let kernel = [];
-    if (algo === 'floyd') {
-        kernel = [
-            { x: 1, y: 0, f: 7 / 16 },
-            { x: -1, y: 1, f: 3 / 16 },
-            { x: 0, y: 1, f: 5 / 16 },
-            { x: 1, y: 1, f: 1 / 16 }
-        ];
-    } else if (algo === 'atkinson') {
-        kernel = [
-            { x: 1, y: 0, f: 1 / 8 }, { x: 2, y: 0, f: 1 / 8 },
-            { x: -1, y: 1, f: 1 / 8 }, { x: 0, y: 1, f: 1 / 8 }, { x: 1, y: 1, f: 1 / 8 },
-            { x: 0, y: 2, f: 1 / 8 }
-        ];
-    } else { // Sierra Lite
-        kernel = [
-            { x: 1, y: 0, f: 2 / 4 },
-            { x: -1, y: 1, f: 1 / 4 }, { x: 0, y: 1, f: 1 / 4 }
-        ];
+    // Error Diffusion (unknown names fall back to Sierra Lite)
+    processErrDiff(data, w, h, params, contrastF, palTonal, activePalette, buildKernel(params), from, to, offset, rows.reuse);
+}
+
+/**
+ * Compare this frame's (downscaled, not yet dithered) source with the last one.
+ * Returns { keep: Uint8Array per pixel, output: last frame's working buffer }, or null when
+ * there's nothing to reuse (first frame, size or settings changed).
+ */
+function temporalReuse(history, source, w, h, params) {
+    const key = `${w}x${h}|${JSON.stringify(params)}`;
+    let reuse = null;
+    if (history.key === key && history.output) {
+        const threshold = params.motionThreshold || 0;
+        const prev = history.source;
+        const keep = new Uint8Array(w * h);
+        for (let p = 0, i = 0; p < keep.length; p++, i += 4) {
+            const d = Math.max(Math.abs(source[i] - prev[i]), Math.abs(source[i + 1] - prev[i + 1]),
+                Math.abs(source[i + 2] - prev[i + 2]), Math.abs(source[i + 3] - prev[i + 3]));
+            keep[p] = d <= threshold ? 1 : 0;
+        }
+        reuse = { keep, output: history.output };
+    }
+    history.key = key;
+    history.source = source.slice();
+    history.output = null; // Set once this frame is dithered
+    return reuse;
+}
+
+// Patterns: a kept pixel simply gets last frame's output back
+function restoreKept(data, reuse) {
+    if (!reuse) return;
+    const { keep, output } = reuse;
+    for (let p = 0, i = 0; p < keep.length; p++, i += 4) {
+        if (!keep[p]) continue;
+        data[i] = output[i]; data[i + 1] = output[i + 1]; data[i + 2] = output[i + 2]; data[i + 3] = output[i + 3];
+    }
+}
+
+/**
+ * Error diffusion kernels, written as 5 x 3 grids (KERNEL_COLS wide) like the custom editor:
+ * the current pixel is at index 2 of row 0, and only cells to its right are used on that row.
+ */
+const KERNEL_COLS = 5;
+const DIFFUSION_KERNELS = {
+    floyd: {
+        divisor: 16, weights: [
+            0, 0, 0, 7, 0,
+            0, 3, 5, 1, 0,
+            0, 0, 0, 0, 0]
+    },
+    atkinson: { // Diffuses only 6/8 of the error: high contrast
+        divisor: 8, weights: [
+            0, 0, 0, 1, 1,
+            0, 1, 1, 1, 0,
+            0, 0, 1, 0, 0]
+    },
+    sierra: { // Sierra Lite
+        divisor: 4, weights: [
+            0, 0, 0, 2, 0,
+            0, 1, 1, 0, 0,
+            0, 0, 0, 0, 0]
+    },
+    jarvis: {
+        divisor: 48, weights: [
+            0, 0, 0, 7, 5,
+            3, 5, 7, 5, 3,
+            1, 3, 5, 3, 1]
+    },
+    stucki: {
+        divisor: 42, weights: [
+            0, 0, 0, 8, 4,
+            2, 4, 8, 4, 2,
+            1, 2, 4, 2, 1]
+    },
+    burkes: {
+        divisor: 32, weights: [
+            0, 0, 0, 8, 4,
+            2, 4, 8, 4, 2,
+            0, 0, 0, 0, 0]
+    },
+    sierra3: {
+        divisor: 32, weights: [
+            0, 0, 0, 5, 3,
+            2, 4, 5, 4, 2,
+            0, 2, 3, 2, 0]
+    },
+    sierra2: {
+        divisor: 16, weights: [
+            0, 0, 0, 4, 3,
+            1, 2, 3, 2, 1,
+            0, 0, 0, 0, 0]
+    }
+};
+
+/**
+ * Taps { x, y, f } for the selected algorithm (or the custom grid in params).
+ */
+function buildKernel(params) {
+    const def = params.algorithm === 'custom'
+        ? { weights: params.kernelWeights || DIFFUSION_KERNELS.floyd.weights, divisor: params.kernelDivisor }
+        : (DIFFUSION_KERNELS[params.algorithm] || DIFFUSION_KERNELS.sierra);
+
+    const center = (KERNEL_COLS - 1) / 2;
+    const taps = [];
+    let sum = 0;
+    def.weights.forEach((weight, i) => {
+        const x = (i % KERNEL_COLS) - center;
+        const y = Math.floor(i / KERNEL_COLS);
+        if (!weight || y > MAX_KERNEL_ROWS || (y === 0 && x <= 0)) return; // Only pixels not yet visited
+        taps.push({ x, y, weight });
+        sum += weight;
+    });
+
+    const divisor = def.divisor > 0 ? def.divisor : (sum || 1);
+    return taps.map(t => ({ x: t.x, y: t.y, f: t.weight / divisor }));
+}
+
+/**
+ * Error diffusion for one tile of a tiled render. The image is still diffused once, top to
+ * bottom: rows before cache.next were finished by earlier tiles (copied back for the overlap),
+ * and the MAX_KERNEL_ROWS rows after it start with the error those tiles pushed down.
+ * @param {number} first - Full-image small row of data's row 0
+ * @param {number} end - First small row of the next tile
+ * @param {Function} loop - (from, to) diffuses data rows from..to
+ */
+function diffuseTile(data, w, h, first, end, cache, loop) {
+    const rowBytes = w * 4;
+    const next = Math.max(first, cache.next || 0);
+    const at = (k) => Math.min(data.length, (k - first) * rowBytes);
+
+    if (cache.done) {
+        const doneFirst = cache.done.first;
+        const from = Math.max(first, doneFirst);
+        const to = Math.min(next, doneFirst + cache.done.data.length / rowBytes);
+        if (to > from) data.set(cache.done.data.subarray((from - doneFirst) * rowBytes, (to - doneFirst) * rowBytes), at(from));
     }
+    if (cache.carry) data.set(cache.carry.subarray(0, data.length - at(next)), at(next));
 
-    processErrDiff(data, w, h, params, contrastF, palTonal, activePalette, kernel);
+    loop(next - first, end - first);
+    cache.carry = data.slice(at(end), at(end + MAX_KERNEL_ROWS));
+
+    // Rows below this tile: diffused on, so the overlap holds final values too
+    loop(end - first, h);
+    cache.next = end;
+    cache.done = { first, data: data.slice() };
 }
 
 // === LOGIC HANDLERS ===
@@ -422,44 +805,77 @@ function processSimple(data, w, h, params, contrastF, palTonal, activePalette) {
     }
 }
 
-function processPattern(data, w, h, params, contrastF, palTonal, activePalette) {
+// Bayer / stitch matrices
+const BAYER4 = [
+    [0, 8, 2, 10], [12, 4, 14, 6],
+    [3, 11, 1, 9], [15, 7, 13, 5]
+];
+const BAYER8 = [
+    [0, 48, 12, 60, 3, 51, 15, 63],
+    [32, 16, 44, 28, 35, 19, 47, 31],
+    [8, 56, 4, 52, 11, 59, 7, 55],
+    [40, 24, 36, 20, 43, 27, 39, 23],
+    [2, 50, 14, 62, 1, 49, 13, 61],
+    [34, 18, 46, 30, 33, 17, 45, 29],
+    [10, 58, 6, 54, 9, 57, 5, 53],
+    [42, 26, 38, 22, 41, 25, 37, 21]
+];
+const STITCH = [
+    [4, 0, 4, 0], [0, 4, 0, 4], [4, 0, 4, 0], [0, 4, 0, 4]
+];
+
+const biasMaps = new Map();
+
+/**
+ * Matrix patterns as a tileable bias map (value added to each channel at SPREAD 1),
+ * shared by the CPU loop and the shader (uploaded as u_threshold).
+ * @returns {Object|null} { size, bias: Float32Array } or null for the sine-based patterns
+ */
+function biasMap(algo) {
+    if (biasMaps.has(algo)) return biasMaps.get(algo);
+
+    const table = (size, fn) => {
+        const bias = new Float32Array(size * size);
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) bias[y * size + x] = fn(x, y);
+        }
+        return { size, bias };
+    };
+
+    let map = null;
+    const noiseSize = blueNoiseSize(algo);
+    if (algo === 'bayer4') map = table(4, (x, y) => ((BAYER4[y][x] / 16) - 0.5) * 64);
+    else if (algo === 'bayer8') map = table(8, (x, y) => ((BAYER8[y][x] / 64) - 0.5) * 64);
+    else if (algo === 'stitched') map = table(4, (x, y) => (STITCH[y][x] - 2) * 10);
+    else if (algo === 'thread') map = table(4, (x, y) => ((x + y) % 4 === 0 ? 8 : -8) * 2); // Diagonal stripes
+    else if (noiseSize) {
+        const noise = blueNoiseMap(noiseSize);
+        map = table(noiseSize, (x, y) => (noise[y * noiseSize + x] - 0.5) * 64);
+    }
+    biasMaps.set(algo, map);
+    return map;
+}
+
+function processPattern(data, w, h, params, contrastF, palTonal, activePalette, offset = 0) {
     const spread = params.spread || 1.0;
     const algo = params.algorithm;
 
-    // Bayer Maps
-    const map4 = [
-        [0, 8, 2, 10], [12, 4, 14, 6],
-        [3, 11, 1, 9], [15, 7, 13, 5]
-    ];
-    const mapContainer = {
-        map4: map4,
-        map8: [
-            [0, 48, 12, 60, 3, 51, 15, 63],
-            [32, 16, 44, 28, 35, 19, 47, 31],
-            [8, 56, 4, 52, 11, 59, 7, 55],
-            [40, 24, 36, 20, 43, 27, 39, 23],
-            [2, 50, 14, 62, 1, 49, 13, 61],
-            [34, 18, 46, 30, 33, 17, 45, 29],
-            [10, 58, 6, 54, 9, 57, 5, 53],
-            [42, 26, 38, 22, 41, 25, 37, 21]
-        ],
-        stitch: [
-            [4, 0, 4, 0], [0, 4, 0, 4], [4, 0, 4, 0], [0, 4, 0, 4]
-        ],
-        thread: [
-            [10, 0, 10, 0], [0, 10, 0, 10], [10, 0, 10, 0], [0, 10, 0, 10]
-        ]
-    };
+    // Matrix patterns tile a bias map (power-of-two sizes); the rest are sine-based
+    const map = biasMap(algo);
+    const mask = map ? map.size - 1 : 0;
 
-    for (let y = 0; y < h; y++) {
+    for (let row = 0; row < h; row++) {
+        const y = row + offset; // Full-image row, so tiles continue the pattern
         for (let x = 0; x < w; x++) {
-            const i = (y * w + x) * 4;
+            const i = (row * w + x) * 4;
             let r = data[i], g = data[i + 1], b = data[i + 2];
 
             // Calc Threshold Bias
             let bias = 0;
 
-            if (algo === 'grid') { // Grid Modulation
+            if (map) {
+                bias = map.bias[(y & mask) * map.size + (x & mask)] * spread;
+            } else if (algo === 'grid') { // Grid Modulation
                 bias = (Math.sin(x * 0.8) + Math.cos(y * 0.8)); // Cross-hatchy
                 bias = bias * 24 * spread;
             } else if (algo === 'bitwave') { // Bitwave
@@ -469,19 +885,6 @@ function processPattern(data, w, h, params, contrastF, palTonal, activePalette)
             } else if (algo === 'modulation') {
                 bias = Math.sin(x * 0.5) * Math.cos(y * 0.5);
                 bias = bias * 32 * spread;
-            } else if (algo === 'stitched') {
-                let m = mapContainer.stitch[y % 4][x % 4];
-                bias = (m - 2) * 10 * spread;
-            } else if (algo === 'thread') {
-                // Diagonal stripes or Linear lines
-                let m = (x + y) % 4 === 0 ? 8 : -8;
-                bias = m * 2 * spread;
-            } else if (algo === 'bayer4') {
-                let m = mapContainer.map4[y % 4][x % 4];
-                bias = ((m / 16) - 0.5) * 64 * spread;
-            } else if (algo === 'bayer8') {
-                let m = mapContainer.map8[y % 8][x % 8];
-                bias = ((m / 64) - 0.5) * 64 * spread;
             }
 
             const c = mapColor(r + bias, g + bias, b + bias, params, contrastF, palTonal, activePalette);
@@ -493,38 +896,46 @@ function processPattern(data, w, h, params, contrastF, palTonal, activePalette)
 }
 
 
-function processErrDiff(data, w, h, params, contrastF, palTonal, activePalette, kernel) {
+/**
+ * @param {number} offset - Full-image row of data's row 0 (serpentine parity across tiles)
+ * @param {Object} reuse - Video: kept pixels take last frame's output; their error is still diffused
+ */
+function processErrDiff(data, w, h, params, contrastF, palTonal, activePalette, kernel, from = 0, to = h, offset = 0, reuse = null) {
     const bleeding = params.bleeding || 0.0;
+    const limit = params.errorClamp > 0 ? params.errorClamp : Infinity;
+    const mirrored = kernel.map(k => ({ x: -k.x, y: k.y, f: k.f }));
 
-    for (let y = 0; y < h; y++) {
-        for (let x = 0; x < w; x++) {
+    // Bleeding amplifies the error (ink spreading), attenuation scales it down
+    const attenuation = params.attenuation === undefined ? 1.0 : params.attenuation;
+    const factor = (1.0 + (bleeding * 0.5)) * attenuation;
+    const limitError = (e) => (e > limit ? limit : (e < -limit ? -limit : e));
+
+    for (let y = from; y < to; y++) {
+        // Serpentine: odd rows run right to left with the kernel mirrored
+        const reverse = params.serpentine && (y + offset) % 2 === 1;
+        const taps = reverse ? mirrored : kernel;
+
+        for (let n = 0; n < w; n++) {
+            const x = reverse ? w - 1 - n : n;
             const i = (y * w + x) * 4;
 
             let r = data[i], g = data[i + 1], b = data[i + 2];
 
-            // Map Logic returns closest color
-            const c = mapColor(r, g, b, params, contrastF, palTonal, activePalette);
+            // Map Logic returns closest color (or last frame's, for a kept video pixel)
+            const prev = reuse && reuse.keep[y * w + x] ? reuse.output : null;
+            const c = prev ? [prev[i], prev[i + 1], prev[i + 2]] : mapColor(r, g, b, params, contrastF, palTonal, activePalette);
 
             data[i] = c[0]; data[i + 1] = c[1]; data[i + 2] = c[2];
-            if (params.knockout && isShadow(c, palTonal, activePalette)) data[i + 3] = 0;
+            if (prev) data[i + 3] = prev[i + 3];
+            else if (params.knockout && isShadow(c, palTonal, activePalette)) data[i + 3] = 0;
 
             // Error Diffusion
-            const er = r - c[0];
-            const eg = g - c[1];
-            const eb = b - c[2];
-
-            // If bleeding > 0, we can amplify error or smooth it.
-            // Bleeding usually means ink spreading into neighbors.
-            // In error diffusion, this might mean distributing MORE error or DISTRIBUTING to more pixels.
-            // Simple approach: Amplify error by (1 + bleeding)
-            // Or use a larger kernel?
-            // "Bleed" in ink terms often means blurring. 
-            // In Dither context, maybe it means Random Error?
-            // Let's implement: Error Amplify.
-            const factor = 1.0 + (bleeding * 0.5);
-
-            for (let k = 0; k < kernel.length; k++) {
-                distribute(data, x + kernel[k].x, y + kernel[k].y, er * factor, eg * factor, eb * factor, kernel[k].f, w);
+            const er = limitError((r - c[0]) * factor);
+            const eg = limitError((g - c[1]) * factor);
+            const eb = limitError((b - c[2]) * factor);
+
+            for (let k = 0; k < taps.length; k++) {
+                distribute(data, x + taps[k].x, y + taps[k].y, er, eg, eb, taps[k].f, w);
             }
         }
     }
@@ -533,6 +944,25 @@ function processErrDiff(data, w, h, params, contrastF, palTonal, activePalette,
 // === CORE MAPPING ===
 
 function mapColor(r, g, b, params, contrastF, pal, activePalette) {
+    if (!params.linearLight) return mapColorSrgb(r, g, b, params, contrastF, pal, activePalette);
+
+    // Linear light, plain RGB grade: threshold between palette colors in light too
+    // (ordered patterns would come out too bright otherwise)
+    if (pal.linearPalette && params.renderMode === 'grade' && (params.colorMetric || 'rgb') === 'rgb') {
+        if (params.contrast !== 0) {
+            r = 255 * srgbToLinear(factor(toSrgb(r), contrastF));
+            g = 255 * srgbToLinear(factor(toSrgb(g), contrastF));
+            b = 255 * srgbToLinear(factor(toSrgb(b), contrastF));
+        }
+        return ColorQuantizer.findClosest([r, g, b], pal.linearPalette);
+    }
+
+    // Otherwise match in sRGB (perceptual metrics, tonal handles), return linear so the error is measured in light
+    const c = mapColorSrgb(toSrgb(r), toSrgb(g), toSrgb(b), params, contrastF, pal, activePalette);
+    return [255 * srgbToLinear(c[0]), 255 * srgbToLinear(c[1]), 255 * srgbToLinear(c[2])];
+}
+
+function mapColorSrgb(r, g, b, params, contrastF, pal, activePalette) {
     // 1. GRADE MODE
     if (params.renderMode === 'grade' && activePalette) {
         // Find Closest in Palette
@@ -541,7 +971,7 @@ function mapColor(r, g, b, params, contrastF, pal, activePalette) {
             g = factor(g, contrastF);
             b = factor(b, contrastF);
         }
-        return ColorQuantizer.findClosest([r, g, b], activePalette);
+        return ColorQuantizer.findClosest([r, g, b], activePalette, params.colorMetric);
     }
 
     // 2. TONAL MODE
@@ -550,42 +980,12 @@ function mapColor(r, g, b, params, contrastF, pal, activePalette) {
 
         if (luma < 0) luma = 0; if (luma > 255) luma = 255;
 
-        // Custom Thresholds from Luma Handles
-        const low = pal.lowCut || 60;
-        const high = pal.highCut || 190;
-
-        // Split Range: 0 -> Low (Shadow), Low -> High (Mid), High -> 255 (High)
-
-        if (luma < low) {
-            // Lerp Shadow -> Mid
-            let t = luma / low; // 0 to 1
-            return lerpColor(pal.shadow, pal.mid, t);
-        } else if (luma < high) {
-            // Lerp Mid -> High
-            let t = (luma - low) / (high - low);
-            return lerpColor(pal.mid, pal.high, t);
-        } else {
-            // Solid Highlight (or lerp to white if we wanted 4 stops)
-            // Currently just 3 stops: Shadow..Mid..Highlight
-            // If we are above High, we essentially stay at Highlight or push to pure white?
-            // "Highlights" -> pal.high
-            // Actually usually Tone map is gradient. 
-            // If luma > high, we just return pal.high
-            return pal.high;
-        }
+        // Gradient stops (legacy: Shadow at 0, Mid at Luma Low, Highlight at Luma High)
+        return sampleStops(pal.stops, luma);
     }
     return [r, g, b];
 }
 
-// Helpers
-function lerpColor(c1, c2, t) {
-    return [
-        c1[0] + (c2[0] - c1[0]) * t,
-        c1[1] + (c2[1] - c1[1]) * t,
-        c1[2] + (c2[2] - c1[2]) * t
-    ];
-}
-
 function distribute(data, x, y, er, eg, eb, f, w) {
     if (x < 0 || x >= w) return;
     const idx = (y * w + x) * 4;
@@ -596,6 +996,31 @@ function distribute(data, x, y, er, eg, eb, f, w) {
     data[idx + 2] = clamp(data[idx + 2] + eb * f);
 }
 
+// Linear-light working buffer (Float32, 0-255 scale) <-> sRGB bytes
+function toLinearBuffer(data) {
+    const out = new Float32Array(data.length);
+    for (let i = 0; i < data.length; i += 4) {
+        out[i] = 255 * srgbToLinear(data[i]);
+        out[i + 1] = 255 * srgbToLinear(data[i + 1]);
+        out[i + 2] = 255 * srgbToLinear(data[i + 2]);
+        out[i + 3] = data[i + 3];
+    }
+    return out;
+}
+
+function fromLinearBuffer(work, data) {
+    for (let i = 0; i < data.length; i += 4) {
+        data[i] = Math.round(toSrgb(work[i]));
+        data[i + 1] = Math.round(toSrgb(work[i + 1]));
+        data[i + 2] = Math.round(toSrgb(work[i + 2]));
+        data[i + 3] = work[i + 3];
+    }
+}
+
+function toSrgb(v) {
+    return linearToSrgb(v / 255);
+}
+
 function factor(v, f) {
     return clamp(f * (v - 128) + 128);
 }
@@ -606,7 +1031,8 @@ function isShadow(c, pal, activePalette) {
     // In Grade mode, we can't easily guess shadow unless we mark it.
     // In Tonal, pal.shadow is defined.
     if (pal && pal.shadow) {
-        return c[0] === pal.shadow[0] && c[1] === pal.shadow[1] && c[2] === pal.shadow[2];
+        const s = pal.shadowMatch || pal.shadow; // Linearized in linear-light mode
+        return c[0] === s[0] && c[1] === s[1] && c[2] === s[2];
     }
     return false;
 }
@@ -1,5 +1,9 @@
+import { processContext } from '../pipeline/Raster.js';
+
 /**
  * GlitchEffect - Digital distortion effects
+ * Signal errors (RGB shift, jitter, scanlines) and codec errors on a macroblock grid:
+ * smeared blocks, 8x8 DCT quantization, displaced blocks and, on video, datamosh.
  */
 export const GlitchEffect = {
     name: "DIGITAL GLITCH",
@@ -12,7 +16,13 @@ export const GlitchEffect = {
         scanlines: 0, // 0 - 1.0 opacity
         scanlineSize: 2, // px
         jitter: 0, // 0 - 1.0 probability
-        pixelSort: 0 // 0 - 1.0 threshold (experimental)
+        pixelSort: 0, // 0 - 1.0 threshold (experimental)
+        blockSize: 16, // Macroblock px
+        blockSmear: 0, // 0 - 1.0 share of macroblocks smeared
+        blockQuant: 0, // 0 - 1.0 DCT quantization strength
+        blockShift: 0, // 0 - 1.0 motion-vector displacement
+        datamosh: 0, // 0 - 1.0 share of blocks predicted from the last frame (video)
+        keyframeInterval: 0 // Frames between I-frames while moshing, 0 = never
     },
 
     getControls: (builder, params, onUpdate) => {
@@ -23,19 +33,65 @@ export const GlitchEffect = {
             group.addSlider("SCANLINE OPACITY", 0, 1.0, params.scanlines, 0.05, (v) => onUpdate('scanlines', v), "Opacity of CRT-style scanlines.");
             group.addSlider("SCANLINE HEIGHT", 1, 10, params.scanlineSize, 1, (v) => onUpdate('scanlineSize', v), "Thickness of scanlines.");
             group.addSlider("H-JITTER", 0, 1.0, params.jitter, 0.01, (v) => onUpdate('jitter', v), "Horizontal random displacement probability.");
+
+            group.addDescription("CODEC CORRUPTION");
+            group.addSlider("MACROBLOCK SIZE", 4, 64, params.blockSize, 1, (v) => onUpdate('blockSize', v), "Block grid for smear, shift and datamosh (px).");
+            group.addSlider("BLOCK SMEAR", 0, 1.0, params.blockSmear, 0.01, (v) => onUpdate('blockSmear', v), "Share of macroblocks that streak their edge down or right.");
+            group.addSlider("DCT CRUSH", 0, 1.0, params.blockQuant, 0.01, (v) => onUpdate('blockQuant', v), "JPEG-style 8x8 block quantization (ringing, flat blocks).");
+            group.addSlider("BLOCK SHIFT", 0, 1.0, params.blockShift, 0.01, (v) => onUpdate('blockShift', v), "Moves blocks along their motion vectors on video, at random on stills.");
+            group.addSlider("DATAMOSH", 0, 1.0, params.datamosh, 0.01, (v) => onUpdate('datamosh', v), "Video: share of blocks rebuilt from the last frame's output (dropped I-frames).");
+            group.addSlider("I-FRAME EVERY", 0, 120, params.keyframeInterval, 1, (v) => onUpdate('keyframeInterval', v), "Frames between clean refreshes while moshing (0 = never).");
         }
+
+        return group;
+    },
+
+    process: (ctx, width, height, params, scaleFactor = 1.0, env = {}) => {
+        if (!params.enabled) return;
+        processContext(ctx, width, height, (buf) => GlitchEffect.apply(buf, params, scaleFactor, env));
+    },
+
+    // Signal shifts are horizontal and tiles are full-width bands; block modes read up to a few
+    // blocks away, each from the previous one's output
+    tileMargin: (params, scaleFactor = 1.0) => {
+        const size = macroblock(params, scaleFactor);
+        return (params.blockShift > 0 ? size : 0) +
+            (params.blockSmear > 0 ? size * MAX_SMEAR : 0) +
+            (params.blockQuant > 0 ? dctBlock(scaleFactor) : 0);
     },
 
-    process: (ctx, width, height, params, scaleFactor = 1.0) => {
+    /**
+     * Corrupt a plain RGBA buffer (in place). Shared by the canvas path and void-cli.
+     * Jitter slices, scanlines and blocks are placed on the full image (env.tile), so tiles line up.
+     * Datamosh and motion vectors need video frames (env.history, untiled); stills get random vectors.
+     * @param {Object} env - { random, tile, history, frame } Random source (defaults to Math.random)
+     */
+    apply: (buf, params, scaleFactor = 1.0, env = {}) => {
         if (!params.enabled) return;
 
+        const width = buf.width;
+        const height = buf.height;
+        const data = buf.data;
+        const random = env.random || Math.random;
+        const top = env.tile ? env.tile.top : 0;
+        const fullHeight = env.tile ? env.tile.height : height;
+
         const scaledShift = Math.floor(params.rgbShift * scaleFactor);
         const scaledScanSize = Math.max(1, Math.floor(params.scanlineSize * scaleFactor));
+        const blockSize = macroblock(params, scaleFactor);
+
+        // --- 1. CODEC CORRUPTION ---
+        // Datamosh first, so the frame it keeps for the next one is free of this frame's other errors
+        let vectors = null;
+        if (env.history && !env.tile && (params.datamosh > 0 || params.blockShift > 0)) {
+            vectors = moshFrame(env.history, data, width, height, blockSize, params, env.frame, random);
+        }
+        if (params.blockShift > 0) shiftBlocks(data, width, height, top, fullHeight, blockSize, params.blockShift, vectors, random);
+        if (params.blockSmear > 0) smearBlocks(data, width, height, top, fullHeight, blockSize, params.blockSmear, random);
+        if (params.blockQuant > 0) quantizeBlocks(data, width, height, top, dctBlock(scaleFactor), params.blockQuant * QUANT_RANGE);
 
-        // --- 1. RGB SHIFT ---
+        // --- 2. RGB SHIFT ---
         if (scaledShift > 0.5) {
-            const imageData = ctx.getImageData(0, 0, width, height);
-            const data = imageData.data;
             const copy = new Uint8ClampedArray(data);
 
             for (let y = 0; y < height; y++) {
@@ -53,30 +109,315 @@ export const GlitchEffect = {
                     else data[i + 2] = 0;
                 }
             }
-            ctx.putImageData(imageData, 0, 0);
         }
 
-        // --- 2. JITTER ---
+        // --- 3. JITTER ---
         if (params.jitter > 0) {
             const slices = 20;
             const maxShift = width * 0.1;
             for (let i = 0; i < slices; i++) {
-                if (Math.random() > params.jitter) continue;
-                const hSlice = Math.floor(height / slices);
+                if (random() > params.jitter) continue;
+                const hSlice = Math.floor(fullHeight / slices);
                 const y = i * hSlice;
-                const hActual = Math.min(hSlice, height - y);
-                const xShift = (Math.random() - 0.5) * maxShift;
-                const strip = ctx.getImageData(0, y, width, hActual);
-                ctx.putImageData(strip, xShift, y);
+                const hActual = Math.min(hSlice, fullHeight - y);
+                const xShift = Math.trunc((random() - 0.5) * maxShift);
+
+                // Shift the strip (uncovered pixels keep their old content)
+                const rowStart = Math.max(0, y - top);
+                const rowEnd = Math.min(height, y + hActual - top);
+                for (let row = rowStart; row < rowEnd; row++) {
+                    const start = row * width * 4;
+                    const strip = data.slice(start, start + width * 4);
+                    const from = Math.max(0, -xShift);
+                    const to = Math.min(width, width - xShift);
+                    data.set(strip.subarray(from * 4, to * 4), start + (from + xShift) * 4);
+                }
             }
         }
 
-        // --- 3. SCANLINES ---
+        // --- 4. SCANLINES ---
         if (params.scanlines > 0) {
-            ctx.fillStyle = `rgba(0, 0, 0, ${params.scanlines})`;
-            for (let y = 0; y < height; y += scaledScanSize * 2) {
-                ctx.fillRect(0, y, width, scaledScanSize);
+            // Black at 'scanlines' opacity, composited source-over
+            const a = params.scanlines;
+            for (let line = 0; line < fullHeight; line += scaledScanSize * 2) {
+                const y = Math.max(0, line - top);
+                const yEnd = Math.min(height, line + scaledScanSize - top);
+                for (let i = y * width * 4; i < yEnd * width * 4; i += 4) {
+                    data[i] *= (1 - a);
+                    data[i + 1] *= (1 - a);
+                    data[i + 2] *= (1 - a);
+                    data[i + 3] = a * 255 + data[i + 3] * (1 - a);
+                }
             }
         }
     }
 };
+
+const DCT_SIZE = 8;      // JPEG block, px at scale 1
+const QUANT_RANGE = 16;  // DCT CRUSH 1 = the quality-50 tables x16 (about JPEG quality 3)
+const MAX_SMEAR = 4;     // Blocks a smear runs over
+const MOTION_GAIN = 4;   // BLOCK SHIFT 1 moves a block 4x its motion vector
+const STILL_SAD = 2;     // Mean luma difference under which a block counts as static
+
+// JPEG (Annex K) quantization tables, quality 50
+const LUMA_Q = [
+    16, 11, 10, 16, 24, 40, 51, 61, 12, 12, 14, 19, 26, 58, 60, 55,
+    14, 13, 16, 24, 40, 57, 69, 56, 14, 17, 22, 29, 51, 87, 80, 62,
+    18, 22, 37, 56, 68, 109, 103, 77, 24, 35, 55, 64, 81, 104, 113, 92,
+    49, 64, 78, 87, 103, 121, 120, 101, 72, 92, 95, 98, 112, 100, 103, 99
+];
+const CHROMA_Q = [
+    17, 18, 24, 47, 99, 99, 99, 99, 18, 21, 26, 66, 99, 99, 99, 99,
+    24, 26, 56, 99, 99, 99, 99, 99, 47, 66, 99, 99, 99, 99, 99, 99,
+    ...new Array(32).fill(99)
+];
+
+function macroblock(params, scaleFactor) {
+    return Math.max(2, Math.round((params.blockSize || 16) * scaleFactor));
+}
+
+function dctBlock(scaleFactor) {
+    return Math.max(2, Math.round(DCT_SIZE * scaleFactor));
+}
+
+/**
+ * One video frame through a codec that drops I-frames: blocks are predicted from the last
+ * output moved by their motion vector, so stale colors stay put or flow with the motion.
+ * A new size or block grid, or each keyframeInterval frames, starts clean.
+ * @returns {Int16Array} Motion vectors [dx, dy] per block (none on the first frame)
+ */
+function moshFrame(history, data, width, height, size, params, frame = 0, random) {
+    const key = `${width}x${height}|${size}`;
+    const luma = lumaPlane(data, width, height);
+    const cols = Math.ceil(width / size);
+    const rows = Math.ceil(height / size);
+    const tracked = history.key === key && history.luma;
+    const vectors = tracked ? estimateMotion(history.luma, luma, width, height, size) : new Int16Array(cols * rows * 2);
+
+    if (params.datamosh > 0) {
+        const gop = params.keyframeInterval > 0 ? Math.floor(frame / params.keyframeInterval) : 0;
+        if (tracked && history.output && history.gop === gop) {
+            for (let b = 0; b < cols * rows; b++) {
+                if (random() >= params.datamosh) continue;
+                copyBlock(data, history.output, width, height, (b % cols) * size, Math.floor(b / cols) * size, size, vectors[b * 2], vectors[b * 2 + 1]);
+            }
+        }
+        history.output = data.slice();
+        history.gop = gop;
+    } else {
+        history.output = null;
+    }
+    history.key = key;
+    history.luma = luma;
+    return vectors;
+}
+
+function lumaPlane(data, width, height) {
+    const luma = new Uint8Array(width * height);
+    for (let p = 0, i = 0; p < luma.length; p++, i += 4) luma[p] = (data[i] * 77 + data[i + 1] * 150 + data[i + 2] * 29) >> 8;
+    return luma;
+}
+
+/**
+ * Block matching (three-step search, up to one block away): where each block of `cur`
+ * was in `prev`. Vectors always keep the block inside the image.
+ */
+function estimateMotion(prev, cur, width, height, size) {
+    const cols = Math.ceil(width / size);
+    const rows = Math.ceil(height / size);
+    const vectors = new Int16Array(cols * rows * 2);
+    const stride = Math.max(1, size >> 3); // Sample every n-th pixel of big blocks
+
+    const sad = (x0, y0, bw, bh, dx, dy, limit) => {
+        let sum = 0;
+        for (let y = 0; y < bh && sum < limit; y += stride) {
+            const a = (y0 + y) * width + x0;
+            const b = (y0 + y + dy) * width + x0 + dx;
+            for (let x = 0; x < bw; x += stride) sum += Math.abs(cur[a + x] - prev[b + x]);
+        }
+        return sum;
+    };
+
+    for (let by = 0, b = 0; by < rows; by++) {
+        for (let bx = 0; bx < cols; bx++, b++) {
+            const x0 = bx * size, y0 = by * size;
+            const bw = Math.min(size, width - x0), bh = Math.min(size, height - y0);
+            let best = sad(x0, y0, bw, bh, 0, 0, Infinity);
+            let vx = 0, vy = 0;
+            if (best <= Math.ceil(bw / stride) * Math.ceil(bh / stride) * STILL_SAD) continue;
+
+            for (let step = size >> 1; step >= 1; step >>= 1) {
+                const cx = vx, cy = vy;
+                for (let sy = -1; sy <= 1; sy++) {
+                    for (let sx = -1; sx <= 1; sx++) {
+                        const dx = cx + sx * step, dy = cy + sy * step;
+                        if ((!sx && !sy) || x0 + dx < 0 || y0 + dy < 0 || x0 + dx + bw > width || y0 + dy + bh > height) continue;
+                        const s = sad(x0, y0, bw, bh, dx, dy, best);
+                        if (s < best) { best = s; vx = dx; vy = dy; }
+                    }
+                }
+            }
+            vectors[b * 2] = vx;
+            vectors[b * 2 + 1] = vy;
+        }
+    }
+    return vectors;
+}
+
+/**
+ * Fill one block of `data` (rows y0.. of this buffer) from `src` moved by (dx, dy), clamped to the buffer.
+ */
+function copyBlock(data, src, width, height, x0, y0, size, dx, dy) {
+    const yEnd = Math.min(height, y0 + size), xEnd = Math.min(width, x0 + size);
+    for (let y = Math.max(0, y0); y < yEnd; y++) {
+        const sy = Math.min(height - 1, Math.max(0, y + dy));
+        for (let x = x0; x < xEnd; x++) {
+            const sx = Math.min(width - 1, Math.max(0, x + dx));
+            const i = (y * width + x) * 4, j = (sy * width + sx) * 4;
+            data[i] = src[j]; data[i + 1] = src[j + 1]; data[i + 2] = src[j + 2]; data[i + 3] = src[j + 3];
+        }
+    }
+}
+
+/**
+ * Displace blocks by their motion vector (scaled up) or, without one, a random vector of up
+ * to a block for an `amount` share of them. Draws 3 numbers per block of the full image, so tiles match.
+ */
+function shiftBlocks(data, width, height, top, fullHeight, size, amount, vectors, random) {
+    const copy = data.slice();
+    const cols = Math.ceil(width / size);
+    const rows = Math.ceil(fullHeight / size);
+    for (let by = 0, b = 0; by < rows; by++) {
+        for (let bx = 0; bx < cols; bx++, b++) {
+            const pick = random(), rx = random(), ry = random();
+            let dx = 0, dy = 0;
+            if (vectors) {
+                dx = Math.round(vectors[b * 2] * amount * MOTION_GAIN);
+                dy = Math.round(vectors[b * 2 + 1] * amount * MOTION_GAIN);
+            } else if (pick < amount) {
+                dx = Math.round((rx * 2 - 1) * size);
+                dy = Math.round((ry * 2 - 1) * size);
+            }
+            if (dx || dy) copyBlock(data, copy, width, height, bx * size, by * size - top, size, dx, dy);
+        }
+    }
+}
+
+/**
+ * Streak an `amount` share of blocks: their top row repeated down, or their left column
+ * repeated right, over 1 to MAX_SMEAR blocks. Reads the unsmeared image, so order doesn't matter.
+ */
+function smearBlocks(data, width, height, top, fullHeight, size, amount, random) {
+    const copy = data.slice();
+    const cols = Math.ceil(width / size);
+    const rows = Math.ceil(fullHeight / size);
+    for (let by = 0; by < rows; by++) {
+        for (let bx = 0; bx < cols; bx++) {
+            const pick = random(), down = random() < 0.5, reach = (1 + Math.floor(random() * MAX_SMEAR)) * size;
+            if (pick >= amount) continue;
+            const x0 = bx * size, y0 = by * size - top;
+            const xEnd = Math.min(width, x0 + (down ? size : reach));
+            const yEnd = Math.min(height, y0 + (down ? reach : size));
+            if (down) {
+                if (y0 < 0 || y0 >= height) continue;
+                const row = copy.subarray((y0 * width + x0) * 4, (y0 * width + xEnd) * 4);
+                for (let y = y0 + 1; y < yEnd; y++) data.set(row, (y * width + x0) * 4);
+            } else {
+                for (let y = Math.max(0, y0); y < yEnd; y++) {
+                    const j = (y * width + x0) * 4;
+                    for (let i = j + 4; i < (y * width + xEnd) * 4; i += 4) {
+                        data[i] = copy[j]; data[i + 1] = copy[j + 1]; data[i + 2] = copy[j + 2]; data[i + 3] = copy[j + 3];
+                    }
+                }
+            }
+        }
+    }
+}
+
+const dctBases = new Map(); // Block size -> orthonormal DCT-II basis [u * n + x] and its transpose (the inverse)
+
+function dctBasis(n) {
+    if (!dctBases.has(n)) {
+        const forward = new Float32Array(n * n);
+        const inverse = new Float32Array(n * n);
+        for (let u = 0; u < n; u++) {
+            const a = Math.sqrt((u ? 2 : 1) / n);
+            for (let x = 0; x < n; x++) forward[u * n + x] = inverse[x * n + u] = a * Math.cos((2 * x + 1) * u * Math.PI / (2 * n));
+        }
+        dctBases.set(n, { forward, inverse });
+    }
+    return dctBases.get(n);
+}
+
+/**
+ * JPEG-style artifacts: each n x n block (on the full image grid) to YCbCr, DCT, quantized
+ * with the JPEG tables (stretched over n, and scaled so n > 8 matches an 8 x 8 block), and back.
+ * Alpha is kept. Blocks cut by the buffer edge repeat its edge pixels.
+ */
+function quantizeBlocks(data, width, height, top, n, strength) {
+    const { forward, inverse } = dctBasis(n);
+    const steps = [LUMA_Q, CHROMA_Q].map(table => {
+        const q = new Float32Array(n * n);
+        for (let v = 0; v < n; v++) {
+            for (let u = 0; u < n; u++) {
+                q[v * n + u] = Math.max(1, table[Math.floor(v * 8 / n) * 8 + Math.floor(u * 8 / n)] * strength * n / 8);
+            }
+        }
+        return q;
+    });
+    const planes = [new Float32Array(n * n), new Float32Array(n * n), new Float32Array(n * n)];
+    const tmp = new Float32Array(n * n);
+
+    const transform = (block, basis) => {
+        // Rows, then columns
+        for (let y = 0; y < n; y++) {
+            for (let k = 0; k < n; k++) {
+                let sum = 0;
+                for (let j = 0; j < n; j++) sum += block[y * n + j] * basis[k * n + j];
+                tmp[y * n + k] = sum;
+            }
+        }
+        for (let x = 0; x < n; x++) {
+            for (let k = 0; k < n; k++) {
+                let sum = 0;
+                for (let j = 0; j < n; j++) sum += tmp[j * n + x] * basis[k * n + j];
+                block[k * n + x] = sum;
+            }
+        }
+    };
+
+    for (let y0 = Math.floor(top / n) * n - top; y0 < height; y0 += n) {
+        for (let x0 = 0; x0 < width; x0 += n) {
+            // 1. Load (edge-clamped) as centered YCbCr
+            for (let y = 0; y < n; y++) {
+                const sy = Math.min(height - 1, Math.max(0, y0 + y));
+                for (let x = 0; x < n; x++) {
+                    const i = (sy * width + Math.min(width - 1, x0 + x)) * 4;
+                    const r = data[i], g = data[i + 1], b = data[i + 2];
+                    planes[0][y * n + x] = 0.299 * r + 0.587 * g + 0.114 * b - 128;
+                    planes[1][y * n + x] = -0.168736 * r - 0.331264 * g + 0.5 * b;
+                    planes[2][y * n + x] = 0.5 * r - 0.418688 * g - 0.081312 * b;
+                }
+            }
+
+            // 2. DCT, quantize, inverse
+            planes.forEach((plane, c) => {
+                const q = steps[c ? 1 : 0];
+                transform(plane, forward);
+                for (let k = 0; k < plane.length; k++) plane[k] = Math.round(plane[k] / q[k]) * q[k];
+                transform(plane, inverse);
+            });
+
+            // 3. Store the rows and columns inside the buffer
+            for (let y = Math.max(0, -y0); y < n && y0 + y < height; y++) {
+                for (let x = 0; x < n && x0 + x < width; x++) {
+                    const i = ((y0 + y) * width + x0 + x) * 4;
+                    const Y = planes[0][y * n + x] + 128, cb = planes[1][y * n + x], cr = planes[2][y * n + x];
+                    data[i] = Y + 1.402 * cr;
+                    data[i + 1] = Y - 0.344136 * cb - 0.714136 * cr;
+                    data[i + 2] = Y + 1.772 * cb;
+                }
+            }
+        }
+    }
+}
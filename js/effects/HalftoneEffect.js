@@ -1,10 +1,59 @@
+import { processContext } from '../pipeline/Raster.js';
+import { hexToRgb } from '../utils/Palettes.js';
+import { blueNoiseMap } from '../utils/BlueNoise.js';
+import { GLYPH_SIZE, glyphMask, glyphPolygons, normalizeGlyph } from '../utils/Glyphs.js';
+import { SEPARATION_PRESETS, SEPARATION_GLSL, PLATE_NAMES, separationSettings, separationUniform, separateCmyk, dotGain } from '../utils/CmykSeparation.js';
+
+export const INK_MODES = {
+    cmyk: "CMYK (Process)",
+    mono: "Mono (1 Ink)",
+    duotone: "Duotone (Dark + Color)",
+    spot: "Spot Colors (1-4 Inks)"
+};
+
+// Order = shader u_shape index
+export const DOT_SHAPES = {
+    round: "Round",
+    ellipse: "Ellipse",
+    square: "Square",
+    line: "Line",
+    diamond: "Diamond",
+    cross: "Cross",
+    custom: "Custom SVG Glyph"
+};
+
+export const SCREENINGS = {
+    am: "AM (Dot Grid)",
+    fm: "FM (Stochastic)"
+};
+
+// Shapes are sized to cover the same area as the round dot of the same tone
+const ELLIPSE_RATIO = 1.4;
+const SQUARE_HALF = Math.sqrt(Math.PI) / 2;
+const DIAMOND_HALF = Math.sqrt(Math.PI / 2);
+const CROSS_WIDTH = 0.35; // Bar half-width, in dot radii
+const CROSS_LENGTH = (Math.PI + 4 * CROSS_WIDTH * CROSS_WIDTH) / (8 * CROSS_WIDTH);
+
+const SPOT_SWEEPS = 8;
+const FM_NOISE_SIZE = 64;
+const FM_OFFSETS = [[0, 0], [23, 41], [47, 13], [11, 57]]; // Per ink, so the inks' FM dots don't stack
+
+// Older projects draw CMYK; other inks take the K, C, M, Y angles and dot gains in order
+const INK_ANGLES = ['angleK', 'angleC', 'angleM', 'angleY'];
+const INK_GAINS = [3, 0, 1, 2];
+
+// 5-point star, the CUSTOM shape until a glyph is loaded
+const DEFAULT_GLYPH = 'M0,-1 L0.2245,-0.309 L0.951,-0.309 L0.363,0.118 L0.588,0.809 L0,0.382 L-0.588,0.809 L-0.363,0.118 L-0.951,-0.309 L-0.2245,-0.309 Z';
+
+let inksTexture = { key: null, data: null };
+
 /**
- * HalftoneEffect - CMYK Offset Printing Effect
+ * HalftoneEffect - Offset Printing Effect (CMYK / mono / duotone / spot inks, AM or FM screens)
  */
 export const HalftoneEffect = {
     name: "OFFSET_PRINT",
     id: "halftone_v1",
-    description: "Simulate CMYK Offset Printing with adjustable dot size and angles.",
+    description: "Simulate offset printing: CMYK, mono, duotone or spot inks on AM dot screens (round, ellipse, square, line, diamond, cross or your own SVG glyph) or FM stochastic screens.",
 
     params: {
         enabled: false,
@@ -13,240 +62,775 @@ export const HalftoneEffect = {
         angleM: 75,
         angleY: 0,
         angleK: 45,
-        opacity: 0.8
+        opacity: 0.8,
+        inkMode: 'cmyk',
+        inkCount: 2, // Spot inks in use
+        ink1: '#000000',
+        ink2: '#e4002b',
+        ink3: '#0085ca',
+        ink4: '#ffcd00',
+        screening: 'am',
+        dotShape: 'round',
+        customGlyph: DEFAULT_GLYPH, // Path data fitted to [-1, 1]
+        fmSize: 2, // FM dot size (px)
+        separation: null, // SEPARATION_PRESETS key or 'custom'; null = Simple with no ink limit (the look before separations, so older saves render unchanged)
+        blackGeneration: 0.75,
+        blackStart: 0.15,
+        underColorRemoval: 1,
+        inkLimit: 300, // Total ink %, 400 = off
+        dotGainC: 0, // % at 50% tone
+        dotGainM: 0,
+        dotGainY: 0,
+        dotGainK: 0
     },
 
     getControls: (builder, params, onUpdate) => {
         const group = builder.createModuleGroup("CMYK HALFTONE", (enabled) => onUpdate('enabled', enabled), params.enabled, HalftoneEffect.description);
+        const options = (table) => Object.keys(table).map(k => ({ label: table[k], value: k }));
 
-        if (true) {
-            // Add controls for enabled state
-            group.addSlider("DOT SIZE", 1, 20, params.scale, 1, (v) => onUpdate('scale', v), "Size of the halftone dots (DPI).");
-            group.addSlider("OPACITY", 0, 1, params.opacity, 0.01, (v) => onUpdate('opacity', v), "Opacity of the halftone overlay.");
-            group.addSlider("ANGLE CYAN", 0, 90, params.angleC, 1, (v) => onUpdate('angleC', v), "Screen angle for Cyan channel.");
-            group.addSlider("ANGLE MAGENTA", 0, 90, params.angleM, 1, (v) => onUpdate('angleM', v), "Screen angle for Magenta channel.");
-            group.addSlider("ANGLE YELLOW", 0, 90, params.angleY, 1, (v) => onUpdate('angleY', v), "Screen angle for Yellow channel.");
-            group.addSlider("ANGLE BLACK", 0, 90, params.angleK, 1, (v) => onUpdate('angleK', v), "Screen angle for Black channel.");
-        }
-    },
+        group.addSlider("DOT SIZE", 1, 20, params.scale, 1, (v) => onUpdate('scale', v), "Size of the halftone dots (DPI).");
+        group.addSlider("OPACITY", 0, 1, params.opacity, 0.01, (v) => onUpdate('opacity', v), "Opacity of the halftone overlay.");
 
-    process: (ctx, width, height, params, scaleFactor = 1.0) => {
-        if (!params.enabled) return;
+        // --- Inks ---
+        let inkMode = params.inkMode || 'cmyk';
+        let inkCount = params.inkCount || 2;
+        const showInks = () => {
+            const shown = { cmyk: 0, mono: 1, duotone: 2, spot: inkCount }[inkMode];
+            sepDiv.style.display = inkMode === 'cmyk' ? 'block' : 'none';
+            spotDiv.style.display = inkMode === 'spot' ? 'block' : 'none';
+            inkDivs.forEach((div, i) => div.style.display = i < shown ? 'block' : 'none');
+        };
 
-        // 1. Get Source Data
-        const srcCanvas = document.createElement('canvas');
-        srcCanvas.width = width;
-        srcCanvas.height = height;
-        const sCtx = srcCanvas.getContext('2d');
-        sCtx.drawImage(ctx.canvas, 0, 0);
-        const imageData = sCtx.getImageData(0, 0, width, height);
-
-        // 2. Clear Destination
-        ctx.fillStyle = '#FFFFFF';
-        ctx.fillRect(0, 0, width, height);
-
-        ctx.globalCompositeOperation = 'multiply';
-
-        const channels = [
-            { color: '#00FFFF', angle: params.angleC, getVal: (r, g, b) => 255 - r },
-            { color: '#FF00FF', angle: params.angleM, getVal: (r, g, b) => 255 - g },
-            { color: '#FFFF00', angle: params.angleY, getVal: (r, g, b) => 255 - b },
-            { color: '#000000', angle: params.angleK, getVal: (r, g, b) => (255 - Math.max(r, g, b)) }
-        ];
+        group.addSelect("INKS", options(INK_MODES), inkMode, (v) => {
+            inkMode = v;
+            onUpdate('inkMode', v);
+            showInks();
+        }, "CMYK from the image colors; Mono prints darkness in Ink 1; Duotone adds Ink 2 over the whole range with Ink 1 in the shadows; Spot splits the image into the inks you pick.");
 
-        // Apply scaleFactor to the step for High-Res export consistency
-        const scaledStep = params.scale * scaleFactor;
-        const step = Math.max(2, scaledStep);
+        // CMYK separation (shared with the plate export)
+        const sepDiv = document.createElement('div');
+        sepDiv.className = 'sub-group_separation';
+        group.content.appendChild(sepDiv);
 
-        channels.forEach(ch => {
-            const layer = document.createElement('canvas');
-            layer.width = width;
-            layer.height = height;
-            const lCtx = layer.getContext('2d');
+        const customDiv = document.createElement('div');
+        const sepOptions = Object.keys(SEPARATION_PRESETS).map(k => ({ label: SEPARATION_PRESETS[k].name, value: k }));
+        sepOptions.push({ label: "Custom", value: 'custom' });
+        // No separation saved = the legacy look (Simple, no limit), shown as such until one is picked
+        let legacySeparation = !params.separation;
+        const leaveLegacy = () => {
+            if (!legacySeparation) return;
+            legacySeparation = false;
+            onUpdate('inkLimit', 400); // What the slider shows
+        };
+        builder.addSelect(sepDiv, "SEPARATION", sepOptions, params.separation || 'simple', (v) => {
+            leaveLegacy();
+            onUpdate('separation', v);
+            customDiv.style.display = v === 'custom' ? 'block' : 'none';
+        });
 
-            const rad = ch.angle * (Math.PI / 180);
-            const sin = Math.sin(rad);
-            const cos = Math.cos(rad);
+        customDiv.className = 'sub-group_separation_custom';
+        customDiv.style.display = params.separation === 'custom' ? 'block' : 'none';
+        sepDiv.appendChild(customDiv);
+        builder.addSlider(customDiv, "BLACK GENERATION (GCR)", 0, 1, params.blackGeneration, 0.05, (v) => onUpdate('blackGeneration', v), "Share of the gray component (the part C, M and Y have in common) printed with black.");
+        builder.addSlider(customDiv, "BLACK START", 0, 0.95, params.blackStart, 0.05, (v) => onUpdate('blackStart', v), "Gray level where black begins: higher keeps black to the shadows.");
+        builder.addSlider(customDiv, "UNDER-COLOR REMOVAL", 0, 1, params.underColorRemoval, 0.05, (v) => onUpdate('underColorRemoval', v), "How much C, M and Y are taken out under the black (0 = rich black on top of full CMY).");
+        builder.addSlider(sepDiv, "INK LIMIT %", 100, 400, legacySeparation ? 400 : (params.inkLimit ?? 300), 5, (v) => {
+            if (legacySeparation) {
+                leaveLegacy();
+                onUpdate('separation', 'simple');
+            }
+            onUpdate('inkLimit', v);
+        }, "Total ink coverage allowed (C + M + Y + K). 400 = no limit.");
 
-            const diag = Math.sqrt(width * width + height * height);
+        const spotDiv = document.createElement('div');
+        spotDiv.className = 'sub-group_spot';
+        group.content.appendChild(spotDiv);
+        builder.addSlider(spotDiv, "SPOT INKS", 1, 4, inkCount, 1, (v) => {
+            inkCount = v;
+            onUpdate('inkCount', v);
+            showInks();
+        }, "Number of spot inks.");
 
-            lCtx.fillStyle = ch.color;
-            lCtx.globalAlpha = params.opacity;
+        const inkDivs = [1, 2, 3, 4].map(n => {
+            const div = document.createElement('div');
+            div.className = 'sub-group_ink';
+            group.content.appendChild(div);
+            builder.addColor(div, `INK ${n}`, params[`ink${n}`], (v) => onUpdate(`ink${n}`, v));
+            return div;
+        });
+        showInks();
 
-            for (let y = -diag; y < diag; y += step) {
-                for (let x = -diag; x < diag; x += step) {
-                    const srcX = Math.floor(x * cos - y * sin + width / 2);
-                    const srcY = Math.floor(x * sin + y * cos + height / 2);
+        // --- Screen ---
+        const amDiv = document.createElement('div');
+        const fmDiv = document.createElement('div');
+        const glyphDiv = document.createElement('div');
 
-                    if (srcX >= 0 && srcX < width && srcY >= 0 && srcY < height) {
-                        const i = (srcY * width + srcX) * 4;
-                        const r = imageData.data[i];
-                        const g = imageData.data[i + 1];
-                        const b = imageData.data[i + 2];
+        group.addSelect("SCREENING", options(SCREENINGS), params.screening || 'am', (v) => {
+            onUpdate('screening', v);
+            amDiv.style.display = v === 'am' ? 'block' : 'none';
+            fmDiv.style.display = v === 'fm' ? 'block' : 'none';
+        }, "AM: a grid of dots that grow with the tone. FM: same-size dots scattered more densely in darker areas (blue noise, no moiré).");
 
-                        const val = ch.getVal(r, g, b);
+        amDiv.className = 'sub-group_am';
+        amDiv.style.display = params.screening === 'fm' ? 'none' : 'block';
+        group.content.appendChild(amDiv);
 
-                        if (val > 10) {
-                            const radius = (val / 255) * (step / 1.2);
+        builder.addSelect(amDiv, "DOT SHAPE", options(DOT_SHAPES), params.dotShape || 'round', (v) => {
+            onUpdate('dotShape', v);
+            glyphDiv.style.display = v === 'custom' ? 'block' : 'none';
+        });
 
-                            const drawX = x * cos - y * sin + width / 2;
-                            const drawY = x * sin + y * cos + height / 2;
+        glyphDiv.className = 'sub-group_glyph';
+        glyphDiv.style.display = params.dotShape === 'custom' ? 'block' : 'none';
+        amDiv.appendChild(glyphDiv);
+        builder.addDescription(glyphDiv, "Any SVG shape (path, polygon, circle, ellipse, rect) fitted to the dot; transforms and strokes are ignored.");
 
-                            lCtx.beginPath();
-                            lCtx.arc(drawX, drawY, radius, 0, Math.PI * 2);
-                            lCtx.fill();
-                        }
-                    }
-                }
+        const setGlyph = (source, from) => {
+            const path = normalizeGlyph(source);
+            if (!path || !glyphMask(path)) {
+                alert(`No fillable shape found in ${from}. Use <path>, <polygon>, <circle>, <ellipse> or <rect>.`);
+                return;
+            }
+            onUpdate('customGlyph', path);
+        };
+        builder.addButton(glyphDiv, "LOAD SVG GLYPH", () => {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = '.svg,image/svg+xml';
+            input.onchange = async (e) => {
+                const file = e.target.files[0];
+                if (file) setGlyph(await file.text(), `"${file.name}"`);
+            };
+            input.click();
+        });
+        builder.addButton(glyphDiv, "EDIT GLYPH PATH", () => {
+            const source = prompt("SVG path data (or <svg> markup) for the dot:", params.customGlyph || DEFAULT_GLYPH);
+            if (source !== null) setGlyph(source, "that path");
+        });
+
+        builder.addSlider(amDiv, "ANGLE CYAN / INK 2", 0, 90, params.angleC, 1, (v) => onUpdate('angleC', v), "Screen angle for Cyan (or the second ink).");
+        builder.addSlider(amDiv, "ANGLE MAGENTA / INK 3", 0, 90, params.angleM, 1, (v) => onUpdate('angleM', v), "Screen angle for Magenta (or the third ink).");
+        builder.addSlider(amDiv, "ANGLE YELLOW / INK 4", 0, 90, params.angleY, 1, (v) => onUpdate('angleY', v), "Screen angle for Yellow (or the fourth ink).");
+        builder.addSlider(amDiv, "ANGLE BLACK / INK 1", 0, 90, params.angleK, 1, (v) => onUpdate('angleK', v), "Screen angle for Black (or the first ink).");
+
+        fmDiv.className = 'sub-group_fm';
+        fmDiv.style.display = params.screening === 'fm' ? 'block' : 'none';
+        group.content.appendChild(fmDiv);
+        builder.addSlider(fmDiv, "FM DOT SIZE", 1, 8, params.fmSize || 2, 1, (v) => onUpdate('fmSize', v), "Size of the stochastic dots in pixels.");
+
+        group.addSlider("DOT GAIN CYAN / INK 2", 0, 40, params.dotGainC || 0, 1, (v) => onUpdate('dotGainC', v), "How much the printed dot grows at 50% tone (%).");
+        group.addSlider("DOT GAIN MAGENTA / INK 3", 0, 40, params.dotGainM || 0, 1, (v) => onUpdate('dotGainM', v), "How much the printed dot grows at 50% tone (%).");
+        group.addSlider("DOT GAIN YELLOW / INK 4", 0, 40, params.dotGainY || 0, 1, (v) => onUpdate('dotGainY', v), "How much the printed dot grows at 50% tone (%).");
+        group.addSlider("DOT GAIN BLACK / INK 1", 0, 40, params.dotGainK || 0, 1, (v) => onUpdate('dotGainK', v), "How much the printed dot grows at 50% tone (%).");
+
+        return group;
+    },
+
+    process: (ctx, width, height, params, scaleFactor = 1.0, env = {}) => {
+        if (!params.enabled) return;
+        processContext(ctx, width, height, (buf) => HalftoneEffect.apply(buf, params, scaleFactor, env));
+    },
+
+    // Any dot shape stays within 1.5 grid steps of its center (plus the 1px feather); FM reads its cell's center
+    tileMargin: (params, scaleFactor = 1.0) => Math.max(Math.max(2, params.scale * scaleFactor) * 1.5, (params.fmSize || 2) * scaleFactor) + 2,
+
+    /**
+     * Rasterize the ink screens on a plain RGBA buffer (in place).
+     * Each ink is drawn as anti-aliased dots (AM) or blue-noise dots (FM) on its own coverage layer,
+     * then multiplied onto white paper.
+     * The screen grid is laid out on the full image (env.tile), so tiles line up.
+     */
+    apply: (buf, params, scaleFactor = 1.0, env = {}) => {
+        if (!params.enabled) return;
+
+        const width = buf.width;
+        const height = buf.height;
+        const data = buf.data;
+        const top = env.tile ? env.tile.top : 0;
+        const fullHeight = env.tile ? env.tile.height : height;
+
+        // 1. Get Source Data
+        const src = new Uint8ClampedArray(data);
+
+        // 2. Clear Destination (Paper)
+        data.fill(255);
+
+        const inks = inkSet(params);
+        const layer = new Float32Array(width * height); // Ink coverage 0-1
+
+        inks.list.forEach((ink, index) => {
+            screenInk(layer, src, width, height, top, fullHeight, params, scaleFactor, inks, index, params.opacity);
+
+            // Multiply the ink layer onto the paper
+            const [ir, ig, ib] = ink.rgb;
+            for (let p = 0, i = 0; p < layer.length; p++, i += 4) {
+                const a = layer[p];
+                if (a === 0) continue;
+                if (ir < 1) data[i] = data[i] * (1 - a * (1 - ir));
+                if (ig < 1) data[i + 1] = data[i + 1] * (1 - a * (1 - ig));
+                if (ib < 1) data[i + 2] = data[i + 2] * (1 - a * (1 - ib));
             }
-            ctx.drawImage(layer, 0, 0);
         });
+    },
 
-        ctx.globalCompositeOperation = 'source-over';
+    /**
+     * Each ink's screen at full strength as a 1-bit plate, for print output (separated values, no simulated dot gain).
+     * @param {Object} buf - { data, width, height }: the image the slot screens (left unchanged)
+     * @returns {Array} [{ name, color: '#hex', angle (null for FM), step: screen period or FM dot (px), mask: Uint8Array 1 = ink }]
+     */
+    screenPlates: (buf, params, scaleFactor = 1.0, env = {}) => {
+        const { width, height, data } = buf;
+        const top = env.tile ? env.tile.top : 0;
+        const fullHeight = env.tile ? env.tile.height : height;
+        const inks = inkSet(params, false);
+        const layer = new Float32Array(width * height);
+        const fm = params.screening === 'fm';
+
+        return inks.list.map((ink, index) => {
+            screenInk(layer, data, width, height, top, fullHeight, params, scaleFactor, inks, index, 1);
+            const mask = new Uint8Array(width * height);
+            for (let p = 0; p < mask.length; p++) mask[p] = layer[p] >= 0.5 ? 1 : 0;
+            return {
+                name: inks.mode === 'cmyk' ? PLATE_NAMES[index] : `Ink ${index + 1}`,
+                color: '#' + ink.rgb.map(v => Math.round(v * 255).toString(16).padStart(2, '0')).join(''),
+                angle: fm ? null : ink.angle,
+                step: fm ? Math.max(1, (params.fmSize || 2) * scaleFactor) : Math.max(2, params.scale * scaleFactor),
+                mask
+            };
+        });
+    },
+
+    /**
+     * Each ink's screen as vector shapes at full strength, without dot gain like screenPlates (see VectorExporter for the shape format).
+     * AM dots come out as outlines of the dot shape; FM screens as their 1-bit mask, for the caller to trace.
+     * @returns {Array} [{ name, color, angle, step, process: [c, m, y, k] (CMYK inks) or null, shapes | mask }]
+     */
+    vectorPlates: (buf, params, scaleFactor = 1.0, env = {}) => {
+        const inks = inkSet(params, false);
+        const process = (index) => inks.mode === 'cmyk' ? [0, 1, 2, 3].map(k => k === index ? 1 : 0) : null;
+        if (params.screening === 'fm') {
+            return HalftoneEffect.screenPlates(buf, params, scaleFactor, env).map((plate, index) => ({ ...plate, process: process(index) }));
+        }
+
+        const { width, height, data } = buf;
+        const top = env.tile ? env.tile.top : 0;
+        const fullHeight = env.tile ? env.tile.height : height;
+        const dot = dotSettings(params);
+        const glyph = dot.shape === 'custom' ? glyphPolygons(params.customGlyph || DEFAULT_GLYPH) : null;
+
+        return inks.list.map((ink, index) => {
+            const shapes = [];
+            amDots(data, width, height, top, fullHeight, params, scaleFactor, inks, index, (x, y, radius, step, sin, cos) => {
+                shapes.push(dotOutline(dot, glyph, x, y, radius, step, sin, cos));
+            });
+            return {
+                name: inks.mode === 'cmyk' ? PLATE_NAMES[index] : `Ink ${index + 1}`,
+                color: '#' + ink.rgb.map(v => Math.round(v * 255).toString(16).padStart(2, '0')).join(''),
+                angle: ink.angle,
+                step: Math.max(2, params.scale * scaleFactor),
+                process: process(index),
+                shapes
+            };
+        });
     },
 
     // --- GPU Support ---
+    // Same screens as apply: per pixel, the 3x3 nearest grid dots of each ink (AM) or its blue-noise cell (FM)
+    // u_image holds image row 0 first, whether uploaded or chained from a previous pass (WebGLManager.chainPass)
     shaderSource: `#version 300 es
-    precision mediump float;
-    
-    in vec2 v_uv;
+    precision highp float;
+    precision highp int;
+
     uniform sampler2D u_image;
+    uniform sampler2D u_inks;  // Per ink: rgb 0-1, screen angle (degrees)
+    uniform sampler2D u_glyph; // Custom shape coverage, ${GLYPH_SIZE}x${GLYPH_SIZE}
+    uniform sampler2D u_noise; // FM thresholds, ${FM_NOISE_SIZE}x${FM_NOISE_SIZE}
     uniform vec2 u_resolution;
-    uniform float u_scale;
+    uniform float u_step;
     uniform float u_opacity;
-    uniform vec4 u_angles; // C, M, Y, K angles in degrees
-
+    uniform int u_mode;        // INK_MODES order
+    uniform int u_inkCount;
+    uniform int u_shape;       // DOT_SHAPES order
+    uniform float u_glyphScale;
+    uniform int u_fm;
+    uniform float u_fmCell;
+    uniform vec4 u_gain;       // Dot gain per ink
+${SEPARATION_GLSL}
     out vec4 outColor;
 
-    #define PI 3.14159265359
+    const float PI = 3.14159265359;
+    const ivec2 FM_OFFSETS[4] = ivec2[4](${FM_OFFSETS.map(o => `ivec2(${o[0]}, ${o[1]})`).join(', ')});
 
-    float pattern(vec2 uv, float angle, float scale) {
-        float rad = radians(angle);
-        float s = sin(rad);
-        float c = cos(rad);
-        vec2 point = vec2(
-            uv.x * c - uv.y * s,
-            uv.x * s + uv.y * c
-        ) * scale;
-        return (sin(point.x) * sin(point.y)) * 4.0; 
-    }
-    
-    // Improved Dot Screen Function
-    float dotScreen(vec2 uv, float angle, float scale) {
-        float rad = radians(angle);
+    vec3 inkDensity[4];
+    float inkNorm[4];
+
+    float density(float v) { return -log(max(v, 1.0) / 255.0); }
+
+    // Plate amounts 0-255 for a source color 0-255
+    vec4 plateValues(vec3 c) {
+        if (u_mode == 0) return separateCmyk(c);
+        float d = 255.0 - (0.299 * c.r + 0.587 * c.g + 0.114 * c.b);
+        if (u_mode == 1) return vec4(d, 0.0, 0.0, 0.0);
+        if (u_mode == 2) return vec4(max(0.0, 2.0 * d - 255.0), d, 0.0, 0.0);
+
+        // Spot: nonnegative least squares in optical density, by coordinate descent
+        vec3 res = -vec3(density(c.r), density(c.g), density(c.b));
+        vec4 v = vec4(0.0);
+        for (int s = 0; s < ${SPOT_SWEEPS}; s++) {
+            for (int i = 0; i < 4; i++) {
+                if (i >= u_inkCount) break;
+                if (inkNorm[i] <= 0.0) continue;
+                float nv = clamp(v[i] - dot(res, inkDensity[i]) / inkNorm[i], 0.0, 1.0);
+                res += (nv - v[i]) * inkDensity[i];
+                v[i] = nv;
+            }
+        }
+        return v * 255.0;
+    }
+
+    // Printed amounts (after dot gain) at a source pixel
+    vec4 inkValuesAt(ivec2 p) {
+        vec4 v = plateValues(floor(texelFetch(u_image, p, 0).rgb * 255.0 + 0.5));
+        return vec4(dotGain(v.x, u_gain.x), dotGain(v.y, u_gain.y), dotGain(v.z, u_gain.z), dotGain(v.w, u_gain.w));
+    }
+
+    float boxDistance(vec2 p, vec2 h) {
+        vec2 q = abs(p) - h;
+        return length(max(q, 0.0)) + min(max(q.x, q.y), 0.0);
+    }
+
+    float glyphAt(ivec2 t) {
+        if (any(lessThan(t, ivec2(0))) || any(greaterThanEqual(t, ivec2(${GLYPH_SIZE})))) return 0.0;
+        return texelFetch(u_glyph, t, 0).r;
+    }
+
+    // Coverage of a dot of radius r at p (in the screen's frame, relative to the dot center)
+    float coverage(vec2 p, float r) {
+        float d;
+        if (u_shape == 0) {
+            d = length(p) - r;
+        } else if (u_shape == 1) {
+            vec2 ab = vec2(r * ${ELLIPSE_RATIO.toFixed(6)}, r / ${ELLIPSE_RATIO.toFixed(6)});
+            float k0 = length(p / ab);
+            float k1 = length(p / (ab * ab));
+            d = k1 > 0.0 ? k0 * (k0 - 1.0) / k1 : -ab.y;
+        } else if (u_shape == 2) {
+            d = boxDistance(p, vec2(r * ${SQUARE_HALF.toFixed(6)}));
+        } else if (u_shape == 3) {
+            d = boxDistance(p, vec2(u_step * 0.5 + 0.5, PI * r * r / (2.0 * u_step)));
+        } else if (u_shape == 4) {
+            d = (abs(p.x) + abs(p.y) - r * ${DIAMOND_HALF.toFixed(6)}) * 0.70710678;
+        } else if (u_shape == 5) {
+            vec2 bar = vec2(${CROSS_LENGTH.toFixed(6)}, ${CROSS_WIDTH.toFixed(6)}) * r;
+            d = min(boxDistance(p, bar), boxDistance(p, bar.yx));
+        } else {
+            float s = min(u_step, r * u_glyphScale);
+            vec2 g = (p / s + 1.0) * ${(GLYPH_SIZE / 2).toFixed(1)} - 0.5;
+            vec2 f = floor(g);
+            vec2 t = g - f;
+            ivec2 i = ivec2(f);
+            return mix(mix(glyphAt(i), glyphAt(i + ivec2(1, 0)), t.x), mix(glyphAt(i + ivec2(0, 1)), glyphAt(i + ivec2(1, 1)), t.x), t.y);
+        }
+        return clamp(0.5 - d, 0.0, 1.0);
+    }
+
+    float amLayer(vec2 pos, int ink, float angle) {
+        ivec2 full = ivec2(u_resolution + 0.5);
+        float rad = angle * (PI / 180.0);
         float s = sin(rad);
         float c = cos(rad);
-        vec2 p = (uv * u_resolution) - (u_resolution * 0.5); // Center
-        
-        // Rotate
-        vec2 r = vec2(
-            p.x * c - p.y * s,
-            p.x * s + p.y * c
-        );
-        
-        // Grid Cells
-        vec2 nearest = floor(r / scale) * scale;
-        vec2 dist = r - nearest; // -scale to scale? no 0 to scale
-        vec2 center = vec2(scale * 0.5);
-        
-        // We need to sample color at the NEAREST grid center, but mapped back to UV
-        vec2 unrotNearest = vec2(
-            nearest.x * c + nearest.y * s,
-             -nearest.x * s + nearest.y * c
-        );
-        vec2 samplePos = (unrotNearest + (u_resolution * 0.5)) / u_resolution;
-        
-        // Fix edges
-        // samplePos = clamp(samplePos, 0.0, 1.0); // No, repeat 
-        
-        vec4 color = texture(u_image, samplePos);
-        
-        // Return channel intensity
-        return 0.0; // Placeholder, logic below is cleaner
-    }
-
-    // Standard CMYK Halftone Shader Logic
-    const vec2 center = vec2(0.5, 0.5);
-    
-    // Rotate 2D vector
-    vec2 rotate(vec2 v, float a) {
-        float s = sin(radians(a));
-        float c = cos(radians(a));
-        mat2 m = mat2(c, -s, s, c);
-        return m * v;
+        vec2 mid = 0.5 * u_resolution;
+        float diag = length(u_resolution);
+
+        // Nearest grid dot (grid coordinates are -diag + n * step, rotated about the image center)
+        vec2 o = pos - mid;
+        vec2 n = floor((vec2(o.x * c + o.y * s, -o.x * s + o.y * c) + diag) / u_step + 0.5);
+
+        float layer = 0.0;
+        for (int j = -1; j <= 1; j++) {
+            for (int i = -1; i <= 1; i++) {
+                vec2 g = (n + vec2(i, j)) * u_step - diag;
+                vec2 center = vec2(g.x * c - g.y * s, g.x * s + g.y * c) + mid;
+                ivec2 src = ivec2(floor(center));
+                if (any(lessThan(src, ivec2(0))) || any(greaterThanEqual(src, full))) continue;
+
+                vec4 values = inkValuesAt(src);
+                float val = values[ink];
+                if (val <= 10.0) continue;
+                float r = (val / 255.0) * (u_step / 1.2);
+                vec2 d = pos - center;
+                float cov = coverage(vec2(d.x * c + d.y * s, -d.x * s + d.y * c), r);
+                layer = 1.0 - (1.0 - layer) * (1.0 - cov * u_opacity);
+            }
+        }
+        return layer;
+    }
+
+    float fmLayer(ivec2 px, int ink) {
+        ivec2 full = ivec2(u_resolution + 0.5);
+        vec2 cell = floor(vec2(px) / u_fmCell);
+        ivec2 src = min(full - 1, ivec2(floor((cell + 0.5) * u_fmCell)));
+        vec4 values = inkValuesAt(src);
+        float val = values[ink] / 255.0;
+        ivec2 t = (ivec2(cell) + FM_OFFSETS[ink]) & ${FM_NOISE_SIZE - 1};
+        return val > texelFetch(u_noise, t, 0).r ? u_opacity : 0.0;
     }
 
     void main() {
-        vec4 color = texture(u_image, v_uv); // Current Pixel
-        
-        // CMYK Conversion
-        float k = 1.0 - max(max(color.r, color.g), color.b);
-        float c = (1.0 - color.r - k) / (1.0 - k);
-        float m = (1.0 - color.g - k) / (1.0 - k);
-        float y = (1.0 - color.b - k) / (1.0 - k);
-        
-        // Safety for pure black
-        if (1.0 - k < 0.001) { c=0.0; m=0.0; y=0.0; }
-
-        // Raster Pattern
-        // Use fragCoord for pixel-perfect grids
-        vec2 p = gl_FragCoord.xy; 
-        
-        float scale = max(2.0, u_scale); // Dot size in pixels
-        
-        // We evaluate Sine Dot Pattern: sin(x)*sin(y) > val means dot
-        // Or Distance Field: length(fract(uv)-0.5) < val
-        
-        // Distance field approach gives cleaner dots
-        
-        // Process Cyan
-        vec2 pC = rotate(p, u_angles.x);
-        vec2 gridC = fract(pC / scale) - 0.5;
-        float distC = length(gridC) * 2.0; // 0 to 1.414
-        float dotC = (distC < (c * 0.9)) ? 1.0 : 0.0; // 0.9 to avoid touching
-        
-        // Process Magenta
-        vec2 pM = rotate(p, u_angles.y);
-        vec2 gridM = fract(pM / scale) - 0.5;
-        float distM = length(gridM) * 2.0;
-        float dotM = (distM < (m * 0.9)) ? 1.0 : 0.0;
-
-        // Process Yellow
-        vec2 pY = rotate(p, u_angles.z);
-        vec2 gridY = fract(pY / scale) - 0.5;
-        float distY = length(gridY) * 2.0;
-        float dotY = (distY < (y * 0.9)) ? 1.0 : 0.0;
-        
-        // Process Black
-        vec2 pK = rotate(p, u_angles.w);
-        vec2 gridK = fract(pK / scale) - 0.5;
-        float distK = length(gridK) * 2.0;
-        float dotK = (distK < (k * 0.9)) ? 1.0 : 0.0;
-
-        // Mix (Multiply)
-        // Paper is white
-        vec3 final = vec3(1.0);
-        
-        // Mix Cyan (0,1,1)
-        if (dotC > 0.5) final *= vec3(0.0, 1.0, 1.0); 
-        // Mix Magenta (1,0,1)
-        if (dotM > 0.5) final *= vec3(1.0, 0.0, 1.0);
-        // Mix Yellow (1,1,0)
-        if (dotY > 0.5) final *= vec3(1.0, 1.0, 0.0);
-        // Mix Black (0,0,0)
-        if (dotK > 0.5) final *= vec3(0.0, 0.0, 0.0);
-        
-        // Opacity blend
-        vec4 original = texture(u_image, v_uv);
-        outColor = mix(original, vec4(final, 1.0), u_opacity);
+        ivec2 full = ivec2(u_resolution + 0.5);
+        ivec2 px = ivec2(int(gl_FragCoord.x), full.y - 1 - int(gl_FragCoord.y));
+        vec2 pos = vec2(px) + 0.5;
+
+        for (int i = 0; i < 4; i++) {
+            vec3 ink = texelFetch(u_inks, ivec2(i, 0), 0).rgb * 255.0;
+            inkDensity[i] = vec3(density(ink.r), density(ink.g), density(ink.b));
+            inkNorm[i] = dot(inkDensity[i], inkDensity[i]);
+        }
+
+        // Paper, multiplied by each ink layer (rounded per ink like the byte buffer)
+        vec3 paper = vec3(255.0);
+        for (int i = 0; i < 4; i++) {
+            if (i >= u_inkCount) break;
+            vec4 ink = texelFetch(u_inks, ivec2(i, 0), 0);
+            float layer = u_fm == 1 ? fmLayer(px, i) : amLayer(pos, i, ink.a);
+            paper = floor(paper * (1.0 - layer * (1.0 - ink.rgb)) + 0.5);
+        }
+        outColor = vec4(paper / 255.0, 1.0);
     }`,
 
     getUniforms: (params, width, height, scaleFactor = 1.0) => {
+        const inks = inkSet(params);
+        const dot = dotSettings(params);
         return {
             u_resolution: [width, height],
-            u_scale: params.scale * scaleFactor,
+            u_step: Math.max(2, params.scale * scaleFactor),
             u_opacity: params.opacity,
-            u_angles: [params.angleC, params.angleM, params.angleY, params.angleK]
+            u_mode: Object.keys(INK_MODES).indexOf(inks.mode),
+            u_inkCount: inks.list.length,
+            u_shape: Object.keys(DOT_SHAPES).indexOf(dot.shape),
+            u_glyphScale: dot.glyphScale,
+            u_fm: params.screening === 'fm' ? 1 : 0,
+            u_fmCell: Math.max(1, (params.fmSize || 2) * scaleFactor),
+            u_gain: [0, 1, 2, 3].map(i => inks.list[i] ? inks.list[i].gain : 0),
+            u_separation: separationUniform(inks.separation)
         };
+    },
+
+    getTextures: (params) => {
+        const inks = inkSet(params);
+        const key = inks.list.map(ink => [...ink.rgb, ink.angle].join(',')).join('|');
+        if (inksTexture.key !== key) {
+            const data = new Float32Array(16);
+            inks.list.forEach((ink, i) => data.set([...ink.rgb, ink.angle], i * 4));
+            inksTexture = { key, data };
+        }
+        const textures = { u_inks: { unit: 1, data: inksTexture.data, width: 4, height: 1, channels: 4 } };
+
+        const dot = dotSettings(params);
+        if (dot.glyph) textures.u_glyph = { unit: 2, data: dot.glyph.mask, width: GLYPH_SIZE, height: GLYPH_SIZE, channels: 1 };
+        if (params.screening === 'fm') textures.u_noise = { unit: 3, data: blueNoiseMap(FM_NOISE_SIZE), width: FM_NOISE_SIZE, height: FM_NOISE_SIZE, channels: 1 };
+        return textures;
     }
 };
+
+/**
+ * Inks to print, in order: { mode, separation, list: [{ rgb: [0-1 x3], angle, gain, density, norm }] }.
+ * density / norm (optical density of the ink and its squared length) drive the spot split.
+ */
+/**
+ * @param {boolean} applyGain - false for print output (plates, vectors): the press adds the dot gain itself
+ */
+function inkSet(params, applyGain = true) {
+    const mode = INK_MODES[params.inkMode] ? params.inkMode : 'cmyk';
+    const separation = separationSettings(params);
+    let list;
+    if (mode === 'cmyk') {
+        list = [
+            { rgb: [0, 1, 1], angle: params.angleC, gain: separation.gain[0] },
+            { rgb: [1, 0, 1], angle: params.angleM, gain: separation.gain[1] },
+            { rgb: [1, 1, 0], angle: params.angleY, gain: separation.gain[2] },
+            { rgb: [0, 0, 0], angle: params.angleK, gain: separation.gain[3] }
+        ];
+    } else {
+        const count = mode === 'mono' ? 1 : (mode === 'duotone' ? 2 : Math.max(1, Math.min(4, params.inkCount || 1)));
+        list = [];
+        for (let i = 0; i < count; i++) {
+            const rgb = hexToRgb(params[`ink${i + 1}`] || '#000000');
+            list.push({ rgb: rgb.map(v => v / 255), angle: params[INK_ANGLES[i]], gain: separation.gain[INK_GAINS[i]] });
+        }
+    }
+    list.forEach(ink => {
+        ink.density = ink.rgb.map(v => density(v * 255));
+        ink.norm = ink.density.reduce((s, d) => s + d * d, 0);
+    });
+    return { mode, separation, list, applyGain };
+}
+
+function density(v) {
+    return -Math.log(Math.max(v, 1) / 255);
+}
+
+/**
+ * Printed ink amounts (0-255, after dot gain unless the set skips it) for a source color, one per ink of the set, into out.
+ */
+function inkValues(inks, r, g, b, out) {
+    if (inks.mode === 'cmyk') {
+        separateCmyk(r, g, b, inks.separation, out);
+    } else {
+        const d = 255 - (0.299 * r + 0.587 * g + 0.114 * b);
+        if (inks.mode === 'mono') {
+            out[0] = d;
+        } else if (inks.mode === 'duotone') {
+            out[0] = Math.max(0, 2 * d - 255); // Dark ink: shadows only
+            out[1] = d;
+        } else {
+            spotValues(inks.list, r, g, b, out);
+        }
+    }
+    if (!inks.applyGain) return;
+    for (let i = 0; i < inks.list.length; i++) out[i] = dotGain(out[i], inks.list[i].gain);
+}
+
+/**
+ * Spot split: ink amounts v (0-1) whose summed optical densities best match the color's,
+ * nonnegative least squares solved by a few coordinate descent sweeps.
+ */
+function spotValues(list, r, g, b, out) {
+    const res = [-density(r), -density(g), -density(b)]; // Sum(v * ink density) - color density
+    for (let i = 0; i < list.length; i++) out[i] = 0;
+    for (let s = 0; s < SPOT_SWEEPS; s++) {
+        for (let i = 0; i < list.length; i++) {
+            const D = list[i].density, norm = list[i].norm;
+            if (norm <= 0) continue;
+            const v = Math.min(1, Math.max(0, out[i] - (res[0] * D[0] + res[1] * D[1] + res[2] * D[2]) / norm));
+            const dv = v - out[i];
+            res[0] += dv * D[0];
+            res[1] += dv * D[1];
+            res[2] += dv * D[2];
+            out[i] = v;
+        }
+    }
+    for (let i = 0; i < list.length; i++) out[i] *= 255;
+}
+
+/**
+ * { shape, glyph, glyphScale }: CUSTOM falls back to round when its path has nothing to fill.
+ * glyphScale turns a dot radius into the glyph's half-size at the same inked area.
+ */
+function dotSettings(params) {
+    const shape = DOT_SHAPES[params.dotShape] ? params.dotShape : 'round';
+    if (shape !== 'custom') return { shape, glyph: null, glyphScale: 1 };
+    const glyph = glyphMask(params.customGlyph || DEFAULT_GLYPH);
+    if (!glyph) return { shape: 'round', glyph: null, glyphScale: 1 };
+    return { shape, glyph, glyphScale: Math.sqrt(Math.PI / (4 * glyph.fill)) };
+}
+
+/**
+ * Draw one ink's screen (AM dots or FM cells) on a coverage layer, `alpha` per dot.
+ * Rows are buffer rows; top / fullHeight place the screen on the full image.
+ */
+function screenInk(layer, src, width, height, top, fullHeight, params, scaleFactor, inks, index, alpha) {
+    layer.fill(0);
+
+    const dot = dotSettings(params);
+
+    if (params.screening === 'fm') {
+        fmScreen(layer, src, width, height, top, fullHeight, Math.max(1, (params.fmSize || 2) * scaleFactor), inks, index, alpha);
+    } else {
+        amDots(src, width, height, top, fullHeight, params, scaleFactor, inks, index, (x, y, radius, step, sin, cos) => {
+            fillDot(layer, width, height, x, y, radius, alpha, dot, step, sin, cos);
+        });
+    }
+}
+
+/**
+ * Walk one ink's AM screen: every grid dot whose center falls in the buffer and carries ink,
+ * as draw(x, y, radius, step, sin, cos) in buffer pixels.
+ */
+function amDots(src, width, height, top, fullHeight, params, scaleFactor, inks, index, draw) {
+    // Apply scaleFactor to the step for High-Res export consistency
+    const scaledStep = params.scale * scaleFactor;
+    const step = Math.max(2, scaledStep);
+    const values = new Float32Array(4);
+
+    const rad = inks.list[index].angle * (Math.PI / 180);
+    const sin = Math.sin(rad);
+    const cos = Math.cos(rad);
+
+    const diag = Math.sqrt(width * width + fullHeight * fullHeight);
+    const grid = [];
+    for (let v = -diag; v < diag; v += step) grid.push(v);
+
+    for (const y of grid) {
+        // Only the stretch of this grid row that crosses the buffer (tiles are thin)
+        const base = y * cos + fullHeight / 2 - top;
+        let i0 = 0, i1 = grid.length;
+        if (Math.abs(sin) > 1e-6) {
+            const a = -base / sin, b = (height - base) / sin;
+            i0 = Math.max(0, Math.floor((Math.min(a, b) + diag) / step) - 2);
+            i1 = Math.min(grid.length, Math.ceil((Math.max(a, b) + diag) / step) + 2);
+        } else if (base < -1 || base > height + 1) {
+            continue;
+        }
+
+        for (let n = i0; n < i1; n++) {
+            const x = grid[n];
+            const drawX = x * cos - y * sin + width / 2;
+            const drawY = x * sin + y * cos + fullHeight / 2 - top; // Buffer rows
+            const srcX = Math.floor(drawX);
+            const srcY = Math.floor(drawY);
+
+            if (srcX >= 0 && srcX < width && srcY >= 0 && srcY < height) {
+                const i = (srcY * width + srcX) * 4;
+                inkValues(inks, src[i], src[i + 1], src[i + 2], values);
+                const val = values[index];
+
+                if (val > 10) {
+                    const radius = (val / 255) * (step / 1.2);
+                    draw(drawX, drawY, radius, step, sin, cos);
+                }
+            }
+        }
+    }
+}
+
+/**
+ * FM screen: one dot per cell, inked when the cell's tone beats its blue-noise threshold.
+ * Cells are counted on the full image (rows from env.tile), so tiles line up.
+ */
+function fmScreen(layer, src, width, height, top, fullHeight, cell, inks, index, alpha) {
+    const noise = blueNoiseMap(FM_NOISE_SIZE);
+    const mask = FM_NOISE_SIZE - 1;
+    const [ox, oy] = FM_OFFSETS[index];
+    const values = new Float32Array(4);
+
+    for (let py = 0; py < height; py++) {
+        const cy = Math.floor((py + top) / cell);
+        const sy = Math.max(0, Math.min(height - 1, Math.min(fullHeight - 1, Math.floor((cy + 0.5) * cell)) - top));
+        const row = ((cy + oy) & mask) * FM_NOISE_SIZE;
+        let lastCx = -1, val = 0;
+        for (let px = 0; px < width; px++) {
+            const cx = Math.floor(px / cell);
+            if (cx !== lastCx) {
+                const i = (sy * width + Math.min(width - 1, Math.floor((cx + 0.5) * cell))) * 4;
+                inkValues(inks, src[i], src[i + 1], src[i + 2], values);
+                val = values[index] / 255;
+                lastCx = cx;
+            }
+            if (val > noise[row + ((cx + ox) & mask)]) layer[py * width + px] = alpha;
+        }
+    }
+}
+
+function boxDistance(u, v, hx, hy) {
+    const qx = Math.abs(u) - hx, qy = Math.abs(v) - hy;
+    return Math.hypot(Math.max(qx, 0), Math.max(qy, 0)) + Math.min(Math.max(qx, qy), 0);
+}
+
+function glyphCoverage(glyph, u, v, s) {
+    const n = glyph.size;
+    const gx = (u / s + 1) * n / 2 - 0.5, gy = (v / s + 1) * n / 2 - 0.5;
+    const x0 = Math.floor(gx), y0 = Math.floor(gy);
+    const tx = gx - x0, ty = gy - y0;
+    const at = (x, y) => (x < 0 || y < 0 || x >= n || y >= n) ? 0 : glyph.mask[y * n + x];
+    const a = at(x0, y0) + (at(x0 + 1, y0) - at(x0, y0)) * tx;
+    const b = at(x0, y0 + 1) + (at(x0 + 1, y0 + 1) - at(x0, y0 + 1)) * tx;
+    return a + (b - a) * ty;
+}
+
+/**
+ * Anti-aliased dot on a coverage layer (source-over accumulation, like canvas fill with globalAlpha).
+ * Shapes other than round are laid along the screen's rotation (sin / cos).
+ */
+function fillDot(layer, width, height, cx, cy, radius, alpha, dot, step, sin, cos) {
+    const lineHalf = Math.PI * radius * radius / (2 * step);
+    const glyphHalf = Math.min(step, radius * dot.glyphScale);
+    const reach = {
+        round: radius,
+        ellipse: radius * ELLIPSE_RATIO,
+        square: radius * SQUARE_HALF * Math.SQRT2,
+        line: Math.hypot(step / 2 + 0.5, lineHalf),
+        diamond: radius * DIAMOND_HALF,
+        cross: radius * Math.hypot(CROSS_LENGTH, CROSS_WIDTH),
+        custom: glyphHalf * Math.SQRT2
+    }[dot.shape];
+
+    const x0 = Math.max(0, Math.floor(cx - reach - 1));
+    const x1 = Math.min(width - 1, Math.ceil(cx + reach + 1));
+    const y0 = Math.max(0, Math.floor(cy - reach - 1));
+    const y1 = Math.min(height - 1, Math.ceil(cy + reach + 1));
+
+    for (let py = y0; py <= y1; py++) {
+        const dy = py + 0.5 - cy;
+        for (let px = x0; px <= x1; px++) {
+            const dx = px + 0.5 - cx;
+            let cov;
+            if (dot.shape === 'round') {
+                // Coverage from distance to the edge (1px feather)
+                cov = radius - Math.sqrt(dx * dx + dy * dy) + 0.5;
+            } else {
+                const u = dx * cos + dy * sin, v = -dx * sin + dy * cos;
+                cov = dot.shape === 'custom' ? glyphCoverage(dot.glyph, u, v, glyphHalf) : 0.5 - shapeDistance(dot.shape, u, v, radius, step, lineHalf);
+            }
+            if (cov <= 0) continue;
+            if (cov > 1) cov = 1;
+            const idx = py * width + px;
+            layer[idx] = 1 - (1 - layer[idx]) * (1 - cov * alpha);
+        }
+    }
+}
+
+/**
+ * Vector outline of one dot, the same size and rotation fillDot draws.
+ * Lines stop at the cell edge (fillDot overlaps the next dot by half a pixel to hide the seam).
+ */
+function dotOutline(dot, glyph, cx, cy, radius, step, sin, cos) {
+    if (dot.shape === 'round') return { type: 'ellipse', cx, cy, rx: radius, ry: radius, angle: 0 };
+    if (dot.shape === 'ellipse') {
+        return { type: 'ellipse', cx, cy, rx: radius * ELLIPSE_RATIO, ry: radius / ELLIPSE_RATIO, angle: Math.atan2(sin, cos) * 180 / Math.PI };
+    }
+
+    // Outlines in screen axes (u, v), then rotated onto the page
+    let polys;
+    const box = (hx, hy) => [[-hx, -hy], [hx, -hy], [hx, hy], [-hx, hy]];
+    if (dot.shape === 'custom') {
+        const half = Math.min(step, radius * dot.glyphScale);
+        polys = glyph.map(poly => poly.map(p => [p[0] * half, p[1] * half]));
+    } else if (dot.shape === 'square') {
+        polys = [box(radius * SQUARE_HALF, radius * SQUARE_HALF)];
+    } else if (dot.shape === 'line') {
+        polys = [box(step / 2, Math.PI * radius * radius / (2 * step))];
+    } else if (dot.shape === 'diamond') {
+        const h = radius * DIAMOND_HALF;
+        polys = [[[0, -h], [h, 0], [0, h], [-h, 0]]];
+    } else {
+        const l = radius * CROSS_LENGTH, w = radius * CROSS_WIDTH;
+        polys = [[[-w, -l], [w, -l], [w, -w], [l, -w], [l, w], [w, w], [w, l], [-w, l], [-w, w], [-l, w], [-l, -w], [-w, -w]]];
+    }
+    return {
+        type: 'polygons',
+        polygons: polys.map(poly => poly.flatMap(([u, v]) => [cx + u * cos - v * sin, cy + u * sin + v * cos]))
+    };
+}
+
+/**
+ * Signed distance (px, negative inside) to a dot outline, u / v along the screen's axes.
+ */
+function shapeDistance(shape, u, v, radius, step, lineHalf) {
+    switch (shape) {
+        case 'ellipse': {
+            const a = radius * ELLIPSE_RATIO, b = radius / ELLIPSE_RATIO;
+            const k0 = Math.hypot(u / a, v / b);
+            const k1 = Math.hypot(u / (a * a), v / (b * b));
+            return k1 > 0 ? k0 * (k0 - 1) / k1 : -b;
+        }
+        case 'square': return boxDistance(u, v, radius * SQUARE_HALF, radius * SQUARE_HALF);
+        case 'line': return boxDistance(u, v, step / 2 + 0.5, lineHalf); // Runs into the neighbouring dots
+        case 'diamond': return (Math.abs(u) + Math.abs(v) - radius * DIAMOND_HALF) * Math.SQRT1_2;
+        case 'cross': return Math.min(
+            boxDistance(u, v, radius * CROSS_LENGTH, radius * CROSS_WIDTH),
+            boxDistance(u, v, radius * CROSS_WIDTH, radius * CROSS_LENGTH)
+        );
+        default: return Math.hypot(u, v) - radius;
+    }
+}
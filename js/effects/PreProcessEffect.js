@@ -1,3 +1,5 @@
+import { processContext, cloneBuffer, gaussianBlur, blurReach } from '../pipeline/Raster.js';
+
 /**
  * PreProcessEffect - Image preparation suite
  * Includes: Levels, Color (Hue/Sat/Bright/Invert), Sharpen, Noise, Blur
@@ -56,21 +58,42 @@ export const PreProcessEffect = {
                 ], params.invertMode, (v) => onUpdate('invertMode', v), "Inversion Mode: Negative, Luma only, or Hue.");
             }
         }
+
+        return group;
     },
 
-    process: (ctx, width, height, params, scaleFactor = 1.0) => {
+    process: (ctx, width, height, params, scaleFactor = 1.0, env = {}) => {
         if (!params.enabled) return;
+        processContext(ctx, width, height, (buf) => PreProcessEffect.apply(buf, params, scaleFactor, env));
+    },
+
+    // Blur and sharpen read neighbours; the rest is per pixel
+    tileMargin: (params, scaleFactor = 1.0) => {
+        let margin = 0;
+        if (params.blurRadius > 0) margin += blurReach(params.blurRadius * scaleFactor);
+        if (params.sharpenAmount > 0) margin += blurReach(1);
+        return margin;
+    },
 
-        // 1. BLUR (Context Filter - Fast)
+    /**
+     * Pixel math on a plain RGBA buffer (in place). Shared by the canvas path and void-cli.
+     * @param {Object} buf - { data, width, height } (ImageData compatible)
+     * @param {Object} env - { random, tile } Random source (defaults to Math.random)
+     */
+    apply: (buf, params, scaleFactor = 1.0, env = {}) => {
+        if (!params.enabled) return;
+        const random = env.random || Math.random;
+
+        // Grain draws one number per pixel: a tile starts where the full image would be
+        if (env.tile && random.skip && params.noiseAmount > 0) random.skip(env.tile.top * buf.width);
+
+        // 1. BLUR (Gaussian, same radius meaning as CSS blur)
         if (params.blurRadius > 0) {
-            ctx.filter = `blur(${params.blurRadius * scaleFactor}px)`;
-            ctx.drawImage(ctx.canvas, 0, 0);
-            ctx.filter = 'none';
+            gaussianBlur(buf, params.blurRadius * scaleFactor);
         }
 
         // 2. PIXEL MANIPULATION (Levels, Color, Noise)
-        const imageData = ctx.getImageData(0, 0, width, height);
-        const data = imageData.data;
+        const data = buf.data;
         const len = data.length;
 
         // Optimization: Pre-calc Gamma LUT
@@ -209,7 +232,7 @@ export const PreProcessEffect = {
 
             // 2e. Noise
             if (noise > 0) {
-                const n = (Math.random() - 0.5) * noise;
+                const n = (random() - 0.5) * noise;
                 r += n; g += n; b += n;
             }
 
@@ -219,63 +242,26 @@ export const PreProcessEffect = {
             data[i + 2] = b < 0 ? 0 : (b > 255 ? 255 : b);
         }
 
-        ctx.putImageData(imageData, 0, 0);
-
         // 3. SHARPEN (Convolution)
         if (params.sharpenAmount > 0) {
-            // Simple 3x3 Sharpen Kernel
-            // [  0 -1  0 ]
-            // [ -1  5 -1 ]
-            // [  0 -1  0 ]
-            // Weighted by strength
-
+            // "Unsharp Mask" is usually cleaner than a convolution kernel:
+            // Result = Original + (Original - Blurred) * Strength
             const strength = params.sharpenAmount / 100;
 
-            // To be faster in JS:
-            // pixel = original + (original - blurry) * strength?
-            // "Unsharp Mask" is usually cleaner than convolution kernel.
-            // We can do Unsharp Mask using the same trick as before but correctly mixed.
-
-            const temp = document.createElement('canvas');
-            temp.width = width;
-            temp.height = height;
-            const tCtx = temp.getContext('2d', { willReadFrequently: true });
-
-            // Draw current state (Original)
-            tCtx.drawImage(ctx.canvas, 0, 0);
-
-            const original = tCtx.getImageData(0, 0, width, height);
-
-            // Blur it slightly
-            tCtx.filter = `blur(1px)`; // Fixed radius 1px usually enough for fine sharpen
-            tCtx.clearRect(0, 0, width, height);
-            tCtx.drawImage(ctx.canvas, 0, 0);
-            tCtx.filter = 'none';
-
-            const blurred = tCtx.getImageData(0, 0, width, height);
-
-            const oDat = original.data;
+            const oDat = cloneBuffer(buf).data;
+            const blurred = cloneBuffer(buf);
+            gaussianBlur(blurred, 1); // Fixed radius 1px usually enough for fine sharpen
             const bDat = blurred.data;
-            const resDat = ctx.getImageData(0, 0, width, height); // Target
-            const rDat = resDat.data;
 
             for (let i = 0; i < oDat.length; i += 4) {
-                // High Pass = Original - Blurred
-                // Result = Original + HighPass * Strength
-
                 let r = oDat[i];
                 let g = oDat[i + 1];
                 let b = oDat[i + 2];
 
-                let rB = bDat[i];
-                let gB = bDat[i + 1];
-                let bB = bDat[i + 2];
-
-                rDat[i] = r + (r - rB) * strength * 2.5; // Multiply for more "kick"
-                rDat[i + 1] = g + (g - gB) * strength * 2.5;
-                rDat[i + 2] = b + (b - bB) * strength * 2.5;
+                data[i] = r + (r - bDat[i]) * strength * 2.5; // Multiply for more "kick"
+                data[i + 1] = g + (g - bDat[i + 1]) * strength * 2.5;
+                data[i + 2] = b + (b - bDat[i + 2]) * strength * 2.5;
             }
-            ctx.putImageData(resDat, 0, 0);
         }
     }
 };
@@ -1,14 +1,26 @@
-import { PreProcessEffect } from './effects/PreProcessEffect.js';
 import { UIBuilder } from './ui/UIBuilder.js';
-import { DitherEffect } from './effects/DitherEffect.js';
-import { GlitchEffect } from './effects/GlitchEffect.js';
-import { HalftoneEffect } from './effects/HalftoneEffect.js';
+import { EffectChain, EffectRegistry } from './pipeline/EffectChain.js';
+import { processContext, createBuffer, fitSize, blit } from './pipeline/Raster.js';
+import { IcoEncoder, ICO_SIZES } from './codecs/IcoEncoder.js';
+import { encodeBuffer, JS_FORMATS } from './codecs/Codecs.js';
+import { PngEncoder } from './codecs/PngEncoder.js';
+import { renderTiles, TILED_MIN_PIXELS } from './pipeline/Renderer.js';
+import { BMP_DEPTHS } from './codecs/BmpEncoder.js';
+import { embedMetadata } from './codecs/Metadata.js';
 import { Recorder } from './utils/Recorder.js';
 import { Animator } from './animator/Animator.js';
 import { VideoExporter } from './utils/VideoExporter.js';
 import { WebGLManager } from './webgl/WebGLManager.js';
+import { checkDitherParity, describeParity, PARITY_TOLERANCE, PARITY_MAX_PERCENT } from './webgl/DitherParity.js';
 import { SeparationExporter } from './utils/SeparationExporter.js';
+import { PlateExporter, PLATE_FORMATS } from './utils/PlateExporter.js';
+import { VectorExporter, VECTOR_SOURCES } from './utils/VectorExporter.js';
 import { BatchManager } from './utils/BatchManager.js';
+import { ProjectFile } from './utils/ProjectFile.js';
+import { PresetManager } from './presets/PresetManager.js';
+import { PaletteManager } from './utils/PaletteManager.js';
+import { HistoryManager } from './utils/HistoryManager.js';
+import { SeedService } from './utils/Random.js';
 
 export class ImageProcessor {
     constructor(canvas) {
@@ -17,21 +29,20 @@ export class ImageProcessor {
         this.originalImage = null;
         this.videoElement = null;
         this.sourceType = 'image'; // image | video
+        this.videoHistories = {}; // Per-slot state kept from frame to frame (temporal dither, datamosh)
+        this.sourceFile = null; // Kept for project embedding
+        this.pendingProject = null; // Project to restore once the source is loaded
+        this.embedSourceInProject = false;
 
         this.ui = new UIBuilder('modules-rack');
 
-        // Pipeline Definition
-        this.pipeline = [
-            PreProcessEffect, // Levels, Blur, Noise, Sharpen
-            HalftoneEffect,   // Print style
-            DitherEffect,     // Quantize & Tone
-            GlitchEffect      // Post-process corruption
-        ];
-
-        this.state = {};
-        this.pipeline.forEach(effect => {
-            this.state[effect.id] = { ...effect.params };
-        });
+        // Pipeline Definition (ordered effect slots, see EffectChain)
+        this.pipeline = new EffectChain();
+        this.effectToAdd = Object.keys(EffectRegistry)[0];
+        this.presets = new PresetManager(this);
+        this.palettes = new PaletteManager(this);
+        this.history = new HistoryManager(this);
+        this.seeds = new SeedService(); // Project seed: every random effect draws from it
 
         this.renderTimeout = null;
         this.previewScale = 1.0;
@@ -55,17 +66,33 @@ export class ImageProcessor {
 
         // Export Settings
         this.exportSettings = {
-            format: 'png',     // png, jpg, webp, ico
+            format: 'png',     // png, png8, jpg, webp, bmp, tga, tiff, ico, svg, pdf
             quality: 0.9,      // 0.0 - 1.0 (JPG/WEBP)
             resizeMode: 'original', // original, screen, custom
             customWidth: 1920,
             customHeight: 1080,
-            maintainAspect: true
+            maintainAspect: true,
+            icoSizes: [...ICO_SIZES], // Sizes packed into .ico exports
+            bmpDepth: 24,             // 1, 4, 8 (paletted) or 24
+            tgaRle: true,
+            tiffCompression: 'lzw',   // none, lzw
+            plateFormat: 'zip',       // Halftone plates: zip, tiff, psd (PLATE_FORMATS)
+            vectorSource: 'halftone', // SVG / PDF: halftone, dither (VECTOR_SOURCES)
+            printDpi: 300,            // Physical size of plates, SVG and PDF
+            embedMetadata: true       // Project JSON in PNG / JPG / WEBP exports
         };
     }
 
+    /**
+     * Params keyed by slot id (e.g. state['glitch_v1#2']).
+     */
+    get state() {
+        return this.pipeline.state;
+    }
+
     loadImage(file) {
         this.sourceType = 'image';
+        this.sourceFile = file;
         if (this.videoElement) {
             this.videoElement.pause();
             this.videoElement.removeAttribute('src'); // clear source
@@ -94,7 +121,9 @@ export class ImageProcessor {
 
     loadVideo(file) {
         this.sourceType = 'video';
+        this.sourceFile = file;
         this.originalImage = null; // Cleanup image
+        this.videoHistories = {};
 
         const url = URL.createObjectURL(file);
 
@@ -119,10 +148,18 @@ export class ImageProcessor {
     }
 
     initSystem() {
+        this.initWebGL(); // Before the UI, which shows the GPU panel only when WebGL2 works
+
         // UI & Animation
         this.generateUI();
         if (!this.animator) this.animator = new Animator(this);
 
+        // Restore project (needs the Animator for LFO modules)
+        if (this.pendingProject) {
+            ProjectFile.apply(this, this.pendingProject);
+            this.pendingProject = null;
+        }
+
         // Batch Manager
         if (!this.batchManager) {
             this.batchManager = new BatchManager(this);
@@ -134,7 +171,6 @@ export class ImageProcessor {
         this.setupRefreshedControls();
 
         // Initial Render
-        this.initWebGL();
         this.requestRender();
     }
 
@@ -317,21 +353,119 @@ export class ImageProcessor {
             if (this.backgroundMode === 'color') this.requestRender();
         });
 
+        // --- PROJECT ---
+        const projGroup = this.ui.createModuleGroup("PROJECT", null, true, "Save the full session (rack, canvas, export & animation) as a .void file. Drop it back to restore.");
+        projGroup.addToggle("EMBED SOURCE FILE", this.embedSourceInProject, (v) => {
+            this.embedSourceInProject = v;
+        }, "Include a copy of the source image/video in the project file.");
+        projGroup.addButton("SAVE PROJECT (.void)", () => this.saveProject());
+
+        // --- RANDOM SEED ---
+        const seedGroup = this.ui.createModuleGroup("RANDOM SEED", null, true, "Glitch jitter, grain, LFO noise and palette extraction all draw from this seed, so preview and export match.");
+        seedGroup.addNumber("SEED", this.seeds.seed, (v) => {
+            if (!Number.isFinite(v)) return;
+            this.seeds.seed = Math.floor(v) >>> 0;
+            this.requestRender();
+        });
+        seedGroup.addSelect("VIDEO / ANIMATION", [
+            { label: "ADVANCE PER FRAME", value: 'advance' },
+            { label: "LOCK (SAME EVERY FRAME)", value: 'lock' }
+        ], this.seeds.frameMode, (v) => {
+            this.seeds.frameMode = v;
+            this.requestRender();
+        }, "Advance: fresh noise every frame. Lock: the same noise pattern on every frame.");
+        seedGroup.addButton("🎲 RE-ROLL SEED", () => {
+            this.seeds.reroll();
+            this.generateUI();
+            this.requestRender();
+        });
+
+        // --- GPU ---
+        if (this.glManager && this.glManager.isSupported) {
+            const gpuGroup = this.ui.createModuleGroup("GPU", null, true, "WebGL2 acceleration for effects with a shader (Halftone, Dither patterns). Error diffusion always runs on the CPU.");
+            gpuGroup.addToggle("USE GPU", this.useGPU, (v) => {
+                this.useGPU = v;
+                this.requestRender();
+            }, "Turn off to compare with, or fall back to, the CPU path.");
+            gpuGroup.addButton("CHECK DITHER PARITY (GPU vs CPU)", () => this.checkGPUParity());
+        }
+
         // --- EXPORT SETTINGS ---
         const expGroup = this.ui.createModuleGroup("EXPORT SETTINGS", null, "Configure output format and dimensions.");
 
         expGroup.addSelect("FORMAT", [
             { label: 'PNG', value: 'png' },
+            { label: 'PNG-8 (Indexed)', value: 'png8' },
             { label: 'JPG', value: 'jpg' },
             { label: 'WEBP', value: 'webp' },
-            { label: 'ICO (Favicon)', value: 'ico' }
+            { label: 'BMP', value: 'bmp' },
+            { label: 'TGA', value: 'tga' },
+            { label: 'TIFF', value: 'tiff' },
+            { label: 'ICO (Favicon)', value: 'ico' },
+            { label: 'SVG (Vector)', value: 'svg' },
+            { label: 'PDF (Vector)', value: 'pdf' }
         ], this.exportSettings.format, (v) => {
             this.exportSettings.format = v;
+            this.generateUI(); // Rebuild to toggle format options
+        });
+
+        if (this.exportSettings.format === 'bmp') {
+            expGroup.addSelect("BMP DEPTH", BMP_DEPTHS.map(d => ({
+                label: d === 24 ? '24-BIT (TRUECOLOR)' : `${d}-BIT (${1 << d} COLORS)`, value: d
+            })), this.exportSettings.bmpDepth, (v) => {
+                this.exportSettings.bmpDepth = parseInt(v);
+            });
+        }
+        if (this.exportSettings.format === 'tga') {
+            expGroup.addToggle("TGA RLE COMPRESSION", this.exportSettings.tgaRle, (v) => {
+                this.exportSettings.tgaRle = v;
+            });
+        }
+        if (this.exportSettings.format === 'tiff') {
+            expGroup.addSelect("TIFF COMPRESSION", [
+                { label: 'LZW', value: 'lzw' },
+                { label: 'NONE', value: 'none' }
+            ], this.exportSettings.tiffCompression, (v) => {
+                this.exportSettings.tiffCompression = v;
+            });
+        }
+        if (this.exportSettings.format === 'png8' || (this.exportSettings.format === 'bmp' && this.exportSettings.bmpDepth < 24)) {
+            expGroup.addDescription("Dither in GRADE mode: its palette is stored as-is. Otherwise the image is reduced to its own colors.");
+        }
+
+        if (this.exportSettings.format === 'ico') {
+            ICO_SIZES.forEach(size => {
+                expGroup.addToggle(`ICO ${size}x${size}`, this.exportSettings.icoSizes.includes(size), (on) => {
+                    const sizes = this.exportSettings.icoSizes.filter(s => s !== size);
+                    if (on) sizes.push(size);
+                    this.exportSettings.icoSizes = sizes.sort((a, b) => a - b);
+                });
+            });
+        }
+
+        if (this.exportSettings.format === 'svg' || this.exportSettings.format === 'pdf') {
+            expGroup.addSelect("VECTOR SOURCE", Object.keys(VECTOR_SOURCES).map(k => ({ label: VECTOR_SOURCES[k], value: k })), this.exportSettings.vectorSource, (v) => {
+                this.exportSettings.vectorSource = v;
+            });
+            expGroup.addDescription("Halftone: the first enabled Halftone slot's dots, one layer per ink. Dither: the first Dither slot's GRADE colors, merged into rectangles, one layer per color. Sized by PRINT DPI.");
+        }
+
+        expGroup.addToggle("EMBED SETTINGS IN EXPORTS", this.exportSettings.embedMetadata, (v) => {
+            this.exportSettings.embedMetadata = v;
         });
 
         // SEPARATION EXPORT
         expGroup.createButton("EXPORT SEPARATIONS (ZIP)", () => this.exportSeparations());
 
+        // HALFTONE PLATE EXPORT
+        expGroup.addSelect("PLATE FORMAT", Object.keys(PLATE_FORMATS).map(k => ({ label: PLATE_FORMATS[k].label, value: k })), this.exportSettings.plateFormat, (v) => {
+            this.exportSettings.plateFormat = v;
+        });
+        expGroup.addNumber("PRINT DPI", this.exportSettings.printDpi, (v) => {
+            if (v > 0) this.exportSettings.printDpi = v;
+        });
+        expGroup.createButton("EXPORT HALFTONE PLATES", () => this.exportHalftonePlates());
+
         expGroup.addSlider("QUALITY", 0.1, 1.0, this.exportSettings.quality, 0.1, (v) => {
             this.exportSettings.quality = v;
         });
@@ -431,12 +565,39 @@ export class ImageProcessor {
             });
         }
 
-        this.pipeline.forEach(effect => {
+        // --- EFFECT CHAIN ---
+        const chainGroup = this.ui.createModuleGroup("EFFECT CHAIN", null, true, "Add, duplicate and reorder effect slots. Effects run top to bottom.");
+        chainGroup.addSelect("EFFECT", Object.values(EffectRegistry).map(e => ({ label: e.name, value: e.id })), this.effectToAdd, (v) => {
+            this.effectToAdd = v;
+        });
+        chainGroup.addButton("+ ADD TO CHAIN", () => this.addEffect(this.effectToAdd));
+
+        // --- PRESETS ---
+        this.presets.setupUI();
+
+        // --- PALETTES ---
+        this.palettes.setupUI();
+
+        // --- HISTORY ---
+        this.history.setupUI();
+
+        const count = this.pipeline.instances.length;
+        this.pipeline.forEach((inst, idx) => {
             // Pass description if available in effect
-            effect.getControls(this.ui, this.state[effect.id], (key, value) => {
-                this.state[effect.id][key] = value;
+            const group = inst.effect.getControls(this.ui, inst.params, (key, value) => {
+                this.history.recordParam(inst.id, key, inst.params[key], value, `${this.pipeline.label(inst)} › ${key}`);
+                inst.params[key] = value;
                 this.requestRender();
             });
+
+            if (group) {
+                this.ui.addSlotControls(group, this.pipeline.label(inst), {
+                    onMoveUp: idx > 0 ? () => this.moveEffect(inst.id, -1) : null,
+                    onMoveDown: idx < count - 1 ? () => this.moveEffect(inst.id, 1) : null,
+                    onDuplicate: () => this.duplicateEffect(inst.id),
+                    onRemove: () => this.removeEffect(inst.id)
+                });
+            }
         });
 
         // Re-attach Animation Controls if they exist
@@ -445,6 +606,50 @@ export class ImageProcessor {
         }
     }
 
+    // --- Effect Chain Editing ---
+
+    addEffect(effectId) {
+        this.history.recordChain(`ADD ${EffectRegistry[effectId].name}`, () => this.pipeline.add(effectId, { enabled: true }));
+        this.generateUI();
+        this.requestRender();
+    }
+
+    removeEffect(id) {
+        this.history.recordChain(`REMOVE ${this.pipeline.label(this.pipeline.get(id))}`, () => this.pipeline.remove(id));
+        this.generateUI();
+        this.requestRender();
+    }
+
+    duplicateEffect(id) {
+        this.history.recordChain(`DUPLICATE ${this.pipeline.label(this.pipeline.get(id))}`, () => this.pipeline.duplicate(id));
+        this.generateUI();
+        this.requestRender();
+    }
+
+    moveEffect(id, delta) {
+        this.history.recordChain(`MOVE ${this.pipeline.label(this.pipeline.get(id))} ${delta < 0 ? 'UP' : 'DOWN'}`, () => this.pipeline.move(id, delta));
+        this.generateUI();
+        this.requestRender();
+    }
+
+    /**
+     * Run every slot of the chain on a context (CPU).
+     * Pixels are read once, processed as a plain buffer (same code as void-cli), and written back.
+     * @param {Object} state - Optional params snapshot keyed by slot id (Batch)
+     * @param {Object} env - Seeded render environment (see SeedService.env), frame 0 by default
+     */
+    applyPipeline(ctx, width, height, scaleFactor = 1.0, state = this.state, env = this.seeds.env()) {
+        const active = this.pipeline.filter(inst => state[inst.id] && state[inst.id].enabled);
+        if (active.length === 0) return;
+        processContext(ctx, width, height, (buf) => this.pipeline.applyBuffer(buf, scaleFactor, env, state));
+    }
+
+    isGPUCapable(inst) {
+        const effect = inst.effect;
+        if (!effect.shaderSource) return false;
+        return effect.isGPUSupported ? effect.isGPUSupported(inst.params) : true;
+    }
+
     requestRender() {
         if (this.animator && this.animator.isPlaying) return;
 
@@ -495,11 +700,15 @@ export class ImageProcessor {
         loader.style.display = show ? 'flex' : 'none';
     }
 
-    render() {
+    /**
+     * @param {number} time - Animation clock (s), selects the seed frame
+     */
+    render(time = 0) {
         if (!this.originalImage) return;
+        const env = this.seeds.env(time);
 
         // Try GPU Render First
-        if (this.tryGPURender(this.originalImage, 1.0)) return;
+        if (this.tryGPURender(this.originalImage, 1.0, env)) return;
 
         // Fallback to CPU
         // 1. Clear / Setup Background
@@ -517,44 +726,17 @@ export class ImageProcessor {
 
         // Run Pipeline on Preview
         // Explicitly pass scaleFactor=1.0 for Preview
-        this.pipeline.forEach(effect => {
-            effect.process(this.ctx, this.canvas.width, this.canvas.height, this.state[effect.id], 1.0);
-        });
+        this.applyPipeline(this.ctx, this.canvas.width, this.canvas.height, 1.0, this.state, env);
     }
 
-    tryGPURender(source, scaleFactor) {
+    tryGPURender(source, scaleFactor, env = this.seeds.env()) {
         if (!this.useGPU || !this.glManager) return false;
 
-        // Check if ALL enabled effects have WebGL support
-        // Mixing CPU and GPU is expensive (readPixels), so we only use GPU if we can stay on GPU 
-        // OR if the heavy effects are at the end? 
-        // For V1, simplest is: if ANY heavy effect is on, try GPU for that, but we need to pass textures.
-
-        // Let's iterate. 
-        // If an effect has `shaderSource`, we can use GPU.
-        // If it doesn't, we must use CPU.
-
-        // Strategy: 
-        // 1. Upload Source to GPU Texture
-        // 2. Ping-Pong? Or just apply effects sequentially if they are all GPU.
-        // 3. If we hit a CPU effect, we readPixels -> CPU process -> uploadTexture? Too slow.
-
-        // Optimization: Only use GPU if Halftone or Dither(Bayer) is enabled.
-        // PreProcess (Blur/Levels) is fast enough on CPU usually, BUT handling 4k video?
-        // Let's implement partial GPU pipeline:
-        // Render CPU effects first to a canvas, then upload to GPU for Halftone/Dither?
-
-        const activeEffects = this.pipeline.filter(e => this.state[e.id].enabled);
+        // Mixing CPU and GPU is expensive (readPixels), so consecutive GPU-capable
+        // slots are batched into a single upload / readback.
+        const activeEffects = this.pipeline.filter(inst => inst.params.enabled);
         if (activeEffects.length === 0) return false; // Just draw image
 
-        // Identifying split point
-        // If we have CPU effects only -> CPU
-        // If we have GPU effects -> Do we have CPU effects *after* GPU effects?
-
-        // For this task, Halftone and Dither are the heavy ones and they correspond to the END of pipeline usually.
-        // Pipeline: Pre(CPU) -> Halftone(GPU) -> Dither(GPU) -> Glitch(CPU/GPU)
-
-        // 1. Execute CPU-only effects at the start on temp canvas or main canvas
         // Handle Background Logic
         // We draw to 'this.ctx' (Main Canvas) as a base.
         const w = this.canvas.width;
@@ -570,124 +752,66 @@ export class ImageProcessor {
         }
         // Transparent: Just clear (done)
 
-        const gpuEffects = [];
-        let cpuEnded = false;
-
-        // Run CPU effects until we hit a GPU capable one?
-        // Actually, let's just run PreProcess (always CPU for now)
-        // Then run Halftone/Dither on GPU. 
-
-        // This hybrid approach:
-        // 1. Draw Source to Context.
-        // 2. PreProcessEffect.process(ctx...) (CPU)
-        // 3. Upload Context to GPU.
-        // 4. Run Halftone/Dither on GPU.
-        // 5. Draw GPU result back to Context.
-
-        // Valid? Yes.
-
-        // Run CPU Pre-pass
-        const pre = this.pipeline.find(p => p.id === 'preprocess_v1');
-        if (pre && this.state[pre.id].enabled) {
-            pre.process(this.ctx, this.canvas.width, this.canvas.height, this.state[pre.id], scaleFactor);
-        }
-        const glitch = this.pipeline.find(p => p.id === 'glitch_v1'); // Post CPU for now
-
-        // GPU Candidates
-        const halftone = this.pipeline.find(p => p.id === 'halftone_v1');
-        const dither = this.pipeline.find(p => p.id === 'dither_v1');
-
-        const useHalftone = (halftone && this.state[halftone.id].enabled);
-        const useDither = (dither && this.state[dither.id].enabled && dither.isGPUSupported && dither.isGPUSupported(this.state[dither.id]));
-
-        if (!useHalftone && !useDither) {
-            // All CPU or standard pipeline
-            // Just run the rest on CPU
-            // Dither might be enabled but not GPU supported (e.g. Floyd)
-            if (dither && this.state[dither.id].enabled) {
-                dither.process(this.ctx, this.canvas.width, this.canvas.height, this.state[dither.id], scaleFactor);
-            }
-            // Halftone is always GPU candidate but if we are here it's disabled.
+        // Walk the chain in order: CPU slots run on the context,
+        // runs of GPU slots are flushed together.
+        let gpuRun = [];
+        const flush = () => {
+            if (gpuRun.length) this.runGPUPasses(gpuRun, scaleFactor);
+            gpuRun = [];
+        };
 
-            if (glitch && this.state[glitch.id].enabled) {
-                glitch.process(this.ctx, this.canvas.width, this.canvas.height, this.state[glitch.id], scaleFactor);
+        activeEffects.forEach(inst => {
+            if (this.isGPUCapable(inst)) {
+                gpuRun.push(inst);
+            } else {
+                flush();
+                inst.effect.process(this.ctx, w, h, inst.params, scaleFactor, this.pipeline.envFor(inst, env));
             }
-            return true; // We handled it
-        }
-
-        // --- GPU PASS ---
-        this.gpuCanvas.width = this.canvas.width;
-        this.gpuCanvas.height = this.canvas.height;
-        this.glManager.gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+        });
+        flush();
 
-        // Upload current state (with PreProcess applied)
-        this.glManager.uploadTexture(this.canvas); // Texture0
+        return true;
+    }
 
-        // Apply Halftone
-        if (useHalftone) {
-            const prog = 'halftone';
-            if (!this.glManager.programs[prog]) {
-                this.glManager.createProgram(prog, halftone.shaderSource);
-            }
-            this.glManager.useProgram(prog);
-            const uniforms = halftone.getUniforms(this.state[halftone.id], this.canvas.width, this.canvas.height, scaleFactor);
-            for (let k in uniforms) {
-                const type = Array.isArray(uniforms[k]) ? (uniforms[k].length + 'f') : '1f';
-                if (k === 'u_mode' || k === 'u_algo') this.glManager.setUniform(k, '1i', uniforms[k]);
-                else this.glManager.setUniform(k, type, uniforms[k]);
-            }
+    /**
+     * Diagnostic: compare GPU and CPU dithering on the current frame, per algorithm.
+     */
+    checkGPUParity() {
+        if (!this.glManager || !this.glManager.isSupported) return;
+        const { width, height } = this.canvas;
+        const source = this.sourceType === 'video' ? this.videoElement : this.originalImage;
+        this.ctx.clearRect(0, 0, width, height);
+        this.ctx.drawImage(source, 0, 0, width, height);
+        const base = this.ctx.getImageData(0, 0, width, height);
+
+        const slot = this.pipeline.instances.find(inst => inst.effect.id === 'dither_v1');
+        const results = slot ? checkDitherParity(this.glManager, base, slot.params) : checkDitherParity(this.glManager, base);
+        this.requestRender(); // The check drew over the preview
+
+        console.table(results);
+        const failed = results.filter(r => !r.passed);
+        const summary = failed.length ? `${failed.length} of ${results.length} differ` : 'all match';
+        alert(`Dither GPU vs CPU (${width}x${height}, tolerance ${PARITY_TOLERANCE}, max ${PARITY_MAX_PERCENT}% px): ${summary}\n\n${results.map(describeParity).join('\n')}`);
+    }
 
-            // Draw to screen? Or to temp buffer?
-            // Since we have multiple passes, we need Framebuffers (FBO).
-            // For V1, if support multiple GPU effects, we need ping-pong.
-            // If we limit to ONE heavy effect or chaining, we need FBO.
-
-            // Quick hack for V1: 
-            // If ONLY Halftone: Draw to Screen.
-            // If ONLY Dither: Draw to Screen.
-            // If Both: We need FBO.
-
-            if (useHalftone && !useDither) {
-                this.glManager.draw();
-            } else if (useHalftone && useDither) {
-                // Render Halftone to Texture (via FBO - unimplemented in manager for conciseness)
-                // Implementing simple Copy:
-                this.glManager.draw();
-                // Read back? No, copy to texture.
-                const gl = this.glManager.gl;
-                gl.activeTexture(gl.TEXTURE0);
-                gl.copyTexImage2D(gl.TEXTURE_2D, 0, gl.RGBA, 0, 0, this.canvas.width, this.canvas.height, 0);
-            }
-        }
+    /**
+     * Upload the main canvas, run shader passes back to back, draw the result back.
+     */
+    runGPUPasses(instances, scaleFactor) {
+        const w = this.canvas.width;
+        const h = this.canvas.height;
 
-        if (useDither) {
-            const prog = 'dither';
-            if (!this.glManager.programs[prog]) {
-                this.glManager.createProgram(prog, dither.shaderSource);
-            }
-            this.glManager.useProgram(prog);
-            const uniforms = dither.getUniforms(this.state[dither.id], this.canvas.width, this.canvas.height, scaleFactor);
-            for (let k in uniforms) {
-                const type = Array.isArray(uniforms[k]) ? (uniforms[k].length + 'f') : '1f';
-                if (k === 'u_mode' || k === 'u_algo') this.glManager.setUniform(k, '1i', uniforms[k]);
-                else this.glManager.setUniform(k, type, uniforms[k]);
-            }
-            this.glManager.draw();
-        }
+        // Current state (with previous CPU slots applied) in, shader passes on the GPU canvas
+        this.glManager.runPasses(this.canvas, instances, w, h, scaleFactor);
 
-        // Draw GPU Result back to Main Canvas
+        // Draw GPU Result back to Main Canvas (replacing it, so knocked-out pixels stay transparent)
+        this.ctx.clearRect(0, 0, w, h);
         this.ctx.drawImage(this.gpuCanvas, 0, 0);
-
-        // CPU Post-Process (Glitch)
-        if (glitch && this.state[glitch.id].enabled) {
-            glitch.process(this.ctx, this.canvas.width, this.canvas.height, this.state[glitch.id], scaleFactor);
-        }
-
-        return true;
     }
 
     renderVideo() {
         if (!this.videoElement || this.videoElement.paused || this.videoElement.ended) return;
+        const env = { ...this.seeds.env(this.videoElement.currentTime), histories: this.videoHistories };
 
         // Try GPU
         if (this.useGPU && this.glManager) {
@@ -698,14 +822,12 @@ export class ImageProcessor {
             // Reuse the tryGPURender logic but we need to ensure it uses the context we just drew to
             // tryGPURender(source) uses source to draw to ctx initially.
             // We can pass videoElement as source.
-            this.tryGPURender(this.videoElement, 1.0);
+            this.tryGPURender(this.videoElement, 1.0, env);
 
         } else {
             // CPU Legacy Path
             this.ctx.drawImage(this.videoElement, 0, 0, this.canvas.width, this.canvas.height);
-            this.pipeline.forEach(effect => {
-                effect.process(this.ctx, this.canvas.width, this.canvas.height, this.state[effect.id], 1.0);
-            });
+            this.applyPipeline(this.ctx, this.canvas.width, this.canvas.height, 1.0, this.state, env);
         }
 
         // Loop
@@ -785,7 +907,7 @@ export class ImageProcessor {
         this.generateUI();
     }
 
-    exportResult(usePreviewRes = false) {
+    async exportResult(usePreviewRes = false) {
         if (this.sourceType === 'video') {
             alert("For video, use 'VID QUICK' or 'VID FULL RES' buttons!");
             return;
@@ -796,6 +918,12 @@ export class ImageProcessor {
         let w, h;
         const set = this.exportSettings;
 
+        // ICO: one render per icon size, packed into a single file
+        if (set.format === 'ico' && !usePreviewRes) {
+            this.exportIcon();
+            return;
+        }
+
         if (usePreviewRes) {
             // Quick Export (ignores settings, uses screen res & png)
             w = this.canvas.width;
@@ -818,8 +946,16 @@ export class ImageProcessor {
         const exportScale = w / this.canvas.width; // Scale effects relative to current preview
         console.log(`Exporting: ${w}x${h} [${set.format.toUpperCase()}] (Scale: ${exportScale.toFixed(2)}x)`);
 
-        if (w * h > 50000000 && !usePreviewRes) {
-            if (!confirm("Warning: Extremely large resolution. Continue?")) return;
+        if ((set.format === 'svg' || set.format === 'pdf') && !usePreviewRes) {
+            await this.exportVector(w, h, exportScale);
+            return;
+        }
+
+        // Beyond what one canvas holds comfortably: render in tiles, streamed into a PNG
+        if (w * h > TILED_MIN_PIXELS && !usePreviewRes) {
+            if (set.format !== 'png' && !confirm(`${w}x${h} is rendered in tiles and saved as PNG (${set.format.toUpperCase()} needs the whole image at once). Continue?`)) return;
+            await this.exportTiled(w, h, exportScale);
+            return;
         }
 
         const exportCanvas = document.createElement('canvas');
@@ -842,32 +978,200 @@ export class ImageProcessor {
         }
 
         // 2. Process
-        this.pipeline.forEach(effect => {
-            // Need to adjust params if they scale?
-            // Most params are relative or pixel based. 
-            // e.g. defined DPI/Resolution in Dither is factor of size.
-            // But PreProcess Blur is px. 
-            // We pass 'exportScale' to process() so effects can scale their px values.
-            effect.process(eCtx, w, h, this.state[effect.id], exportScale);
-        });
+        // Most params are relative or pixel based. 
+        // e.g. defined DPI/Resolution in Dither is factor of size.
+        // But PreProcess Blur is px. 
+        // We pass 'exportScale' to process() so effects can scale their px values.
+        // env.info collects what effects report back (Dither's active palette for indexed formats).
+        const env = { ...this.seeds.env(), info: {} };
+        this.applyPipeline(eCtx, w, h, exportScale, this.state, env);
 
         // 3. Download
+        // Formats canvas can't write are encoded in JS
+        if (JS_FORMATS[set.format] && !usePreviewRes) {
+            try {
+                const blob = await this.withMetadata(await encodeBuffer(eCtx.getImageData(0, 0, w, h), set.format, { ...set, palette: env.info.palette }));
+                const url = URL.createObjectURL(blob);
+                const link = document.createElement('a');
+                link.download = `VOID_EXPORT_${Date.now()}.${JS_FORMATS[set.format]}`;
+                link.href = url;
+                link.click();
+                URL.revokeObjectURL(url);
+            } catch (e) {
+                alert("Export Failed: " + e.message);
+                console.error(e);
+            }
+            return;
+        }
+
         const format = set.format === 'jpg' ? 'image/jpeg' : (set.format === 'webp' ? 'image/webp' : 'image/png');
-        const ext = set.format === 'ico' ? 'png' : set.format; // ico is just weird png here
+        const ext = (set.format === 'jpg' || set.format === 'webp') ? set.format : 'png'; // Quick export = preview PNG
 
-        const dataURL = exportCanvas.toDataURL(format, set.quality);
+        const blob = await this.withMetadata(await new Promise(resolve => exportCanvas.toBlob(resolve, format, set.quality)));
+        const url = URL.createObjectURL(blob);
         const link = document.createElement('a');
         link.download = `VOID_EXPORT_${Date.now()}.${ext}`;
-        link.href = dataURL;
+        link.href = url;
         link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Large exports: the chain runs on full-width bands (see renderTiles) and the rows
+     * go straight into the PNG encoder, so the full image never sits in one canvas.
+     * Progress is shown on the EXPORT button.
+     */
+    async exportTiled(w, h, exportScale) {
+        const btn = document.getElementById('export-btn');
+        const originalText = btn.textContent;
+        btn.disabled = true;
+
+        // Background rows [top, top + rows) of a width x height image
+        const band = document.createElement('canvas');
+        const bCtx = band.getContext('2d', { willReadFrequently: true });
+        const source = (width, height, top, rows) => {
+            band.width = width;
+            band.height = rows; // Also clears
+            if (this.backgroundMode === 'color') {
+                bCtx.fillStyle = this.backgroundColor;
+                bCtx.fillRect(0, 0, width, rows);
+            } else if (this.backgroundMode === 'image') {
+                bCtx.drawImage(this.originalImage, 0, -top, width, height);
+            }
+            return bCtx.getImageData(0, 0, width, rows);
+        };
+
+        try {
+            const encoder = new PngEncoder(w, h);
+            await renderTiles(this.pipeline, {
+                width: w,
+                height: h,
+                scaleFactor: exportScale,
+                state: this.state,
+                env: { ...this.seeds.env(), info: {} },
+                source: source,
+                onRows: (rows) => encoder.addRows(rows),
+                onProgress: (done, total) => {
+                    this.updateProgress(btn, (done / total) * 100, `TILE ${done}/${total}`);
+                    return new Promise(resolve => setTimeout(resolve, 0)); // Let the button repaint
+                }
+            });
+
+            const blob = await this.withMetadata(await encoder.finish());
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.download = `VOID_EXPORT_${Date.now()}.png`;
+            link.href = url;
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (e) {
+            alert("Export Failed: " + e.message);
+            console.error(e);
+        } finally {
+            btn.textContent = originalText;
+            btn.style.background = '';
+            btn.disabled = false;
+        }
+    }
+
+    /**
+     * Embed the project in an exported image (PNG / JPG / WEBP), if enabled.
+     * Dropping the file back onto VOID offers to restore it.
+     * @param {Blob} blob
+     * @param {Object} project - Serialized project the image was rendered with (default: the current one).
+     *   Batches pass the snapshot they render from, so edits made meanwhile aren't embedded.
+     * @returns {Promise<Blob>}
+     */
+    async withMetadata(blob, project = null) {
+        const settings = project ? project.exportSettings : this.exportSettings;
+        if (!settings.embedMetadata) return blob;
+        try {
+            if (!project) project = await ProjectFile.serialize(this);
+            return await embedMetadata(blob, JSON.stringify(project));
+        } catch (e) {
+            console.warn("Settings not embedded:", e);
+            return blob;
+        }
+    }
+
+    async exportIcon() {
+        try {
+            const blob = await this.buildIcon(this.originalImage);
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `VOID_ICON_${Date.now()}.ico`;
+            a.click();
+            URL.revokeObjectURL(url);
+        } catch (e) {
+            alert("ICO Export Failed: " + e.message);
+            console.error(e);
+        }
+    }
+
+    /**
+     * Render the chain once per selected icon size and pack the results into an .ico.
+     * Each size re-runs the effects with its own scaleFactor; non-square sources
+     * are centered on a transparent square.
+     * @param {HTMLImageElement} image - Source
+     * @param {Object} state - Optional params snapshot keyed by slot id (Batch)
+     * @returns {Promise<Blob>}
+     */
+    async buildIcon(image, state = this.state) {
+        const sizes = this.exportSettings.icoSizes;
+        if (!sizes || sizes.length === 0) throw new Error("Select at least one ICO size.");
+
+        const srcW = image.naturalWidth || image.width;
+        const srcH = image.naturalHeight || image.height;
+        const cvs = document.createElement('canvas');
+        const ctx = cvs.getContext('2d', { willReadFrequently: true });
+        const images = [];
+
+        for (const size of sizes) {
+            const { width, height } = fitSize(srcW, srcH, size);
+            cvs.width = width;
+            cvs.height = height;
+
+            if (this.backgroundMode === 'color') {
+                ctx.fillStyle = this.backgroundColor;
+                ctx.fillRect(0, 0, width, height);
+            } else if (this.backgroundMode === 'image') {
+                ctx.drawImage(image, 0, 0, width, height);
+            }
+            this.applyPipeline(ctx, width, height, width / this.canvas.width, state);
+
+            const icon = createBuffer(size, size);
+            blit(ctx.getImageData(0, 0, width, height), icon, (size - width) >> 1, (size - height) >> 1);
+            images.push(icon);
+        }
+
+        return IcoEncoder.encode(images);
+    }
+
+    async saveProject() {
+        try {
+            const blob = await ProjectFile.toBlob(this, { embedSource: this.embedSourceInProject });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `VOID_PROJECT_${Date.now()}.void`;
+            a.click();
+            URL.revokeObjectURL(url);
+        } catch (e) {
+            alert("Project Save Failed: " + e.message);
+            console.error(e);
+        }
     }
 
     async exportSeparations() {
         if (!this.originalImage) return;
 
-        const ditherState = this.state['dither_v1'];
-        if (!ditherState || !ditherState.enabled) {
-            alert("Please enable Dither Engine (Grade or Tonal) to export separations.");
+        // First enabled Dither slot defines the separation palette; without one, a CMYK Halftone slot gives CMYK plates
+        const ditherSlot = this.pipeline.find(inst => inst.effect.id === 'dither_v1' && inst.params.enabled);
+        const ditherState = ditherSlot ? ditherSlot.params : null;
+        const halftoneSlot = ditherState ? null : this.pipeline.find(inst => inst.effect.id === 'halftone_v1' && inst.params.enabled && (inst.params.inkMode || 'cmyk') === 'cmyk');
+        if (!ditherState && !halftoneSlot) {
+            alert("Please enable Dither Engine (Grade or Tonal) or a CMYK Halftone to export separations.");
             return;
         }
 
@@ -892,15 +1196,19 @@ export class ImageProcessor {
             // Let's ask pipeline to process up to Dither.
 
             const scale = w / this.canvas.width;
+            const env = this.seeds.env();
 
-            for (let effect of this.pipeline) {
-                if (effect.id === 'glitch_v1') continue; // Skip Glitch for separation safety? User might want it though.
+            for (let inst of this.pipeline.instances) {
+                if (inst === halftoneSlot) break; // CMYK plates are separated from what the halftone would screen
+                if (inst.effect.id === 'glitch_v1') continue; // Skip Glitch for separation safety? User might want it though.
                 // Let's include everything that affects color.
-                effect.process(ctx, w, h, this.state[effect.id], scale);
+                inst.effect.process(ctx, w, h, inst.params, scale, this.pipeline.envFor(inst, env));
             }
 
             // 2. Generate Maps
-            const layers = await SeparationExporter.generate(cvs, ditherState); // returns { filename: blob }
+            const layers = halftoneSlot
+                ? await SeparationExporter.generateCmyk(cvs, halftoneSlot.params)
+                : await SeparationExporter.generate(cvs, ditherState); // returns { filename: blob }
 
             // 3. Zip
             if (!window.JSZip) throw new Error("JSZip library not loaded.");
@@ -908,7 +1216,7 @@ export class ImageProcessor {
 
             // Add files
             for (let [name, blob] of Object.entries(layers)) {
-                zip.file(`${name}.png`, blob);
+                zip.file(`${name}.png`, await this.withMetadata(blob));
             }
 
             const content = await zip.generateAsync({ type: "blob" });
@@ -928,5 +1236,93 @@ export class ImageProcessor {
             this.toggleLoading(false);
         }
     }
-}
 
+    /**
+     * 1-bit plates of the first enabled Halftone slot at full resolution, with marks (see PlateExporter).
+     */
+    async exportHalftonePlates() {
+        if (!this.originalImage) return;
+
+        const halftoneSlot = this.pipeline.find(inst => inst.effect.id === 'halftone_v1' && inst.params.enabled);
+        if (!halftoneSlot) {
+            alert("Please enable a Halftone slot to export plates.");
+            return;
+        }
+
+        this.toggleLoading(true);
+
+        try {
+            // The image the slot screens: everything before it, at full resolution
+            const w = this.originalImage.naturalWidth;
+            const h = this.originalImage.naturalHeight;
+            const cvs = document.createElement('canvas');
+            cvs.width = w; cvs.height = h;
+            const ctx = cvs.getContext('2d');
+            ctx.drawImage(this.originalImage, 0, 0, w, h);
+
+            const scale = w / this.canvas.width;
+            const env = this.seeds.env();
+            for (let inst of this.pipeline.instances) {
+                if (inst === halftoneSlot) break;
+                inst.effect.process(ctx, w, h, inst.params, scale, this.pipeline.envFor(inst, env));
+            }
+
+            const format = this.exportSettings.plateFormat;
+            const blob = await PlateExporter.generate(cvs, halftoneSlot.effect, halftoneSlot.params, {
+                format,
+                dpi: this.exportSettings.printDpi,
+                scaleFactor: scale,
+                env: this.pipeline.envFor(halftoneSlot, env)
+            });
+
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `VOID_PLATES_${Date.now()}.${(PLATE_FORMATS[format] || PLATE_FORMATS.zip).extension}`;
+            a.click();
+            URL.revokeObjectURL(url);
+        } catch (e) {
+            alert("Plate Export Failed: " + e.message);
+            console.error(e);
+        } finally {
+            this.toggleLoading(false);
+        }
+    }
+
+    /**
+     * SVG / PDF: the first enabled Halftone slot's dots, or the flat colors of the first enabled
+     * Dither slot (GRADE), from the chain rendered at export size up to that slot (see VectorExporter).
+     */
+    async exportVector(w, h, exportScale) {
+        const set = this.exportSettings;
+        this.toggleLoading(true);
+
+        try {
+            const cvs = document.createElement('canvas');
+            cvs.width = w; cvs.height = h;
+            const ctx = cvs.getContext('2d');
+            if (this.backgroundMode === 'color') {
+                ctx.fillStyle = this.backgroundColor;
+                ctx.fillRect(0, 0, w, h);
+            } else if (this.backgroundMode === 'image') {
+                ctx.drawImage(this.originalImage, 0, 0, w, h);
+            }
+
+            const source = VECTOR_SOURCES[set.vectorSource] ? set.vectorSource : 'halftone';
+            const layers = VectorExporter.fromChain(ctx.getImageData(0, 0, w, h), this.pipeline, source, exportScale, this.seeds.env());
+            const blob = await VectorExporter.encode(layers, w, h, set.format, { dpi: set.printDpi });
+
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.download = `VOID_EXPORT_${Date.now()}.${set.format}`;
+            link.href = url;
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (e) {
+            alert("Vector Export Failed: " + e.message);
+            console.error(e);
+        } finally {
+            this.toggleLoading(false);
+        }
+    }
+}
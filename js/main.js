@@ -5,6 +5,8 @@
 
 import { ImageProcessor } from './imageProcessor.js';
 import { AudioProcessor } from './audioProcessor.js';
+import { ProjectFile } from './utils/ProjectFile.js';
+import { readMetadata } from './codecs/Metadata.js';
 
 const STATE = {
     file: null,
@@ -101,6 +103,25 @@ exportBtn.addEventListener('click', () => {
     }
 });
 
+// Undo / Redo (Ctrl+Z / Ctrl+Shift+Z / Ctrl+Y)
+document.addEventListener('keydown', (e) => {
+    const history = STATE.activeProcessor && STATE.activeProcessor.history;
+    if (!history || !(e.ctrlKey || e.metaKey)) return;
+
+    // Leave native undo to text fields
+    const tag = e.target.tagName;
+    if ((tag === 'INPUT' && ['text', 'number'].includes(e.target.type)) || tag === 'TEXTAREA') return;
+
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        history.undo();
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        history.redo();
+    }
+});
+
 // File Input
 fileInput.addEventListener('change', (e) => {
     if (e.target.files.length) {
@@ -111,26 +132,83 @@ fileInput.addEventListener('change', (e) => {
 /**
  * Main File Handler
  * @param {File} file 
+ * @param {Object} project - Optional project to restore once the file is loaded
  */
-function handleFile(file) {
+function handleFile(file, project = null) {
     console.log("Loading file:", file.name, file.type);
 
+    if (ProjectFile.isProjectFile(file)) {
+        loadProject(file);
+        return;
+    }
+
     STATE.file = file;
     fileInfoDisplay.textContent = `${file.name} (${formatBytes(file.size)})`; // Helper needed
 
     // Determine type
     if (file.type.startsWith('image/')) {
-        initImageMode(file);
+        if (project) initImageMode(file, project);
+        else loadImage(file);
     } else if (file.type.startsWith('audio/')) {
         initAudioMode(file);
     } else if (file.type.startsWith('video/')) {
-        initVideoMode(file); // Future implementation
+        initVideoMode(file, project); // Future implementation
     } else {
         alert("Unsupported file type.");
     }
 }
 
-function initImageMode(file) {
+/**
+ * Project Loader (.void)
+ * Uses the embedded source if present, otherwise applies to the current image/video.
+ * @param {File} file 
+ */
+async function loadProject(file) {
+    try {
+        const project = await ProjectFile.read(file);
+        const source = await ProjectFile.getSourceFile(project);
+
+        if (source) {
+            handleFile(source, project);
+        } else if (STATE.activeProcessor && STATE.activeProcessor.pipeline && STATE.activeProcessor.sourceFile) {
+            ProjectFile.apply(STATE.activeProcessor, project);
+        } else {
+            alert("This project has no embedded source. Load an image or video first, then drop the project again.");
+        }
+    } catch (err) {
+        console.error("Project load failed:", err);
+        alert("Project Load Failed: " + err.message);
+    }
+}
+
+/**
+ * Image Loader
+ * Images exported by VOID carry their project; offer to restore it.
+ * @param {File} file 
+ */
+async function loadImage(file) {
+    let project = null;
+    try {
+        const json = await readMetadata(file);
+        if (json) project = ProjectFile.migrate(JSON.parse(json));
+    } catch (err) {
+        console.warn("Embedded settings ignored:", err);
+    }
+
+    if (project && confirm("This image was exported from VOID. Restore its settings?")) {
+        const active = STATE.activeProcessor;
+        if (active && active.pipeline && active.sourceFile &&
+            confirm("Apply these settings to the current image?\nOK: keep the current image. Cancel: open the dropped image.")) {
+            ProjectFile.apply(active, project);
+            return;
+        }
+        initImageMode(file, project);
+        return;
+    }
+    initImageMode(file);
+}
+
+function initImageMode(file, project = null) {
     STATE.type = 'image';
     activeToolStatus.textContent = "IMAGE_PROCESSOR_V1";
 
@@ -147,6 +225,7 @@ function initImageMode(file) {
     }
 
     STATE.activeProcessor = new ImageProcessor(document.getElementById('main-canvas'));
+    STATE.activeProcessor.pendingProject = project;
     STATE.activeProcessor.loadImage(file);
     document.getElementById('export-btn').style.display = 'inline-block';
 }
@@ -181,7 +260,7 @@ function initAudioMode(file) {
     STATE.activeProcessor.loadAudio(file);
 }
 
-function initVideoMode(file) {
+function initVideoMode(file, project = null) {
     STATE.type = 'video';
     activeToolStatus.textContent = "VIDEO_PROCESSOR_V1";
 
@@ -199,6 +278,7 @@ function initVideoMode(file) {
 
     // Reuse ImageProcessor but in Video Mode
     STATE.activeProcessor = new ImageProcessor(document.getElementById('main-canvas'));
+    STATE.activeProcessor.pendingProject = project;
     STATE.activeProcessor.loadVideo(file);
     document.getElementById('export-btn').style.display = 'inline-block';
 }
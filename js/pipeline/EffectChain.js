@@ -0,0 +1,198 @@
+/**
+ * EffectChain - Ordered list of effect instances (slots).
+ * Each slot wraps an effect definition with its own id and params,
+ * so the same effect can appear several times and in any order.
+ */
+
+import { PreProcessEffect } from '../effects/PreProcessEffect.js';
+import { HalftoneEffect } from '../effects/HalftoneEffect.js';
+import { DitherEffect } from '../effects/DitherEffect.js';
+import { GlitchEffect } from '../effects/GlitchEffect.js';
+import { createRandom, hashSeed } from '../utils/Random.js';
+
+// Effects that can be inserted into the rack
+export const EffectRegistry = {
+    [PreProcessEffect.id]: PreProcessEffect,
+    [HalftoneEffect.id]: HalftoneEffect,
+    [DitherEffect.id]: DitherEffect,
+    [GlitchEffect.id]: GlitchEffect
+};
+
+// Default rack order (matches the historical hard-coded pipeline)
+export const DEFAULT_CHAIN = [
+    PreProcessEffect.id, // Levels, Blur, Noise, Sharpen
+    HalftoneEffect.id,   // Print style
+    DitherEffect.id,     // Quantize & Tone
+    GlitchEffect.id      // Post-process corruption
+];
+
+export class EffectChain {
+    constructor(effectIds = DEFAULT_CHAIN) {
+        this.instances = []; // { id, effect, params }
+        effectIds.forEach(effectId => this.add(effectId));
+    }
+
+    /**
+     * Rebuild a chain from plain slots [{ id, effect, params }].
+     * Unknown effects are skipped.
+     */
+    static fromJSON(slots) {
+        const chain = new EffectChain([]);
+        slots.forEach(slot => {
+            if (!EffectRegistry[slot.effect]) {
+                console.warn(`EffectChain: unknown effect "${slot.effect}" skipped.`);
+                return;
+            }
+            chain.add(slot.effect, JSON.parse(JSON.stringify(slot.params || {})), undefined, slot.id);
+        });
+        return chain;
+    }
+
+    /**
+     * Plain, deep-copied slots (for projects, presets & history)
+     */
+    toJSON() {
+        return this.instances.map(inst => ({
+            id: inst.id,
+            effect: inst.effect.id,
+            params: JSON.parse(JSON.stringify(inst.params))
+        }));
+    }
+
+    /**
+     * Unique slot id. The first instance of an effect keeps the bare effect id
+     * (e.g. "glitch_v1") so existing automation targets keep working.
+     */
+    nextId(effectId) {
+        if (!this.get(effectId)) return effectId;
+        let n = 2;
+        while (this.get(`${effectId}#${n}`)) n++;
+        return `${effectId}#${n}`;
+    }
+
+    get(id) {
+        return this.instances.find(inst => inst.id === id) || null;
+    }
+
+    indexOf(id) {
+        return this.instances.findIndex(inst => inst.id === id);
+    }
+
+    /**
+     * Insert a new instance of an effect.
+     * @param {string} effectId - Key in EffectRegistry
+     * @param {Object} params - Optional initial params (merged over defaults)
+     * @param {number} index - Optional insert position (default: end)
+     * @param {string} id - Optional explicit slot id (used when restoring)
+     */
+    add(effectId, params = null, index = this.instances.length, id = null) {
+        const effect = EffectRegistry[effectId];
+        if (!effect) throw new Error(`Unknown effect: ${effectId}`);
+
+        const inst = {
+            id: id || this.nextId(effectId),
+            effect: effect,
+            params: { ...effect.params, ...(params || {}) }
+        };
+        this.instances.splice(index, 0, inst);
+        return inst;
+    }
+
+    remove(id) {
+        const idx = this.indexOf(id);
+        if (idx !== -1) this.instances.splice(idx, 1);
+    }
+
+    duplicate(id) {
+        const idx = this.indexOf(id);
+        if (idx === -1) return null;
+        const src = this.instances[idx];
+        return this.add(src.effect.id, JSON.parse(JSON.stringify(src.params)), idx + 1);
+    }
+
+    /**
+     * Move a slot up (-1) or down (+1) in the chain.
+     */
+    move(id, delta) {
+        const idx = this.indexOf(id);
+        const target = idx + delta;
+        if (idx === -1 || target < 0 || target >= this.instances.length) return;
+        const [inst] = this.instances.splice(idx, 1);
+        this.instances.splice(target, 0, inst);
+    }
+
+    /**
+     * Display label for a slot ("DIGITAL GLITCH #2" for duplicates).
+     */
+    label(inst) {
+        const suffix = inst.id.includes('#') ? ` #${inst.id.split('#')[1]}` : '';
+        return inst.effect.name + suffix;
+    }
+
+    /**
+     * Params keyed by slot id. Shared objects, not copies.
+     */
+    get state() {
+        const state = {};
+        this.instances.forEach(inst => { state[inst.id] = inst.params; });
+        return state;
+    }
+
+    /**
+     * Run every enabled slot on a plain RGBA buffer (in place).
+     * Canvas-free: used by the browser CPU path and void-cli alike.
+     * @param {Object} buf - { data, width, height }
+     * @param {number} scaleFactor - Effect px scaling (export size / preview size)
+     * @param {Object} env - Shared render environment ({ seed, frame }, see SeedService.env).
+     *   Tiled renders add tile: { top, end, height } - buf holds full-image rows from `top`,
+     *   the tile outputs rows up to `end`, the full image is `height` rows (width is buf.width).
+     *   Video frames add histories: {} (kept from frame to frame, see envFor).
+     * @param {Object} state - Optional params snapshot keyed by slot id (Batch)
+     */
+    applyBuffer(buf, scaleFactor = 1.0, env = {}, state = this.state) {
+        this.instances.forEach(inst => {
+            const params = state[inst.id];
+            if (params && params.enabled) inst.effect.apply(buf, params, scaleFactor, this.envFor(inst, env));
+        });
+    }
+
+    /**
+     * Per-slot environment: each slot gets its own random stream derived from the
+     * seed and its id, so toggling or reordering one slot doesn't change another's noise.
+     * With env.caches (tiled renders), each slot also gets env.cache, kept across tiles.
+     * With env.histories (video playback / export), env.history, kept across frames.
+     */
+    envFor(inst, env = {}) {
+        let out = env;
+        if (env.seed !== undefined) out = { ...out, random: createRandom(hashSeed(env.seed, inst.id)) };
+        if (env.caches) out = { ...out, cache: env.caches[inst.id] || (env.caches[inst.id] = {}) };
+        if (env.histories) out = { ...out, history: env.histories[inst.id] || (env.histories[inst.id] = {}) };
+        return out;
+    }
+
+    /**
+     * Rows of overlap a tile needs above and below so its own rows match a full render:
+     * the sum of what each enabled slot reads past its input edges (effect.tileMargin).
+     * @param {number} width - Full image width
+     * @param {number} height - Full image height
+     */
+    tileMargin(scaleFactor, width, height, state = this.state) {
+        return this.instances.reduce((sum, inst) => {
+            const params = state[inst.id];
+            if (!params || !params.enabled || !inst.effect.tileMargin) return sum;
+            return sum + Math.ceil(inst.effect.tileMargin(params, scaleFactor, width, height));
+        }, 0);
+    }
+
+    forEach(fn) {
+        this.instances.forEach(fn);
+    }
+
+    filter(fn) {
+        return this.instances.filter(fn);
+    }
+
+    find(fn) {
+        return this.instances.find(fn);
+    }
+}
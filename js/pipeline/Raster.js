@@ -0,0 +1,215 @@
+/**
+ * Raster.js
+ * Canvas-free pixel helpers on plain RGBA buffers: { data: Uint8ClampedArray, width, height }.
+ * ImageData matches this shape, so the same code runs in the browser and in Node (void-cli).
+ */
+
+export function createBuffer(width, height) {
+    return { data: new Uint8ClampedArray(width * height * 4), width, height };
+}
+
+export function cloneBuffer(buf) {
+    return { data: new Uint8ClampedArray(buf.data), width: buf.width, height: buf.height };
+}
+
+/**
+ * Fill with a solid color
+ * @param {Array} rgba - [r, g, b, a] 0-255
+ */
+export function fillBuffer(buf, rgba) {
+    const d = buf.data;
+    for (let i = 0; i < d.length; i += 4) {
+        d[i] = rgba[0]; d[i + 1] = rgba[1]; d[i + 2] = rgba[2]; d[i + 3] = rgba[3];
+    }
+}
+
+/**
+ * Resample to a new size.
+ * @param {boolean} smooth - false = Nearest Neighbor (pixel art), true = Bilinear
+ */
+export function resize(src, width, height, smooth = false) {
+    if (src.width === width && src.height === height) return cloneBuffer(src);
+    return resizeRows(src, 0, src.height, width, height, 0, height, smooth);
+}
+
+/**
+ * Rows [y0, y1) of resize(full, width, height), where `src` holds the full
+ * image's rows from `srcY` on (a tile). Same pixel grid as resizing the whole image;
+ * rows that would sample outside `src` clamp to its edge.
+ * @param {number} fullHeight - Height of the full source image
+ */
+export function resizeRows(src, srcY, fullHeight, width, height, y0, y1, smooth = false) {
+    const dst = createBuffer(width, y1 - y0);
+    const s = src.data, d = dst.data;
+    const sw = src.width, sh = src.height;
+    const rx = sw / width, ry = fullHeight / height;
+    const row = (y) => Math.max(0, Math.min(sh - 1, y - srcY)); // Full-image row -> src row
+
+    if (!smooth) {
+        for (let y = y0; y < y1; y++) {
+            const sy = row(Math.min(fullHeight - 1, Math.floor((y + 0.5) * ry)));
+            for (let x = 0; x < width; x++) {
+                const sx = Math.min(sw - 1, Math.floor((x + 0.5) * rx));
+                const si = (sy * sw + sx) * 4;
+                const di = ((y - y0) * width + x) * 4;
+                d[di] = s[si]; d[di + 1] = s[si + 1]; d[di + 2] = s[si + 2]; d[di + 3] = s[si + 3];
+            }
+        }
+        return dst;
+    }
+
+    // Downscaling by a large factor: pre-blur so bilinear doesn't alias
+    let source = src;
+    const shrink = Math.min(width / sw, height / fullHeight);
+    if (shrink < 0.5) {
+        source = cloneBuffer(src);
+        gaussianBlur(source, 0.5 / shrink - 0.5);
+    }
+    const sd = source.data;
+
+    for (let y = y0; y < y1; y++) {
+        let fy = (y + 0.5) * ry - 0.5;
+        if (fy < 0) fy = 0;
+        const fy0 = Math.floor(fy);
+        const sy0 = row(fy0);
+        const sy1 = row(Math.min(fullHeight - 1, fy0 + 1));
+        const ty = fy - fy0;
+
+        for (let x = 0; x < width; x++) {
+            let fx = (x + 0.5) * rx - 0.5;
+            if (fx < 0) fx = 0;
+            const x0 = Math.floor(fx);
+            const x1 = Math.min(sw - 1, x0 + 1);
+            const tx = fx - x0;
+
+            const i00 = (sy0 * sw + x0) * 4, i10 = (sy0 * sw + x1) * 4;
+            const i01 = (sy1 * sw + x0) * 4, i11 = (sy1 * sw + x1) * 4;
+            const di = ((y - y0) * width + x) * 4;
+
+            for (let c = 0; c < 4; c++) {
+                const top = sd[i00 + c] + (sd[i10 + c] - sd[i00 + c]) * tx;
+                const bot = sd[i01 + c] + (sd[i11 + c] - sd[i01 + c]) * tx;
+                d[di + c] = Math.round(top + (bot - top) * ty);
+            }
+        }
+    }
+    return dst;
+}
+
+/**
+ * Gaussian blur (in place), approximated by 3 box passes.
+ * @param {number} sigma - Standard deviation in px (same meaning as CSS blur(Npx))
+ */
+export function gaussianBlur(buf, sigma) {
+    if (sigma <= 0) return;
+    const boxes = boxesForGauss(sigma, 3);
+    const tmp = new Uint8ClampedArray(buf.data.length);
+    for (let i = 0; i < boxes.length; i++) {
+        const r = (boxes[i] - 1) / 2;
+        boxBlurH(buf.data, tmp, buf.width, buf.height, r);
+        boxBlurV(tmp, buf.data, buf.width, buf.height, r);
+    }
+}
+
+/**
+ * How far (px) gaussianBlur(sigma) reaches: pixels closer than this to a buffer edge
+ * differ from a blur of the larger image. Used to size tile overlaps.
+ */
+export function blurReach(sigma) {
+    if (sigma <= 0) return 0;
+    return boxesForGauss(sigma, 3).reduce((n, box) => n + Math.max(0, (box - 1) / 2), 0);
+}
+
+function boxesForGauss(sigma, n) {
+    const wIdeal = Math.sqrt((12 * sigma * sigma / n) + 1);
+    let wl = Math.floor(wIdeal);
+    if (wl % 2 === 0) wl--;
+    const wu = wl + 2;
+    const mIdeal = (12 * sigma * sigma - n * wl * wl - 4 * n * wl - 3 * n) / (-4 * wl - 4);
+    const m = Math.round(mIdeal);
+    const sizes = [];
+    for (let i = 0; i < n; i++) sizes.push(i < m ? wl : wu);
+    return sizes;
+}
+
+// Running-sum box blur, edges clamped
+function boxBlurH(src, dst, w, h, r) {
+    if (r < 1) { dst.set(src); return; }
+    const norm = 1 / (r + r + 1);
+    for (let y = 0; y < h; y++) {
+        const row = y * w;
+        for (let c = 0; c < 4; c++) {
+            let acc = src[row * 4 + c] * (r + 1);
+            for (let k = 1; k <= r; k++) acc += src[(row + Math.min(k, w - 1)) * 4 + c];
+            for (let x = 0; x < w; x++) {
+                dst[(row + x) * 4 + c] = Math.round(acc * norm);
+                const add = Math.min(w - 1, x + r + 1);
+                const sub = Math.max(0, x - r);
+                acc += src[(row + add) * 4 + c] - src[(row + sub) * 4 + c];
+            }
+        }
+    }
+}
+
+function boxBlurV(src, dst, w, h, r) {
+    if (r < 1) { dst.set(src); return; }
+    const norm = 1 / (r + r + 1);
+    for (let x = 0; x < w; x++) {
+        for (let c = 0; c < 4; c++) {
+            let acc = src[x * 4 + c] * (r + 1);
+            for (let k = 1; k <= r; k++) acc += src[(Math.min(k, h - 1) * w + x) * 4 + c];
+            for (let y = 0; y < h; y++) {
+                dst[(y * w + x) * 4 + c] = Math.round(acc * norm);
+                const add = Math.min(h - 1, y + r + 1);
+                const sub = Math.max(0, y - r);
+                acc += src[(add * w + x) * 4 + c] - src[(sub * w + x) * 4 + c];
+            }
+        }
+    }
+}
+
+/**
+ * Largest size with the source aspect that fits in a box ("contain").
+ * @returns {Object} { width, height } (at least 1 px)
+ */
+export function fitSize(srcWidth, srcHeight, maxWidth, maxHeight = maxWidth) {
+    const ratio = Math.min(maxWidth / srcWidth, maxHeight / srcHeight);
+    return {
+        width: Math.max(1, Math.min(maxWidth, Math.round(srcWidth * ratio))),
+        height: Math.max(1, Math.min(maxHeight, Math.round(srcHeight * ratio)))
+    };
+}
+
+/**
+ * Copy src into dst at (dx, dy), replacing pixels (no blending).
+ */
+export function blit(src, dst, dx, dy) {
+    for (let y = 0; y < src.height; y++) {
+        const ty = y + dy;
+        if (ty < 0 || ty >= dst.height) continue;
+        for (let x = 0; x < src.width; x++) {
+            const tx = x + dx;
+            if (tx < 0 || tx >= dst.width) continue;
+            const si = (y * src.width + x) * 4;
+            const di = (ty * dst.width + tx) * 4;
+            dst.data[di] = src.data[si];
+            dst.data[di + 1] = src.data[si + 1];
+            dst.data[di + 2] = src.data[si + 2];
+            dst.data[di + 3] = src.data[si + 3];
+        }
+    }
+}
+
+/**
+ * Run a buffer operation on a 2D context (getImageData -> fn -> putImageData).
+ */
+export function processContext(ctx, width, height, fn) {
+    const imageData = ctx.getImageData(0, 0, width, height);
+    fn(imageData);
+    ctx.putImageData(imageData, 0, 0);
+}
+
+export function hexToRgb(hex) {
+    const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex || '');
+    return result ? [parseInt(result[1], 16), parseInt(result[2], 16), parseInt(result[3], 16)] : [0, 0, 0];
+}
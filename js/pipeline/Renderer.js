@@ -0,0 +1,102 @@
+/**
+ * Renderer.js
+ * Canvas-free render of a source buffer through an EffectChain.
+ * Mirrors ImageProcessor.exportResult() (background + chain at export scale) for void-cli,
+ * and renders large outputs in tiles for both.
+ */
+
+import { createBuffer, fillBuffer, resizeRows, hexToRgb } from './Raster.js';
+
+// Same limit as ImageProcessor.setupPreview (desktop)
+export const PREVIEW_MAX = 960;
+
+// Exports above this many pixels render in tiles (4096 x 4096)
+export const TILED_MIN_PIXELS = 16777216;
+
+// Target size of one tile buffer, overlap included
+export const TILE_PIXELS = 8388608;
+
+/**
+ * Size the effects are designed at (the preview canvas size).
+ * Effect px params (blur, dot size, shift...) scale by outputWidth / design width.
+ * Floored like canvas.width = w in setupPreview.
+ * @returns {Object} { width, height }
+ */
+export function designSize(srcWidth, srcHeight, maxPreview = PREVIEW_MAX) {
+    if (srcWidth > maxPreview || srcHeight > maxPreview) {
+        const ratio = Math.min(maxPreview / srcWidth, maxPreview / srcHeight);
+        return { width: Math.floor(srcWidth * ratio), height: Math.floor(srcHeight * ratio) };
+    }
+    return { width: srcWidth, height: srcHeight };
+}
+
+/**
+ * @param {Object} source - { data, width, height }
+ * @param {EffectChain} chain
+ * @param {Object} options - { width, height, scaleFactor, backgroundMode, backgroundColor, env }
+ * @returns {Object} Rendered buffer
+ */
+export function renderBuffer(source, chain, options = {}) {
+    const width = options.width || source.width;
+    const height = options.height || source.height;
+    const scaleFactor = options.scaleFactor || (width / designSize(source.width, source.height).width);
+
+    // 1. Background
+    const out = backgroundRows(source, width, height, 0, height, options);
+
+    // 2. Process
+    chain.applyBuffer(out, scaleFactor, options.env || {});
+    return out;
+}
+
+/**
+ * Rows [top, top + rows) of the background of a width x height render:
+ * the source (bilinear), a solid color or transparent.
+ * @param {Object} options - { backgroundMode, backgroundColor }
+ */
+export function backgroundRows(source, width, height, top, rows, options = {}) {
+    const mode = options.backgroundMode || 'image';
+    if (mode === 'image') return resizeRows(source, 0, source.height, width, height, top, top + rows, true);
+
+    const out = createBuffer(width, rows); // Transparent
+    if (mode === 'color') fillBuffer(out, [...hexToRgb(options.backgroundColor || '#000000'), 255]);
+    return out;
+}
+
+/**
+ * Render in full-width bands, for outputs too large for one buffer or canvas.
+ * Each band is rendered with chain.tileMargin() rows of overlap, and only its own rows are
+ * passed on (in order) to onRows, e.g. PngEncoder.addRows: memory stays at about one band.
+ * A preview-size pass runs first so image-wide choices (Dither's AUTO palette) are made once.
+ * @param {EffectChain} chain
+ * @param {Object} options - { width, height, scaleFactor, env, state, tileRows,
+ *   source: (width, height, top, rows) => background rows [top, top + rows) of a width x height image,
+ *   onRows: async (buf) => void, onProgress: async (done, total) => void }
+ */
+export async function renderTiles(chain, options) {
+    const { width, height, scaleFactor, source, onRows, onProgress } = options;
+    const state = options.state || chain.state;
+    const env = { ...(options.env || {}), caches: {} }; // Per-slot state kept across bands
+
+    // 1. Preview-size pass
+    const proxy = designSize(width, height);
+    chain.applyBuffer(await source(proxy.width, proxy.height, 0, proxy.height), scaleFactor * proxy.width / width, env, state);
+
+    // 2. Bands
+    const margin = chain.tileMargin(scaleFactor, width, height, state);
+    const rows = options.tileRows || Math.max(16, Math.floor(TILE_PIXELS / width) - 2 * margin);
+    const total = Math.ceil(height / rows);
+    const stride = width * 4;
+
+    for (let i = 0, y = 0; y < height; i++, y += rows) {
+        const end = Math.min(height, y + rows);
+        const top = Math.max(0, y - margin);
+        const bottom = Math.min(height, end + margin);
+
+        const buf = await source(width, height, top, bottom - top);
+        chain.applyBuffer(buf, scaleFactor, { ...env, tile: { top, end, height } }, state);
+
+        await onRows({ data: buf.data.subarray((y - top) * stride, (end - top) * stride), width, height: end - y });
+        if (onProgress) await onProgress(i + 1, total);
+    }
+}
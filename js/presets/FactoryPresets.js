@@ -0,0 +1,89 @@
+/**
+ * FactoryPresets.js
+ * Built-in looks shipped with VOID. Read-only in the preset library.
+ * Covers every DitherEffect algorithm and every entry of Palettes.js: one preset per palette,
+ * rotating through ALGORITHMS (fewer than there are palettes), plus the curated custom kernel.
+ */
+
+import { Palettes } from '../utils/Palettes.js';
+
+// Hand-tuned looks
+const CURATED = [
+    {
+        id: 'factory_gameboy_scanlines',
+        name: "Gameboy Dither + Scanlines",
+        scope: 'chain',
+        chain: [
+            { effect: 'preprocess_v1', params: { enabled: true, levelBlack: 20, levelWhite: 235, sharpenAmount: 20 } },
+            { effect: 'dither_v1', params: { enabled: true, renderMode: 'grade', palette: 'gameboy', algorithm: 'bayer4', resolution: 0.35, spread: 1.2 } },
+            { effect: 'glitch_v1', params: { enabled: true, scanlines: 0.25, scanlineSize: 2 } }
+        ]
+    },
+    {
+        id: 'factory_cmyk_newsprint',
+        name: "CMYK Newsprint",
+        scope: 'chain',
+        chain: [
+            { effect: 'preprocess_v1', params: { enabled: true, saturation: 85, sharpenAmount: 35, noiseAmount: 6 } },
+            { effect: 'halftone_v1', params: { enabled: true, scale: 5, opacity: 1.0, angleC: 15, angleM: 75, angleY: 0, angleK: 45 } }
+        ]
+    },
+    {
+        id: 'factory_mac_1bit',
+        name: "Macintosh 1-Bit",
+        scope: 'effect',
+        effect: 'dither_v1',
+        params: { enabled: true, renderMode: 'tonal', algorithm: 'atkinson', resolution: 0.5, lumaLow: 90, lumaHigh: 170, colorShadow: '#000000', colorMid: '#000000', colorHighlight: '#ffffff' }
+    },
+    {
+        id: 'factory_sepia_pixelate',
+        name: "Sepia Pixel Print",
+        scope: 'effect',
+        effect: 'dither_v1',
+        params: { enabled: true, renderMode: 'tonal', algorithm: 'none', resolution: 0.2, colorShadow: '#2e211b', colorMid: '#8f7661', colorHighlight: '#ebd9c2' }
+    },
+    {
+        id: 'factory_bluenoise_film',
+        name: "Blue Noise Film",
+        scope: 'effect',
+        effect: 'dither_v1',
+        // Grain without a visible grid; stays put from frame to frame on video
+        params: { enabled: true, renderMode: 'tonal', algorithm: 'bluenoise128', resolution: 0.6, linearLight: true, temporal: 'reuse', colorShadow: '#1a1614', colorMid: '#7d7266', colorHighlight: '#f2e8da' }
+    },
+    {
+        id: 'factory_streak_kernel',
+        name: "Streak Diffusion (Custom Kernel)",
+        scope: 'effect',
+        effect: 'dither_v1',
+        // All of the error pushed right along the row: long horizontal smears, like a bad fax
+        params: { enabled: true, renderMode: 'tonal', algorithm: 'custom', kernelWeights: [0, 0, 0, 5, 3, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0], kernelDivisor: 8, resolution: 0.5 }
+    },
+    {
+        id: 'factory_vhs_error',
+        name: "VHS Tracking Error",
+        scope: 'chain',
+        chain: [
+            { effect: 'preprocess_v1', params: { enabled: true, blurRadius: 1, noiseAmount: 18, saturation: 130 } },
+            { effect: 'glitch_v1', params: { enabled: true, rgbShift: 6, jitter: 0.35, scanlines: 0.2, scanlineSize: 1 } }
+        ]
+    }
+];
+
+// One GRADE preset per palette, rotating through the dither algorithms (Custom Kernel: see CURATED)
+const ALGORITHMS = ['floyd', 'bayer8', 'atkinson', 'bayer4', 'sierra', 'thread', 'bitwave', 'grid', 'stitched', 'none', 'jarvis', 'stucki', 'burkes', 'sierra3', 'sierra2', 'bluenoise64', 'bluenoise128', 'modulation'];
+
+const PALETTE_PRESETS = Object.keys(Palettes).map((key, i) => ({
+    id: `factory_palette_${key}`,
+    name: `${Palettes[key].name} (${ALGORITHMS[i % ALGORITHMS.length]})`,
+    scope: 'effect',
+    effect: 'dither_v1',
+    params: {
+        enabled: true,
+        renderMode: 'grade',
+        palette: key,
+        algorithm: ALGORITHMS[i % ALGORITHMS.length],
+        resolution: 0.5
+    }
+}));
+
+export const FactoryPresets = [...CURATED, ...PALETTE_PRESETS].map(p => ({ ...p, factory: true }));
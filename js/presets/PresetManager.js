@@ -0,0 +1,310 @@
+/**
+ * PresetManager - Named preset library for effect settings.
+ * A preset is either one effect's params (scope 'effect') or the whole chain (scope 'chain').
+ * User presets persist in localStorage; packs import/export as JSON.
+ * Presets carry the custom palettes their slots use (like project files), so packs render the same elsewhere.
+ */
+
+import { EffectChain, EffectRegistry } from '../pipeline/EffectChain.js';
+import { FactoryPresets } from './FactoryPresets.js';
+import { ProjectFile } from '../utils/ProjectFile.js';
+import { Palettes, isCustomPalette } from '../utils/Palettes.js';
+
+const STORAGE_KEY = 'void_presets_v1';
+export const PRESET_PACK_FORMAT = 'void-presets';
+export const PRESET_PACK_VERSION = 1;
+
+export class PresetManager {
+    constructor(imageProcessor) {
+        this.processor = imageProcessor;
+        this.userPresets = this.load();
+
+        // UI selection state (survives generateUI)
+        this.selectedPreset = FactoryPresets[0].id;
+        this.saveTarget = 'chain';
+    }
+
+    // --- STORAGE ---
+
+    load() {
+        try {
+            const raw = localStorage.getItem(STORAGE_KEY);
+            return raw ? JSON.parse(raw) : [];
+        } catch (e) {
+            console.warn("Presets: could not read local storage.", e);
+            return [];
+        }
+    }
+
+    persist() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.userPresets));
+        } catch (e) {
+            console.warn("Presets: could not write local storage.", e);
+            alert("Could not save presets locally (storage full or disabled).");
+        }
+    }
+
+    list() {
+        return [...FactoryPresets, ...this.userPresets];
+    }
+
+    get(id) {
+        return this.list().find(p => p.id === id) || null;
+    }
+
+    add(preset) {
+        this.userPresets.push(preset);
+        this.persist();
+        return preset;
+    }
+
+    remove(id) {
+        this.userPresets = this.userPresets.filter(p => p.id !== id);
+        this.persist();
+    }
+
+    // --- SNAPSHOTS ---
+
+    createId() {
+        return `preset_${Date.now()}_${Math.floor(Math.random() * 1e6)}`;
+    }
+
+    /**
+     * Snapshot one slot's params
+     */
+    snapshotEffect(inst, name) {
+        return {
+            id: this.createId(),
+            name: name,
+            scope: 'effect',
+            effect: inst.effect.id,
+            params: JSON.parse(JSON.stringify(inst.params)),
+            palettes: ProjectFile.customPalettes([inst])
+        };
+    }
+
+    /**
+     * Snapshot the whole chain (order + params of every slot)
+     */
+    snapshotChain(chain, name) {
+        return {
+            id: this.createId(),
+            name: name,
+            scope: 'chain',
+            chain: chain.instances.map(inst => ({
+                effect: inst.effect.id,
+                params: JSON.parse(JSON.stringify(inst.params))
+            })),
+            palettes: ProjectFile.customPalettes(chain.instances)
+        };
+    }
+
+    /**
+     * Custom palette keys a preset's slots use
+     */
+    static paletteKeys(preset) {
+        const slots = preset.scope === 'chain' ? preset.chain : [preset];
+        return [...new Set(slots.map(slot => slot.params && slot.params.palette).filter(isCustomPalette))];
+    }
+
+    /**
+     * Custom palettes to ship with a preset: the ones it carries, plus (for presets saved
+     * before presets carried them) the ones still in the palette table.
+     * @returns {Array} [{ id, name, colors }]
+     */
+    static palettesFor(preset) {
+        const carried = (preset.palettes || []).filter(p => p && isCustomPalette(p.id) && Array.isArray(p.colors));
+        const live = PresetManager.paletteKeys(preset)
+            .filter(id => Palettes[id] && !carried.some(p => p.id === id))
+            .map(id => ({ id, name: Palettes[id].name, colors: Palettes[id].colors.slice() }));
+        return [...carried, ...live];
+    }
+
+    /**
+     * Custom palettes a preset uses that are not registered (its Dither slots fall back to 1-Bit)
+     */
+    static missingPalettes(preset) {
+        return PresetManager.paletteKeys(preset).filter(id => !Palettes[id]);
+    }
+
+    // --- APPLY ---
+
+    /**
+     * Apply a preset to the processor.
+     * Effect presets patch the target slot (first slot of that effect if the
+     * target doesn't match, a new slot if none exists). Chain presets rebuild the rack.
+     * @param {Object} preset
+     * @param {string} targetId - Preferred slot id for effect presets
+     */
+    apply(preset, targetId = null) {
+        const proc = this.processor;
+        if (proc.palettes) proc.palettes.adopt(PresetManager.palettesFor(preset));
+        proc.history.recordChain(`PRESET: ${preset.name}`, () => this.patch(preset, targetId));
+        proc.generateUI();
+        proc.requestRender();
+    }
+
+    patch(preset, targetId) {
+        try {
+            this.processor.pipeline = PresetManager.applyToChain(this.processor.pipeline, preset, targetId);
+        } catch (e) {
+            alert(e.message);
+        }
+    }
+
+    /**
+     * Apply a preset to a chain (no UI / history). Shared with void-cli.
+     * @returns {EffectChain} The patched chain (a new one for chain presets)
+     */
+    static applyToChain(chain, preset, targetId = null) {
+        if (preset.scope === 'chain') {
+            return EffectChain.fromJSON(preset.chain);
+        }
+
+        const effect = EffectRegistry[preset.effect];
+        if (!effect) throw new Error(`Preset targets an unknown effect (${preset.effect}).`);
+
+        let inst = targetId ? chain.get(targetId) : null;
+        if (!inst || inst.effect.id !== preset.effect) {
+            inst = chain.find(i => i.effect.id === preset.effect);
+        }
+        if (!inst) inst = chain.add(preset.effect);
+
+        // Reset to defaults, then patch (a preset is a complete look)
+        const params = chain.state[inst.id];
+        Object.keys(params).forEach(k => delete params[k]);
+        Object.assign(params, JSON.parse(JSON.stringify(effect.params)), JSON.parse(JSON.stringify(preset.params)));
+        return chain;
+    }
+
+    // --- PACKS ---
+
+    exportPack(presets = this.userPresets) {
+        const pack = {
+            format: PRESET_PACK_FORMAT,
+            version: PRESET_PACK_VERSION,
+            presets: presets.map(({ factory, ...p }) => ({ ...p, palettes: PresetManager.palettesFor(p) }))
+        };
+        const blob = new Blob([JSON.stringify(pack, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `VOID_PRESETS_${Date.now()}.json`;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Import a pack file. Presets get fresh ids so packs can be imported twice.
+     * The custom palettes they carry join the palette library.
+     * @returns {Promise<Object>} { count, missing: custom palette ids no preset carried }
+     */
+    async importPack(file) {
+        const pack = JSON.parse(await file.text());
+        if (!pack || pack.format !== PRESET_PACK_FORMAT || !Array.isArray(pack.presets)) {
+            throw new Error("Not a VOID preset pack.");
+        }
+        if (pack.version > PRESET_PACK_VERSION) {
+            throw new Error(`Unsupported preset pack version: ${pack.version}`);
+        }
+
+        const valid = pack.presets.filter(p => p && p.name && (
+            (p.scope === 'effect' && p.effect && p.params) ||
+            (p.scope === 'chain' && Array.isArray(p.chain))
+        ));
+        const missing = new Set();
+        valid.forEach(p => {
+            if (this.processor.palettes) this.processor.palettes.adopt(PresetManager.palettesFor(p));
+            PresetManager.missingPalettes(p).forEach(id => missing.add(id));
+            this.userPresets.push({ ...p, id: this.createId(), factory: false });
+        });
+        this.persist();
+        return { count: valid.length, missing: [...missing] };
+    }
+
+    // --- UI ---
+
+    setupUI() {
+        const ui = this.processor.ui;
+        const group = ui.createModuleGroup("PRESETS", null, true, "Apply saved looks to a slot or the whole chain. Export/import packs as JSON.");
+
+        const label = (p) => {
+            const scope = p.scope === 'chain' ? 'CHAIN' : (EffectRegistry[p.effect] ? EffectRegistry[p.effect].name : p.effect);
+            return `${p.factory ? '★ ' : ''}[${scope}] ${p.name}`;
+        };
+
+        const all = this.list();
+        if (!this.get(this.selectedPreset)) this.selectedPreset = all[0].id;
+
+        group.addSelect("PRESET", all.map(p => ({ label: label(p), value: p.id })), this.selectedPreset, (v) => {
+            this.selectedPreset = v;
+        }, "★ = Factory preset.");
+
+        // Target slot (for both apply & save)
+        const slotOptions = [{ label: "WHOLE CHAIN", value: 'chain' }].concat(
+            this.processor.pipeline.instances.map(inst => ({ label: this.processor.pipeline.label(inst), value: inst.id }))
+        );
+        if (!slotOptions.find(o => o.value === this.saveTarget)) this.saveTarget = 'chain';
+
+        group.addSelect("TARGET SLOT", slotOptions, this.saveTarget, (v) => {
+            this.saveTarget = v;
+        }, "Slot that effect presets apply to / are saved from.");
+
+        group.addButton("APPLY PRESET", () => {
+            const preset = this.get(this.selectedPreset);
+            if (preset) this.apply(preset, this.saveTarget);
+        });
+
+        group.addButton("SAVE CURRENT AS PRESET", () => {
+            const name = prompt("Preset name:");
+            if (!name) return;
+            const preset = this.saveTarget === 'chain'
+                ? this.snapshotChain(this.processor.pipeline, name)
+                : this.snapshotEffect(this.processor.pipeline.get(this.saveTarget), name);
+            this.add(preset);
+            this.selectedPreset = preset.id;
+            this.processor.generateUI();
+        });
+
+        group.addButton("DELETE PRESET", () => {
+            const preset = this.get(this.selectedPreset);
+            if (!preset) return;
+            if (preset.factory) {
+                alert("Factory presets cannot be deleted.");
+                return;
+            }
+            if (!confirm(`Delete preset "${preset.name}"?`)) return;
+            this.remove(preset.id);
+            this.processor.generateUI();
+        });
+
+        group.addButton("EXPORT PACK (JSON)", () => {
+            if (this.userPresets.length === 0) {
+                alert("No user presets to export.");
+                return;
+            }
+            this.exportPack();
+        });
+
+        group.addButton("IMPORT PACK", () => {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = '.json,application/json';
+            input.onchange = async (e) => {
+                if (!e.target.files.length) return;
+                try {
+                    const { count, missing } = await this.importPack(e.target.files[0]);
+                    const warning = missing.length
+                        ? `\n\nWarning: ${missing.length} custom palette(s) used by these presets are not in the pack (${missing.join(', ')}). Their Dither slots fall back to ${Palettes['bw_1bit'].name}.`
+                        : '';
+                    alert(`Imported ${count} preset(s).${warning}`);
+                    this.processor.generateUI();
+                } catch (err) {
+                    alert("Preset Import Failed: " + err.message);
+                }
+            };
+            input.click();
+        });
+    }
+}
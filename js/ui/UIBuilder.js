@@ -65,18 +65,67 @@ export class UIBuilder {
         this.container.appendChild(group);
 
         return {
+            header: header,
+            title: label,
             content: content,
             addSlider: (label, min, max, value, step, onChange, tooltip) => this.addSlider(content, label, min, max, value, step, onChange, tooltip),
             addSelect: (label, options, value, onChange, tooltip) => this.addSelect(content, label, options, value, onChange, tooltip),
             addToggle: (label, value, onChange, tooltip) => this.addToggle(content, label, value, onChange, tooltip),
             addColor: (label, value, onChange) => this.addColor(content, label, value, onChange),
             addNumber: (label, value, onChange) => this.addNumber(content, label, value, onChange),
+            addMatrix: (label, values, cols, onChange, marks) => this.addMatrix(content, label, values, cols, onChange, marks),
+            addGradient: (label, stops, maxStops, onChange) => this.addGradient(content, label, stops, maxStops, onChange),
+            addSwatches: (label, colors, maxColors, onChange) => this.addSwatches(content, label, colors, maxColors, onChange),
             addDescription: (text) => this.addDescription(content, text),
             createButton: (label, onClick) => this.addButton(content, label, onClick), // Alias for consistency with caller
             addButton: (label, onClick) => this.addButton(content, label, onClick)
         };
     }
 
+    /**
+     * Add slot actions (reorder / duplicate / remove) to a module header.
+     * @param {Object} group - Object returned by createModuleGroup
+     * @param {string} title - Header label (e.g. "DIGITAL GLITCH #2")
+     * @param {Object} actions - { onMoveUp, onMoveDown, onDuplicate, onRemove } (null = hidden)
+     */
+    addSlotControls(group, title, actions) {
+        if (title) group.title.textContent = title;
+
+        const bar = document.createElement('div');
+        bar.className = 'module-slot-actions';
+        bar.style.display = 'flex';
+        bar.style.gap = '4px';
+        bar.style.marginLeft = 'auto';
+        bar.style.marginRight = '8px';
+
+        const defs = [
+            { icon: '▲', tip: 'Move up', fn: actions.onMoveUp },
+            { icon: '▼', tip: 'Move down', fn: actions.onMoveDown },
+            { icon: '⧉', tip: 'Duplicate', fn: actions.onDuplicate },
+            { icon: '×', tip: 'Remove', fn: actions.onRemove }
+        ];
+
+        defs.forEach(def => {
+            if (!def.fn) return;
+            const btn = document.createElement('button');
+            btn.textContent = def.icon;
+            btn.title = def.tip;
+            btn.style.background = 'transparent';
+            btn.style.border = 'none';
+            btn.style.color = def.icon === '×' ? 'var(--accent-alert)' : 'var(--text-dim)';
+            btn.style.cursor = 'pointer';
+            btn.onclick = (e) => {
+                e.stopPropagation();
+                def.fn();
+            };
+            bar.appendChild(btn);
+        });
+
+        // Keep the enable toggle on the far right
+        const toggle = group.header.querySelector('input[type=checkbox]');
+        group.header.insertBefore(bar, toggle);
+    }
+
     renderTooltip(parent, text) {
         if (!text) return;
         const icon = document.createElement('span');
@@ -252,6 +301,356 @@ export class UIBuilder {
         parent.appendChild(wrapper);
     }
 
+    /**
+     * Grid of number inputs (e.g. a dither kernel), row-major.
+     * @param {Array} values - Flat array of rows * cols numbers
+     * @param {Object} marks - { index: text } cells shown as fixed labels instead of inputs
+     * @param {Function} onChange - Called with a new array when any cell changes
+     */
+    addMatrix(parent, labelText, values, cols, onChange, marks = {}) {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'control-item control-matrix';
+
+        const label = document.createElement('label');
+        label.textContent = labelText;
+
+        const grid = document.createElement('div');
+        grid.style.display = 'grid';
+        grid.style.gridTemplateColumns = `repeat(${cols}, 1fr)`;
+        grid.style.gap = '3px';
+        grid.style.marginTop = '5px';
+
+        const current = values.slice();
+        current.forEach((v, i) => {
+            if (marks[i] !== undefined) {
+                const cell = document.createElement('span');
+                cell.textContent = marks[i];
+                cell.style.textAlign = 'center';
+                cell.style.color = 'var(--text-dim)';
+                grid.appendChild(cell);
+                return;
+            }
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.value = v;
+            input.className = 'btn-secondary'; // Recycle style
+            input.style.width = '100%';
+            input.style.padding = '3px';
+            input.addEventListener('change', (e) => {
+                current[i] = parseFloat(e.target.value) || 0;
+                onChange(current.slice());
+            });
+            grid.appendChild(input);
+        });
+
+        wrapper.appendChild(label);
+        wrapper.appendChild(grid);
+        parent.appendChild(wrapper);
+    }
+
+    /**
+     * Gradient stop editor: a preview bar with draggable handles (double-click adds a stop)
+     * and one row per stop (color, position 0-255, remove).
+     * @param {Array} stops - [{ pos, color }]
+     * @param {Function} onChange - Called with a new array (sorted by position) on every edit
+     * @returns {Object} { set(stops) } to replace the stops from outside (presets...)
+     */
+    addGradient(parent, labelText, stops, maxStops, onChange) {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'control-item control-gradient';
+
+        const label = document.createElement('label');
+        label.textContent = labelText;
+
+        const bar = document.createElement('div');
+        bar.style.position = 'relative';
+        bar.style.height = '22px';
+        bar.style.margin = '6px 6px 14px';
+        bar.style.border = '1px solid var(--border, #333)';
+        bar.style.cursor = 'copy';
+
+        const rows = document.createElement('div');
+        rows.style.display = 'flex';
+        rows.style.flexDirection = 'column';
+        rows.style.gap = '3px';
+
+        let current = [];
+        const emit = () => onChange(current.map(s => ({ ...s })));
+        const sort = () => current.sort((a, b) => a.pos - b.pos);
+        const paintBar = () => {
+            const sorted = current.slice().sort((a, b) => a.pos - b.pos);
+            bar.style.background = `linear-gradient(to right, ${sorted.map(s => `${s.color} ${(100 * s.pos / 255).toFixed(2)}%`).join(', ')})`;
+        };
+
+        // Color between the neighbouring stops, for new stops
+        const colorAt = (pos) => {
+            const sorted = current.slice().sort((a, b) => a.pos - b.pos);
+            const next = sorted.findIndex(s => s.pos > pos);
+            if (next <= 0) return sorted[next === 0 ? 0 : sorted.length - 1].color;
+            const a = sorted[next - 1], b = sorted[next];
+            const t = (pos - a.pos) / (b.pos - a.pos);
+            const hex = (s) => [1, 3, 5].map(i => parseInt(s.color.substr(i, 2), 16));
+            const ca = hex(a), cb = hex(b);
+            return '#' + ca.map((v, i) => Math.round(v + (cb[i] - v) * t).toString(16).padStart(2, '0')).join('');
+        };
+
+        const posFromEvent = (e) => {
+            const rect = bar.getBoundingClientRect();
+            return Math.max(0, Math.min(255, Math.round(255 * (e.clientX - rect.left) / rect.width)));
+        };
+
+        const render = () => {
+            bar.innerHTML = '';
+            rows.innerHTML = '';
+            paintBar();
+
+            current.forEach((stop) => {
+                // Handle on the bar
+                const handle = document.createElement('div');
+                handle.title = 'Drag to move';
+                handle.style.position = 'absolute';
+                handle.style.top = '100%';
+                handle.style.left = `${100 * stop.pos / 255}%`;
+                handle.style.width = '10px';
+                handle.style.height = '10px';
+                handle.style.marginLeft = '-6px';
+                handle.style.background = stop.color;
+                handle.style.border = '1px solid var(--text-dim)';
+                handle.style.cursor = 'ew-resize';
+                handle.style.touchAction = 'none';
+
+                handle.addEventListener('pointerdown', (e) => {
+                    e.stopPropagation();
+                    handle.setPointerCapture(e.pointerId);
+                });
+                handle.addEventListener('pointermove', (e) => {
+                    if (!handle.hasPointerCapture(e.pointerId)) return;
+                    stop.pos = posFromEvent(e);
+                    handle.style.left = `${100 * stop.pos / 255}%`;
+                    posInput.value = stop.pos;
+                    paintBar();
+                    emit();
+                });
+                handle.addEventListener('pointerup', () => {
+                    sort();
+                    render();
+                });
+                handle.addEventListener('dblclick', (e) => e.stopPropagation());
+                bar.appendChild(handle);
+
+                // Row: color, position, remove
+                const row = document.createElement('div');
+                row.style.display = 'flex';
+                row.style.alignItems = 'center';
+                row.style.gap = '5px';
+
+                const colorInput = document.createElement('input');
+                colorInput.type = 'color';
+                colorInput.value = stop.color;
+                colorInput.style.width = '40px';
+                colorInput.style.height = '24px';
+                colorInput.style.border = 'none';
+                colorInput.style.cursor = 'pointer';
+                colorInput.addEventListener('input', (e) => {
+                    stop.color = e.target.value;
+                    handle.style.background = stop.color;
+                    paintBar();
+                    emit();
+                });
+
+                const posInput = document.createElement('input');
+                posInput.type = 'number';
+                posInput.min = 0;
+                posInput.max = 255;
+                posInput.value = stop.pos;
+                posInput.className = 'btn-secondary'; // Recycle style
+                posInput.style.width = '70px';
+                posInput.style.padding = '3px';
+                posInput.addEventListener('change', (e) => {
+                    stop.pos = Math.max(0, Math.min(255, Math.round(parseFloat(e.target.value) || 0)));
+                    sort();
+                    render();
+                    emit();
+                });
+
+                const remove = document.createElement('button');
+                remove.textContent = '×';
+                remove.title = 'Remove stop';
+                remove.disabled = current.length <= 2;
+                remove.style.background = 'transparent';
+                remove.style.border = 'none';
+                remove.style.color = 'var(--accent-alert)';
+                remove.style.cursor = remove.disabled ? 'default' : 'pointer';
+                remove.style.opacity = remove.disabled ? '0.3' : '1';
+                remove.onclick = () => {
+                    current.splice(current.indexOf(stop), 1);
+                    render();
+                    emit();
+                };
+
+                row.appendChild(colorInput);
+                row.appendChild(posInput);
+                row.appendChild(remove);
+                rows.appendChild(row);
+            });
+        };
+
+        const addStop = (pos) => {
+            if (current.length >= maxStops) return;
+            current.push({ pos, color: colorAt(pos) });
+            sort();
+            render();
+            emit();
+        };
+
+        bar.addEventListener('dblclick', (e) => addStop(posFromEvent(e)));
+
+        // Button: new stop in the middle of the widest gap
+        const addBtn = document.createElement('button');
+        addBtn.textContent = '+ ADD STOP';
+        addBtn.className = 'btn btn-secondary';
+        addBtn.style.width = '100%';
+        addBtn.style.marginTop = '5px';
+        addBtn.onclick = () => {
+            const edges = [0, ...current.map(s => s.pos).sort((a, b) => a - b), 255];
+            let best = 0;
+            for (let i = 1; i < edges.length - 1; i++) {
+                if (edges[i + 1] - edges[i] > edges[best + 1] - edges[best]) best = i;
+            }
+            addStop(Math.round((edges[best] + edges[best + 1]) / 2));
+        };
+
+        const set = (next) => {
+            current = next.slice(0, maxStops).map(s => ({ pos: s.pos, color: s.color }));
+            sort();
+            render();
+        };
+        set(stops);
+
+        wrapper.appendChild(label);
+        wrapper.appendChild(bar);
+        wrapper.appendChild(rows);
+        wrapper.appendChild(addBtn);
+        parent.appendChild(wrapper);
+
+        return { set };
+    }
+
+    /**
+     * Editable color list: one row per color (picker, hex, move up / down, remove) and an add button.
+     * @param {Array} colors - ['#hex'...]
+     * @param {Function} onChange - Called with a new array on every edit
+     */
+    addSwatches(parent, labelText, colors, maxColors, onChange) {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'control-item control-swatches';
+
+        const label = document.createElement('label');
+        label.textContent = labelText;
+
+        const rows = document.createElement('div');
+        rows.style.display = 'flex';
+        rows.style.flexDirection = 'column';
+        rows.style.gap = '3px';
+        rows.style.maxHeight = '240px';
+        rows.style.overflowY = 'auto';
+        rows.style.marginTop = '5px';
+
+        const current = colors.slice();
+        const emit = () => onChange(current.slice());
+
+        const iconButton = (icon, tip, enabled, onClick) => {
+            const btn = document.createElement('button');
+            btn.textContent = icon;
+            btn.title = tip;
+            btn.disabled = !enabled;
+            btn.style.background = 'transparent';
+            btn.style.border = 'none';
+            btn.style.color = icon === '×' ? 'var(--accent-alert)' : 'var(--text-dim)';
+            btn.style.cursor = enabled ? 'pointer' : 'default';
+            btn.style.opacity = enabled ? '1' : '0.3';
+            btn.onclick = onClick;
+            return btn;
+        };
+
+        const move = (i, j) => {
+            [current[i], current[j]] = [current[j], current[i]];
+            render();
+            emit();
+        };
+
+        const render = () => {
+            rows.innerHTML = '';
+            current.forEach((color, i) => {
+                const row = document.createElement('div');
+                row.style.display = 'flex';
+                row.style.alignItems = 'center';
+                row.style.gap = '5px';
+
+                const hex = document.createElement('input');
+                hex.type = 'text';
+                hex.value = color;
+                hex.className = 'btn-secondary'; // Recycle style
+                hex.style.width = '80px';
+                hex.style.padding = '3px';
+
+                const picker = document.createElement('input');
+                picker.type = 'color';
+                picker.value = color;
+                picker.style.width = '40px';
+                picker.style.height = '24px';
+                picker.style.border = 'none';
+                picker.style.cursor = 'pointer';
+                picker.addEventListener('input', (e) => {
+                    current[i] = e.target.value;
+                    hex.value = current[i];
+                    emit();
+                });
+
+                hex.addEventListener('change', (e) => {
+                    const m = /^#?([0-9a-f]{6})$/i.exec(e.target.value.trim());
+                    if (!m) {
+                        hex.value = current[i];
+                        return;
+                    }
+                    current[i] = `#${m[1].toLowerCase()}`;
+                    hex.value = picker.value = current[i];
+                    emit();
+                });
+
+                row.appendChild(picker);
+                row.appendChild(hex);
+                row.appendChild(iconButton('▲', 'Move up', i > 0, () => move(i, i - 1)));
+                row.appendChild(iconButton('▼', 'Move down', i < current.length - 1, () => move(i, i + 1)));
+                row.appendChild(iconButton('×', 'Remove color', current.length > 1, () => {
+                    current.splice(i, 1);
+                    render();
+                    emit();
+                }));
+                rows.appendChild(row);
+            });
+        };
+        render();
+
+        const addBtn = document.createElement('button');
+        addBtn.textContent = '+ ADD COLOR';
+        addBtn.className = 'btn btn-secondary';
+        addBtn.style.width = '100%';
+        addBtn.style.marginTop = '5px';
+        addBtn.onclick = () => {
+            if (current.length >= maxColors) return;
+            current.push(current[current.length - 1] || '#000000');
+            render();
+            rows.scrollTop = rows.scrollHeight;
+            emit();
+        };
+
+        wrapper.appendChild(label);
+        wrapper.appendChild(rows);
+        wrapper.appendChild(addBtn);
+        parent.appendChild(wrapper);
+    }
+
     addButton(parent, labelText, onClick) {
         const wrapper = document.createElement('div');
         wrapper.className = 'control-item control-button';
@@ -5,6 +5,8 @@
  */
 
 import { ImageProcessor } from '../imageProcessor.js';
+import { encodeBuffer, JS_FORMATS } from '../codecs/Codecs.js';
+import { ProjectFile } from './ProjectFile.js';
 
 export class BatchManager {
     constructor(imageProcessor) {
@@ -97,7 +99,9 @@ export class BatchManager {
         const zip = new JSZip();
         // Capture current state of params
         const stateSnapshot = JSON.parse(JSON.stringify(this.processor.state));
-        const settings = this.processor.exportSettings;
+        const settings = { ...this.processor.exportSettings };
+        // Embedded settings come from the same moment, so each file restores the look that made it
+        const project = await ProjectFile.serialize(this.processor);
 
         // Hidden Canvas for processing
         const workCanvas = document.createElement('canvas');
@@ -124,6 +128,13 @@ export class BatchManager {
                     }
                 }
 
+                // ICO: multi-size render, packed by the processor
+                if (settings.format === 'ico') {
+                    const icon = await this.processor.buildIcon(img, stateSnapshot);
+                    zip.file(`${file.name.replace(/\.[^.]+$/, '')}_VOID.ico`, icon);
+                    continue;
+                }
+
                 workCanvas.width = w;
                 workCanvas.height = h;
 
@@ -149,18 +160,26 @@ export class BatchManager {
                 const previewW = this.processor.canvas.width || 800;
                 const scale = w / previewW;
 
-                this.processor.pipeline.forEach(effect => {
-                    // Use Snapshot state
-                    effect.process(workCtx, w, h, stateSnapshot[effect.id], scale);
-                });
+                // Use Snapshot state (keyed by slot id)
+                const env = { ...this.processor.seeds.env(), info: {} };
+                this.processor.applyPipeline(workCtx, w, h, scale, stateSnapshot, env);
 
                 // 3. Add to Zip
-                const blob = await new Promise(r => workCanvas.toBlob(r, settings.format === 'jpg' ? 'image/jpeg' : 'image/png', settings.quality));
+                let blob, ext = settings.format;
+                if (JS_FORMATS[settings.format]) {
+                    blob = await encodeBuffer(workCtx.getImageData(0, 0, w, h), settings.format, { ...settings, palette: env.info.palette });
+                    ext = JS_FORMATS[settings.format];
+                } else {
+                    // SVG / PDF are single-image exports: batches save PNG
+                    const mime = settings.format === 'jpg' ? 'image/jpeg' : (settings.format === 'webp' ? 'image/webp' : 'image/png');
+                    blob = await new Promise(r => workCanvas.toBlob(r, mime, settings.quality));
+                    if (mime === 'image/png') ext = 'png';
+                }
                 // Rename
                 const nameParts = file.name.split('.');
-                const ext = nameParts.pop();
+                nameParts.pop();
                 const cleanName = nameParts.join('.');
-                zip.file(`${cleanName}_VOID.${settings.format}`, blob);
+                zip.file(`${cleanName}_VOID.${ext}`, await this.processor.withMetadata(blob, project));
 
             } catch (err) {
                 console.error(`Error processing ${file.name}`, err);
@@ -0,0 +1,125 @@
+/**
+ * BlueNoise.js
+ * Void-and-cluster threshold maps (Ulichney 1993) for ordered dithering.
+ * Maps are generated in-app from a fixed seed, so the browser, the GPU path and void-cli
+ * dither with the same matrix, and are cached per size for the session.
+ * The 128 map ships precomputed (BlueNoiseData.js): generating it would block the UI for seconds.
+ */
+
+import { createRandom } from './Random.js';
+import { BLUE_NOISE_128 } from './BlueNoiseData.js';
+
+export const BLUE_NOISE_SIZES = [64, 128];
+
+const SIGMA = 1.5; // Energy filter width recommended by Ulichney
+const RADIUS = Math.ceil(SIGMA * 6); // Beyond this the Gaussian is negligible
+const INITIAL_DENSITY = 0.1;
+const SEED = 0x9E3779B9;
+
+const PRECOMPUTED = { 128: BLUE_NOISE_128 };
+
+const cache = new Map();
+
+/**
+ * @param {number} size - Power of two (64 or 128)
+ * @returns {Float32Array} size * size thresholds in [0, 1), row-major, tileable
+ */
+export function blueNoiseMap(size) {
+    if (!cache.has(size)) cache.set(size, PRECOMPUTED[size] ? decode(PRECOMPUTED[size], size) : generateBlueNoiseMap(size));
+    return cache.get(size);
+}
+
+/**
+ * Runs void-and-cluster without the cache or precomputed data (slow: seconds at 128).
+ * @param {number} size - Power of two
+ * @returns {Float32Array} Same layout as blueNoiseMap
+ */
+export function generateBlueNoiseMap(size) {
+    const n = size * size;
+    const mask = size - 1;
+
+    // Toroidal Gaussian, as (dx, dy, weight) taps
+    const taps = [];
+    for (let dy = -RADIUS; dy <= RADIUS; dy++) {
+        for (let dx = -RADIUS; dx <= RADIUS; dx++) {
+            taps.push(dx, dy, Math.exp(-(dx * dx + dy * dy) / (2 * SIGMA * SIGMA)));
+        }
+    }
+
+    const splat = (energy, p, sign) => {
+        const px = p & mask, py = p >> Math.log2(size);
+        for (let t = 0; t < taps.length; t += 3) {
+            energy[((py + taps[t + 1]) & mask) * size + ((px + taps[t]) & mask)] += sign * taps[t + 2];
+        }
+    };
+
+    // Tightest cluster (highest energy among 1s) / largest void (lowest energy among 0s)
+    const extreme = (pattern, energy, value) => {
+        let best = -1, bestE = value ? -Infinity : Infinity;
+        for (let i = 0; i < n; i++) {
+            if (pattern[i] !== value) continue;
+            if (value ? energy[i] > bestE : energy[i] < bestE) { bestE = energy[i]; best = i; }
+        }
+        return best;
+    };
+
+    // 1. Initial binary pattern: seeded white noise, relaxed into an even distribution
+    const random = createRandom(SEED + size);
+    const ones = Math.max(1, Math.round(n * INITIAL_DENSITY));
+    const initial = new Uint8Array(n);
+    const initialEnergy = new Float64Array(n);
+    for (let placed = 0; placed < ones;) {
+        const p = Math.floor(random() * n);
+        if (initial[p]) continue;
+        initial[p] = 1;
+        splat(initialEnergy, p, 1);
+        placed++;
+    }
+
+    // Move the tightest cluster into the largest void until it lands back where it was
+    for (let guard = 0; guard < n; guard++) {
+        const cluster = extreme(initial, initialEnergy, 1);
+        initial[cluster] = 0;
+        splat(initialEnergy, cluster, -1);
+        const voidIdx = extreme(initial, initialEnergy, 0);
+        initial[voidIdx] = 1;
+        splat(initialEnergy, voidIdx, 1);
+        if (voidIdx === cluster) break;
+    }
+
+    const rank = new Uint32Array(n);
+
+    // 2. Phase 1: rank the initial points, removing tightest clusters first
+    const pattern = initial.slice();
+    const energy = initialEnergy.slice();
+    for (let r = ones - 1; r >= 0; r--) {
+        const cluster = extreme(pattern, energy, 1);
+        pattern[cluster] = 0;
+        splat(energy, cluster, -1);
+        rank[cluster] = r;
+    }
+
+    // 3. Phases 2 & 3: fill the largest voids. Past half coverage Ulichney looks for the
+    // tightest cluster of 0s instead; with a fixed-sum filter that is the same pixel.
+    pattern.set(initial);
+    energy.set(initialEnergy);
+    for (let r = ones; r < n; r++) {
+        const voidIdx = extreme(pattern, energy, 0);
+        pattern[voidIdx] = 1;
+        splat(energy, voidIdx, 1);
+        rank[voidIdx] = r;
+    }
+
+    const map = new Float32Array(n);
+    for (let i = 0; i < n; i++) map[i] = rank[i] / n;
+    return map;
+}
+
+// Base64 Uint16 LE ranks -> thresholds
+function decode(base64, size) {
+    const n = size * size;
+    const bin = atob(base64.replace(/\s+/g, ''));
+    const map = new Float32Array(n);
+    for (let i = 0; i < n; i++) map[i] = (bin.charCodeAt(2 * i) | (bin.charCodeAt(2 * i + 1) << 8)) / n;
+    return map;
+}
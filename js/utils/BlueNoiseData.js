@@ -0,0 +1,374 @@
+/**
+ * BlueNoiseData.js
+ * Precomputed void-and-cluster ranks for the 128 x 128 blue-noise map: generating it takes
+ * seconds, too long for the render path. Uint16 little-endian, row-major, base64.
+ * Output of the generator in BlueNoise.js; npm run check:blue-noise verifies they still match.
+ */
+
+export const BLUE_NOISE_128 = `
+9gEnKo0FZhhYEFkljDXBFWwAsh0lGIoqpjahGx4PrR99MwECny4YEvsiDzLMGvInDhSuOH8dNwTNLIsKywAcOHYMyz4yGfQd6wdTLRUDezvJGuIGUz3XALQs
+ZjoxEjUCMy1NFQQn3C4qDoo83gLsDBMk3gOpNtcUxDB3GzUSpQEtLZwfIDlEECMXDCw4D6Iz9SImEf0oORbbBSMPvh3SP40NtTTBO7QJtzEsP2cb/i2iAwEg
+OQ93FYgdqQkROj8VtB2jKucLwT9OJEgGXRgcDScgZi80C8wkZQ/RGdoIHhF0G9so7xWUNxMKSSqvP9sBvSh5Bh0ktxu2LhQTxAhOJQQbVDzaIYwteD9kBPAf
+Hzx5KDQw7j7NC34luRX7OVgsJxPrOLYc3jstCr4WFD9KB8cgmgysJho37SEFPQwXIyoxI2EFAjPDE5clNzV3Hz0rkQ2BJL4RcjT4DJ8fAzPHGAQiUworP3wA
+zxftKfAe7SyBM0YY/yq1B/k5RQXVLiI3+g3MFPIpNQh1NMkAhCeDHD0DODZ8CIQ9GDDvJlU4HAi+IgQqqAHUF+gndASkIY01PRg/Jpo0MirmItw1PRrvDhY9
+4Qc2F0Ys/xNhMBYp9TrINJgZLQTAOVY0NCnXMWQ/nwFtOtkFcTH+G+AECiWtD94VQjoTC0E1aABOP2EgNTcQFfQQ5DXLDCAcZincCbsZ2w0sB2YTayAUAwQy
+uwrvBaIjFA1NJ+kDax8rLw4QhjQELWg8ZwhcE40aKg+bM9QcFhIlOZonkgtIOocP/hYLBdAxLzpUHmcXcSYmCEIqyw7WOGow2RKVINw0ugiCFQ86fgW+D+M8
+IQwoIEgmXhb9HeMn5wO4Pw8h1RtsOh4T3D5SLhwOUh1dJMADgxphFZsxqxLSGskv9B+MOsYUCg3ROS4RjwiiOqwAeQ1zLMEFcifLMiMhpzTkAGw3oAocHWoC
+qxDGIvkrRhP3H08DWBYLIzwslhNtH8Uluw6EOOYfcjCXGiYsICA+FJkqRxmeDhUvYSs0Cf8mEgGqM2ETlTjTK/00xSTOOTgsgjc1HpEnSj/gGt4wERcINSQq
+WwULJbQbeANzGD0vKzSvBBosTCVTAzMv/AjqHgQu1QAHHEU/nicRFHgJ/S0hAx0/hRstN3sDTSZuHIQHwDpLJZQwxhCEIuUb/i8JJawZeDV+D3k9UAlvOTEa
+SDGsC8wsZQZIJK4KEhdvKLs5kROvNccMpynaAhU7dgvTN1IQ0AdJM6Yp+gGSLL8cRC/7GGk/vxPnHsYuJAPlEa0mhht4D28hEz7UFZcttQktPUIb2QxsO5kJ
+ehwGDa4zogjuPRUsLxeoCjU8RgM6N2QOdjIoB9IkCjvlA3AhYhqyOvoVjCxiIp8DYxBJH1oCQxokCbcQchizLx4UTADqOmoIXhDuPCYVnDkqDfwpfRE1I7cd
+ezr6Cdo/6Q3ANXUZAz0gFR4kqjKsCLYhxDf2GVYpcTWxEKkw/RM4IAc9VQ0lK/MYag7hBY0+QSk7Cl838RIqAF8qdzDXAkQipyzuDw4lCBTzN5kYWDCCNsoh
+HgVvLPkJRSExLv88ISQcHv8rowQVJkEuRRlMHl8kTT6dEwEiVArqJSAyVTm4CxIYuDanCSg8Ui91J3MHcTLXJTk3dQCTJ1ou9SPvNrYwhCarOSMaWBFFAOU1
+tSfeEjAi4wj8JvUXZjm9Hb8KVzKzPQkFzzBPH4sODz3eGO4wgj4rFT4yJiaHPW4Eww2YNjIfaCVkLRAdQSPUCuYwoh/LNaI+WQB8Dion9hVHHIIimBMMK4cF
+Yg17OKQq+RBAMHEBkA6hINAFbiNfCuEs/QZcFyE0JQIjOAIuPB7FNbUWIATBLJEdTz+6CbscKBPsM8AXsAWmNfwCqyhfD7wewwH+ES4zOximPgwAIhxkEM4I
+3ReHNcsTYiFxO6MLdzg5Bk8O0zFeBOk14RCOAkgbfCQSPucduCwNFg4ETDgbGbgNVh5LEo0YYDMxB5UVLxAYAogXsgUbKi0jATK2HfYG4C31Mw8cBD6/AiIu
+/xGfJ2sXKw7vJZgKpzf5BRclGAsLKKUH8CzRDIcdbzTQKQMjySw7C8ESjjiAA/MypRmyAaonywhsFlIyditIODcG6DBeOZwBdSYoMbsgzhqdA6AXZzwaHcIu
+pz0aFmk4cxqvO6snzy/JERcfDCTsE0QD1iRSDWE7xCFIDoEyZhdkKHg78QyaJlE8Hx0eIm8+pQhqOUsnVTxWHM8O/SMWMVwWyDg8M2wn+w1NP3MbdgAiEtMW
+SjUtKpMarCdUOpgflStWCAoTDCmhDnsG5SSJH4YSfSoRNmcFgj/WIRkOAjxmHborzz5nIKcv3wuzO6cUjA30PlYYTA9RKaITRyPADOg2GQEENd4r+h1CFPst
+XBufNGo6NhPqG1Yjxzv2AMIUqQgRGTc9DAanKGMYyQ7uP5Ep3xCdO+4cZSX9CwQa8SDnETosgwv7GUk23Q97PncJejQNKO0LaSWDE8AJiivRJqwOAwHcIYgL
+mz9rKqsJ7zvaG10vlTP9GQMoGQZsODckfQQLL2IfOgfdLR0M1TIfFk8rzhnaDFwu/QdTKuQ3uQtkKUIGYyDWAZ4vvQfuKMoyWiyrI+Eeewk0PW8UlguJFxcx
+OTu8ND4ARTDROgE1+gu5PT8BmyILLhYKgyk5MJsC9TVJJQMIfhMROMocMQMwLo8gFCbZAV44OwbaMIU6bBlWKv4f5xJDON0DvD59KE8RIAACIEYvYQRYM4QR
+2yqfIW86GxBQMGQcZjVGLgckHgfaHgot6hQuBcAtYT2QB5s0aAK+I/U9SB8rB60W5CPnLBQSjx9iOhgGoDb8MHkDfh7RMioVKzX/G60FjxiQMOQOKiiZB88S
+VgG0LegUPx8LEcgL5zUsFuk3lBIUG2QA6RAAMVQE2yQWFIg07R85Bc4T7R09PostgRTrIoo5SRchCqU9LASuL3URFgFpLbYjvQRwJjsMoR4aFSMi0BgBEeUn
+extTMJkTbBoCObYVGB9+ERMYsQtLNLkp0w5YJnAXrzYiCWM6eRu/K1Ug0gouHrgEqD/BCKowRwz3FiohLwiPMscXKiuZDeU2/hcMCtQ3Gxr1MYMDhiA/FC4B
+LQyzOcYV0TbBC3cygTeXD0ofmhQcKQw7GBfaDngofi4YO1AAlRxAOIAEkiq/GJYiLRxtEV88sgjNKAM6SRCbJvI4WABDNf0V7D4NIfQ1PjzvCDkxJz7mK7Mb
+oQEmKgAjrj3jJgo5vyBONs4coj8xAfAYoDvpJVA11Q+OCesbwjR8ECsf2CZWD8gbjTqrJrs2Fhv7Mm08/BHXGbstpz8nCvEqmAJsMm8H0DezC6EmCASyM24I
+zyfLOaIh6hruADwyQzwqBlMp+hCRMTwUxgzUNY4nxxFsM9oVciT6Gn06iCZRNucOfDsvJMwIzD8mHXcmSC6xBZIlBwwSLCY4ZiYIPtMhhBvoLzMDoyQnGqsh
+jwF0OfsuVAw1HbsvuwRZNJAKhRKXJxwy1gyOFYkvng8oPiAL5jQNJdMYlS9VBOseJy4qE+oiZB6TK/cKgCaVD3UdHhheJ6YCxROOJZs89Q6nCNUvRwZUF4wO
+FwgxKV4LPSK9MS0OOy6SAhcYLihKPGIFBixRArE2qRVEM50KeBf3IKkO2Qc7H/02UQMxKDIGizMLHa854CLLFXggWSs4PJAQaSNXPposbQQTMNc92BVCHy8K
+mCLHGWEt8AN2JIs9zBajACw5bSxkDX0pwgE2EUQdUyyCAqgaoi94EkooDgI+DwQ8KB5TEi0/thbpByIOXCsyE2kJ+CdlEE87WQhzKqASOCYvGfYDwSTmNy4U
+oRznIaw3ZxmDB64/tyMcNkUBFSnhFvMsMgLEILgT0Az8POoHnzPzC+86TASvGe8xXwM6K7AMUTifIic1JApQMSkgBBkINnwekCt/OyEvIhiCOIYQrCuMCAIc
+EiNHOiowVg1lJHgZHj35LQsHtiIBK4kEWS60PeEV+SrbL9APWjkzJCcOWROdLmsLuD7wD0wCDh6VMOEYqw2ZHMcU5g8dB70lwS6iEoA0zT89DMAfpjO3B70u
+1SG/GUIHOCFAPM0yNS5ICaEUkjTeIdcFZzUyFwQ4CSOzFbE0QgEjKTQbpzUzHmgxMgVdPKM0eR0rLLIXPz3kND4JkjGKP2ERTQj9Krc9VwJWLW4OPyBmKzkb
+EQrxHlszGAdEOj0Ppz6vMtkqgyMNGZgpURxKEdsuPjgAFBs7rCASLyIGzQ9hHo8X7QNfOTgteRMUDMQDSiXqEZQCKDOjJo0VLj5+NPoSygZxHnIVlzMzCQgh
+UQ7fHL0/dBJIN8kLzyTnATsccQpgIbwUHRs5PXkp8wOgGc8m7C0zNjMWnAdENx8AXzKWJJE4vStmDCM62BudAQsmKhYpOdcRHR0sKXwPPj4CMIQTpRzrBZYj
+9DyuKHkLXD5ZD5geCiuJC6Iwnwa/LKUgBzptD98kLwLhOLAZeyMfFQsAzzE/Dr4E6xwXIhEPRCgZH3AyyhjQDRAmYxZMMfs4jALqEJQ6XCcBEwojmxwAKn4J
+GRpCA0c18RT/AWE+ISaNBvwjxByoCNsR5j+6GgIxBDstLFcmoBCcBlYoEj++MJQZCyFZPYwbowYXIM8BUilIDIUsuTeiAMsndjk7E04pszDaAPAmZRrbMNMR
+ajXRJ9U+YzKDAf819QfVHx0zSzuHBlMclgp0JFItUyBzKKA8CwqNHw8a6zQ1BfopcBCLMFII+yo4AiM8KQsfM80CkCaBCvw3vhcGMtYEah8+GI8twyQwOUME
+aRvbPXQOXRlzCuIxdgazLvkUnyiQD+gtWwwSOhUhpSdXFE8taToMARUXBTt1BE8jeTXgCHU8YwVfEzklDC8EGCcE7TdvDLMx9BTrJaM4uB6GD8M5sS0YClA2
+thf/DcMsXDWLKN0A3CRIFU0HJA34PdEczjaUFr8fxw+0N38JWCvRDdkvUjlaGFgkWTxGGSEiIxHyLl8YcAN4NnUL3xWXOSAHdB8yO+8Yug0ABt8XaiUsLHUM
+xxYGJOIOSBQnMco4uBHbP2EMgxJaF9ktZQMxEaAifhaaPVwdDjZDIfMZeC86Fd4jOxueEUs21B6+KggPMRtxOKoRsjJIAfUUUQq6LhUTwiEJKbA4myUdElod
+7jowC6QfjT9MB8YmkxgoCDk+KDSHCjwa+ynbNYAMgS7ZEVMb/StGH0ApCBo0NYsMZz04KrkavC0pAM01pQWnEdgvYgetJN0cHBIYII4xmD2pAgAirxaUM0oL
+jSoYNtQgoBSQAJ4j8Ql0MiICnCbRFQ024iIaFFEJgDMkDx0E5jHnB1Q/uwv1Hnk7kSQ1HB408iH+DropGATsLI4iqjinLkMQAB3xOoQvlABwNe8nhyH7ARUq
+agUFGwA6BweoNQcnSjsXMo0JRSSlDS8EpDwCDFMmbjRvBFA6ey2mFpEGVz9nAKotbydFCKg6Mil5HBU8FSeINnYB/zKIFCMFcz5QKqsYPDV1A48xchxlNrov
+/A9eHcgDACUsMskSYQcHHjImgD6PAG03AxA/C187ih5fBgoiJxCHCOI+XiAgGDM8OiLhKcI/Dg07M3Ur9wPzJt4UrQqlOUEPLx93Om8cmwMOJ4wuyDPLKTg7
+RBu6LJk8NAcDHQQATD+8Jt0sTx5FE6YqLxwCNSsmTywbBqgPNC69CH0rszy3FhcLpjJGES8e7gjWPBwETihcEo04gBqUC1495BdJHnMzTibcMIsh0BuaCwgV
+2wAzK4M3tS4AGJQpKRN6OMMI/B57KToMbSEuMSoleBSZIOAM2hjwInsOxDMLBn4YSw36HocJ7xtgLuMhewCeDZUjzCsJEfAVYwbAIm84Hiq9F/s6gQ5BIpUt
++jj7FB0K8S99F5IiuzHqAXcsPBVSMJw0kyWkE78owQ16LbwK4xpBFRUBQxjZPL4I4RuZNhUrXhruL6wEVC32DU48WRGaB/UYuQzgEqgFjCGyDmU0tyS/LmgO
+txqSBSY2HjulI9gMbxb0A4wTYTPgGLY+FhOtATIb2jT8JcM9OADdKVUVDDSPGT8iaApAH7IrsQQ1LwQO1jpYCewUUwFxD7sq4D6LL1wfphmWEtYGqR+CMRMA
+eiK9DjkY2zyRBeo3yRBNCso6WgSQNwkxEwPTPr0fZxLSMOMkjD+wK/w5fw+rNkoW8TJrPd0IUCHRO+ookwLREyMMaS/QH+4BND87GTsEJSpIHA8lHQZPPc0T
+JSfBCTo56hiHBE4dyTitBi80GB43A5E3lTHSKMI2/iIxDuUwGxEAJNkGmT6lJvwThBm1MKEfvjZzPywenC+7NWAYOSqgE/QKhTflFfQ5OCLqCpgXiwJdMHk4
+Kh5NPFMjuQacKDkfwzBiI8cGaxPnH64YMTahI9wMNy1QMl4FyD5XFd4zXyBNEwMrSCMoNwAtGTnSF4MEFSX+DTA6/ydeP0YQ7zV6Gvo9oy1LMtIS8SVCGRcr
+kB0/M5IR8CrmHLkUxy0bC2MqgDgZBeQQ8RZbA/glHAu6HnIoexOUGlc3QA2gLise0j7tM+QGiBV8NTMo1AvfMQoQ2jsGNCYNtyr6G1U0tR9vDrojfzy1C+gs
+FhqCEoI6SSYxEHQhDQbEElQdxjnvKZgAgThyF/4gNAr0NsQBACn4CjQV+iThAcInswpbPmACFTE7GqAoyAScK1MRbi8dJ2U9+xBPKWAKDS9xDckb0jUQDHg6
+bw/7N4As/wtnL2QHJD8bA8ERhjrLF7YoxA+sJFwIyTWAAn0ZagzJHboHWSKQEQE2jgjnMrMC2CJCC2UmtAexFPAnaAOrHY40hAFRPaMHBxeAO+Aj9wk2OWcl
+DRoHAPchFRwwNGoo/TGtGoU8zQZMMLQEiyZXAdIyNxgKCVonKBvCI6Es1QggHSQUXDeuHx8CNxO3IPc49AL2EJQ+3S4sAcQqKBGlMmsCdSMRMCkI3z2RGU8u
+SAriJ/MEhhTAHn4MijHWEUEs8R1dPUkiXjMcBeQstg+UOMgU+iNXHaA68AcRIew8CR00AVE1gBzHBzchxBhTAOcmhzflFGAsuwLXFqkn0hk+A6U7MSfLD2sc
+vSrdH9AlfgsHNj0BOztSHMImaT4ULwMS7jvUJ2YxPj0HGiUsmBW1HW4w3xY8Lig7KR9nDLE39AllLEMPZSDlLx4o5gBkDyU0+gWMEL48Bi8AFb465QdBDK8g
+ihGyNKgqpRAWO+kdgSp8Eqkhgjn3D4AAyDdvEbc84TAnJAAH6SdWLzIa6iyKCsMYeyaOB+gazzf9FuQf/iZnP/oMhBweFT4rmAwBNMk7xhdCMvk+qS4zJlg7
+/wI1NXoWzQdBEJEbZzs/GKgxnR80BhUuERCOJvM0lxJ7DNkw+CRZFXIOezfAK5kz4z5kEvgfEgV9JCk9RS89CWEyciKJHaUUVTcUMTQWGTivBisc3y30GIow
+eg51FlIGkx8jNP0CcxV3CsMekgFeJqoP1Dw6BU83WBwJAl0rehGdIkU+eRX8JEk3GQyYG8whqy6DGS8pPiDMMmsJBQ+7Ky4krT3ILUsBgxhFClIikRcENnoK
+uj3MBfQsJjNOF8Yq0SCuDUACixkMPnwMMzj8B9M/ZiNlMlE3KCylE4ol7AjjNRMF8xWoN/sojQDWNYceQATGIAQPoCP+CR8ZzQW5G+MpJQ4iJIgvvzdVKx8N
+eSPlCLQ8jBnZNdULExfBAhMtABmkNoQJeT+EKMwEQBRaCzkdFAgwOxUyVxA2G/Yg/hL3P6IO3DP2BDIKyCMAAR0OoivbO6gQOiEoCgop+DcxLN8KXiXWG/42
+0yqXDgEwODn7IE4K6icQE8ANriSJOYwvkhmOBIMxthqIAygU3D/2CC83WhNBO1UCnRZvJqI2hRm3Ap4TBh1jN0ElXT9IMvQF+A5kL2UWaiQnHOgKIjwHBc0a
+HzptJhMuXBFoHpEWiSXaEBQF1RWoC/IgxgSoLzo9Uw3OGyAtqwfXIPs73hAAJmkV5SwROZcC7isoElczPCK8CFk/LRooADUUSybUA+I0CROzKsIAHyiGO0Ew
+WCJAPnEpjwUyInQYQi5YH9c5PyVlMT4tfBayKC4LjzgjBporswCAJcgWxDm2LeUYnDw1NEYU2yLQAu4zqz8PBG8iOBSOPKcPGS6PBk0jATtAF3oFMTNUGhU1
+VCyLPr0FGBYSCDk2ECrEC706PCnhNOEr6B6IBLYkBw1LLVIeOT/PBVIgTzLoOGsO5CkCBWMTdhtrK+gluR6bNx4ClShRFKYuTyVhCfAykBW2BCk14ytXABAx
+bTbBHmAogD0yD8k5Ah7NERQp3SKKNCUT+TEAGqwK9y9lPlUJqxpENQMf/jz8DLU3vRQfMUwnEDpkC+UeUD4cGwovtyGLEHMe+AaeGw4Kgw8SHqYTgzpyDaYB
+UTM/EDMaLAPYDg8jaQG/M9EXciZ9NlQcii8wDHUpAB7nEEYoWh+8CT0wSScLFssdphHGMT8bFQJjMyQYNT5UEmAdoAnGLZ4SJCXrAEUYciEiMpEe9SZODwQg
+ORNbIu0G2g+wF+4LJD1jMCoaRjbPCOYSKTDeDIYoqxeICMIwyB93DB05iwHrPOsIGRG4M+c/mQ44H4Y2hBJMKtsfTTnDCjMi7TztDYAZES7WArgw8hkBJZsA
+GjOXFygDND44Ds4mUAVfOLocmwEIKWwQxiWvFVcoCwEbLaoelBBnBvogXDS9LSUWnwcqN08M3T/XMg0VyDYXJ944WwKCNLUvAiemG3w8LweTKQY+0jRSG9Er
+ex9kPjANARVTCLY7xiGhAk4+wQd6MWIE9hohPUsOfAYnOjotWQl1N7wpLCA6C9AmRgC+NRMorB/vP1oNijgWCRMRjzonDIkw5Dh4ANo+ci+1HIImSTL3IhQV
+jylgA8QQSyOAKyEbijomBAcjbT5QGp42RScxMJIhzRR5Ln8aQCJKCNcwVQOoGKc8swWJDvgZ3SjmE4EcnSlvCN876xKjCYQ1dBRgLUQLBzs4K0wJIR9cL5cV
+zyrnI58TTjcrMT8FOAo/OR8auSRyBIo7FCpqGPEOZQIaKY8RvSZ+A1gYOCQ1LMsEiBIcLjsjrRcVCYEg1RJAK18WxyK6CycU9Tm7CPcReATCLVQgxDL3EHAZ
+7jVrFOEl4A1BOR0rbBezNmkqBiOAGOUOqyWMB8kUgC1kOB0a+zBqEKADDSpQG04v7COlKeQbggNZFPQaNywbF1YKFDevAnc5cA/8BlocoztSMZk48gA3JoAV
+qzU8EdIrWwBsFe4H1w8aGQQLCTorA+8r9BXnOT8k4wv+LBEjdTFcP6gHPzRBBD045BaeIegmOh10KpsGLzhWG+kh5hBXGuY43AGMPX4OJzQ9C3MZTSG+Pxse
+7y8EEIUy1hUlNgcJ8y9aPYYdCzjIMRAg+jk4LlsIUw4LH849jhoPDeUqiD6jA7oxlwpzOGEuHx/7AwkmfC/uN+IZDijzOPwBNSZILB4LwS8SHBI14CFCEhoA
+jB8VC38z8QIWPiMdCDsDNP4P6AQBIfkLSTwKGLw36gUZFLE9IQU6NZotGz2yJaYGOjTrKCEStRikLJA+oDRbJVcL/R4fGLAOkj2fCa8uah7hCqY6ZCIUK8A9
+CTYRKSokEDPOHYEPFCgSG6EzkxGgHFgCDCYTEBkv9yN5DOYslAEUOS4NQj+jIAkPsCc0BXQ2jS0eJkEX+SGeB58djzxSBJYsYg7dFGwqaAfhPK4LlxxgIpIT
+jyWLBeUXsg3/CBEcJhLONOQ6FyhEADozFQddOZwRaSgGNsYdMAH4EL0yOzyKFxkN3yEOMrgJLQ/6F/c+uwV2H1w6FwOKFnYJRz/2LgEmdBHnG8guhxOnK54B
+/BgeJSE/xCuQFFkkVC4ECggikDNZHhsPNRfVIAEKMxGZHhUOoiIZO4oIvx69AEIXBC9lEtEszwbzIcAx7BsBBZElADLHEgs0MBttAxMfLQbkEs8MUzuwBrQv
+JwBuPvEIwjl9Fag27h5nGLw9yh29Nf8QvzEPFrsDTzMnF788ry/kFDYMtwb/ND0RSTHUK5UliRYMOFMnegHwNGAjDBi8J5MtYgGDNNALUzodLosjlz2WKbwC
+miKWGZMUJC/8INsVJSUAHFEMVRdTJLQ/7RlHJygGeB3fKhkAVhQGOz4kCh5aLzgTBilRD5Ajvi3AJzkaBwYXOyU1WgcAOUIkKwqyIGgwkAuyHAwI9TJvAoYc
+WzW8EFEo2woNLFs6EQKOKFA3Ly+PPTwCRRu6MEcqmiFcCrY3tgOjPz4nxDVvE/IqXDv2DpIYZygqBxYOazBUFmgtGT+CGQIqWjXEE50h7RcEK8YkIzBGC5Ir
+IAEfCXoTriX+BiUpDBwRJDkunwjKHnQByyOfP4IeOyolOqEZQgBKDwYzLwlAHJI6NA2jHnwDnzc2EHc/SxnKK9ofPBO8AGgz0xWhOAwtDQxnB308Fw8/Ntws
+/wQVOP0uiAYyDhEtwgmqN4URkDRpPWEbWy1hA8A2xQi9NCUaED0rCGg2pBDbMZ0NRx2+FfQo7g1cGfk1SxHaObwW3jQUJ3A7cA7cKX8VKjuFAEkanzJ7JHwT
+QzEYGeYECxSgJxk2PA2JEykyHym7G5sjXRasDFkaVwNiC6IgJDcmAlQ9px+UOYIlUjV5CoEj4gH9HyoK/SXLNxsFoA6aHqwDcRK8OLInJjE6O2YaZS+TPVIK
+5TntEegoqA2fNS0ZZDJqD6ED8yPiCqg74R9nE9ItvSNeGMwu9j3tE28xdCCvBcQmrhDUB3A2XSi1Gm4PqwU+HpgzdSTPKQ8DRx6mCrg8IiAAEsknkDo2Ho8U
+NzAZIW4LsSXYB0cRzyh7FiQOGiW/AAAwrhXXH0YCHDl3JOgrcwEFIgY/SAODLOAloAXgKh8B2xAXGTUgPzhfBZokuS5IPUQHtw07HaA/vQvDIdYsrhc4B8ok
+xToLGdIOOjxjCGExYDlfKUA9JTAOFhcqjxxDCk4u1RMQAZ8QtRvDN/ovsBYNPaAPHBweLlM8MDNPGak+NCF3F+YM5SH1AsIOmiBwFAkAUTSRGuM7YitDEgYJ
+JC0BHCkVFy9qJy81ZQXJPiADdxHlCQUlDAc7KUcbzQq7OjQxEx1+Pi4M9SAEMTomYj/lEK8amjfzE3gwuRfOKM0A4TEcFqU0NgIkJPs98ATwFlEu2B5YMuk9
+BCEuORYtXR5bCzs4hivzGlITHwo9PdsyzxAhLnAeOAnzO54U0R1GPXEjKTH7CAguRQ2QHpwXaBJxIX42jCtvBvolPDmiD/cysTwzHRYFRDRKAnQtYR+VEdwA
+nh7DEMgk7AYuMhUSAzXuI9YZgSsJO80nXQdXEdwqvwVeMkgppgmiFLAmGgdNLR8PWAWlMyEr7zgvGIM1Oie5LXohLQchJdkCXCBFOJQldD3CNZcRPwc6GLYq
+sx2aNsIofznnGbQ0NQ7UOK8sSxbNIlIDWxW/LfQGMzq1CpQXEwH1LbUIfSGaPsYP8DNAG3EMlSHWCFkqtQ9rGrwoQzk6D0o2lwSyC0gaBQRYFMM/ThDSJZwF
+YjwxLy4g9BfCB3EbBzhEFQgz2A0tIukumQygNQYEnBZPJsc92jPKCSs49iaaAXQXPxGNNEsaDwDDH54KzS5gETshLSf6FF03bCWeLkcJYDaOGw4OzD4wJ7ED
+AA3qPXIFICEmDPsxqR2tOJMifhk3AVs5vSFDDSM1jh1EJQA4thviEoUJVSkwBqwcCAsRP8kPdhb/OZovxAXYF2MMjQHCHnQ8pCOWCZQVXw01MR0f8gH/Lc8h
+vhJLALoz8A2/KWM1sRkXJC8TsSrDNXog9TvGDQ4pGgRkJDEIMjoFJ+U+ExkCOMsu1wqiMngB8BoVKNwV2SNNK+UyeggSKak0+xe4IV0OJiiLBMM29ykzDDYl
+DAXQJ7YZmDjoB04TDRxlK2w5PhLrGtICBylrD20bai2BPE4f1y5UCXE+xSoeFrMoizk8CSc9FQ3eBfwZLjTmFlUorDqAAbAh1hjBOLsepzGtFPIthBjYPGkD
+MxQMDKk/mRBIHT0xugKYOgwTEgp9L8cA6D9ZIzIxvzuZEVk3rxgtMNkplQxlHQ4TmjMRKvQiNjI7Dlkt2zlCM4YmpwbWE487KBclCM89PCVRHpY8aQbBD3U7
+zAEHMhccwQQmJ84UMTQyGEo5fhwjLhYV6QSlLDQRlwM0HyU8IhQ2Im0/5gh1OC8w1w5ZOvMiNxyrAU4wlwmINccVIzEaEbUhAzvpLwYQYj5fLOACnTNtJMQ/
+QwvzIPkGKC21IhwwoD6QBd007wxdA0IozRIsI0sx7g66A0sbRRdkLjYd/yloPlcMOyJZBewrNBOwL0oJVisqEcAmTAh7NugPxx84J+I1MC2QJK0zzieCFk0s
+LxqpKTY9MBeiJ/gdaA0nFr4CNSI6KBEEZB8wNuIEtCe1PoUIcRxFOQUW/AMHG0kRsgDLGAcikSx6C1go8jVnGpQrRglAGIojbzAnH5QoRA3cPSwRhS/SBgge
+0CwJC/ERNjcoIpYOuh0GNYIkZhZ7B30mhA1JLOAdxRGLAIofWxdKDNM2LBOCJ409iR5pAo4cYz+dBoEZZQA5ICQWyAm9HlQpIxinAP4nPDbZD7k7wxYDCfIS
+iSAUFugjRTLIGJg3PRzmBpE71CTFNCIBURA5OGYhpwPUE2s5sQ/RM1seLjxWFmY0SwRBG1I68SFeAAosqwqwGlYHexfmAyIKZj3qDtsHIyO4A20QUzYOB6As
+MTWVGnYu1A3UMtgJuRI9O3Yi/xjyLNwQowUCL00o8D+bH3AqlTfzPBkQHjLBHSQEjg21MUQRnTd7LBwULAp0N+4W0CD5OPYLASQ/O1kBxCW6MnID/imvOqEw
+UwlAO3wpGjHiNm4Z0gWAMmAmyTwHKugFVj77K/MHWBpsD4ssuDnoDHMkyS2jE3gz6Dm0JGI2+xEAPJIOyzGzE5kafjC1Ac8cETMoJWA6SgqWKggQYztYBGYN
+mjXJHhoSlSqnIp8wggjIF5QylC02JzQZzQgMJTwDRw4kI/o/mwvRKe8W9DKRPqYSdTCBO3IgxTa3Ex0wKh9TOT00HhwqLZMg/TtmEvUkoQg4Pv8UOTp+JMcb
+hC1nDm8ACjeBJeg7/Au5ITcHYjW+DS4JGRzDArwjVj+xE34nozoXBXAdTwHpP7gb7ANqLpQHySlwGEExdxOVDv8/GSAqFzQMyxlHAHATVRvzDBoC+BHMLaY7
+LhWOC9gYcTRIEVgdbyRaMa84ryK7BtsmNhgVNs4KNyrbG3cHig1QLv8aJQYjLfUfHTscCeIjqionDaY3nQTBLQocwTUDB/sfLyXVK2oWSS8jC94/rjacFJYm
+GjtgC5gdNwA3PyQuARusNnIpLC/EHagTTTBEBcgO7iReHmcCmyhlDHYsfBwzJR4AUSvtFHsNGjK2CrQYGQIKOLIp6B/UAEwZcSp2A8M0xRbVMPYKfx/YGd8y
+9hFrGOYvXhXiJsQu1zTNF7MJli7eH08XOiRnKhY0+w6VJ+gy2CNzEpQ1VAKQHLw28ysQGloIZi5VPXkmaSAwLMozsiK3PhkdiCHBA/IjYTdSB8kg/C/xAawV
+fg3tBLkW8TO8EXowvQH4IPk8xxALJ4cxEwKHIko3kwuZJkoEyjRqFQU/UB9BKHcY4xCRAH8/4harL3AR2j3AAckmUBnHBeENqxysApcrvRAmN60ixRTjDHI6
+MhIyCH4XRAIoNm8l5jphGhMJMTm0FXY0BBHmPj4FoTe5EX0JryQjO5UEkyjFI98w9xxfDL8RlDaRMCgPfj/0Bx0hZDxwKboUbQIYK3g4QCTrAZ89CCBGBV8S
+qCkyOTIBxDZfC389yBP3CEMiBxhXOn8LSB6wPmEnSQq8IUoFlieXNa4SfAVyMpgPqTzkBVEXAiu0CGQ54g2YKisbBy5jDnQ7Syj2NDY8JCDyKJg+/QjdHdA6
+sxa5BN807R7XPusXhCrdEiA9OReKHG0ORC4KBk0SdApCPOkxaCbOHkYpiQouN+ocpAh3M8M61B+KLYozID5lIzoapAd3KnY1PQV2JwUhQzNyPC8i/Q+SCYMf
+Ti3DM1knPQZBIQ0b1AhFKokZ/TDkPVIXpB4ZN/EQMD9LFTIHLDsCLF0lXAkGIsAVtSgjHLMPbAUQNJc+rQ4NCcobGipWEEs3Vhr0O/MNpSGkG1kQaSyDBvcb
+2i4mPF0F1BAZLIYW4AbQMu0QNDzSFN05bAzqIycd4zgwFl4K+yY6OBMP4C/pGLo0ORLwPocCOSTiFxoKJhzfEWsuAQB4G7YssyXUD1cviClsC0kVdwafDnsy
+rR2yAqQzligcOlMiwRmONaYsAiIRCNwT9gz9M/ICoBV6Knojcw++E7sonAqwGKQF5BOtL+k8uA5TGCMeYzFGAfAZAQzMKIku0j0iE1QB6hdVENIuoTrAJbEy
+qxSBItcMsCjDA/gtbQhoGy8swg2YIdwxKRYsBRcdgDl/MnAMjjf4Ixov5xpYIdomVDHNOi4GozJAC4QjqixrB2knwTLNFbg0QifOOFQNNR9PKKw1HQAbMGoh
+/hiYLWQljB3AAEQwlBhALUkCSiJdMaUbGQOoFDAkJwH1JyEJGx9NMz8TfTgfLWwDQyagC5Y52RSJDXg3dwWpIuEaTToyJaAt0Dh/J9MJRCQYEcQshQq4API8
+ySW+AygcazeFLZU7CBnlIok8Ww0bNt0aEjG+ACo6jCVODlA44R3OAiMlsC3MCSM+cRBsLZM5lRTXA3AbyCeVNoIhoz6HC7IW/ADtDmo87gJXOOIaVTW7Eq4i
+rjFcA7o2DyenARobKz4gLhARmwQqLGoBORRNO5MKjRK/A+kW+x4fEzAmRRa0AH0xphjNPlADNCC+BcQiTxgEAosxexRVHJMkQjtUDpc40QLrDFM0JymKEP0+
+IAnRKIMOJzfVLR4gRT29Mwwemjt4FtMs7wtSJ4QGZh6AP48wPRm5M6kjmAYMMUsUnD/HAmQwTRF9IP8AWBkTNaU+Fgf7FTcgeTDvD08VxzJ/DTMXOgLmJFUH
+4jCLHjgEEC3fBsQ+VSHgG+A1AC6NKMwKOzLOEro4TyGiFXcoSR32BS0gojeyMUsINg5IKhIEch1uKWs2XS7iG6grDgm4IAYOGScKPaYLjhh/Hkg8aRMLNZIK
++SeZF28g+jw1GsYnkgZ8LPQ0CDrQLsUL/D5dLJ82oB8GOfAL+xKJLU44YA46Pi4SMyzBNwQJEz9wBvgSISgdCcQbSj10FnUHeSEWM+cTWDrQGYkGDhKVCz0q
+0AZ2DrQwQAVKI106tRmxNXcO4yIDE/cHRx+fKqM8Hh3ZJyILYhgbN3IImhscPKcMWxT/IPMuVjloGgQ3fymBB4Igwj64KlweDjmEDrYruhKSOVIWWiSODLsU
+8gSBEbkH6BZ/IRI7WxqVBqcz6AMiO1cKkDXkJbUMbhdaI8o7RRo5Muc4khIHIIQKEiS2MwQWGj8DMH8BdBWjMwgqWA9iCKUrXSPdDqoxEwcCJvgySQ74NkwX
+KiPmHVcPUCk0ImICihpsCIIPLCpdHaYl8AhrG5ApHTI8CqIawyOwD+gqORkcNK4euTaZK9MijS+dORAbnAPwJdUeTCyGPhcj6DQ1GVgT9iWkGg03ghF6AF4v
+2BSNKWcEljQmOkAPDQIBGBoQpDW+IS4srg6YKE80kiTYMCgrOQSxDgonzwLWCzgdMTtQJ6gRCgq8MWUTERtBP70JvSdDHIk23i+JKhwjyjFqHWY+kwCuKh8M
+VicXEGgseCNKGK0upBE2P7wsUwJKL+sQGQkDJeoElD3GGCcGaRGcJ9sEKxloNwYftAbGI6g4cS+fHPgDXDggHvw6gRN7CMcc9S/1C6o/QQDoGA8IMDdaEdkz
+3yPkPNwUHgaXOuMv7BZ0AA0fsyYkPJUD4S8/IasMki1IBYEVxQ4xBN8SmQoBLPQORjVdC0oBQBYFKNUD4DixLnY/SQkLKWwdHD5+IJgI6ToVG88rzRYEJiEw
+PDeqCBAurgCnHXg8hRbTAzoSvAexGNg1eh1ePKcSDi0ZNPIWrgFDN9ghwAQXNmEpQACVIjQzlAMpEa8IATyqAb84SiaRDo80uBTwMNAeoT+dG38MQDLPAKYc
+QAc3HzoUpjizIIEXSiyTDSExWyjoNaw73QwYLYckig+VLhA8JBNKADcXHz8KEvcoAhnYAJ4qIT5pJN0CyCm7E+YljjLDOxQd0yd8Lu8XegSiLFg1+R/6D5c8
+IjasFDYH1DQWFlMdHTgpAdY7CCWcMZc/7CcwH6wyUST8PTgYJi+sOcAP2THvHd0K9SHQAWMVhTQIDG4rzw9VJu8wUwwiIUcDTD63C3EiPhvhPVsS2jIJB5Ej
+9i04P3kfEDm2JUIK3jFyGXgkSQV7D5kvLBtDLP8XQyUtC7Yv0xfXDbI9xii+Hz4ZmS7KE+0Inyw3GxAk7AVFNncW4QLqOU8T3yZpOxArhzZQC6Mo3QXpPg80
+wBtfFGIDmSFIF/8drTmdCaccMChoC4gaADZUJgUK+SDOL50MizYSID4QjRYYOW4egTTzBaArGAzpFU0DJQsgOFwOGCJeGYgCXSd0C7Ihmy40ECAq4gswMpES
+SCgnGLUQMR1eCU0ZujrhABUVox3lBLEosyEAG20HUj0cEWos4xttMAIjygRLGG44iQJoFgw9VhGOLuccuRMLKzsFrCWSF3cpoQ3dN00bwAu6KD0QxgDQFcgq
+nQeWP/Md5DnlIwwJLD4LDuw5Jh8IEus29R3eLSgWlzc2DYk/hSG8F0c36wNsPVkSPgqSLkIh3ineNiUJKxfDDzAj3BlUMlUPiiYIAM8iUTruLDgLHjDZAMMy
+mxQyPoQCMzJTIassXw76MSQGODrjFOctfAohNUcs/QQ2DxY8TxquEdggljAtPhYfKCZ7LzE/cAoKMuoT4Cu/BN8/qBuMOE4iEwadPgkJ/CHROHEDkS5rNfkN
+XSoHN7EJJzu0EwsNMzd1L8ojhxfON28NizyzETw6uy7GHHI1biSyBx0pjjlVBlYyHzhuEMEwogmMOwwgchS4AQkz5xaDL9A8tR5yN5UQFC5MDDgpyxL+M0wD
+RxVFMRUFzjzdJk0CdQpQJIQFvilCEFAGpjGbJ6UMVx/3Ktok9jqpD00FQR0KJOsyBgXlLv0BHDs7HgIUPzc5CSEQKR37P0ESwCheInIHTiwLGEURBDooBJQd
+zDxVGNojkQQYHIgnDQfPGbYxmSIFCc4tqyQ4OHMGqingEC0b6AALEgUq0zn1G7c0AhhRDZYlZQHDF/wrLBz/LjQ0LQ3KKhYk8RWiBpEiwhADLvMktDOfBaAq
+sBQOANUmyQfaKMwDoh7zJYUHZBNjCxUf2TIoGhIMdSU1FtoBSiHFOUkcsgNTNUItXyWdOlIFrSE1CxEodwMYI3wXVzaOAGEZbB+HKowkjxs1LVcJXxqTMoI7
+hRNpNKAbCiYQO54dfxGbOYIytxX0AJoajjMyFQ4wgQ3CPPwd7jg2Fn4psQdbL2sZTirDMVgl+wZwGuA2xw7tOMQewDQPJGgJCRbxJ0kSritOM68O2T6INx4h
+wxLMPcgorhb5MucC1A6tGa01MAnPOik0vRYHH8UDXiRGCA05KylvMkATNDubJOwNFxXNAVQfYTytEWwcYz0LMRkZuB8DAp0X9D9FHjELNjuZNAYgGDL0GaIt
+5Q3UM3AoxT9SLKsASRPdNSce4T4FKacZ4QwULOom0hBNCRkeLg5aKwk1yRjhEhkzajt1BhMh/DFFPPMOpDnFCpc2rBBFI6MVESv1DcsgLC43AkM2FApCL7QB
+FBpsB2A80S2IDA0mjD6uB2IZqynwEX0K0CRbDiI+JCFdDH48DQOhFh80fyvgAxUWryZiDJoDKSpqP1Ew8zbLCrQCxh6PJrEWXQF0L+cK5R0XAlwNmjoxH4M9
+ci0YFEAhxSj+BUAlejwFDm8teBGkIC8DdB6xCogujwRpNlg9uye0GcYFXzMJCnMp5APnN0wL4DHnJ50QPSNFLfgYxQ2cEgo/nwq+FPg7XyFpBaIWcQ45OVci
+Yi2oBjAOZzBfB/ozjBTgP0QZmDGvPFUTohs/CAQ/FS3cDWMbVSpDE6QKtibfBb0vLxRQAdQ/aymWBPE5qBwzB2I9lxgHEwsiAhazKyMmJyF+EJsdRzh/A/Ef
+rSsPN30A0CFDLWM2Dxv6MksFmSePEvYd2DjlDM4gaD1uHUcx0jtyG3oQWx/+BCYaJSO0O2Q1dAg8MfAQtSRUOZQqcjboG7EmYhOICg4m7QHEMUcNbhr4L78I
+bzUGGho+STBIFg88zDQvG5sRrx9rCBktdhCyL3glwjj2HrsPzyXBFFY8TxwKCDU4WQOFMLgdLiriAgQkejcJAW0asjBMNlccoyc6CfIX7TpRI/8SZTy8JE0A
+lCCJB2cjfAKvKNs3ayRfAYMeLSZECekwQj5pHQouyhcII8gcYjPWH/QLFDYtEVYwuiWxDEEr8gN5Mr4+LAwDNw0w0gkDKt0WQy+8EksMbCRQFsY/6QY9E5kC
+SivXFUk4/y83IycINCjsESouwgquBiwUsi7HN4ILRSZbEeoueA3PE4wabjpWLFcZEgZjD3sVoS9RBBwsCTSWHKk3chboPo4rFBGGIb8VpyfLBdkLsipUD90G
+tCU8KmAy+BbaIhM7sAviFCYArxceP6UuGgYTK2kOEzQzKYcUij1ZBiI5Ahe+LgUdnSrrEWsKJiMRAyI9FBD2M5gBxRqHK2UeBwuQLRM5FA6RNscuAxe+C64w
+CRJnNAs6/Ba3A58kDxAkAv41rz2pB1ooPRZyLo4Z2SGMAOAV0jhFH/gP1SToBtQYtBLQAxU+RiSmBe40Sxx5OqMwQwm3M6weSy+8Ok8gBguGGvUADg+yPiQy
+1wGYGCQ6xyiTI5wApRbHKl80ej0vAQcrKR5iKOMDJAzOH0c+GDNkI2wJzTcxGboGyg9hIy4Icx8wA107EzI2AB44PR0tJcM4LyGBGF4+pADpDC85JQPMG4s0
+cyAiK74yCwzxG3ki/TnfAH4h4BmRCc8g9yV8CxMzJRCbBz41EyZSPoUuMRQ5K40emy/uJTA44QRyEKM1VBU9Gw8pcBLqHR0FqT3dIHsYEAYeDbwrLjaQGeY5
+5ikOCxcSxyyIDtkD3TviCAszpD5MKEsJWDSEPJQbwyhPOkwfqTNAGgYStDluCtQodwLuEFEariewDRUYEiZaEH49DSQTNn0s+BpPFN4k7TWoHysQ5jK/Pekg
+AgedHC0VbiE0N/cGkz/yIgo2/RJRJxIAFh35O8gNGCHIPTEqOjo3LgQT1CZfGYUMjyqaECAxHxQAAgQ0jSyhEx83/h0MLucPmymYBf08wBBoJOMESDW4Es0Y
+JTGaERQ81SwiDyQ2QRpuKHkg1DnjDRcX1ASXGxEMQjeuBXUTnAxhFlMxRjsoJ84FSjJJPmYJ7yQsMzsQ2idnLQc8lyNXEwkhVAhqMagVESIuG0M0cDqwI/gc
+nSZ2E7wNXRw/LvgXjyuWDakxDQCfLfEmwwwRLPsdVCPtFZE9QCBELAY8cAHtNiQItzJuBbMp8BLFCRUgWDllB1cN+yy3BCsa5QpzLc46ZQ4yMpUJhxh/MVYO
+LhfQMPkHsC5fFxsrNxLSJ3wxYxTQAKEYrQyHMwg4WQd9HqQ6XyPRCQM/URsbCdkNfSNKBusmvBWtP78jHhffCVMu+hlrOs0pzQnuJsMGGDfXJHUCvzBUE4QE
+uz5gFfkBSS20Hm4yZToGJ90Y6SLHOmkpfR34Cb0g6Re9DYoiigE1GN0rqjryGz0CXQokHdUzYQCZP/kOGh5PBec8wya3AHEYiBFpMQoFBSxBN4oGqCLkAmY3
+gAhVIn0QIhY9CCY7YQKrMuMOCzCTCLM1ewVzFJ4iPhzSKh0WYx5cMKwY9jzrBHovNSn7G5Q/BhVVNloeKxKeJbkDMCkCOv0keRLXLIgBkjveHfQN5TpNBokz
++ALCHB8LOjahKE4cYARGIcgsjRRHNH4EtRdDKRYvyR/IPDgx8Rq+M9gGDQtdNnAxXx4iOCACtg4gH4k+Ty/ZHVUMBhZgHI46mR9XK8MJzjE8Jwk8lQiwIrQP
+AgANLs8JnjNrA1E/bC7lAVEsOTw3L1gebjeCDcYGkxWKNpYvRQ/pKHsa9C4RJpE1wSrTDdMw9QnZK004cgywPIQfcRYGMY07pxPgH9QW/D9QNOAc7jYtIcQX
+0T4EBZMqoxlxJTMNsjh3Lv4QED+7DKY5HAISDp0oJiKhEA0XLDHZCaEiKyvmAcQ4IRnFLp4QMhySBDU9ehuQIcYpOxUwJRU3RyGuGeE/pCUHL1wiYRAcPUIw
+cQt6P+kO3ydBHFk7Nw/aA7Um3hZ7AgUR5jvxKVIhwBEGA30nXhQeI48scxZWBSARKDWRK/893QcIJ7gMMTiIG8kiMQ80GpATSysiNeoV5TvsH9oRQxn0JEQP
+uzcIHBsSIApbJwMUWDG1Iz4qlyA4PSQXiwe3OnsKshScAhwZwDepEn8c5iAUBuQndRo8ATUlIhAXCoknBwKqLu0ongV3JVgODy+KEhsmFhwIOakR3TJnHXso
+YAlINFkELCeuIc41TxuiMWk3PQCHO3olIQS0OqcOYiROMQ0I5D4sIpYzpgwhJ6YINzjUDPoEPDC3CRYRZi3SDJYVtQWnOhUIox8rFIQlKBklAd0vWgrrIMkx
+bDaQErc43ywSJXQMZBeBL/scnj1IDZ0wzAfFPFEylSSzGloBDCGkEtExDhgvLnEA2xMSPeED+S9xN54EYx1hKCEOdDFBKjsINjZKFUwj3ym/BvIzDTrFBHga
+Ij8sC+gRFgRHJRwxrBLxIp0sbzvFIEYHhSU6Px41UhUdL+kR8jIcP8MqbRnqM3MRfxvzCm0U6DxrAfYpmAfmNVwLhSJiALsWdD5BAz0V4CDpGeEuoAfcER0l
+RApmFa8dnAuIM/URdBxqNDwWUgz8H+4UTwCtKmAXLTYyLuMTGzMTPVAYPh0QKQoHQjTFOAYbmiqDFw41kwOxK7s4yCIsNrIVcivuBWMaUQvsHc4HOiAnNukA
+pToCBoIr3BhOObAc1BK0C/82Nyl4OVULpSWPAx82uxAJJGA0ZSpmCnEfpyW3DMc/Hwj8Gj4C5jzsHKsw0QOvC2M+JRfDIuEcRxCILaYABzTUHWss/DYTG8cB
+FTkpHK4MPTIQFuItywKaDfkjUTuQCIEhPw26BIwe1zp5JO0xsjdgIGYwcRm/Ou8eHjGmEMU7EyxpCi0vNCT+OfAr8g4APYwWhzofLLoFDD+6LXwnLRglIXks
+MQaLJ8M8WyteNQ8LbjttHt0QDAPKGosggCeiARc1Rzt/I5sSxR8kAVoyhw2NJ4s7mgnpD80c3gZXPUARUyUtOhYqkzCfPE0U5i1vG1EmqRQUNMAISSSHAMkq
+VCHvA4QPuBZgMLs7kBpXIGY/ZAYtHUYWVTJrEb05ERgtLhohITl/FLglow3CKwU65hrnMSsBmC5NC+Q7gyhzIWkYPTmlDq0JJiE2NC0QZif5A8U97ChTEBIa
+AjIvBVAduCn+N3oV4TW9LDcIFz4pDnMD5CqEEIQIYCQJFRYDyyh1GFI0lB9PEAobOQyZNcUAeh8HMykMLR55ND8jfQ7GNoUCSj4vC0I4mxl2Al4RpBxqJkgv
+cwWlJN49hCv6B8oR7C5CDRsVjQMBMf0mAQvYPvQhJRKuGgUyBxZoLh0ovAyeMqAeaQBkFvYPzgOQJ4wJgRB+N5sNwSAeKeAP5TS3O0EZ+jAyP2Ae+AVYKo0O
+sAjGLO4nkgywOokkOwfQKwYBhjPFD4wp1TX7BFEh8ReTEDknfR+aE3830yVbFpMHmjEbE20GUCioPqQUoytECPQviBNWHfsJBTlaIIM8XisqEN8YXQIIMPkk
+AA/aF98eVScRFhg6hxyONm0NrC17PwEeJAf5JTYEkzy4MhAHuCZMFEMqDwWpJaQX3QFgE/UaPAj5KR0VrDCwEHQjGi57OUkGZRgMD5M4XxUrMjoO9TgfJEg/
+HB9kK30aMT2RD/os0hxEBn8vfAF/JK0+1QRMICo4MBiGCcg/FiJ/NtcaajMvPl0f6zClBm8/OxakL6geLAYtFFkm3AirLTYjkhTcMt84qRd2EpY22AEDGjs9
+6B3dE6gjSwZ1FwoM/zFGPpoIzS+hBG88TQ4mK0kDsB/SNuoMVzyII68wdBn0BCwlPjvjF/U2VCS0LsoAVyePE0EL5DBGOoUgZAkiG3U5mQESLggIQjFfIqcF
+oSeaMkkbigmyNrUO/TggFMwqWBeuIPE/ixpLOL8QPi+WPSgo3DkNMtEfLTvEJCIF0h3ZNAsJdR+MMvU/bCEcKiUKHSDzAKgWuhs1Ck4FjzdsIh0Iehj3N2AU
+HTalKHw5nB0SDYU13BJWAnomSjDLKwUNqCimB2MjDBZFAzElBSsbHG4CszpTC24t8Q24NSwa1BELN/oA/Rt2JaoDnDCEHhguBgpRMZQNKCmMNvI9PB9jLCYb
+6RLiKCs5fiK/CdYz5Bm5P4sR7i6MHEMrMAIOH9EQ3DhpHDoNfyCOBbwOIDTqFiEImzYkHzoEYhTrJ4k92hJtKfkzQRGSGj88wQyRFHY9rQJdEtwrWiGXFmwv
+cQnPI6QBAy/QDugJuDFCIrEIlBzVDYsGfC2hEQYMfBmeK3E9vw1qF4cpJRTkCw8C5zBCHFI38iUXLvMzrCkSEyAwQw7pMpIpwgLRJHIJzBdgEPsH0ilvF2ws
+8TwkHIcRTgSqHZM7SBLKL6EMfzq9GAcKCzkYE40kyBrDJyY9fCHZBEU7vgw+KGQ9AgucIRg8tg07Jq8UaCJBOCQF0xqnCv8wkQPwJNc2YABjGcAUpS27HRQH
+zCOwCtcmEQUOFR03/wlGNAstNQAMMtU/GSnHGuI89iGzLF8bWD8cJNcz+wzkLuAFViHYCgIkzzXBACoqbS98ICIZYiX3M/EAtCj8Oz8eVzV8ER46uCc+H+sC
+Dzv+E082wyshF1wlQQJ8N+IyqxOSAIUnLjp2BVotsiRBNikXnQWjEmo+lg8rBM87PSYWFwAAbTvgHqIRlT2rMTAgHC1SPNAiEjNxB3UhkQpVM2U5JBUWMv4B
+RSt3HrsztRGBLRQfmTI2BdA2/BVPAi8xTCsoHZYyHxejLvUQYzRgGdMFpCvxPtwCVhfxLXIPIygCFc07oxB/CtMf+DSfJvkPVjv9KQUXZjhmM7gZeD4WKHkO
+GSJvFd4n8hHgCdQtMgN+EuwLBTNrEGAGByzDGSUAUB4PNhAYID8eLXUVph6XEEI18gn2NwQNKj5MEdYaGgU1DeksKRnRBXkzzxUpK+EZCSfsAJEgaTOtPB8c
+RCNkCO4fvy/LGk0iYhG2PCkbOw+EO8cmFiyJCGcimBppCwogTziqG+AmcgvmLrIa/A1OAyY1BBTTAdQb8g9NN9coHhm6JJsIsSHjGE09EAj7JSQA0TUMDTso
+mxB/LlAKZx9FEDYVXQjhIxMEqx/ABxIrfxOBOSEcBRA+NHsgZjtDJCM27AdJIaEy9ioAP+0MNgZ8Mu8CBRM1MJUA7SAVEJ4IEDCRGDM9kAbwOdsjIhdzNbEf
+ZyYkOLoBPikBFjI2Ww/TPLkmBxC5Kq0DMQyWO98HLCanF4EEmihDHjwGTzDFIiM3xRWhPqglMB33DM08rwcZMJ4M1j5jEu0HfA1UFNotVT7ODwU4JAuyNY8C
+pDHTB+Qgoi5GDDIeXDGrFbA2US2iEAUIcSytE9U0gAYvI9I6tCZjHOgLKygUOiAvnxXXBN0+Fg97LtU3dg26J9cTVxv1Po0hHAf1GQ07SyJGP/MpzjPHOcwn
+bjxREik2jj/jJTwA2SIuMFwH1ShPCg0TIQEaHDstmxeDAlAcDxQiL7Ea1zg7JMge3jzDC/Ao3DrHHcAkyAEjLPgeTQyXL/Uc6wbeOqQVAC9WGZojhDpbClkh
+xS+7FZIIkjf6HOEm5DGnINM4oS6yPHgTLC1ZGMY60gheKdYe0gOVCuo2Vy6bIScRojUOI8wc1il2L2Q2jCZQBHgYLypyBqcWlSwXHnUooRf3NF8AlxQJOLMD
+Dj2XJKABqTJzPBQjsAO6P5UY4SppFH8FDDAvPwkYPgY+Iy8MdCuBH7AAMihlHNQFdzQyL7cOCSqDFJA4wiyJAYwXUwfvGjENNgEJGXcLzSsuGggN0xx+M0gL
+pRdlOG8duTJKGfYvcD9zDSg4rCjiOuwEdCKAKWAWUQjBDi4tuBqUE0MyzwT3NUASLThHGgA00wKCPXgQgypHCyAFfz7aHXEG/ircGm8DRDmIIq0wmhKpBUkY
+WQ5jA00cigt9InIzZg6GJQkU6C5HD1QzIir3FJYAhyhvGDsDJjmLCWMXjgPMHj46xgslM+YhwjsfJkAOKT8rE/AKiCqSPDMjChr4KbENQh0mE0MoQhgjDQox
+ZiCPD9U4rwpqNmEhPA80LIk1kh3XO+UxaBfXNX0SuzxpFjEioAIDON4J7jGxHZsP3iZeMUYSNDZ/JeYeOS8ANe4hcgIzMSoUwTrrKY4QUCWWApg8ow7sJkMF
+tyJQEt0JVSWfD6E2ZgsHPrswqiabNWQFsyOHLCgNjhfOKVsHKQ9KJ88UeCyrIp8a0zIQJXkRvQzYMRsUFjUnKDsNmxtAAT86nS29Pn8qzzTLEeorSAAyOHQF
+Gx07NWMBvTzsIfcaCjoVD2U/yx4pLLYTDzEtPPEjxRAgFmUpRhwvESYBbhvENEUE0SOQOX4dsg9UBbMy2BHGB6MvnjWFBfMeiTdMFWUn7gTDLQ8dAimAFm4A
+WiV+CswTbAIgEBomKgiCMBELiCvWOY8dOyXtGFMGriPVPVkLzDeJIXorBQY7PnkQYAf1FWI4+iiCB5wgVwSfPrgtmhUhIeUrJgkcNQQewirHM7wZ3y/kHosD
+jhJtHM4BxRfbPj8JrDijHDA8rCEqMgE/EyAsCbM4Fw0eAV86RB9fNnkt9CWkO1cF4xHOPzUqUxZWJMMcRwpHIs8WoiXsPcsfaReOKbM/nQuXGQwn7RIpBcYw
+6SN1CMk0aQyqJasb8gWMKpQ0LgK1P8YIYDdEK6YURy6oCb8ybxmZBmQsfSWSP4YfoTkgJvEZqz6lCnkq0wDLOjoZDzM1B2URtTqxM1kbET0rMCkpBTfRGnE6
+XiNyHoIEnRHeCyszzzxtEhgvIwTMFRgdogJ/DpI4/hSkKQgkPD3bHbYQcC8mGF40wByqDOMH0TeNG7ATRDsUF98BAz6pBtAU/js+LGw06yGbOlURZiqDIQQV
+OQMuJ7IKRBTOACgudxltNAAoLRZ6LjYIDBX4AbYYvQp0HfYjnjHLCcYzkw8JN8cTYwLzOtMGdw3rMW4JWBLtLxYgtywYCMs4HQ0OK30WaBznLmsEgT2lDw04
+mgoFGoYtZh9zJYEwBQzSIsg6px4EKFER6i8AN7QW/QnWLb0VEAL9DDwt1yKBElUvOR7EDcskDT6KIOELfS73BDAhkxbgBxAfTg3bAmQUPi5PPrYn2BYULfgA
+dig+GqAztymxO/otpBnJMEodJwvqMQEEwgz1JVg87Ap4J0cTxi/AI5AyiABWJZIwzg7FLCocgCNeDCkm/Rh5BwQpogslLwgdVQ6TNKovdxDFKw4dUTmhJcwQ
+QgQhHWw/GBBHKWcc6D3LIaU3+i6wFdwDAh8zO7MGMiCoLrUyCCgWHqYtoBrBOUAjOAPtD482CheXMUsfsjt6A7c2IxPlKOEXVh91LngiORCPOcQG9RP3GLo8
+uAUBD0YXKAJEPtwLtSBSAbcc0Q7wNaohZzrOFhU02gZ9PeIJ+TZcFCcCXixUGEEmbBK2DDQ5ICTKLck/DCqhNFAOxhk9NiEHsRyOD5M2SSANDawGTCSVE+kI
+7SKeAJw6whhzK/c25BptAVwh4TcdA/A7hBc6EHU+EwzjHmIGYzgGEfQwejk7AHk2Lg+WFjMz1gXSN68AMiRIGVE+dwQbMfwXdghPPDIhGjC2BgEjFzmmDRAs
+GwevD2QngDzmDSsunxgvKAk+0QtMGjUQ9jU9FAYCbCjpM1sc+DqeJBAEjCjIGWMJ2iUzD98gozmgCKo0GABZFhkycydhDZg1rwHbHBgpwjfFLRQ1VyN1FOwp
+AzkoMnsnQQcGK7gQoAT5HL4nPBgSIaUqkDE/HJY40AisNEM+xSlqMgAEPxJxF2oHkRzDJaMBkC/wIXc7vSQ3CdA+Pxe9OJQPVzRyPwYohjVnEWwgAQaCFAwz
+cCySFqEPjiqWHlMFhimdGiItOzYBKOIhYgm9KQYU7h1TK5wiWj+2HmMmqRj6K+s5+QjTHhA3kiN0DZMzaCuuFBYLYTWCGMQCUzICJXcUVDSGAN8a9jYTI6wR
+ZwGqFdMkBATyOfUIKyX7PEoO7hVxCKcqhwxDFI4+aRDhMw8s4z0sAvUwnCT3DWcpPDufBNwbpD2+LIgk4DLYEpYhJgv8G3wHtjrJGecEyBEhIHk+hBqmMBsk
+GTzdDew0QAPVEdIHXycHD6YirgNBHqoYWgnkHBo4dDDoINQ65wmdOFsTpAz/M+YUfzDaBL8nmC+pG/YCCR8ZFkoNzS2pJjY+3w0YJOUG1j9nMQAJljV0Jds4
+XgheE3QDyRX2P2QZojQhBp08QgmbMH0DKRK6Cls98ROFDe8ouhVeBnoSUigOAyAbdDjcI4cShy1tHYIJGzyeGY4tFyEZC28qegdlM7UrexxzNDYs2iBiF24x
+tgUaIDktpj2QGEEyTiAbLnAA0SJTFRUdlwt+GlIUAj92HTgSySNMCvUWQiBND5YIGD+ZA1wVKyqcMh8OTySyLXI7fQuOFOIDmTfJCpcu+xPWK4U5siOKPnAW
+jTLcO5kUpzDTDws7OSYaDhwAaCf7D5MsFRkaH8QoNAP7GmoqaR4FEtIh5gqZKfExjgZBPN4adQmRLyUedjcjEuIcwiTxGC8NShSGMckhCDx8HX4y1g2oAqYf
+xyV1Dq4bIhUbORMqpjS6ILIGuTE3Img12yzMOfofQz0sDyopQwCGPdMmFzi6EEQgUwSqNiASXT4wFdcdCzyqDgQ5eAa9EYE/Fg1KKusZGzilERsB1SLnBbk4
+AAsMG+M6jAVlLls4qihmBYItlQeCMxgs+TewMHAFPTrpKnsZyjDNJSk8NACXExM3twiHGw8qpDRdJp4WsR7qANAaQghDHU4MCS6fAP0aeAtyLD4lZgL2H+Ms
+ETUIG7Y9fBXfM4oEwT6DLqMKPDwwD9g5BgC2NXA96Bc3EdcrFiGrAs000havA7UqyAq8OeMA4C5vPZUdRQJ1DzQvyQnOJEcr7DqpL/gV+zX4LOYjNw3TGXsB
+PC+BG7w7yQJcDxwa1QqCL0QWTwgJMigf2g0lB1UWCiotMWsNfyj8BbQjRy8HA9sluwnrH+cojRmPLzsCrTa4IxkK1i8bKPw12BwyEWkrijVFKLkNdyCUETY1
+5CHxOAUZHAyyHlsBXRFTKH0UlB7dC5M3Cg+/HSgvOSEsKKkWeDFfAoQh7gxiO7EprzPXPwMmQDG/Ek0fYjeRKgohgQWwNUs/axZXB+kT7wo8K4UGuiKXDT0l
+dxLQNbEgfwaRMuwVPSw5B2ckqTqJDFk4RSWMEv06AyLfGd0wTiduFb4g4wVYNwgsURnhJ/Q47xHdG2AIZhDjKFgBET7YBRQz9CY2OiMQeyU4FnsrdR6FPhgB
+DyY/HYE1KhJMLqIZHzWLIncBKD/FG+k4oxbBM30PbTiiFzExMwChO5kL2CXcHt8UyA+RPBMcuBU7CYY/6SSCF8UHExQgM+A8SQiqFwcB6w/ZJi88LBWqJMM+
+gxsFNrECAi3dIasEDhfeCv0/wgXeD8ce6jz0EqwvSwd2EZciXQ0yFrACezwgJ8UGjA/COqoTxBoyDeopYjmZMFIk7DckHioxbTmSG0ICHBjpJrMtUxofJS8O
+xh8mNHkBPB3rFbQytAohLF0PQj3xBLsNWTUxK9YQQCYMC+0+WwZRFqkALTPOI7822RolDOUfthLJHPgI0BZhLBQLyjYEB80ztye1E1I4MwVQI5o/AwSAKHY7
+tgutLegSESXVCbMe7Sq3Ch0cgiwREQQjMRbkM7gHST2LMiYGHifGAtMzIA+LLhoDQzuIH98l4wE/Go4k2iofMp4cQS/HA2E0XyteDXAHhTHoJKs9YhL2Miw6
+NiuVGWgy/TfxKy0I3zZ9HEIsKhlzBPE3UCsPNUoa0wqRMywZWyTlLX0IyTLvIY4B2hzVDvUD+ReFEFgITyouPU8x6guyEc8/ZQlyOBgbxhOLKtYwIwddKcMa
+WgDjM+AkFBSSHJY61waPGgQz+BN3Iq41ER5YLes9kBcyBFU7RjBjJ3k3eC2ePHIfbAS/P8ISvSIDDBkYpDAmEGQqOBouCiMVAyGWEDId5zPXGJoEHzCuPB0B
+zSEIP9wF2zafDdwtdRxuEtspWxkyLUseiDlwIpAqMxtADLAxNxCROekrwDBQD9g/PAvfOegTKSJdCTMYLDjwIH8QhRcACiMbMieIB14fBBKCAR8jhAwaGNwl
+RAFFM6o95SYSHx4InBBtImMvWhS6Pm8BuDhAHYcnshB5FyE7OSk8ND4/pCYnLyUVeyGVBaU4EB4IAg0pnjCqBO894Aq8ImQRhD/PH2M5CBi2CDYqzDGqIowL
+yjzpH+QB0y5JD1QncwufICMOFisTIjkRgwjBFxQCUg/GNCgk0TD/HEAqZDuYAw4hvDyRDMs2uSxhOp0xXAIAK3kIdjrgJ8wOlhRbNqAYfCZuE+UpbT2kBOM5
+LiJeAbQNnDXzCZ0S8AbRFoQ20iBEKd8EixipCtceCwTIFTMgRgYiKTcO8DyPHo0E6y3YOgYqzADxLik3aQ9CJVgu1TrtG2Mpgz5mD9wgKRQCCusObDFTF9I5
+tCn9A8wdNSjKDEwS/DSUBPA9ri0aCZQhNhTECm4goQAeNmkNYCncFpQjGTXVFOMg5Q9uJZwzVxcxN2UEfiajDD0uIh/GPpABLxIQL9oWlyhHOdgIdhmiO70D
+NjFqFOM04gXUGZY+XDMnI6Mp9BOyCSsYcgADD4ky3hsPLQ8HDxfrJHsE+BtLC6kkSD63EWQhCDdoHXopfgdeLo0LmDLTHcYJfChNECA28C+GJEAV6z78Jyww
+AzwCAZsTJT7WHBs1ExLAOwAzPibBNvEskxlMM8oloDA0FIcm6wtrHWI0WiI/Fg0EPz7KC/IVRQdfME0E7zRoKHU6/hqdKyc8MgB8G60N1DtbCV8xNiB5KywY
+dyMODOc2zRu1AiMyfyweGuI7qB2YEuE6czDaB5YrKwvrO/YYuywhAvIdmy10Dww1ixXeBDczPQ4CGnMmETdaBUQO9hyuNMsqdhWdNkwm5AfcHeo4nSSGLNMM
+MAdFHOc7/it1NmsmxzhWE04JGyd7NfceETKhEospBTWHFaEaRzACAwQXwArzMWsizhCqOx0CdhdiMHAgDxj1CvQb+DiGA54g6A2mGhAj/AorLXIlQAjtLfoi
+Eyl4B74bZxDUAas6GghfEQ4B0xvHNtsGST8RE48MDDm+KA4aQDP+IYE2ExP3HfsWaAjrLyIDKyLbEuUlFjDINesjQhbZNtgCUD00CMcvfhUSKsQRbib3PIYO
+OAXhMikKWyanAmobJg/rN9kcbScRB5w4LA6HPGcJJhnOKtMjNTvsEgcomjmYCeEg9Cs/PzoTuyQDBh8hNRFKG50/7y7hDj8AwxSwHoc5+TC2AoIOFCCqByYu
+jyLHPsoVrg8WAhs+yQjDIKYORDjvBpImEQ42LbY/FAT8OEAZESDKNSclfjm9Aos/qCxmB1wo8hirMwsskwVtMg8RdDo6F5sO/zcxADgVzg0wPtwvCRfSI6Yd
+rz6hK5Uydg/nGCUkrCzABQseQC/dEfAB9CrQCqAlczmZLYANyh81NvYHSjOhC7sfqgbREdoswBrkDSYlORxuOVUAlR6wNLAHuBixI5UpihUFLXU1aSFEPXoU
+by+JAPMSLTLqIYoUgSiMIGc4OwFYG/0K+SyWHf8DNjCdFMMbIwDxMNoLTS6lPFwBfCthC+UWwSjCMhc8tyW+ENsYhieDFaM9YBsiDa0Y6ALiLto3JilpGmcu
+rToqAXcr8B1aPNgzOiNUG5wToCZ6BgkszgwHFCwrnxFNMkEfchMAO8wPuQjGPKoWnzglKPMbzQQ1MiUfEBm6OcYrJCJlCqQo8TVWDMQV6CFtCq47wilwArYy
+4xbAPFUI7yBKOlkckD3hD64CjSKIP2oSvhimKNg9EhW8Kn8ZfD8xBdUnqzgyFI0zYhCQIvI/lQ2KLn44/BI3NlEflgbnFzwM1CkJBgskrj6rKjUMpxoaNcID
+Wy4+EXsx8T0+IYoH0zXzFto8XAyVNdQh4Tn3F8AdGQ/OMpwjUzhxBBshiRtYChcEhC6LN/IKUDNeLWMEFTosNMslvhykCR0jjw2QFoMlQRNXMdwXMQr0EWAB
+YCo+NngO4DCEPl4cdAdQIugZ/gwWJnkAvjEaK8gdNyWxAbIfIgj4LrEicT9tKr4K4DMmHp0CMTIcEwwEHi9WOLcFcCdsHg0U9jmbIKkNJDWUJsMOrDG1BgUY
+uynAMpsaUQbIK/c5IQ9xHbUEeTlULwsPeDRjISsJLi74BPonjwmFK0Ia/gOdIIALHAHGPY0QATnXL0YdBjfJF4sf5ASBOo0l3ggWP4YXAQewJKoNhBSSL94l
+vw//IngqQwdOEREnSASvNxkoFwdTGdkTSi1MPRASFjawKjYh9QYEHU0k5BG8IOIpgxA+B9M6lRJbMWY8yAU7NGgfnAQ5KO855SB/GMs83AfPHmsVqAA1J2Qz
+aj1CBV011Tv+Fcsi2wsSNxUUjTBdECo2eAzUFFACxhFpJqIF/BCAOk4ahT2FHx0mvRqNEWQ0GwQOLzIJXBrdKn4Ahxn3LP0UqCRWNZAJghODJ+w1xwqPJLcB
+zTApJ7gKaiM1AUwdThLcPCcZ/x8WOhIWOTMsEmsnRjyDMrsa8C5HKBUiuwE7EjMKli2JD6s0pRUwL80O3R4/JxY5chr4Kvs2xQFVOvAbEAMXM+oZ6TtGLTAK
+hDA8EsE9Nh8QNSgOAgioJkcYHA8pOgMVhz7IAFk2NwodFwQwpR5sKxQZFwDkHYgspAtVP/8PxzWBBgkvnCWYC4QytyveIlA5uBfeDiodgi7bCa8pixzTBA4/
+xRnVBlspCj76GJUmSTk3McYa7TsbL84XmCcuB1AsLw82CYM7RiuAF/Y+EA/XI882YBINI+o/4wpGNykDcx1ILSA7bQD0HrMUdjMAIdYWDDeZG6kTaDtYKdIx
+qQNgKx4McTDKAZ87Xx13CMkrWhWaJQAO+AeqGaQ/WjNtJWs7jweIHHwiHANSKqwzjRN2Cnoy/ARuH4gYggpiLPk90hMEJbUNXx83Facb4STCCxkqOQLwI0g5
+BjBoAUsd7DGrCwYtICiJGtA7lCR9ApE/YAyqNUMnpDeLFPkaqSr9IuMVNB3sDqI4UxOxG98D0xDWNAkICyrRAfgUQiPsD3w4vC9SEdUlkzWRCwIh1AIBLQEd
+fgaLJNsMkCAOOMwLuiFTN48WDjFWAIkjMwvFHLco1jFMBug6vC48Ba0eLSkPEgA+2yHGDiMZfTnqLQgOyzsLCNwPXy0aNF8InxfFDBMl2DdoEbwcRib9DVwj
+7zcuEEoDiB5LOrM0HBWCKaYEYiC3FP4oFzA8PkoSvjdeGzoA1zwMIgESyj/cJ5IzuQ4sH4MFLi98Nj4BfT9ONKsDXjqHFscx2hpEExsgaD+SKFwGZiKzF7kP
+ngafMfcO+jRdFUUiTwb0D5chcAi+ObwDSzOGCj08RioIBYQ0ZSjEPd8uGgzzH5k6RyZqN0QxThleB7QgAyw6AfwcKi94FWg0ChHrCXI9QRapNQ0B5CvzFNYy
+7QLmKDEeQDXKEMouszcqA0cUQx+/C3YYpA+DOaUwDBoqDKoF6DHJJKMIdCiEA2gZbipgPnoCNCY8II0u/z52FBwhhgeZPe4XqC0WBpYxBxn+PgctLQXHI9YK
+PjGcG24N2jbSAa8M2RlXCKckfQznLyko2Rd4LiUNuAaFI24WhDf8KNAJqBdqIoQprgj0IIAugBBlNw0KnyttBWcNMzUAE347Oy/WNyghHiv+HP4IfijrLigY
+yj3AKZMxMBLkJi4YUS+dAO0jmhemIAIJPhZLJKwaOSyAEjIL+Rt/BAg9iw3LNPwUZzn/Dv87bgdcJGE4hx8dLHEnTxLiHasI2zqTHJER3j5ZDFQZGjxmBv8h
+5hmhPVctdycHNYAihBU5ARYlmziJKWcVaTwAEeMcRjhKMUEkPR46FqQNQDqKBQ0dgQCJNBookjJnA8w2BRV+Hwkohgt8M9gTYRy6N+gQdSwYPbsXsTGDJjs5
+RSwGF9g7oB3CDzMEJzgrHTsrDDriAEMw3xv6ESg6pTGiDNoTNhq7JhcGRh4gJRM89Bb3LXkaviUYA0oc6gmFFX0BwTzhEag5/gIqM8scKQ1HAqggKD2dDoAf
+pTYREpU+7C++Dms4QQGnOykGcDP4Py8t7xDxJPUpxhtHBeYntCFsGNUp+QwVGncxMAWLC3gyJT8hKecN0i8qJsoHoyKbLH4UYyhhCooyHxBkAQsckQfdPYoo
+QQoyNIgQER2HLukCDjQUIhgV/AlxERwG+jcnKyIayxBCNtkstxjsCUsT0SHnKWIKqTlhAXMiZw9vKaI9IgCtJRMI6CL7Ba4dFhALIKQCEjJDBtAq7TlbI5MJ
+YDFOFXQQVyHHC8o+zCb5Aq4cQS2VPAs2ag16PmAv4ABgD+4y6iAoCdU2qw5CKRs/ZzPtJksu1RllH7AlxAkFFB43Dy6dGec09QV+LNgaQgzzKh8DDB3WJ6AR
+0C9tGEwiygKSFZIeczojCYYvHj5JCzouPATCM+I/WQJtE1A7ZRlpIjAE8BenI5oF6xhwN90xKQIPIHI5XhfYKjQjizpoE8UwDw4CG/AtQSApBLk+KgsaGkss
+VAbZPzYpXzUTL94grAmkMnQnjyFzDJo8ex5iL3oNXz4xHBISbiy9OwsaxAfKIAUuChktOe8S6zMxLag9rwnqNd4RkSEFCwwU0DOBGo0m2ANcPHEtzhg/Bnc1
+oCELEAgH1SO2AU0piRhxE9A5Ths2KD0E9D2tFSQx2R/RErQF3yI9DWgEtjSAD4ks2TviHhsIMSbLCxEVczsjJ8MHEzqlGEg2RzIOIMIIainZDjQ4SCe3NVwA
+eRjiD7YfExYDNqUS6BwYJocvTCG1KcQOtjgzMPMRfzUsPQQsEhTxCsk9MBDKBQo0sw08BxI2kB/gKWoDpzmZEg43PhcaJ7shtjbbDwgmbgxmHE4B4Bd7PY4T
+DALOO5cHyxS6KpACEzgPGX0Gyya8MiYFqhTAL2c2kA1mFNgyVAvWKCobGgG1FcckhxqiKC894hinLREBrD6gDXE2jR1XJSczjg5VLMkWiDv8M8IVIx89M4sI
+eCslIGoLHTUiEf8jXCwDACo5/go8Gy873RVeMO8+3hf9IYEBAynAFsA/djBGIr4BOTS2IPYTiCXxBlgMuhbEPEk0TBzyBj4wkwzUIsgyVDi+JvcCNzv5IkgH
+Tw9/FrYJbTURAJcdfCo3C0sgsAESD5wenCmZGaAv0SXlHGA9IBopLoAK1xcvM6wj2gXuKmEIoDEPE7EAxDr6FoYwsDf8Ir8OhSZ2LW8eZRfUL6A4YCUJEMIi
+WTMgLPwOiCCeN8IlzR3uAwgrFzq4AgofFT8eDp01nCoBOjkNFTAfBVY31ibEH0QSVyw8F2oKAwVMEyU9LhxFCf8kNCvmCw46KxFsIwI3yQWxL5gWzDglHcwM
+3RnYJGgv0ygrNgAg0QiUJ28FhzhwDaE1jhE1BGocMCo6ETYZyC9aDkctUj8uI/grZgNqE4UkQT4zEmAaUSqsE6sGIS28GgcOYirFMbk5UiuwPcEaYSbhFB8H
+oDneGeQyRiWcOyIEOSLhNr0T1gD4KOIRCgR4Jms/Jw92HnE8hRqcDoU7Jy3uG8QpQyB8BKoS2yuJOpcFyQw5NaMjKw8fBIgZDT8RCYYVtgD4PLIZOAhtDL8+
+sBGmI3EapyYRMb0GFSSLEvEHsCCHA+AUTh7kD1YJNTMvBvgiwTFXKco5wCA7JzAABzFaEloDEh3JLmoESRmiDbs/ZiVxAvApoQdbMhc9ggYaF/gNswFyEesr
+3hzwE/QteRlzMUYjBjrrDaM38ggrPZkE7DjCGwUAJBHJNqQdIy8hC1If/yyJA5k7gh3OCyY/dyF6MycJ+RkCApYfEQaDEVwyuTyULiMkUBPvLE4IVhVGMn0N
+6AixLAwfEjnVMRwitzfgExsAXygeCio1IiX5HoYGWA27MuMJNzx0GkcIAR8hMwkaxT6GCBssxjWVH7wwnynQHYA1giPlEogxzCkDGA001gnxO1AQLxaQLNAc
+EjzbFyQzACywPzQl/jAZF/I6RhtKOJYBEBA/Ga4uaAyLONwfSzUzP5UXyib3OwsyXCklHMIRmh8rPNgPGyJIE80qAjSbPrsjCDIWONgLHjziJaQGTR1ACpgs
+RBdMMiwkxR3gKKEKeCH3MVcYdiYQDkY59hckJnEzDwp6NXklbDDDEf0AmhYUPRgoPhPkNsEjsixkCm0gQg8DA6U/Gg2ANzgbuCueOaMYPT/KDtEHJhdFDGYb
+3ys6Mg4Z/C7TFGQD8DfVFyM/YSLnFHw05CSdL5EQWSkAAyATUR0YJ6YVKAx4Bc8R9zoBDc8uhgS3OTofxgFZLKsgYAXrNakLBzkuA+0uoibwDpYbYwqpON4B
+LytPDT0oJhRgH4c/CDRHBBcWHCtpGf8KiSg/D8gGzR/vE38ASS6uCTc0NBhQLZI2MQJVH3MJcByJFPMGvBgFI2MA4DTMEuI9JCdRAY4f6QV/Em4umxZONe4S
+LSubCfo7TgYYKhcBazyaDz4ijBU3BfkYdClWNhokrA/VHTgvIgyzGPI0aQQUGNg2nxvZKJIflwCuJrkQUx9DA4onLTRVI5AuiTvHBHYgnQibPbcPqSB4KZgw
+tBB5JzoDyyzoDgEBCz7BFhQ4LiUmMN04LwDHPCUuITdiJqQYhwdFKX0biSYSEEw8VRRbMGAnfRibHkkpbBGDCsk3UQBJNQ0iexITGo4g9z22B9ovFQxjJQgJ
+hh5XO4IQCAZNLycisDnFM88KKSVcNgMWSTr2J8YDZwu/GiQoOzqnEMstJSb+OnkvABChKkUg1Qz1Lm0V+jrMNYopFz91DZcBUiXmPQkEjzMXG10iOzHQEz0H
+zRn3K7g9yQ2kOLcejwoNLaUETDmnB1s/3yiJELg7USXBK9cHgDHtFtszwj1oBjEkazG0FK8b9QHVEJAlBTTSEQE3DiRDAhk6KAsDG78HuTU8HDU6Yx9hKj4L
+Ch0iBwEORCE6Cpwa8Q/AIdIbTgLjMZgg0D8ZFU4LxzRJB9EbFgxhP94ANjMhI+U9yhmqHy0T6CluBm8uFzQOBVARKCP5NKoaCC1yEtgoOjFwJKw9ex1MASsW
+SypUEcs9sB3nBk8iNA8QMsgl0TyeFb0wgAWDNpcMeAJEHnY+DghdGiM5ygMOIkgPTBtwC+4YgzCIOJYaYg8AH/MnZBUdD2A4Ax6eKJY36AEfHmInYjLJA9o6
+ZBoyM+ckVxbsIO8A/RxwME4Uvwy5OjAR7CL2CUUUXy+CDEw6QQicNgkrZz4GGeQK9iicHFoWFy0pM4sTAj3NI8AutxIqCQgXqzd+I0EziSuQPLEX7TJ6LAIo
+AQiwO8AT8itaD4UzRwFML78hdSpYOPIfDBL1LJ4J8BQfBiIwayUGPf0XVjqnDbImtjkyLEoXKwIBPcUFKzqKGbwBswy/FOM25AnMMLwbVAMOLLoMfTC5Gfg+
+UBR6Hn0HCg6ZIwEatx+0KgEXxSfCEyI0Ei1NFrkozzPPB3kxjyPSBEEntB9+CKEtdjbTC3M9nwLALDYLPCH4MbUS9y4ECAwRRxazIucMrhPVKt8OAzIhOBIL
+vyItA7Az2R68BW0uvTdrKKEdZBj/KAcSXSH+CzoeKgRwLcw6VgZMDdImKgXpHh8rgwCsDb49BiZNMQIEAhA1FQoCASd7ESgFNT98FH80EQ2hJFk5eglBGMMd
+hDnNEMYWNQPUMe8jPTfpGyI6fiqYDV8E/jHUCa8jMxxwFcEKEx5kNyInlBRkIFkNWja7Iio0fy2zJ70PCz3uImw1uhe1OZ8lwQHYK5QF3zd9Lf40igCeP7ES
+lTmdMg8JnjjVAoohEAvfPr0cwBI7LFI7XRRbNIcQ4TvbFoIFxyvzHDUknTTCFqwFZQ1OO6IYuSNQP60pcy92PHQCMDX2G/8F9iwkGWs+ryqFGFAmtTwbG4oO
+VgR9O0U0+QDSPHAuqxbAOEYzCxXfH1Ux4z/jGXA4mg7zF0w0SCBaGisGoinPGw8/0S5COYIfRDZzHNAj4AG6GYUqix00BN81XCapKxUGuCSCPBAKzBneDT8E
+xycyECkhITZVHdAQ6yyFA7Ayzj6VAvMwVw64CKcydinOLtIVnAiLG2sFliBcGLApvgZRE3Af8wizEOk2uSDiDKQknBjzENAorC5vCmYEzCI4HMoNvyV2MRcR
+Bgb+JMU3ugBrHpsKTit+AvIktDGmIbASJDlpCGYRHz0WLhcm7RyMClg2FgA0HDkIbx+TJiMK0T1jIuUTbCYoEN8IQDnGEpEC5yo3FoclgwkIESkjHhsQBfcm
+0whhJMAOwwCtI2oRfwiAMOQimDvkCNgtMznOFQo18QtlIVgH7hn/DDAIXy5GDhI4AzHhBn0+xBY9IeYR0D31DB8blC8NJz01ait3PZ4XqDKGAUA/KBU9J3o7
+uR80Ei4rOiVSGUghDjsVEdsaXgPaOE8nLj/3Elo6qgLyN4YN6S2qPsondTKPFakafi9cPXkJvB21OCMW6iRZMI8QDz6KLLYU1h1JOxIZwy6pDMIX8yicPjwZ
+jDd2HCAN+T/sAdkYMjDBKZUbKRC+NN0EfivTEzAxXg7+ODMV1DZuGDYuUA3zOcQEtDbCIBEvgww3Mpcebj+kLdgfYjH8KgkOQDZIMLYR1D3AKroY2jXeLEUd
+aCkeA2gUrSceEC0CWCOxEYM42CwwEyQp+zO5ImU7TxZEJ6UfuA/TLaoLVTAzAoYynRVhNlQAvA+NIDcUIAguH1gLJCxVGgcILDVDDFsYrjfDBTgQTzlmLNEA
+7SS1PY8Lnh8dEGkwayOtC1ky9BwZJRg0KAHXGzoG2ClMO/MCshP1Kn8i+QSvDbgcnjpEGPAAkjXcBnQzgCo0AuA5ECFvM/IQziLJBtYuhhMsCKwqryVaNM0N
+pCLlAFAX6Tm6H/U8tSUDGcghWyxwBEsQoSlNAb4eGTHeKAQcIQAvFb4kFjcmCpYRlQEdOsoWwQbqPkkUWCALAwIdTjJSCww8swScFbU2MgxtMw0eOz9ALOMy
+yghbHagDNiSoPOcAaRI1K6IEjgqIPDAUGSTXN3gcXig5Cg8i5iqiHQk/0ARwOcQvzSatO/0RZiScLjgerQDuKSsjeAqVNPcVFgiKHS417xSiKqgzjBguAHIq
+ERrSLF4S3geTFzUP1iLGN+sKpg/OJcAz/wYTMSk++iYaNgYI1ip8Hx8nTRq5ClMPmCZ0E/4HJS2lA282Ug4WJzc6WR/6NfIULB36BoE+XTIxCRspqBL0DM0D
+yTMpCXc+VCUOM2Ub3zruEVIJ6BXYNI0rAj5EGjMGViIPMOYb+wt9NCId5yXtCUkr9Dr/FcsGsx8QJyAOoSHzPQ4b1iWoBAsXCQwXGmcnfD3tMCEYhQ4fL58Z
+BB84MooYdDRzADoqagZcECA8MBnlOCkH6hL8LQYYVyQaD14CshhKNMMETjp6D4QxcD71EqQuBRydJ+s/Ag2GLlwEhiNUByo8DA5UNpoGED5oIfA4eihwPJwt
+MxMdMVsgdRsPOC0Xug4pGqwBoyx5FIwM7zxuEV43aCPRP5MebjXPGp09GxYUHq0xKhhOAMQtXg/WA0s5Eye8E3kegCQEA1cwoxqpLdk3uxFHF0AeZAxABow0
+BybLP04jRQ6zB6kQLSieO6AW+DW5JUIT1ym1A6I5GxhSMxANnSWTLg854RMVM+8q/gANEYY5ZDHTKachKTt1BSEUngtgNQ0gWjjuCZg/aA9LKfYiCxt6OvkW
+GzTWIwkDwi/NDNsnOzf5CiQ0mBxqOLYpIQ3qH9YU3SU4GUcHWSDZOvMBWTEfEsUhDBnZOdcQHC/BG0AohCAAFtIPCwJlMMYKgR52BNoZvD8QAGMtAwprISs7
+KS+AEYAgIjP+I1gD/S/VBT4VBS/qA3ErUAxyI2wp5glLPBsj+AtLPbMZbiKPLuALziviN1UZQTSmP3si7weBHdgnZgFcObcuHSKsFoEs3AT+GVAv1jadHnQu
+9AHcDl4qUQUxPtkgSw9ALqwiLQCyG5A2EhGGAl8c6gjVGCcwfCOqCooT5gdUNdYP/i4zH20reQL3J5cGnCz7JMwC3jetB/INiDDvHwsLGi1nFKseFT1zI10b
+hgUgK+kUxwiUIpcwXz2ICasrHzmcDf0n2RbbDnok/QVwNLgo7gqAHj43rxNPCfIv4zfsJZgrYhujFAw2niZ0CS4pbRayOVISVCoVBOwk8DbOBhkbrjl6F+0n
+qRxXObkJWRnBEIg6DwFnN1YSBQWwLN8TLyaMM5cIjjvuGs4EBg/OLAoLYhWLD94qBTwDDq4ymyoxE0c91wgPD1Agfzg2A/4lFxShCXszAyCTOo0KMRg/MSw3
+OgjTEgU+ASqBCPshQz9KKaU1WztXBogWjizyHGg6SRYsALslvjhZFyQ+HxGNHKcVszP5Ed8d8y2PPhoTtAM3KOA9dw9rMz0XvwFDEeA7FCGNMaw/vRLfAkMb
+ZTWMBJ0dzDPbA/0sijfxHEQ8iRUjATI99SutBDIjdT/PA8EcbQshPBIHfTKTDt06diH2MYMNhCQOBoc0iRwADNUWdD/9Dj0tQAkYNTkOgSksITM0oyVTL3EV
+kiAKML4aKDmaHUYEPypnFgIRjDGAIXk8agBdIKYnqjmNAk4WLSSeGhoLGQTmJk8dyTqtMtYS9wucPYYYzTk9JG8atBFMLZkdbgFQFXon6RyUMZgOJRl1LQcV
+5QuXHxwQlyY4NFM+jAOxJ+4gczJkG40IGA48I8swlTo3DNchDTwQF+kKUSLRKrk0AxxMBRYj1QdaKkc25C9xKIYMoADYHa8t+yf5FZ0j2RB3L2EUAT7/GWMH
+Dip6DLctrRsYJX8XSQzbNNIYJyweEk00LBcFJMMphQHkGD0SpgNuPTcaBi72FCo99ShWLkshawDtJcUSRyByPkkBLhN3PNgEYR1yCqg0pA4/KBQJtDUMEF8/
+USDpATg3iChKEy8yjTeUBr0bmjCCNScH8z79IEA0xRhhL5kA5Cg1G+4tkyHsKokFtAzLL54DhjcMI+U82iuEC+c6QQVNJWE5ywNEMgcljAFzLicbPgwvIOIQ
+PzDkDLc/FxM6KS82SQSdGPImqgB+LSAGNydeNnIBTRgCDyU4mxXjLvA6OAwdHu4GEBSrGfU0TBBICKc2jQyUPDMqVQriIEgl6QsdNIcgCxNnMjUJEDYZEgUx
+pCfmDv4e+DmBAjsgXxAHP9Uc2C7dNusq3h5+NaIKRiAjAswRrQi/NBQcmztLMCsF2xngLEYxRAzQFyQrvjt/JvsCzT2NF1UkqDCfC1Ut2SWLF3MIZB2bDKQW
+4y1HEi4hGw10LOsTASlIEOA3vAsTFeMjgAdNNdUBLBB6NiIoRD/rFlgnQQ6NByEa6DNbIeQVuS94HsgQyDuWGC44wROsPJsFVyo2OB0ZywcZK9EE+TqvHJou
+1wlWMzQeczf3GasPMDBnHtM7PCTwCScn2x7OEYIaNiaxPgki2ThwKxkmAjsmIBIwBwRiHEU6FQChMYYRnzk/ApInuDqvIT4EbD4xILkCkDt4CPYkozGULKoJ
+RzM1BowiOQsKFlAHQBAFJmg42jHUI405ARTpKZAMGBiFOAMn2QjrHaIknDfqD/EFtxnjHzMuyhL3AKkeFhkFB+s6Ew5ZL1Y9TSorJJ4+sAkAJ5E6FR4IAc85
+vgfBH+oqKj+ZDzc5nxY9H3wwgBvQEmgg2wjTNPITjDA8Jh0RywHlN4EM1geDKwchXQb5KIkJ7yLNMaEVLQEiJlcelzQgF4okdRASIp8Ukz5BDWwT9CntPZYH
+3hOtLEQENDLsPwoAHjNvN+wCRg+5MOEJsAR9E3caWAZDF/8lsxLxNMAYrSjjHUQtoxesB8AZGA9CK1wcPQoIL+wX1yo7FBMNfBpxOZEVyCYDEWw8EighOo4w
+XRfwBaMb8Ax6GfUE/DL/B8QjcxCtNEMVeD3AAgozICLiL/kT5jZRB+Iz2inMO3M2XRP+MpAbQyMeBFIaARCRAZsy5hcnBcwvahkDJHIxOBeSA10zQh7KKRsM
+GT5CJoEJJDtSAHctCRyfOskECB+xPwMtWhmvJ+c92hR7NE0NJDAwHt41nA+0HBE77DANEo08pQu3L4cBujVjK4wGmSWvMQoD0h+xJE810gs3HWIWPg4PK20J
+yhSRLY8oTReEHUE9GiPULhcO1j0bMqUJFyyUDg8GlT/vCXEk3zwfLso3bBRkJjg1iREgIxc3iAW7PagnXQAFH303IjFWA+waZyG5AL4rJj4KKMMvujscJpEf
+8j5iLkgCdSDfDDcrbBtrEs4JtD4hKmsMvCWFHNoJjw5uJ8chyAJMKa0SvDWtICU7uSsuHfI2mBEfPksKVCtsDhE8WiaUCZsYfwJDLpMTpwSPNbQXITIlIgQM
+nil8GP01gAmzDoYiUjZEHPsAfCVqGoM/5xXFAt0kIys+CMwNHyL6A6koxBkgOgIOrx5MGPQ38BzKCkE6gA6pGZkoRTdjLlQivRniJE49zB/3BQE48gxpMjgB
+HDcfKs4hBQMvHeo7OSMgN3kWVBDqNC0fIAzEAPQxOAbmGIY8VQEPHqAycxdeIaYvTA5mCJ4Y4iyWDNA0cxNKHnkPUAhCFckB/CyIDZkVMBxtKGA7ny8ZB7Q4
+yShtFzkAkx01OasRNz5lLRwXVQU6MMA+gQuxOTMI7zPCBG4UOCNsDYUogyBlFKM2sgRiHVUSCTAJPZkkQDd2GuciPyvHDfgmQhFaPlIC9CPIElsq/TKkAy0S
+HQvXLZg5rxDvBJ4smjgPDKA9OxfsNp4tRhXmM0ogGQgnJqo8ZAINEOIqABfbLeoyFAGIPWwGYxFUO3kFgC+oDM8YATNFEk0gMycpGEYKvxv6Eyc5wSfRFBIC
+WhsFMCgqEgMxFWIprBuJIr85Qg44KFYLay1vEC0JfDoCEw0r3TxJI9ARkD9WJgEJ4jgUMsEhWzesHSQSIDXxA/Y42gqJEqcYHCX6Dv8e0C0yNZ8jYQbvGQUC
+MSHtNKUdDhGaGBEfSi6/FrMkay/7CuI50QbPLe8BJzIkGm8j/zivK5QMKyC7B7oPxjIDC8g5IR5BBms04hXkLQk51AaCHJUWGjo/KcIxHh9pBzQqSCJ+GxkT
+ai8cIHMC9CfLG5wJ1D48ECYyChUJLUgz4SKPP7wEgSavEaghZRUuJmcK7B4CNvYSzzgjA5cqMTzMBrUtIRGFP24zBgfzD4MthQu1M9wmkQijISw89jCjDws/
+EAmbK9EeDTEkG7I/jSNaKS4E9DOCG+UCdDWOHhgFFDCBFkok8AJoGIIqbAojPcoiMxkIMcIffTV1Ae0/8jGpBKk7Mw6FFBwzSSjjMDUTqztvCbE49isEAfkm
+tA6qHOQ/HRhGJy01ihtQPA0PPSlfCSEWtQBFNTkVjDmXLPIeMwHjElUutTuwGxIJ4h9hDvsvHT1WIJkI3SNoFbU1uRiiPG8LwTRfJn8HqBnSM/0QPjk4JXcA
+7SvXHJkFnwzlGpQIIxQ/NVUe+ggYOCgwmhw+MzIrqQHdJxoirRw/CtkkhhmZOW4D8Sh4H3AldzYBGbM+Dx82Eq466g2lGrEGYySYNL8XdRInAzw4HRSuBFEY
+Mje5Hc8LRCb2Ftwo0QrUKlsbSDtJDc8s+j5bENQl0S8mB1wq1g59BSIs3CIlGycV+gpSJtUamSxlCDE61wvNJJgEICm0IssNuzSMPKEFuhG/KoQAvB9oEOYV
+FCUEBq030y9gP+EhZigGHJADvybLFvM/4ShSGKUCGyUwK8025RmmJoIA1CwkENk9JQUmDhwnVxKHMBQAWT5KEDQ6diPqBrEwRg3sGPM1tyYaOdMgHzscKDsw
+OA3yO+wZqisABWANSz7JE7Qakg11Mzw/URWJMeAO+iG3MAgWKw0HMKUAIiLyB64pDQUNNUMWPy0pOB4eJQS4Li47KSR8Cbom5TMsDWkugBSSPvgwYQ9eO+sU
++jb1D08ErzSiHHYH7DIrAMIaCBPeOZgkqzzuE+cI8TbeLish6DfqAuc+IyDsEDYccS6WFyMzQRS8Btkb2RWBMdYgvzXvDcQ7ezBwCbwzBiEhE+8cDQ5aBiUy
+OxFHPAMN+DMUJPQITTZzDmsyBhNdBAo8ZQtTFIU2ZhlUMGIexjj6Aiktzx2LFjMheyryC+EtIRU3Hv86uCKTEksDgxb5LjgRCgG3F3EgCAM8KIgP4DphGI4j
+ogdoOQEu5gV7EOcrZgDcNuEI3ByXO0UG8hqhPBQPlzLWF44vWR3tAIwnGwpxFJAoxAxqIMUyhQ/iKyIelDviB78kuQHbIMgHHS2aAKojWC8fIJEorxJwIzEX
+9jvIIJ40NgpLF3cc3jKPJzMQaAWGKvkSGA3XJ5kWZjYmAxo9qA6fHvs+WjAmJHY4HAqRJnQGMBqLKz8DDChUPsEY4wJAJ1wtLhmGOL4J2S6FHYUE2BClLxAc
+zSAYPscJFhhHJOow5yBZKIEDKwxvK6AkGBrGOwgKVDeWBYgysxyTAf4/lymTBA4u2Qp8PhcpIwiANhkj0z1nLFMzsRUQIkUuuwDHKW0x+R1MFnQmCSCJOA4c
+yiiAE7Us0TSfEi8npiu1FM049yRjDR0+hyNDOtEPgzOOPUYaSQAuFgQ9whkbAoMimBBnK242phenOMUemhlYPsgIrBcdPJQKNzeaKc8NqSx5BDQn1DAFAcgM
+/T3CHdU5ThgNM7kc8jDABj8sKiIrJ4s1fgFFC0QqjQ+jAl0t/j2yErg3IiOYFIAdWgy0Kx456QkOPMwg4hOMIx0qWBX1N/ghpjzlBQ8VxSbvLVMe+zSSDwAI
+Uz86HGQ6uhNOB5E0nQ+lIlQoAhK7GAY4wSYVCg0YJQ93N+0afjEFHjQOvhl2KnsLJxKTBmk5agl3HWk1qhBZCjI8igLpNB4J/xagDBk9YSWeAhcMzR4rN5AE
+PSDtCksChCwdE7MINxm+L6og4wZtLVo3hSmhBjgwEDjDFe8ykxunC4EnoxE4M7IMDyhhEmYy9wE0LQkelgPEFL02Bx2SEBQ7aR/KLEUVigOLJUEJdT3SAG0j
+sTqKDAoUGAkgGa4sTiGEFlo7gx00F/cw0h5PC/Ax7jlPB5MvBxEVI4Qz4w9xBccwQwEUPkMIECjRGD8MaCpMNwED0g1+OmwBSCthF4cyJRGYJVYxBSAmFh4s
+KgLOMDA9CQ3BItcS3TM/LyogEifbFKAGpiRbPF00XAWFHiU3CRsGJcgw9xPlP9QaxCeOIYcOoCkzPlIjzzLCBpwZmTGYI709FwlIGDYv7Ds6GxE0NSGNNuMq
+mgLgFsEl4BEGHjwO+yNvEtwKgigOPrkFuC/VPOYCgyQBL1sEoDdlIuka3w8bOj8yzCWSByc/jhb6KmsGXTh1IjovTDUbDqAgJi2MEcwYyzNNHhgxYzytENw3
+7QW5JxI0Pg0=
+`;
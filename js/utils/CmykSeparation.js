@@ -0,0 +1,107 @@
+/**
+ * CmykSeparation.js
+ * RGB -> CMYK plates with black generation (GCR), under-color removal (UCR), a total ink limit,
+ * and dot gain curves for the printed look. Shared by HalftoneEffect (CPU and GLSL) and
+ * SeparationExporter, so the simulated print and the exported plates come from the same numbers.
+ */
+
+export const SEPARATION_PRESETS = {
+    'simple': { name: "Simple (K = Gray, No Removal)", blackGeneration: 1, blackStart: 0, underColorRemoval: 0 },
+    'gcr_light': { name: "Light GCR", blackGeneration: 0.5, blackStart: 0.3, underColorRemoval: 1 },
+    'gcr_medium': { name: "Medium GCR", blackGeneration: 0.75, blackStart: 0.15, underColorRemoval: 1 },
+    'gcr_heavy': { name: "Heavy GCR", blackGeneration: 1, blackStart: 0, underColorRemoval: 1 },
+    'ucr': { name: "UCR (Black in Shadows Only)", blackGeneration: 0.9, blackStart: 0.55, underColorRemoval: 1 }
+};
+
+export const PLATE_NAMES = ['Cyan', 'Magenta', 'Yellow', 'Black'];
+
+/**
+ * Resolve the separation from effect params: a SEPARATION_PRESETS key, or 'custom'
+ * with blackGeneration / blackStart / underColorRemoval.
+ * No separation (projects and presets saved before separations existed) is Simple with
+ * no ink limit: K = gray, plain inverse C / M / Y, as the halftone printed before.
+ * @returns {Object} { gcr, start, ucr, limit: 0-4 (400% = off), gain: [c, m, y, k] 0-1 at 50% }
+ */
+export function separationSettings(params) {
+    const legacy = !params.separation;
+    const preset = params.separation === 'custom' ? params : (SEPARATION_PRESETS[params.separation] || SEPARATION_PRESETS['simple']);
+    return {
+        gcr: preset.blackGeneration,
+        start: Math.min(0.95, preset.blackStart),
+        ucr: preset.underColorRemoval,
+        limit: legacy ? 4 : (params.inkLimit ?? 300) / 100,
+        gain: [params.dotGainC, params.dotGainM, params.dotGainY, params.dotGainK].map(g => (g || 0) / 100)
+    };
+}
+
+/**
+ * Plate values for a color, into out.
+ * @param {number} r, g, b - 0-255
+ * @param {Object} settings - From separationSettings
+ * @param {Array} out - [c, m, y, k] 0-255 (ink amount)
+ */
+export function separateCmyk(r, g, b, settings, out) {
+    let c = 255 - r, m = 255 - g, y = 255 - b;
+    const gray = Math.min(c, m, y);
+    let k = settings.gcr * Math.max(0, gray - settings.start * 255) / (1 - settings.start);
+    if (settings.ucr > 0) {
+        c = Math.max(0, c - settings.ucr * k);
+        m = Math.max(0, m - settings.ucr * k);
+        y = Math.max(0, y - settings.ucr * k);
+    }
+
+    // Total ink limit: keep K, scale C / M / Y down to what's left
+    const limit = settings.limit * 255;
+    if (c + m + y + k > limit) {
+        k = Math.min(k, limit);
+        const sum = c + m + y;
+        const s = sum > 0 ? Math.max(0, limit - k) / sum : 0;
+        c *= s;
+        m *= s;
+        y *= s;
+    }
+    out[0] = c;
+    out[1] = m;
+    out[2] = y;
+    out[3] = k;
+}
+
+/**
+ * Printed tone of a plate value: the dot grows by `gain` at 50%, tapering to none at 0% and 100%.
+ * @param {number} v - 0-255
+ * @param {number} gain - 0-1
+ */
+export function dotGain(v, gain) {
+    return v + gain * 4 * v * (255 - v) / 255;
+}
+
+// The same functions for shaders; u_separation = [gcr, start, ucr, limit] from separationSettings
+export const SEPARATION_GLSL = `
+    uniform vec4 u_separation;
+
+    vec4 separateCmyk(vec3 c) {
+        vec3 cmy = 255.0 - c;
+        float gray = min(min(cmy.r, cmy.g), cmy.b);
+        float k = u_separation.x * max(0.0, gray - u_separation.y * 255.0) / (1.0 - u_separation.y);
+        cmy = max(vec3(0.0), cmy - u_separation.z * k);
+
+        float limit = u_separation.w * 255.0;
+        if (cmy.r + cmy.g + cmy.b + k > limit) {
+            k = min(k, limit);
+            float sum = cmy.r + cmy.g + cmy.b;
+            cmy *= sum > 0.0 ? max(0.0, limit - k) / sum : 0.0;
+        }
+        return vec4(cmy, k);
+    }
+
+    float dotGain(float v, float gain) {
+        return v + gain * 4.0 * v * (255.0 - v) / 255.0;
+    }
+`;
+
+/**
+ * @returns {Array} u_separation uniform
+ */
+export function separationUniform(settings) {
+    return [settings.gcr, settings.start, settings.ucr, settings.limit];
+}
@@ -1,9 +1,49 @@
 /**
  * ColorQuantizer.js
- * Algorithms: K-Means (Iterative) & Median Cut (Recursive).
+ * Algorithms: K-Means++ (Iterative), Median Cut (Recursive), Octree & Wu (Variance).
  * Use: Reduce 16 million colors to N distinct colors for "Grade" mode.
+ * findClosest: palette matching with a choice of distance metric.
  */
 
+import { rgbToLab, rgbToOklab, deltaE2000 } from './ColorSpace.js';
+import { createRandom } from './Random.js';
+
+// Palette extraction methods (key -> UI label)
+export const EXTRACT_METHODS = {
+    kmeans: 'K-Means++ (Seeded)',
+    mediancut: 'Median Cut',
+    octree: 'Octree',
+    wu: 'Wu (Variance)'
+};
+
+const KMEANS_SEED = 0x4B4D; // Default k-means++ seed when the caller passes no random source
+const MAX_KMEANS_ITERATIONS = 24;
+
+// Distance metrics for findClosest (key -> UI label)
+export const COLOR_METRICS = {
+    rgb: 'RGB (Fast)',
+    redmean: 'Weighted RGB (Redmean)',
+    lab76: 'CIELAB \u0394E76',
+    lab2000: 'CIELAB \u0394E2000',
+    oklab: 'OKLab'
+};
+
+// Perceptual metrics: palette converted once, then compared in that space
+const SPACES = {
+    lab76: { convert: rgbToLab, distance: euclidean },
+    lab2000: { convert: rgbToLab, distance: deltaE2000 },
+    oklab: { convert: rgbToOklab, distance: euclidean }
+};
+
+// Perceptual lookups go through a 32^3 LUT (5 bits per channel), filled on demand
+const LUT_BITS = 5;
+const LUT_SHIFT = 8 - LUT_BITS;
+// Renders build a new palette array each time, so LUTs are kept by palette content
+// (a few recent ones) and looked up per array after the first pixel.
+const LUT_CACHE_SIZE = 8;
+const lutByContent = new Map(); // 'metric|r,g,b;...' -> { lut, converted }
+const lutByArray = new WeakMap(); // palette array -> { metric: entry }
+
 export class ColorQuantizer {
     constructor() { }
 
@@ -11,16 +51,20 @@ export class ColorQuantizer {
      * Extract Palette from ImageData
      * @param {ImageData} imageData 
      * @param {number} colorCount (2-256)
-     * @param {string} method 'kmeans' or 'mediancut'
+     * @param {string} method - Key of EXTRACT_METHODS
+     * @param {Function} random - Random source for k-means++ seeding (fixed seed by default)
+     * @param {Object} options - { init: [[r,g,b]...] } k-means starting centroids (e.g. last video frame's palette)
      * @returns {Array} Array of [r,g,b]
      */
-    static extract(imageData, colorCount, method = 'kmeans') {
+    static extract(imageData, colorCount, method = 'kmeans', random = createRandom(KMEANS_SEED), options = {}) {
         const pixels = ColorQuantizer.samplePixels(imageData, 20000); // 20k samples max for speed
+        const k = Math.max(1, Math.min(256, Math.round(colorCount)));
 
-        if (method === 'mediancut') {
-            return ColorQuantizer.medianCut(pixels, colorCount);
-        } else {
-            return ColorQuantizer.kMeans(pixels, colorCount);
+        switch (method) {
+            case 'mediancut': return ColorQuantizer.medianCut(pixels, k);
+            case 'octree': return ColorQuantizer.octree(pixels, k);
+            case 'wu': return ColorQuantizer.wu(pixels, k);
+            default: return ColorQuantizer.kMeans(pixels, k, random, options.init);
         }
     }
 
@@ -41,30 +85,53 @@ export class ColorQuantizer {
 
     /**
      * K-Means Clustering Algorithm
-     * V1: Simple random init, fixed iterations.
+     * k-means++ seeding (from `random`, so a fixed seed gives a fixed palette), then
+     * Lloyd iterations until no centroid moves by a full step.
+     * @param {Array} init - Optional starting centroids (k-means++ fills any missing ones)
      */
-    static kMeans(pixels, k) {
-        if (pixels.length < k) return pixels;
+    static kMeans(pixels, k, random = createRandom(KMEANS_SEED), init = null) {
+        const n = pixels.length;
+        if (n === 0) return [];
 
-        // 1. Initialize Centroids (Randomly pick k pixels)
-        let centroids = [];
-        for (let i = 0; i < k; i++) {
-            const idx = Math.floor(Math.random() * pixels.length);
-            centroids.push([...pixels[idx]]);
-        }
+        // 1. Initialize Centroids: previous ones, then each next pick with probability ~ D^2
+        const centroids = init ? init.slice(0, k).map(c => [...c]) : [[...pixels[Math.floor(random() * n)]]];
+        const nearest = new Float64Array(n).fill(Infinity); // Squared distance to the closest centroid so far
+        const update = (c) => {
+            let total = 0;
+            for (let i = 0; i < n; i++) {
+                const p = pixels[i];
+                const d = (p[0] - c[0]) ** 2 + (p[1] - c[1]) ** 2 + (p[2] - c[2]) ** 2;
+                if (d < nearest[i]) nearest[i] = d;
+                total += nearest[i];
+            }
+            return total;
+        };
+        let total = 0;
+        centroids.forEach(c => { total = update(c); });
 
-        const iterations = 5; // Low count for realtime performance
+        while (centroids.length < k && total > 0) {
+            let target = random() * total;
+            let pick = n - 1;
+            for (let i = 0; i < n; i++) {
+                target -= nearest[i];
+                if (target < 0) { pick = i; break; }
+            }
+            const c = [...pixels[pick]];
+            centroids.push(c);
+            total = update(c);
+        }
+        // total = 0: fewer distinct colors than k, every one is already a centroid
 
-        for (let iter = 0; iter < iterations; iter++) {
+        const m = centroids.length;
+        const sums = new Float64Array(m * 4);
+        for (let iter = 0; iter < MAX_KMEANS_ITERATIONS; iter++) {
             // Assign pixels to closest centroid
-            const clusters = Array(k).fill().map(() => []);
-
-            for (let i = 0; i < pixels.length; i++) {
+            sums.fill(0);
+            for (let i = 0; i < n; i++) {
                 const p = pixels[i];
                 let minDist = Infinity;
                 let closestIdx = 0;
-
-                for (let c = 0; c < k; c++) {
+                for (let c = 0; c < m; c++) {
                     const cent = centroids[c];
                     // Euclidean squared
                     const dist = (p[0] - cent[0]) ** 2 + (p[1] - cent[1]) ** 2 + (p[2] - cent[2]) ** 2;
@@ -73,40 +140,206 @@ export class ColorQuantizer {
                         closestIdx = c;
                     }
                 }
-                clusters[closestIdx].push(p);
+                const o = closestIdx * 4;
+                sums[o] += p[0]; sums[o + 1] += p[1]; sums[o + 2] += p[2]; sums[o + 3]++;
+            }
+
+            // Recalculate Centroids (empty clusters keep theirs)
+            let shift = 0;
+            for (let c = 0; c < m; c++) {
+                const count = sums[c * 4 + 3];
+                if (count === 0) continue;
+                const next = [sums[c * 4] / count, sums[c * 4 + 1] / count, sums[c * 4 + 2] / count];
+                shift = Math.max(shift, Math.abs(next[0] - centroids[c][0]), Math.abs(next[1] - centroids[c][1]), Math.abs(next[2] - centroids[c][2]));
+                centroids[c] = next;
             }
+            if (shift < 0.5) break; // Converged: rounded palette no longer changes
+        }
+
+        return centroids.map(c => c.map(v => Math.round(v)));
+    }
+
+    /**
+     * Octree quantization (Gervautz & Purgathofer): colors go down an 8-level tree,
+     * then the deepest nodes are merged into their parents until at most k leaves remain
+     * (a merge can remove several leaves at once, so the palette may come out a little short).
+     */
+    static octree(pixels, k) {
+        const levels = Array.from({ length: 8 }, () => []); // Reducible (non-leaf) nodes per depth
+        const newNode = (depth) => ({ r: 0, g: 0, b: 0, count: 0, total: 0, children: depth < 8 ? new Array(8).fill(null) : null });
+        const root = newNode(0);
+        let leaves = 0;
 
-            // Recalculate Centroids
-            let moved = false;
-            for (let c = 0; c < k; c++) {
-                const cluster = clusters[c];
-                if (cluster.length === 0) continue;
-
-                let rSum = 0, gSum = 0, bSum = 0;
-                for (let i = 0; i < cluster.length; i++) {
-                    rSum += cluster[i][0];
-                    gSum += cluster[i][1];
-                    bSum += cluster[i][2];
+        for (const p of pixels) {
+            let node = root;
+            for (let depth = 0; depth < 8; depth++) {
+                node.total++;
+                const shift = 7 - depth;
+                const idx = (((p[0] >> shift) & 1) << 2) | (((p[1] >> shift) & 1) << 1) | ((p[2] >> shift) & 1);
+                if (!node.children[idx]) {
+                    node.children[idx] = newNode(depth + 1);
+                    if (depth + 1 < 8) levels[depth + 1].push(node.children[idx]);
+                    else leaves++;
                 }
+                node = node.children[idx];
+            }
+            node.r += p[0]; node.g += p[1]; node.b += p[2]; node.count++;
+        }
+
+        // Merge: a node's children fold into it (sums carry up), deepest level first,
+        // least used nodes first within a level
+        for (let depth = 7; depth > 0 && leaves > k; depth--) {
+            const nodes = levels[depth].sort((a, b) => b.total - a.total);
+            while (nodes.length && leaves > k) {
+                const node = nodes.pop();
+                let merged = 0;
+                node.children.forEach(child => {
+                    if (!child) return;
+                    node.r += child.r; node.g += child.g; node.b += child.b; node.count += child.count;
+                    merged++;
+                });
+                node.children = null;
+                leaves -= merged - 1;
+            }
+        }
+        if (leaves > k) {
+            // Still too many first-level nodes (k < 8): fall back on median cut of their colors
+            return ColorQuantizer.medianCut(pixels, k);
+        }
+
+        const colors = [];
+        const collect = (node) => {
+            if (!node.children) {
+                if (node.count) colors.push([Math.round(node.r / node.count), Math.round(node.g / node.count), Math.round(node.b / node.count)]);
+                return;
+            }
+            node.children.forEach(child => { if (child) collect(child); });
+        };
+        collect(root);
+        return colors;
+    }
 
-                const newR = Math.round(rSum / cluster.length);
-                const newG = Math.round(gSum / cluster.length);
-                const newB = Math.round(bSum / cluster.length);
+    /**
+     * Wu's color quantizer (Graphics Gems II, 1991): cumulative color moments on a 32^3 grid,
+     * boxes cut along the axis and position that minimise the summed variance.
+     */
+    static wu(pixels, k) {
+        const SIDE = 33; // 32 levels + a zero plane for the cumulative sums
+        const at = (r, g, b) => (r * SIDE + g) * SIDE + b;
+        const size = SIDE * SIDE * SIDE;
+        const wt = new Float64Array(size), mr = new Float64Array(size), mg = new Float64Array(size), mb = new Float64Array(size), m2 = new Float64Array(size);
 
-                if (newR !== centroids[c][0] || newG !== centroids[c][1] || newB !== centroids[c][2]) {
-                    centroids[c] = [newR, newG, newB];
-                    moved = true;
+        for (const p of pixels) {
+            const i = at((p[0] >> 3) + 1, (p[1] >> 3) + 1, (p[2] >> 3) + 1);
+            wt[i]++; mr[i] += p[0]; mg[i] += p[1]; mb[i] += p[2];
+            m2[i] += p[0] * p[0] + p[1] * p[1] + p[2] * p[2];
+        }
+
+        // Histogram -> cumulative moments
+        const moments = [wt, mr, mg, mb, m2];
+        for (const m of moments) {
+            for (let r = 1; r < SIDE; r++) {
+                const area = new Float64Array(SIDE);
+                for (let g = 1; g < SIDE; g++) {
+                    let line = 0;
+                    for (let b = 1; b < SIDE; b++) {
+                        line += m[at(r, g, b)];
+                        area[b] += line;
+                        m[at(r, g, b)] = m[at(r - 1, g, b)] + area[b];
+                    }
                 }
             }
-            if (!moved) break;
         }
 
-        return centroids;
+        // Boxes: (r0, g0, b0] exclusive lower corners, (r1, g1, b1] inclusive upper corners
+        const volume = (c, m) =>
+            m[at(c.r1, c.g1, c.b1)] - m[at(c.r1, c.g1, c.b0)] - m[at(c.r1, c.g0, c.b1)] + m[at(c.r1, c.g0, c.b0)]
+            - m[at(c.r0, c.g1, c.b1)] + m[at(c.r0, c.g1, c.b0)] + m[at(c.r0, c.g0, c.b1)] - m[at(c.r0, c.g0, c.b0)];
+        const bottom = (c, dir, m) => {
+            if (dir === 0) return -m[at(c.r0, c.g1, c.b1)] + m[at(c.r0, c.g1, c.b0)] + m[at(c.r0, c.g0, c.b1)] - m[at(c.r0, c.g0, c.b0)];
+            if (dir === 1) return -m[at(c.r1, c.g0, c.b1)] + m[at(c.r1, c.g0, c.b0)] + m[at(c.r0, c.g0, c.b1)] - m[at(c.r0, c.g0, c.b0)];
+            return -m[at(c.r1, c.g1, c.b0)] + m[at(c.r1, c.g0, c.b0)] + m[at(c.r0, c.g1, c.b0)] - m[at(c.r0, c.g0, c.b0)];
+        };
+        const top = (c, dir, pos, m) => {
+            if (dir === 0) return m[at(pos, c.g1, c.b1)] - m[at(pos, c.g1, c.b0)] - m[at(pos, c.g0, c.b1)] + m[at(pos, c.g0, c.b0)];
+            if (dir === 1) return m[at(c.r1, pos, c.b1)] - m[at(c.r1, pos, c.b0)] - m[at(c.r0, pos, c.b1)] + m[at(c.r0, pos, c.b0)];
+            return m[at(c.r1, c.g1, pos)] - m[at(c.r1, c.g0, pos)] - m[at(c.r0, c.g1, pos)] + m[at(c.r0, c.g0, pos)];
+        };
+        const variance = (c) => {
+            const dr = volume(c, mr), dg = volume(c, mg), db = volume(c, mb);
+            return volume(c, m2) - (dr * dr + dg * dg + db * db) / volume(c, wt);
+        };
+
+        // Best cut of box c along dir: maximises the between-halves term of the variance
+        const maximize = (c, dir, first, last, whole) => {
+            const base = [bottom(c, dir, mr), bottom(c, dir, mg), bottom(c, dir, mb), bottom(c, dir, wt)];
+            let max = 0, cut = -1;
+            for (let i = first; i < last; i++) {
+                const hr = base[0] + top(c, dir, i, mr), hg = base[1] + top(c, dir, i, mg), hb = base[2] + top(c, dir, i, mb), hw = base[3] + top(c, dir, i, wt);
+                if (hw === 0) continue;
+                const rw = whole[3] - hw;
+                if (rw === 0) continue;
+                const rr = whole[0] - hr, rg = whole[1] - hg, rb = whole[2] - hb;
+                const temp = (hr * hr + hg * hg + hb * hb) / hw + (rr * rr + rg * rg + rb * rb) / rw;
+                if (temp > max) { max = temp; cut = i; }
+            }
+            return { max, cut };
+        };
+
+        const cut = (set1) => {
+            const whole = [volume(set1, mr), volume(set1, mg), volume(set1, mb), volume(set1, wt)];
+            const byDir = [
+                maximize(set1, 0, set1.r0 + 1, set1.r1, whole),
+                maximize(set1, 1, set1.g0 + 1, set1.g1, whole),
+                maximize(set1, 2, set1.b0 + 1, set1.b1, whole)
+            ];
+            let dir = 0;
+            if (byDir[1].max > byDir[dir].max) dir = 1;
+            if (byDir[2].max > byDir[dir].max) dir = 2;
+            const pos = byDir[dir].cut;
+            if (pos < 0) return null;
+
+            const set2 = { ...set1 };
+            if (dir === 0) { set2.r0 = set1.r1 = pos; }
+            else if (dir === 1) { set2.g0 = set1.g1 = pos; }
+            else { set2.b0 = set1.b1 = pos; }
+            return set2;
+        };
+        const cells = (c) => (c.r1 - c.r0) * (c.g1 - c.g0) * (c.b1 - c.b0);
+
+        const boxes = [{ r0: 0, g0: 0, b0: 0, r1: SIDE - 1, g1: SIDE - 1, b1: SIDE - 1 }];
+        const vv = [0];
+        let next = 0;
+        while (boxes.length < k) {
+            const box = boxes[next];
+            const other = cut(box);
+            if (other) {
+                boxes.push(other);
+                vv[next] = cells(box) > 1 ? variance(box) : 0;
+                vv.push(cells(other) > 1 ? variance(other) : 0);
+            } else {
+                vv[next] = 0; // Can't be split further
+            }
+
+            // Next: the box with the largest variance
+            next = 0;
+            for (let i = 1; i < boxes.length; i++) if (vv[i] > vv[next]) next = i;
+            if (vv[next] <= 0) break;
+        }
+
+        const colors = [];
+        boxes.forEach(box => {
+            const w = volume(box, wt);
+            if (w > 0) colors.push([Math.round(volume(box, mr) / w), Math.round(volume(box, mg) / w), Math.round(volume(box, mb) / w)]);
+        });
+        return colors;
     }
 
     /**
      * Median Cut Algorithm
      * Recursive box splitting. Better for preserving diverse color ranges.
+     * Single-color boxes aren't split and cuts don't go through a run of equal values, so an
+     * image with fewer than k colors gets just those (no duplicates), like the other extractors.
      */
     static medianCut(pixels, k) {
         let buckets = [pixels];
@@ -135,7 +368,7 @@ export class ColorQuantizer {
 
                 const bestRange = Math.max(rangeR, rangeG, rangeB);
 
-                if (bestRange > maxRange) {
+                if (bestRange > 0 && bestRange > maxRange) {
                     maxRange = bestRange;
                     splitBucketIdx = i;
                     if (rangeR >= rangeG && rangeR >= rangeB) splitChannel = 0;
@@ -152,12 +385,20 @@ export class ColorQuantizer {
             // Sort by split channel
             bucketToSplit.sort((a, b) => a[splitChannel] - b[splitChannel]);
 
-            const mid = Math.floor(bucketToSplit.length / 2);
+            // Cut at the median, moved to the nearest value change so equal values stay in one box
+            // (a cut through a run of one color would leave a blend of two colors behind)
+            const median = Math.floor(bucketToSplit.length / 2);
+            const v = bucketToSplit[median][splitChannel];
+            let lo = median, hi = median;
+            while (lo > 0 && bucketToSplit[lo - 1][splitChannel] === v) lo--;
+            while (hi < bucketToSplit.length && bucketToSplit[hi][splitChannel] === v) hi++;
+            const mid = lo > 0 && (hi === bucketToSplit.length || median - lo <= hi - median) ? lo : hi;
             buckets.push(bucketToSplit.slice(0, mid));
             buckets.push(bucketToSplit.slice(mid));
         }
 
-        // Average colors in buckets
+        // Average colors in buckets (different boxes can still round to the same color)
+        const seen = new Set();
         return buckets.map(bucket => {
             if (!bucket || bucket.length === 0) return [0, 0, 0];
             let r = 0, g = 0, b = 0;
@@ -167,10 +408,24 @@ export class ColorQuantizer {
                 Math.round(g / bucket.length),
                 Math.round(b / bucket.length)
             ];
+        }).filter(color => {
+            const key = color.join(',');
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
         });
     }
 
-    static findClosest(rgb, palette) {
+    /**
+     * @param {Array} rgb - [r, g, b], may be out of 0-255 (dither bias / error)
+     * @param {Array} palette - [[r,g,b]...]
+     * @param {string} metric - Key of COLOR_METRICS
+     * @returns {Array} Palette entry
+     */
+    static findClosest(rgb, palette, metric = 'rgb') {
+        if (metric === 'redmean') return palette[ColorQuantizer.closestRedmean(rgb, palette)];
+        if (SPACES[metric]) return palette[ColorQuantizer.closestPerceptual(rgb, palette, metric)];
+
         let min = Infinity;
         let idx = 0;
         // Simple Euclidean
@@ -184,4 +439,101 @@ export class ColorQuantizer {
         }
         return palette[idx];
     }
+
+    // "Redmean" weighted Euclidean: cheap, so computed exactly per pixel
+    static closestRedmean(rgb, palette) {
+        let min = Infinity;
+        let idx = 0;
+        for (let i = 0; i < palette.length; i++) {
+            const p = palette[i];
+            const rm = (rgb[0] + p[0]) / 2;
+            const dr = rgb[0] - p[0], dg = rgb[1] - p[1], db = rgb[2] - p[2];
+            const d = (2 + rm / 256) * dr * dr + 4 * dg * dg + (2 + (255 - rm) / 256) * db * db;
+            if (d < min) {
+                min = d;
+                idx = i;
+            }
+        }
+        return idx;
+    }
+
+    // LUT cell (clamped input) -> index of the closest entry to the cell center
+    static closestPerceptual(rgb, palette, metric) {
+        const entry = lutEntry(palette, metric);
+        // Rounded, so linear-light round trips (127.99998) land in the same cell as the byte
+        const cell = (ch) => (ch <= 0 ? 0 : (ch >= 255 ? 255 : Math.round(ch))) >> LUT_SHIFT;
+        const key = (cell(rgb[0]) << (LUT_BITS * 2)) | (cell(rgb[1]) << LUT_BITS) | cell(rgb[2]);
+        const idx = entry.lut[key];
+        return idx < 0 ? fillLut(entry, metric, key) : idx;
+    }
+
+    // Metrics matched through the LUT (paletteLUT)
+    static usesLUT(metric) {
+        return !!SPACES[metric];
+    }
+
+    /**
+     * Complete 32^3 LUT for a perceptual metric (e.g. to upload to the GPU).
+     * Cell key: (r >> 3) << 10 | (g >> 3) << 5 | (b >> 3); value: palette index.
+     * @returns {Int16Array}
+     */
+    static paletteLUT(palette, metric) {
+        const entry = lutEntry(palette, metric);
+        if (!entry.full) {
+            for (let key = 0; key < entry.lut.length; key++) {
+                if (entry.lut[key] < 0) fillLut(entry, metric, key);
+            }
+            entry.full = true;
+        }
+        return entry.lut;
+    }
+}
+
+function lutEntry(palette, metric) {
+    let byMetric = lutByArray.get(palette);
+    if (!byMetric) lutByArray.set(palette, byMetric = {});
+    let entry = byMetric[metric];
+    if (!entry) {
+        const id = metric + '|' + palette.map(p => p.join(',')).join(';');
+        entry = lutByContent.get(id);
+        if (!entry) {
+            const space = SPACES[metric];
+            entry = {
+                lut: new Int16Array(1 << (LUT_BITS * 3)).fill(-1),
+                converted: palette.map(p => space.convert(p[0], p[1], p[2])),
+                full: false
+            };
+            if (lutByContent.size >= LUT_CACHE_SIZE) lutByContent.delete(lutByContent.keys().next().value);
+        }
+        lutByContent.delete(id);
+        lutByContent.set(id, entry); // Most recent last
+        byMetric[metric] = entry;
+    }
+    return entry;
+}
+
+function fillLut(entry, metric, key) {
+    const half = 1 << (LUT_SHIFT - 1);
+    const mask = (1 << LUT_BITS) - 1;
+    const space = SPACES[metric];
+    const c = space.convert(
+        ((key >> (LUT_BITS * 2)) << LUT_SHIFT) + half,
+        (((key >> LUT_BITS) & mask) << LUT_SHIFT) + half,
+        ((key & mask) << LUT_SHIFT) + half
+    );
+    let min = Infinity;
+    let idx = 0;
+    for (let i = 0; i < entry.converted.length; i++) {
+        const d = space.distance(c, entry.converted[i]);
+        if (d < min) {
+            min = d;
+            idx = i;
+        }
+    }
+    entry.lut[key] = idx;
+    return idx;
+}
+
+function euclidean(a, b) {
+    return (a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2 + (a[2] - b[2]) ** 2;
 }
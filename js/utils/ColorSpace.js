@@ -0,0 +1,125 @@
+/**
+ * ColorSpace.js
+ * sRGB (0-255) <-> linear light, CIELAB (D65) and OKLab conversions, plus CIEDE2000.
+ */
+
+// sRGB byte -> linear [0, 1]
+const TO_LINEAR = new Float32Array(256);
+for (let i = 0; i < 256; i++) {
+    const c = i / 255;
+    TO_LINEAR[i] = c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+/**
+ * @param {number} v - sRGB channel 0-255 (clamped, rounded)
+ * @returns {number} Linear light 0-1
+ */
+export function srgbToLinear(v) {
+    return TO_LINEAR[v <= 0 ? 0 : (v >= 255 ? 255 : Math.round(v))];
+}
+
+/**
+ * @param {number} c - Linear light 0-1
+ * @returns {number} sRGB channel 0-255 (not rounded)
+ */
+export function linearToSrgb(c) {
+    if (c <= 0) return 0;
+    if (c >= 1) return 255;
+    return 255 * (c <= 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055);
+}
+
+/**
+ * @returns {Array} [L, a, b], D65 white
+ */
+export function rgbToLab(r, g, b) {
+    const lr = srgbToLinear(r), lg = srgbToLinear(g), lb = srgbToLinear(b);
+    const x = (0.4124564 * lr + 0.3575761 * lg + 0.1804375 * lb) / 0.95047;
+    const y = 0.2126729 * lr + 0.7151522 * lg + 0.0721750 * lb;
+    const z = (0.0193339 * lr + 0.1191920 * lg + 0.9503041 * lb) / 1.08883;
+    const f = (t) => t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116;
+    const fx = f(x), fy = f(y), fz = f(z);
+    return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+}
+
+/**
+ * Inverse of rgbToLab (D65)
+ * @returns {Array} [r, g, b] sRGB 0-255, rounded and clamped
+ */
+export function labToRgb(L, a, b) {
+    const fy = (L + 16) / 116;
+    const fx = fy + a / 500;
+    const fz = fy - b / 200;
+    const inv = (t) => t * t * t > 216 / 24389 ? t * t * t : (116 * t - 16) / (24389 / 27);
+    const x = inv(fx) * 0.95047, y = inv(fy), z = inv(fz) * 1.08883;
+    const lr = 3.2404542 * x - 1.5371385 * y - 0.4985314 * z;
+    const lg = -0.9692660 * x + 1.8760108 * y + 0.0415560 * z;
+    const lb = 0.0556434 * x - 0.2040259 * y + 1.0572252 * z;
+    return [lr, lg, lb].map(c => Math.round(linearToSrgb(c)));
+}
+
+/**
+ * @returns {Array} [L, a, b] in OKLab (Ottosson 2020), L in 0-1
+ */
+export function rgbToOklab(r, g, b) {
+    const lr = srgbToLinear(r), lg = srgbToLinear(g), lb = srgbToLinear(b);
+    const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+    const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+    const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+    return [
+        0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+        1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+        0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+    ];
+}
+
+/**
+ * CIEDE2000 color difference between two Lab colors (Sharma et al. reference formulation).
+ */
+export function deltaE2000(lab1, lab2) {
+    const [L1, a1, b1] = lab1;
+    const [L2, a2, b2] = lab2;
+    const rad = Math.PI / 180;
+
+    const C1 = Math.hypot(a1, b1), C2 = Math.hypot(a2, b2);
+    const Cbar7 = Math.pow((C1 + C2) / 2, 7);
+    const G = 0.5 * (1 - Math.sqrt(Cbar7 / (Cbar7 + 6103515625))); // 25^7
+    const a1p = a1 * (1 + G), a2p = a2 * (1 + G);
+    const C1p = Math.hypot(a1p, b1), C2p = Math.hypot(a2p, b2);
+    const hue = (b, a) => {
+        if (a === 0 && b === 0) return 0;
+        const h = Math.atan2(b, a) / rad;
+        return h < 0 ? h + 360 : h;
+    };
+    const h1p = hue(b1, a1p), h2p = hue(b2, a2p);
+
+    const dLp = L2 - L1;
+    const dCp = C2p - C1p;
+    let dhp = 0;
+    if (C1p * C2p !== 0) {
+        dhp = h2p - h1p;
+        if (dhp > 180) dhp -= 360;
+        else if (dhp < -180) dhp += 360;
+    }
+    const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin(dhp * rad / 2);
+
+    const Lbp = (L1 + L2) / 2;
+    const Cbp = (C1p + C2p) / 2;
+    let hbp = h1p + h2p;
+    if (C1p * C2p !== 0) {
+        if (Math.abs(h1p - h2p) > 180) hbp += hbp < 360 ? 360 : -360;
+        hbp /= 2;
+    }
+
+    const T = 1 - 0.17 * Math.cos((hbp - 30) * rad) + 0.24 * Math.cos(2 * hbp * rad)
+        + 0.32 * Math.cos((3 * hbp + 6) * rad) - 0.20 * Math.cos((4 * hbp - 63) * rad);
+    const dTheta = 30 * Math.exp(-(((hbp - 275) / 25) ** 2));
+    const Cbp7 = Math.pow(Cbp, 7);
+    const Rc = 2 * Math.sqrt(Cbp7 / (Cbp7 + 6103515625));
+    const Sl = 1 + (0.015 * (Lbp - 50) ** 2) / Math.sqrt(20 + (Lbp - 50) ** 2);
+    const Sc = 1 + 0.045 * Cbp;
+    const Sh = 1 + 0.015 * Cbp * T;
+    const Rt = -Math.sin(2 * dTheta * rad) * Rc;
+
+    const l = dLp / Sl, c = dCp / Sc, h = dHp / Sh;
+    return Math.sqrt(l * l + c * c + h * h + Rt * c * h);
+}
@@ -0,0 +1,301 @@
+/**
+ * Glyphs.js
+ * Custom halftone dot shapes from SVG: markup (<path>, <polygon>, <polyline>, <circle>, <ellipse>, <rect>)
+ * or bare path data is flattened to polygons, fitted to a [-1, 1] box and stored as plain "M L Z" path data.
+ * glyphMask rasterizes that path once into a coverage mask the CPU and GPU screens both sample;
+ * glyphPolygons gives the outlines themselves for vector export.
+ * Transforms and strokes are ignored; shapes fill with the nonzero rule.
+ */
+
+export const GLYPH_SIZE = 64; // Mask resolution (texels per side)
+
+const CURVE_SEGMENTS = 16;
+const SUBSAMPLES = 4; // Per texel and axis
+
+const masks = new Map();
+
+/**
+ * @param {string} source - SVG markup or path data
+ * @returns {string|null} Path data fitted to [-1, 1] (null if nothing fillable was found)
+ */
+export function normalizeGlyph(source) {
+    const polys = fitPolygons(readPolygons(String(source || '')));
+    if (!polys) return null;
+    const num = (v) => String(+v.toFixed(3));
+    return polys.map(poly => poly.map((p, i) => `${i ? 'L' : 'M'}${num(p[0])},${num(p[1])}`).join(' ') + ' Z').join(' ');
+}
+
+/**
+ * @param {string} source - SVG markup or path data (normalized or not)
+ * @returns {Object|null} { size, mask: Float32Array size * size coverage (row-major, y down), fill: covered share of the box }
+ */
+export function glyphMask(source) {
+    if (masks.has(source)) return masks.get(source);
+    const polys = fitPolygons(readPolygons(String(source || '')));
+    const glyph = polys ? rasterize(polys) : null;
+    masks.set(source, glyph && glyph.fill > 0 ? glyph : null);
+    return masks.get(source);
+}
+
+/**
+ * @param {string} source - SVG markup or path data
+ * @returns {Array|null} Polygons fitted to [-1, 1] ([[x, y]...] each), e.g. for vector output
+ */
+export function glyphPolygons(source) {
+    return fitPolygons(readPolygons(String(source || '')));
+}
+
+// --- Parsing ---
+
+function readPolygons(source) {
+    if (!source.includes('<')) return pathPolygons(source);
+
+    const polys = [];
+    const attr = (tag, name) => {
+        const m = new RegExp(`\\s${name}\\s*=\\s*["']([^"']*)["']`).exec(tag);
+        return m ? m[1] : null;
+    };
+    const num = (tag, name) => parseFloat(attr(tag, name)) || 0;
+
+    (source.match(/<(path|polygon|polyline|circle|ellipse|rect)\b[^>]*>/g) || []).forEach(tag => {
+        const type = /^<(\w+)/.exec(tag)[1];
+        if (type === 'path') {
+            polys.push(...pathPolygons(attr(tag, 'd') || ''));
+        } else if (type === 'polygon' || type === 'polyline') {
+            const v = numbers(attr(tag, 'points') || '');
+            const poly = [];
+            for (let i = 0; i + 1 < v.length; i += 2) poly.push([v[i], v[i + 1]]);
+            if (poly.length > 2) polys.push(poly);
+        } else if (type === 'circle' || type === 'ellipse') {
+            const rx = type === 'circle' ? num(tag, 'r') : num(tag, 'rx');
+            const ry = type === 'circle' ? rx : num(tag, 'ry');
+            const cx = num(tag, 'cx'), cy = num(tag, 'cy');
+            if (rx <= 0 || ry <= 0) return;
+            const poly = [];
+            for (let i = 0; i < CURVE_SEGMENTS * 4; i++) {
+                const a = i * 2 * Math.PI / (CURVE_SEGMENTS * 4);
+                poly.push([cx + rx * Math.cos(a), cy + ry * Math.sin(a)]);
+            }
+            polys.push(poly);
+        } else if (type === 'rect') {
+            const x = num(tag, 'x'), y = num(tag, 'y'), w = num(tag, 'width'), h = num(tag, 'height');
+            if (w > 0 && h > 0) polys.push([[x, y], [x + w, y], [x + w, y + h], [x, y + h]]);
+        }
+    });
+    return polys;
+}
+
+function numbers(text) {
+    return (text.match(/-?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/gi) || []).map(Number);
+}
+
+/**
+ * SVG path data -> flattened subpaths (M L H V C S Q T A Z, absolute and relative).
+ */
+function pathPolygons(d) {
+    const tokens = pathTokens(d);
+    const polys = [];
+    let poly = null;
+    let x = 0, y = 0, startX = 0, startY = 0;
+    let ctrlX = 0, ctrlY = 0, prevCmd = '';
+    let cmd = '';
+    let t = 0;
+
+    const close = () => {
+        if (poly && poly.length > 2) polys.push(poly);
+        poly = null;
+    };
+    const lineTo = (nx, ny) => {
+        if (!poly) poly = [[x, y]];
+        poly.push([nx, ny]);
+        x = nx;
+        y = ny;
+    };
+    const curve = (points) => {
+        // points: control points after the current one; Bezier of that degree
+        const p = [[x, y], ...points];
+        for (let s = 1; s <= CURVE_SEGMENTS; s++) {
+            const u = s / CURVE_SEGMENTS;
+            let q = p.map(c => c.slice());
+            while (q.length > 1) q = q.slice(1).map((c, i) => [q[i][0] + (c[0] - q[i][0]) * u, q[i][1] + (c[1] - q[i][1]) * u]);
+            lineTo(q[0][0], q[0][1]);
+        }
+    };
+
+    while (t < tokens.length) {
+        if (/[a-z]/i.test(tokens[t])) cmd = tokens[t++];
+        else if (!cmd || cmd === 'Z' || cmd === 'z') break; // Numbers before any command or after Z
+        const rel = cmd === cmd.toLowerCase();
+        const ox = rel ? x : 0, oy = rel ? y : 0;
+        const n = (k) => +tokens[t + k];
+        const C = cmd.toUpperCase();
+        const arity = { M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7, Z: 0 }[C];
+        if (arity === undefined || t + arity > tokens.length) break;
+
+        switch (C) {
+            case 'M':
+                close();
+                x = startX = ox + n(0);
+                y = startY = oy + n(1);
+                cmd = rel ? 'l' : 'L'; // Extra pairs are line-tos
+                break;
+            case 'L': lineTo(ox + n(0), oy + n(1)); break;
+            case 'H': lineTo(ox + n(0), y); break;
+            case 'V': lineTo(x, oy + n(0)); break;
+            case 'C':
+                curve([[ox + n(0), oy + n(1)], [ox + n(2), oy + n(3)], [ox + n(4), oy + n(5)]]);
+                ctrlX = ox + n(2); ctrlY = oy + n(3);
+                break;
+            case 'S': {
+                const r = 'CS'.includes(prevCmd) ? [2 * x - ctrlX, 2 * y - ctrlY] : [x, y];
+                const c2 = [ox + n(0), oy + n(1)];
+                curve([r, c2, [ox + n(2), oy + n(3)]]);
+                [ctrlX, ctrlY] = c2;
+                break;
+            }
+            case 'Q':
+                curve([[ox + n(0), oy + n(1)], [ox + n(2), oy + n(3)]]);
+                ctrlX = ox + n(0); ctrlY = oy + n(1);
+                break;
+            case 'T': {
+                const r = 'QT'.includes(prevCmd) ? [2 * x - ctrlX, 2 * y - ctrlY] : [x, y];
+                curve([r, [ox + n(0), oy + n(1)]]);
+                [ctrlX, ctrlY] = r;
+                break;
+            }
+            case 'A':
+                arc(x, y, n(0), n(1), n(2), n(3), n(4), ox + n(5), oy + n(6)).forEach(p => lineTo(p[0], p[1]));
+                break;
+            case 'Z':
+                close();
+                x = startX;
+                y = startY;
+                break;
+        }
+        prevCmd = C;
+        t += arity;
+    }
+    close();
+    return polys;
+}
+
+/**
+ * Path data -> command letters and numbers. The large-arc and sweep flags of A/a are
+ * single 0/1 characters, so minified arcs like "a5 5 0 1110 0" split correctly.
+ */
+function pathTokens(d) {
+    const tokens = [];
+    const re = /\s*,?\s*([MLHVCSQTAZ]|-?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?)/iy;
+    const flag = /\s*,?\s*([01])/y;
+    let arcArg = -1; // Argument index within the current A/a group, -1 outside arcs
+    while (re.lastIndex < d.length) {
+        let m;
+        if (arcArg === 3 || arcArg === 4) {
+            flag.lastIndex = re.lastIndex;
+            m = flag.exec(d);
+            if (m) re.lastIndex = flag.lastIndex;
+        }
+        if (!m) m = re.exec(d);
+        if (!m) break;
+        const token = m[1];
+        tokens.push(token);
+        if (/[a-z]/i.test(token)) arcArg = token === 'A' || token === 'a' ? 0 : -1;
+        else if (arcArg >= 0) arcArg = (arcArg + 1) % 7;
+    }
+    return tokens;
+}
+
+/**
+ * Elliptical arc (SVG endpoint form) as points, endpoint included (SVG 1.1 F.6.5).
+ */
+function arc(x1, y1, rx, ry, rotation, large, sweep, x2, y2) {
+    rx = Math.abs(rx);
+    ry = Math.abs(ry);
+    if (!rx || !ry) return [[x2, y2]];
+    const phi = rotation * Math.PI / 180;
+    const cos = Math.cos(phi), sin = Math.sin(phi);
+    const dx = (x1 - x2) / 2, dy = (y1 - y2) / 2;
+    const x1p = cos * dx + sin * dy, y1p = -sin * dx + cos * dy;
+
+    const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+    if (lambda > 1) {
+        rx *= Math.sqrt(lambda);
+        ry *= Math.sqrt(lambda);
+    }
+    const num = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+    const den = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+    const k = (large !== sweep ? 1 : -1) * Math.sqrt(Math.max(0, num / den));
+    const cxp = k * rx * y1p / ry, cyp = -k * ry * x1p / rx;
+    const cx = cos * cxp - sin * cyp + (x1 + x2) / 2;
+    const cy = sin * cxp + cos * cyp + (y1 + y2) / 2;
+
+    const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+    const theta = angle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+    let delta = angle((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+    if (!sweep && delta > 0) delta -= 2 * Math.PI;
+    else if (sweep && delta < 0) delta += 2 * Math.PI;
+
+    const points = [];
+    for (let s = 1; s <= CURVE_SEGMENTS; s++) {
+        const a = theta + delta * s / CURVE_SEGMENTS;
+        const ex = rx * Math.cos(a), ey = ry * Math.sin(a);
+        points.push([cos * ex - sin * ey + cx, sin * ex + cos * ey + cy]);
+    }
+    return points;
+}
+
+// --- Fitting & raster ---
+
+/**
+ * Center the shapes and scale their bounding box's longer side to [-1, 1].
+ */
+function fitPolygons(polys) {
+    const all = polys.flat().filter(p => Number.isFinite(p[0]) && Number.isFinite(p[1]));
+    if (!all.length) return null;
+    const xs = all.map(p => p[0]), ys = all.map(p => p[1]);
+    const minX = Math.min(...xs), maxX = Math.max(...xs), minY = Math.min(...ys), maxY = Math.max(...ys);
+    const half = Math.max(maxX - minX, maxY - minY) / 2;
+    if (!(half > 0)) return null;
+    const cx = (minX + maxX) / 2, cy = (minY + maxY) / 2;
+    return polys.map(poly => poly.map(p => [(p[0] - cx) / half, (p[1] - cy) / half]));
+}
+
+/**
+ * Nonzero fill of [-1, 1] polygons into a GLYPH_SIZE mask, SUBSAMPLES² samples per texel.
+ */
+function rasterize(polys) {
+    const size = GLYPH_SIZE;
+    const rows = size * SUBSAMPLES;
+    const mask = new Float32Array(size * size);
+    const edges = [];
+    polys.forEach(poly => poly.forEach((a, i) => {
+        const b = poly[(i + 1) % poly.length];
+        if (a[1] !== b[1]) edges.push(a, b);
+    }));
+
+    const weight = 1 / (SUBSAMPLES * SUBSAMPLES);
+    for (let row = 0; row < rows; row++) {
+        const sy = (row + 0.5) / rows * 2 - 1;
+        // Crossings of this sample row: x and winding direction
+        const crossings = [];
+        for (let e = 0; e < edges.length; e += 2) {
+            const a = edges[e], b = edges[e + 1];
+            if ((a[1] <= sy) === (b[1] <= sy)) continue;
+            crossings.push([a[0] + (sy - a[1]) / (b[1] - a[1]) * (b[0] - a[0]), b[1] > a[1] ? 1 : -1]);
+        }
+        if (!crossings.length) continue;
+        crossings.sort((p, q) => p[0] - q[0]);
+
+        let c = 0, winding = 0;
+        const base = Math.floor(row / SUBSAMPLES) * size;
+        for (let col = 0; col < rows; col++) {
+            const sx = (col + 0.5) / rows * 2 - 1;
+            while (c < crossings.length && crossings[c][0] < sx) winding += crossings[c++][1];
+            if (winding !== 0) mask[base + Math.floor(col / SUBSAMPLES)] += weight;
+        }
+    }
+
+    let total = 0;
+    for (let i = 0; i < mask.length; i++) total += mask[i];
+    return { size, mask, fill: total / mask.length };
+}
@@ -0,0 +1,123 @@
+/**
+ * Gradients.js
+ * N-stop gradients for Dither's TONAL mode: presets, import from a palette, and the
+ * legacy 3-stop form (colorShadow / colorMid / colorHighlight + luma cuts).
+ * A stop is { pos: luma 0-255, color: '#rrggbb' }.
+ */
+
+import { Palettes, hexToRgb } from './Palettes.js';
+
+export const MAX_STOPS = 16; // Also the GPU shader's loop bound
+
+export const GradientPresets = {
+    'mono': {
+        name: "Mono (Black > White)",
+        stops: [[0, '#000000'], [255, '#ffffff']]
+    },
+    'threshold': {
+        name: "Hard Threshold",
+        stops: [[127, '#000000'], [128, '#ffffff']]
+    },
+    'sepia': {
+        name: "Sepia Print",
+        stops: [[0, '#2e211b'], [110, '#8f7661'], [230, '#ebd9c2']]
+    },
+    'cyanotype': {
+        name: "Cyanotype",
+        stops: [[0, '#0b1f3a'], [120, '#1f5f99'], [255, '#e8f1f8']]
+    },
+    'duotone': {
+        name: "Duotone (Navy / Coral)",
+        stops: [[0, '#14213d'], [255, '#fca311']]
+    },
+    'riso': {
+        name: "Riso (Blue / Pink / Paper)",
+        stops: [[0, '#0078bf'], [128, '#ff48b0'], [255, '#f6f0e4']]
+    },
+    'thermal': {
+        name: "Thermal",
+        stops: [[0, '#000000'], [64, '#2c0a6b'], [128, '#c4265b'], [192, '#f7a21b'], [255, '#fffbe0']]
+    },
+    'sunset': {
+        name: "Sunset",
+        stops: [[0, '#1a1033'], [80, '#6b2d5c'], [150, '#f0544f'], [210, '#fdca40'], [255, '#fff4d6']]
+    },
+    'vaporwave': {
+        name: "Vaporwave",
+        stops: [[0, '#2d0b59'], [100, '#ff3cac'], [180, '#2b86c5'], [255, '#b8f2e6']]
+    },
+    'gameboy': {
+        name: "Gameboy (4 Bands)",
+        stops: [[0, '#0f380f'], [63, '#0f380f'], [64, '#306230'], [127, '#306230'], [128, '#8bac0f'], [191, '#8bac0f'], [192, '#9bbc0f'], [255, '#9bbc0f']]
+    }
+};
+
+/**
+ * @param {string} key - GradientPresets key
+ * @returns {Array} [{ pos, color }]
+ */
+export function presetStops(key) {
+    const preset = GradientPresets[key] || GradientPresets['mono'];
+    return preset.stops.map(([pos, color]) => ({ pos, color }));
+}
+
+/**
+ * Palette colors ordered dark to light, spread evenly over the luma range.
+ * @param {string} key - Palettes key
+ * @returns {Array} [{ pos, color }]
+ */
+export function paletteStops(key) {
+    const colors = (Palettes[key] || Palettes['bw_1bit']).colors.slice(0, MAX_STOPS);
+    const sorted = colors.map(hex => ({ hex, luma: luma(hexToRgb(hex)) })).sort((a, b) => a.luma - b.luma);
+    const last = Math.max(1, sorted.length - 1);
+    return sorted.map((c, i) => ({ pos: Math.round(255 * i / last), color: c.hex.toLowerCase() }));
+}
+
+/**
+ * The 3-stop gradient older projects describe with colorShadow / colorMid / colorHighlight.
+ */
+export function legacyStops(params) {
+    return [
+        { pos: 0, color: params.colorShadow || '#000000' },
+        { pos: params.lumaLow || 60, color: params.colorMid || '#808080' },
+        { pos: params.lumaHigh || 190, color: params.colorHighlight || '#ffffff' }
+    ];
+}
+
+/**
+ * Stops the TONAL mapping uses: gradientStops when set, else the legacy 3 stops.
+ * @returns {Array} [{ pos, rgb: [r,g,b] }], by position (legacy cuts are kept as given)
+ */
+export function tonalStops(params) {
+    const custom = Array.isArray(params.gradientStops) && params.gradientStops.length > 0;
+    const stops = custom
+        ? params.gradientStops.slice(0, MAX_STOPS).sort((a, b) => a.pos - b.pos)
+        : legacyStops(params);
+    return stops.map(s => ({ pos: s.pos, rgb: hexToRgb(s.color) }));
+}
+
+/**
+ * Gradient color at a luma. Below the first stop it's the first color, past the last the last.
+ * @param {Array} stops - From tonalStops
+ */
+export function sampleStops(stops, value) {
+    let prev = stops[0];
+    if (value < prev.pos) return prev.rgb;
+    for (let i = 1; i < stops.length; i++) {
+        const s = stops[i];
+        if (value < s.pos) {
+            const t = (value - prev.pos) / (s.pos - prev.pos);
+            return [
+                prev.rgb[0] + (s.rgb[0] - prev.rgb[0]) * t,
+                prev.rgb[1] + (s.rgb[1] - prev.rgb[1]) * t,
+                prev.rgb[2] + (s.rgb[2] - prev.rgb[2]) * t
+            ];
+        }
+        prev = s;
+    }
+    return prev.rgb;
+}
+
+function luma(c) {
+    return 0.299 * c[0] + 0.587 * c[1] + 0.114 * c[2];
+}
@@ -0,0 +1,185 @@
+/**
+ * HistoryManager.js
+ * Undo / Redo for the effect rack.
+ * Entries are commands:
+ *  - 'param': one param of one slot ({ slotId, key, before, after })
+ *  - 'chain': whole-chain snapshots for structural edits (add/remove/move, presets, projects)
+ * Continuous slider drags on the same param are coalesced into one entry.
+ */
+
+import { EffectChain } from '../pipeline/EffectChain.js';
+
+const MAX_ENTRIES = 100;
+const COALESCE_MS = 600; // Same param edited within this window = same step
+
+export class HistoryManager {
+    constructor(imageProcessor) {
+        this.processor = imageProcessor;
+        this.entries = [];
+        this.index = -1; // Last applied entry
+        this.listEl = null;
+    }
+
+    get canUndo() { return this.index >= 0; }
+    get canRedo() { return this.index < this.entries.length - 1; }
+
+    push(entry) {
+        // Drop the redo branch
+        this.entries = this.entries.slice(0, this.index + 1);
+        this.entries.push(entry);
+        if (this.entries.length > MAX_ENTRIES) this.entries.shift();
+        this.index = this.entries.length - 1;
+        this.renderList();
+    }
+
+    /**
+     * Record a param change. Call BEFORE mutating the state.
+     */
+    recordParam(slotId, key, before, after, label) {
+        const now = Date.now();
+        const top = this.entries[this.index];
+
+        if (top && !this.canRedo && top.type === 'param' && top.slotId === slotId && top.key === key && (now - top.time) < COALESCE_MS) {
+            top.after = clone(after);
+            top.time = now;
+            this.renderList();
+            return;
+        }
+
+        this.push({
+            type: 'param',
+            label: label || `${slotId}.${key}`,
+            slotId, key,
+            before: clone(before),
+            after: clone(after),
+            time: now
+        });
+    }
+
+    /**
+     * Record a structural change by snapshotting the chain around it.
+     * @param {string} label
+     * @param {Function} mutate - Performs the change
+     */
+    recordChain(label, mutate) {
+        const before = this.processor.pipeline.toJSON();
+        mutate();
+        const after = this.processor.pipeline.toJSON();
+        this.push({ type: 'chain', label, before, after, time: Date.now() });
+    }
+
+    undo() {
+        if (!this.canUndo) return;
+        this.applyEntry(this.entries[this.index], 'before');
+        this.index--;
+        this.refresh();
+    }
+
+    redo() {
+        if (!this.canRedo) return;
+        this.index++;
+        this.applyEntry(this.entries[this.index], 'after');
+        this.refresh();
+    }
+
+    /**
+     * Jump to a position in the list (-1 = initial state)
+     */
+    goTo(target) {
+        if (target < -1 || target >= this.entries.length || target === this.index) return;
+        while (this.index > target) {
+            this.applyEntry(this.entries[this.index], 'before');
+            this.index--;
+        }
+        while (this.index < target) {
+            this.index++;
+            this.applyEntry(this.entries[this.index], 'after');
+        }
+        this.refresh();
+    }
+
+    applyEntry(entry, side) {
+        if (entry.type === 'param') {
+            const params = this.processor.state[entry.slotId];
+            if (params) params[entry.key] = clone(entry[side]);
+        } else if (entry.type === 'chain') {
+            this.processor.pipeline = EffectChain.fromJSON(entry[side]);
+        }
+    }
+
+    // Controls must reflect the restored values
+    refresh() {
+        this.processor.generateUI();
+        this.processor.requestRender();
+    }
+
+    clear() {
+        this.entries = [];
+        this.index = -1;
+        this.renderList();
+    }
+
+    // --- UI ---
+
+    setupUI() {
+        const ui = this.processor.ui;
+        const group = ui.createModuleGroup("HISTORY", null, true, "Ctrl+Z: Undo / Ctrl+Shift+Z: Redo. Click a step to jump to it.");
+
+        group.addButton("↶ UNDO", () => this.undo());
+        group.addButton("↷ REDO", () => this.redo());
+
+        const list = document.createElement('div');
+        list.className = 'history-list';
+        list.style.maxHeight = '160px';
+        list.style.overflowY = 'auto';
+        list.style.marginTop = '8px';
+        list.style.fontFamily = "'JetBrains Mono', monospace";
+        list.style.fontSize = '0.7rem';
+        group.content.appendChild(list);
+
+        this.listEl = list;
+        this.renderList();
+    }
+
+    // Updated in place so slider drags don't rebuild the rack
+    renderList() {
+        if (!this.listEl) return;
+        const list = this.listEl;
+        list.innerHTML = '';
+
+        const addRow = (text, pos) => {
+            const row = document.createElement('div');
+            row.textContent = text;
+            row.style.padding = '2px 4px';
+            row.style.cursor = 'pointer';
+            if (pos === this.index) {
+                row.style.color = 'var(--accent-primary)';
+                row.style.fontWeight = 'bold';
+            } else if (pos > this.index) {
+                row.style.opacity = '0.4'; // Redo branch
+            }
+            row.onclick = () => this.goTo(pos);
+            list.appendChild(row);
+        };
+
+        addRow("— INITIAL STATE", -1);
+        this.entries.forEach((entry, i) => {
+            const text = entry.type === 'param'
+                ? `${entry.label}: ${formatValue(entry.after)}`
+                : entry.label;
+            addRow(text, i);
+        });
+        list.scrollTop = list.scrollHeight;
+    }
+}
+
+function clone(v) {
+    return (v !== null && typeof v === 'object') ? JSON.parse(JSON.stringify(v)) : v;
+}
+
+function formatValue(v) {
+    if (typeof v === 'number') return Number.isInteger(v) ? v : v.toFixed(2);
+    if (typeof v === 'boolean') return v ? 'ON' : 'OFF';
+    if (typeof v === 'object') return '…';
+    return v;
+}
@@ -0,0 +1,237 @@
+/**
+ * PaletteManager - User palette library (create / edit / reorder / delete, import & export files).
+ * Palettes persist in localStorage and are registered into Palettes.js under 'custom_' keys,
+ * so they show up in Dither's PALETTE list next to the built-ins.
+ */
+
+import { Palettes, CUSTOM_PALETTE_PREFIX, registerPalette, unregisterPalette } from './Palettes.js';
+import { parsePalette, encodePalette, PALETTE_FORMATS, MAX_PALETTE_COLORS } from '../codecs/PaletteFormats.js';
+
+const STORAGE_KEY = 'void_palettes_v1';
+
+export class PaletteManager {
+    constructor(imageProcessor) {
+        this.processor = imageProcessor;
+        this.userPalettes = this.load();
+        this.userPalettes.forEach(registerPalette);
+
+        // UI selection state (survives generateUI)
+        this.selected = this.userPalettes.length ? this.userPalettes[0].id : null;
+        this.startFrom = 'bw_1bit';
+        this.exportFormat = 'gpl';
+    }
+
+    // --- STORAGE ---
+
+    load() {
+        try {
+            const raw = localStorage.getItem(STORAGE_KEY);
+            return raw ? JSON.parse(raw) : [];
+        } catch (e) {
+            console.warn("Palettes: could not read local storage.", e);
+            return [];
+        }
+    }
+
+    persist() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.userPalettes));
+        } catch (e) {
+            console.warn("Palettes: could not write local storage.", e);
+            alert("Could not save palettes locally (storage full or disabled).");
+        }
+    }
+
+    get(id) {
+        return this.userPalettes.find(p => p.id === id) || null;
+    }
+
+    createId() {
+        return `${CUSTOM_PALETTE_PREFIX}${Date.now()}_${Math.floor(Math.random() * 1e6)}`;
+    }
+
+    /**
+     * @param {string} name
+     * @param {Array} colors - ['#hex'...]
+     * @returns {Object} The new palette
+     */
+    create(name, colors) {
+        const palette = { id: this.createId(), name, colors: colors.map(c => c.toLowerCase()).slice(0, MAX_PALETTE_COLORS) };
+        this.userPalettes.push(palette);
+        registerPalette(palette);
+        this.persist();
+        return palette;
+    }
+
+    update(id, changes) {
+        const palette = this.get(id);
+        if (!palette) return;
+        Object.assign(palette, changes);
+        registerPalette(palette);
+        this.persist();
+    }
+
+    remove(id) {
+        this.userPalettes = this.userPalettes.filter(p => p.id !== id);
+        unregisterPalette(id);
+        this.persist();
+    }
+
+    /**
+     * Add palettes carried by a project file (kept under their ids, so the project's Dither slots find them).
+     * Palettes already in the library are left as they are.
+     */
+    adopt(palettes) {
+        let added = 0;
+        palettes.forEach(p => {
+            if (!p || !p.id || !Array.isArray(p.colors) || this.get(p.id)) return;
+            const palette = { id: p.id, name: p.name || p.id, colors: p.colors.slice(0, MAX_PALETTE_COLORS) };
+            this.userPalettes.push(palette);
+            registerPalette(palette);
+            added++;
+        });
+        if (added) this.persist();
+        return added;
+    }
+
+    /**
+     * Save the AUTO palette the first extracting Dither slot last rendered, and switch that slot to it.
+     * @returns {Object|null} The new palette (null if no slot has extracted one)
+     */
+    freezeExtracted() {
+        const proc = this.processor;
+        const inst = proc.pipeline.find(i => i.effect.extractedPalette && i.params.renderMode === 'grade' && i.params.palette.startsWith('extract'));
+        const colors = inst ? inst.effect.extractedPalette(inst.params) : null;
+        if (!colors || !colors.length) return null;
+
+        const hex = [...new Set(colors.map(c => '#' + c.map(v => v.toString(16).padStart(2, '0')).join('')))];
+        const palette = this.create(`Extracted ${hex.length} (${inst.params.extractMethod || 'kmeans'})`, hex);
+        proc.history.recordParam(inst.id, 'palette', inst.params.palette, palette.id, `${proc.pipeline.label(inst)} › palette`);
+        inst.params.palette = palette.id;
+        return palette;
+    }
+
+    // --- FILES ---
+
+    /**
+     * @param {FileList|Array} files - .gpl / .ase / .act / .pal / .hex / .png
+     * @returns {Promise<Array>} Imported palettes
+     */
+    async importFiles(files) {
+        const imported = [];
+        for (const file of files) {
+            const parsed = await parsePalette(new Uint8Array(await file.arrayBuffer()), file.name);
+            imported.push(this.create(parsed.name, parsed.colors));
+        }
+        return imported;
+    }
+
+    async exportPalette(id, format) {
+        const palette = this.get(id);
+        if (!palette) return;
+        const blob = await encodePalette(palette, format);
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${palette.name.replace(/[^\w-]+/g, '_')}.${PALETTE_FORMATS[format].extension}`;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
+    // --- UI ---
+
+    setupUI() {
+        const ui = this.processor.ui;
+        const group = ui.createModuleGroup("PALETTES", null, true, "Your own palettes: edit, reorder, import or export GPL, ASE, ACT, PAL, HEX and PNG swatches, or freeze Dither's AUTO palette. They appear in Dither's PALETTE list.");
+
+        // Changes that rename / add / remove palettes rebuild the panel (and Dither's PALETTE list)
+        const refresh = () => {
+            this.processor.generateUI();
+            this.processor.requestRender();
+        };
+
+        if (!this.get(this.selected)) this.selected = this.userPalettes.length ? this.userPalettes[0].id : null;
+        const current = this.get(this.selected);
+
+        if (current) {
+            group.addSelect("PALETTE", this.userPalettes.map(p => ({ label: `${p.name} (${p.colors.length})`, value: p.id })), this.selected, (v) => {
+                this.selected = v;
+                this.processor.generateUI();
+            });
+
+            group.addSwatches("COLORS", current.colors, MAX_PALETTE_COLORS, (colors) => {
+                this.update(current.id, { colors });
+                this.processor.requestRender();
+            });
+
+            group.addButton("RENAME", () => {
+                const name = prompt("Palette name:", current.name);
+                if (!name) return;
+                this.update(current.id, { name });
+                refresh();
+            });
+
+            group.addButton("DELETE PALETTE", () => {
+                if (!confirm(`Delete palette "${current.name}"? Dither slots using it fall back to 1-Bit.`)) return;
+                this.remove(current.id);
+                refresh();
+            });
+
+            group.addSelect("EXPORT FORMAT", Object.keys(PALETTE_FORMATS).map(k => ({ label: PALETTE_FORMATS[k].label, value: k })), this.exportFormat, (v) => {
+                this.exportFormat = v;
+            });
+
+            group.addButton("EXPORT PALETTE", async () => {
+                try {
+                    await this.exportPalette(current.id, this.exportFormat);
+                } catch (e) {
+                    alert("Palette Export Failed: " + e.message);
+                }
+            });
+        } else {
+            group.addDescription("No custom palettes yet.");
+        }
+
+        const builtIns = Object.keys(Palettes).filter(k => !Palettes[k].custom);
+        if (!Palettes[this.startFrom]) this.startFrom = 'bw_1bit';
+        group.addSelect("START FROM", builtIns.map(k => ({ label: Palettes[k].name, value: k })), this.startFrom, (v) => {
+            this.startFrom = v;
+        }, "Colors a new palette starts with.");
+
+        group.addButton("+ NEW PALETTE", () => {
+            const name = prompt("Palette name:", `My ${Palettes[this.startFrom].name}`);
+            if (!name) return;
+            this.selected = this.create(name, Palettes[this.startFrom].colors).id;
+            refresh();
+        });
+
+        group.addButton("FREEZE AUTO PALETTE", () => {
+            const palette = this.freezeExtracted();
+            if (!palette) {
+                alert("No AUTO palette to freeze: set a Dither slot to GRADE with PALETTE = AUTO first.");
+                return;
+            }
+            this.selected = palette.id;
+            refresh();
+        });
+
+        group.addButton("IMPORT PALETTE FILE(S)", () => {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.multiple = true;
+            input.accept = '.gpl,.ase,.act,.pal,.hex,.txt,.png,image/png';
+            input.onchange = async (e) => {
+                if (!e.target.files.length) return;
+                try {
+                    const imported = await this.importFiles(e.target.files);
+                    this.selected = imported[imported.length - 1].id;
+                    alert(`Imported ${imported.length} palette(s).`);
+                } catch (err) {
+                    alert("Palette Import Failed: " + err.message);
+                }
+                refresh();
+            };
+            input.click();
+        });
+    }
+}
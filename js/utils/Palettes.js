@@ -119,6 +119,22 @@ export const Palettes = {
 
 export const getPalette = (key) => Palettes[key] || Palettes['bw_1bit'];
 
+// User palettes (PaletteManager, project files) join the table under 'custom_' keys
+export const CUSTOM_PALETTE_PREFIX = 'custom_';
+
+export const isCustomPalette = (key) => typeof key === 'string' && key.startsWith(CUSTOM_PALETTE_PREFIX);
+
+/**
+ * @param {Object} palette - { id: 'custom_...', name, colors: ['#hex'...] }
+ */
+export const registerPalette = (palette) => {
+    Palettes[palette.id] = { name: palette.name, colors: palette.colors.slice(), custom: true };
+};
+
+export const unregisterPalette = (key) => {
+    if (isCustomPalette(key)) delete Palettes[key];
+};
+
 export const hexToRgb = (hex) => {
     // Expand shorthand form (e.g. "03F") to full form (e.g. "0033FF")
     const shorthandRegex = /^#?([a-f\d])([a-f\d])([a-f\d])$/i;
@@ -0,0 +1,153 @@
+/**
+ * PlateExporter.js
+ * Film / screen output for the Halftone slot: every ink screened at full resolution as a 1-bit plate,
+ * framed by a margin with registration targets, crop marks and a screen label (ink, angle, LPI, DPI).
+ * Packaged as a ZIP of 1-bit PNGs, one multi-page bilevel TIFF, or a layered PSD.
+ */
+
+import { PngEncoder } from '../codecs/PngEncoder.js';
+import { TiffEncoder } from '../codecs/TiffEncoder.js';
+import { PsdEncoder } from '../codecs/PsdEncoder.js';
+
+export const PLATE_FORMATS = {
+    zip: { label: "ZIP (1-bit PNG per plate)", extension: 'zip' },
+    tiff: { label: "TIFF (1-bit, page per plate)", extension: 'tif' },
+    psd: { label: "PSD (layer per plate)", extension: 'psd' }
+};
+
+const MARGIN_INCH = 0.25; // Margin for marks and label
+const MIN_MARGIN = 48;    // px, so marks stay legible at low DPI
+
+export class PlateExporter {
+    constructor() { }
+
+    /**
+     * @param {HTMLCanvasElement} sourceCanvas - Full-res image the Halftone slot screens
+     * @param {Object} effect - The slot's effect (HalftoneEffect)
+     * @param {Object} params - Its params
+     * @param {Object} options - { format: PLATE_FORMATS key, dpi, scaleFactor, env }
+     * @returns {Promise<Blob>}
+     */
+    static async generate(sourceCanvas, effect, params, options = {}) {
+        const format = PLATE_FORMATS[options.format] ? options.format : 'zip';
+        const dpi = Math.max(1, Math.round(options.dpi || 300));
+        const width = sourceCanvas.width;
+        const height = sourceCanvas.height;
+        const buf = sourceCanvas.getContext('2d').getImageData(0, 0, width, height);
+
+        const screened = effect.screenPlates(buf, params, options.scaleFactor || 1, options.env || {});
+        const margin = Math.max(MIN_MARGIN, Math.round(dpi * MARGIN_INCH));
+        const plates = screened.map(plate => {
+            const label = PlateExporter.label(plate, dpi);
+            return { ...plate, label, bits: PlateExporter.frame(plate.mask, width, height, margin, label) };
+        });
+        const fullWidth = width + margin * 2;
+        const fullHeight = height + margin * 2;
+
+        if (format === 'tiff') {
+            return TiffEncoder.encodeBilevel(plates.map(p => ({ width: fullWidth, height: fullHeight, bits: p.bits, name: plain(p.label) })), { dpi, compression: 'lzw' });
+        }
+
+        if (format === 'psd') {
+            // Paper, then each ink multiplied over it (print order)
+            const layers = [{ name: 'Paper', color: [255, 255, 255], alpha: null, blend: 'normal' }];
+            plates.forEach(p => {
+                const alpha = new Uint8Array(p.bits.length);
+                for (let i = 0; i < alpha.length; i++) alpha[i] = p.bits[i] * 255;
+                layers.push({ name: plain(p.label), color: hexToRgb(p.color), alpha, blend: 'multiply' });
+            });
+            return PsdEncoder.encode(layers, fullWidth, fullHeight, { dpi });
+        }
+
+        if (!window.JSZip) throw new Error("JSZip library not loaded.");
+        const zip = new JSZip();
+        const palette = [[255, 255, 255, 255], [0, 0, 0, 255]]; // 1 = ink (black on film)
+        for (let i = 0; i < plates.length; i++) {
+            const png = await PngEncoder.encodeIndexed({ indices: plates[i].bits, palette }, fullWidth, fullHeight, { dpi });
+            zip.file(`Plate_${i + 1}_${plates[i].name.replace(/\s+/g, '_')}.png`, png);
+        }
+        return zip.generateAsync({ type: "blob" });
+    }
+
+    /**
+     * e.g. "Cyan 15° · 37.5 LPI · 300 DPI", or the dot size for FM screens.
+     */
+    static label(plate, dpi) {
+        const screen = plate.angle === null
+            ? `FM ${+plate.step.toFixed(1)} px dot`
+            : `${+plate.angle.toFixed(1)}° · ${+(dpi / plate.step).toFixed(1)} LPI`;
+        return `${plate.name} ${plate.color} · ${screen} · ${dpi} DPI`;
+    }
+
+    /**
+     * Place a plate mask in a white margin and draw the marks.
+     * @returns {Uint8Array} (width + 2 * margin) * (height + 2 * margin), 1 = ink
+     */
+    static frame(mask, width, height, margin, label) {
+        const fullWidth = width + margin * 2;
+        const fullHeight = height + margin * 2;
+        const cvs = document.createElement('canvas');
+        cvs.width = fullWidth;
+        cvs.height = fullHeight;
+        const ctx = cvs.getContext('2d');
+        ctx.fillStyle = '#fff';
+        ctx.fillRect(0, 0, fullWidth, fullHeight);
+
+        const img = ctx.createImageData(width, height);
+        for (let p = 0, i = 0; p < mask.length; p++, i += 4) {
+            const v = mask[p] ? 0 : 255;
+            img.data[i] = img.data[i + 1] = img.data[i + 2] = v;
+            img.data[i + 3] = 255;
+        }
+        ctx.putImageData(img, margin, margin);
+
+        ctx.strokeStyle = ctx.fillStyle = '#000';
+        ctx.lineWidth = Math.max(1, Math.round(margin / 48));
+        const line = (x1, y1, x2, y2) => {
+            ctx.beginPath();
+            ctx.moveTo(x1, y1);
+            ctx.lineTo(x2, y2);
+            ctx.stroke();
+        };
+
+        // Crop marks: image edges extended into the margin, kept clear of the image
+        const gap = margin * 0.25;
+        [[margin, margin, -1, -1], [margin + width, margin, 1, -1], [margin, margin + height, -1, 1], [margin + width, margin + height, 1, 1]]
+            .forEach(([x, y, dx, dy]) => {
+                line(x + dx * gap, y, x + dx * margin * 0.9, y);
+                line(x, y + dy * gap, x, y + dy * margin * 0.9);
+            });
+
+        // Registration targets at the side midpoints
+        const r = margin * 0.3;
+        [[fullWidth / 2, margin / 2], [fullWidth / 2, fullHeight - margin / 2], [margin / 2, fullHeight / 2], [fullWidth - margin / 2, fullHeight / 2]]
+            .forEach(([x, y]) => {
+                ctx.beginPath();
+                ctx.arc(x, y, r * 0.6, 0, Math.PI * 2);
+                ctx.stroke();
+                line(x - r, y, x + r, y);
+                line(x, y - r, x, y + r);
+            });
+
+        // Label, bottom left, clear of the crop mark
+        ctx.font = `${Math.round(margin * 0.2)}px monospace`;
+        ctx.textBaseline = 'middle';
+        ctx.fillText(label, margin + gap, fullHeight - margin / 2, Math.max(margin, fullWidth / 2 - r - margin - gap * 2));
+
+        // Back to 1 bit
+        const data = ctx.getImageData(0, 0, fullWidth, fullHeight).data;
+        const bits = new Uint8Array(fullWidth * fullHeight);
+        for (let p = 0, i = 0; p < bits.length; p++, i += 4) bits[p] = data[i] < 128 ? 1 : 0;
+        return bits;
+    }
+}
+
+// TIFF page and PSD layer names are ASCII
+function plain(label) {
+    return label.replace(/°/g, ' deg').replace(/ · /g, ', ');
+}
+
+function hexToRgb(hex) {
+    const m = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex);
+    return m ? [parseInt(m[1], 16), parseInt(m[2], 16), parseInt(m[3], 16)] : [0, 0, 0];
+}
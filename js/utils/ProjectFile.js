@@ -0,0 +1,168 @@
+/**
+ * ProjectFile.js
+ * Serializes a full VOID session (effect chain, canvas, export settings, automations)
+ * to a versioned .void JSON file, and restores it.
+ */
+
+import { EffectChain } from '../pipeline/EffectChain.js';
+import { SeedService } from './Random.js';
+import { Palettes, isCustomPalette } from './Palettes.js';
+
+export const PROJECT_FORMAT = 'void-project';
+export const PROJECT_VERSION = 1;
+
+export class ProjectFile {
+    constructor() { }
+
+    /**
+     * Build the project object from a live ImageProcessor
+     * @param {ImageProcessor} processor
+     * @param {Object} options - { embedSource: boolean }
+     * @returns {Promise<Object>}
+     */
+    static async serialize(processor, options = {}) {
+        const animator = processor.animator;
+        const automations = animator ? animator.automations : [];
+
+        // Animated params hold the modulated value while playing; store the base instead.
+        const chain = processor.pipeline.toJSON();
+        chain.forEach(slot => {
+            automations.forEach(auto => {
+                const [slotId, param] = (auto.target || '').split('.');
+                if (slotId === slot.id && auto.baseValue !== null && auto.baseValue !== undefined) {
+                    slot.params[param] = auto.baseValue;
+                }
+            });
+        });
+
+        const project = {
+            format: PROJECT_FORMAT,
+            version: PROJECT_VERSION,
+            createdAt: new Date().toISOString(),
+            chain: chain,
+            backgroundMode: processor.backgroundMode,
+            backgroundColor: processor.backgroundColor,
+            exportSettings: { ...processor.exportSettings },
+            exportFormat: processor.exportFormat,
+            random: processor.seeds ? processor.seeds.toJSON() : null,
+            palettes: ProjectFile.customPalettes(chain),
+            animation: {
+                globalSpeed: animator ? animator.globalSpeed : 1.0,
+                exportDuration: animator ? animator.exportDuration : 3,
+                automations: automations.map(a => ({
+                    id: a.id,
+                    target: a.target,
+                    type: a.type,
+                    speed: a.speed,
+                    amp: a.amp,
+                    offset: a.offset || 0
+                }))
+            },
+            source: null
+        };
+
+        if (options.embedSource && processor.sourceFile) {
+            const file = processor.sourceFile;
+            project.source = {
+                name: file.name,
+                type: file.type,
+                dataURL: await ProjectFile.readAsDataURL(file)
+            };
+        }
+
+        return project;
+    }
+
+    /**
+     * Custom palettes the chain's slots use, so the project renders the same elsewhere
+     * @returns {Array} [{ id, name, colors }]
+     */
+    static customPalettes(chain) {
+        const ids = new Set(chain.map(slot => slot.params && slot.params.palette).filter(k => isCustomPalette(k) && Palettes[k]));
+        return [...ids].map(id => ({ id, name: Palettes[id].name, colors: Palettes[id].colors.slice() }));
+    }
+
+    static async toBlob(processor, options = {}) {
+        const project = await ProjectFile.serialize(processor, options);
+        return new Blob([JSON.stringify(project, null, 2)], { type: 'application/json' });
+    }
+
+    /**
+     * Parse & validate a .void file
+     * @param {File} file
+     * @returns {Promise<Object>} Project object (migrated to the current version)
+     */
+    static async read(file) {
+        const text = await file.text();
+        let project;
+        try {
+            project = JSON.parse(text);
+        } catch (e) {
+            throw new Error("Not a valid VOID project (invalid JSON).");
+        }
+        return ProjectFile.migrate(project);
+    }
+
+    static migrate(project) {
+        if (!project || project.format !== PROJECT_FORMAT) {
+            throw new Error("Not a valid VOID project.");
+        }
+        if (typeof project.version !== 'number' || project.version > PROJECT_VERSION) {
+            throw new Error(`Unsupported project version: ${project.version} (this build reads up to v${PROJECT_VERSION}).`);
+        }
+        if (!Array.isArray(project.chain)) project.chain = [];
+        return project;
+    }
+
+    static isProjectFile(file) {
+        return /\.void$/i.test(file.name);
+    }
+
+    /**
+     * Rebuild the embedded source file, if any
+     * @returns {Promise<File|null>}
+     */
+    static async getSourceFile(project) {
+        if (!project.source || !project.source.dataURL) return null;
+        const blob = await (await fetch(project.source.dataURL)).blob();
+        return new File([blob], project.source.name || 'source', { type: project.source.type || blob.type });
+    }
+
+    /**
+     * Restore a project onto a live ImageProcessor (rack, canvas, export, automations)
+     */
+    static apply(processor, project) {
+        // 1. Effect Chain (unknown effects are skipped), with the custom palettes it uses
+        if (processor.palettes && Array.isArray(project.palettes)) processor.palettes.adopt(project.palettes);
+        const restore = () => { processor.pipeline = EffectChain.fromJSON(project.chain); };
+        if (processor.history) processor.history.recordChain("LOAD PROJECT", restore);
+        else restore();
+
+        // 2. Canvas / Export
+        if (project.backgroundMode) processor.backgroundMode = project.backgroundMode;
+        if (project.backgroundColor) processor.backgroundColor = project.backgroundColor;
+        if (project.exportSettings) Object.assign(processor.exportSettings, project.exportSettings);
+        if (project.exportFormat) processor.exportFormat = project.exportFormat;
+        if (project.random) processor.seeds = SeedService.fromJSON(project.random);
+
+        // 3. Automations (LFO modules are rebuilt by Animator.setupUI -> addLFO(group, config))
+        const animator = processor.animator;
+        if (animator && project.animation) {
+            animator.globalSpeed = project.animation.globalSpeed || 1.0;
+            animator.exportDuration = project.animation.exportDuration || 3;
+            animator.automations = (project.animation.automations || []).map(a => ({ ...a, baseValue: null }));
+        }
+
+        processor.generateUI();
+        processor.requestRender();
+    }
+
+    static readAsDataURL(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (e) => resolve(e.target.result);
+            reader.onerror = reject;
+            reader.readAsDataURL(file);
+        });
+    }
+}
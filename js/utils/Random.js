@@ -0,0 +1,101 @@
+/**
+ * Random.js
+ * Seeded PRNG (Mulberry32). Same seed = same sequence in the browser and in void-cli.
+ * SeedService holds the project seed and hands out independent streams
+ * (per slot, per automation, per frame) so preview, export and batch runs match.
+ */
+
+// Frames per second used to turn a time (s) into a frame index for seeding.
+// Fixed, so a 15fps GIF and a 30fps WebM of the same clip get the same noise at the same time.
+export const SEED_FPS = 30;
+
+/**
+ * @param {number} seed - 32-bit integer
+ * @returns {Function} () => float in [0, 1), drop-in for Math.random.
+ *   random.skip(n) jumps n draws ahead (tiled renders start mid-image).
+ */
+export function createRandom(seed) {
+    let a = seed >>> 0;
+    const random = () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    // The state only advances by a constant, so skipping is O(1)
+    random.skip = (n) => { a = (a + Math.imul(n >>> 0, 0x6D2B79F5)) >>> 0; };
+    return random;
+}
+
+/**
+ * Mix a seed with keys (slot id, frame...) into a new 32-bit seed (FNV-1a + avalanche).
+ */
+export function hashSeed(...parts) {
+    let h = 0x811c9dc5;
+    parts.forEach(part => {
+        const str = String(part);
+        for (let i = 0; i < str.length; i++) {
+            h ^= str.charCodeAt(i);
+            h = Math.imul(h, 0x01000193);
+        }
+        h ^= 0xff; // Separator, so ('ab','c') != ('a','bc')
+        h = Math.imul(h, 0x01000193);
+    });
+    h ^= h >>> 16;
+    h = Math.imul(h, 0x85ebca6b);
+    h ^= h >>> 13;
+    return h >>> 0;
+}
+
+export function newSeed() {
+    // The only unseeded call: picking a fresh seed
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+export class SeedService {
+    /**
+     * @param {number} seed
+     * @param {string} frameMode - 'lock' (same noise every frame) | 'advance' (new noise each frame)
+     */
+    constructor(seed = newSeed(), frameMode = 'advance') {
+        this.seed = seed >>> 0;
+        this.frameMode = frameMode;
+    }
+
+    reroll() {
+        this.seed = newSeed();
+        return this.seed;
+    }
+
+    frameAt(time = 0) {
+        return Math.floor(time * SEED_FPS + 1e-6);
+    }
+
+    /**
+     * Render environment for one frame. EffectChain derives a stream per slot from env.seed.
+     * @param {number} time - Seconds (video time / animation clock), 0 for stills
+     * @returns {Object} { seed, frame }
+     */
+    env(time = 0) {
+        const frame = this.frameAt(time);
+        const seed = this.frameMode === 'advance' && frame > 0 ? hashSeed(this.seed, 'frame', frame) : this.seed;
+        return { seed, frame };
+    }
+
+    /**
+     * Independent stream for a non-pixel consumer (e.g. an LFO)
+     */
+    stream(...keys) {
+        return createRandom(hashSeed(this.seed, ...keys));
+    }
+
+    toJSON() {
+        return { seed: this.seed, frameMode: this.frameMode };
+    }
+
+    static fromJSON(json) {
+        if (!json || typeof json.seed !== 'number') return new SeedService();
+        return new SeedService(json.seed, json.frameMode === 'lock' ? 'lock' : 'advance');
+    }
+}
@@ -2,10 +2,13 @@
  * SeparationExporter.js
  * Generates individual layer separation images (masks) for each color in the palette.
  * Used for Screen Printing / Risograph workflows.
+ * Also CMYK plates for the Halftone slot, from the same separation its screens print.
  */
 
 import { ColorQuantizer } from './ColorQuantizer.js';
 import { Palettes, getPaletteVec3 } from './Palettes.js';
+import { tonalStops } from './Gradients.js';
+import { separationSettings, separateCmyk, PLATE_NAMES } from './CmykSeparation.js';
 
 export class SeparationExporter {
     constructor() { }
@@ -32,14 +35,9 @@ export class SeparationExporter {
                 paletteColors = getPaletteVec3(params.palette);
             }
         } else if (params.renderMode === 'tonal') {
-            // Tonal has 3 colors: Shadow, Mid, High
-            // We should scan unique colors to be safe because simple mapping might be noisy?
-            // "Tonal" is strict map, so 3 colors.
-            paletteColors = [
-                hexToRgb(params.colorShadow),
-                hexToRgb(params.colorMid),
-                hexToRgb(params.colorHighlight)
-            ];
+            // One layer per gradient stop. Tonal output blends between stops,
+            // so every pixel goes to the layer of its nearest stop color.
+            paletteColors = tonalStops(params).map(s => s.rgb);
             paletteName = "TonalSplit";
         } else {
             // Standard RGB or Unknown
@@ -54,6 +52,22 @@ export class SeparationExporter {
 
         const results = {};
 
+        // Tonal: nearest stop per pixel (-1 = transparent, e.g. knockout)
+        let nearest = null;
+        if (params.renderMode === 'tonal') {
+            nearest = new Int16Array(width * height);
+            for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+                if (data[i + 3] < 128) { nearest[p] = -1; continue; }
+                let best = 0, bestDist = Infinity;
+                for (let k = 0; k < paletteColors.length; k++) {
+                    const c = paletteColors[k];
+                    const d = (data[i] - c[0]) ** 2 + (data[i + 1] - c[1]) ** 2 + (data[i + 2] - c[2]) ** 2;
+                    if (d < bestDist) { bestDist = d; best = k; }
+                }
+                nearest[p] = best;
+            }
+        }
+
         // 2. Process each color
         // For each palette color, create a B&W mask where black = pigment present
         // (Usually print masks are positive black)
@@ -79,8 +93,9 @@ export class SeparationExporter {
                 // Dither engine outputs exact colors in Grade mode usually.
                 // But let's use Euclidean dist < 5
                 const dist = Math.abs(r - pColor[0]) + Math.abs(g - pColor[1]) + Math.abs(b - pColor[2]);
+                const match = nearest ? nearest[i >> 2] === idx : dist < 10;
 
-                if (dist < 10) {
+                if (match) {
                     // Match -> Draw BLACK (Ink)
                     sDat[i] = 0; sDat[i + 1] = 0; sDat[i + 2] = 0; sDat[i + 3] = 255;
                 } else {
@@ -101,6 +116,43 @@ export class SeparationExporter {
         return results;
     }
 
+    /**
+     * CMYK plates (grayscale, black = full ink) with the Halftone slot's GCR / UCR / ink limit.
+     * Dot gain is left to the press: the plates carry the separation, the halftone preview adds the gain.
+     * @param {HTMLCanvasElement} sourceCanvas - The image the halftone screens (chain up to that slot)
+     * @param {Object} params - Halftone params
+     * @returns {Promise<Object>} Map of { plateName: Blob }
+     */
+    static async generateCmyk(sourceCanvas, params) {
+        const width = sourceCanvas.width;
+        const height = sourceCanvas.height;
+        const data = sourceCanvas.getContext('2d').getImageData(0, 0, width, height).data;
+        const settings = separationSettings(params);
+
+        const plates = PLATE_NAMES.map(() => new ImageData(width, height));
+        const ink = [0, 0, 0, 0];
+        for (let i = 0; i < data.length; i += 4) {
+            if (data[i + 3] < 128) ink.fill(0); // Transparent: paper
+            else separateCmyk(data[i], data[i + 1], data[i + 2], settings, ink);
+            for (let p = 0; p < 4; p++) {
+                const v = 255 - Math.round(ink[p]);
+                const out = plates[p].data;
+                out[i] = out[i + 1] = out[i + 2] = v;
+                out[i + 3] = 255;
+            }
+        }
+
+        const results = {};
+        for (let p = 0; p < plates.length; p++) {
+            const plateCanvas = document.createElement('canvas');
+            plateCanvas.width = width;
+            plateCanvas.height = height;
+            plateCanvas.getContext('2d').putImageData(plates[p], 0, 0);
+            results[`Plate_${p + 1}_${PLATE_NAMES[p]}`] = await new Promise(r => plateCanvas.toBlob(r, 'image/png'));
+        }
+        return results;
+    }
+
     static scanUniqueColors(canvas) {
         const ctx = canvas.getContext('2d');
         const data = ctx.getImageData(0, 0, canvas.width, canvas.height).data;
@@ -120,11 +172,6 @@ export class SeparationExporter {
     }
 }
 
-function hexToRgb(hex) {
-    const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-    return result ? [parseInt(result[1], 16), parseInt(result[2], 16), parseInt(result[3], 16)] : [0, 0, 0];
-}
-
 function rgbToHex(c) {
     return ((1 << 24) + (c[0] << 16) + (c[1] << 8) + c[2]).toString(16).slice(1).toUpperCase();
 }
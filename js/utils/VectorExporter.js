@@ -0,0 +1,146 @@
+/**
+ * VectorExporter.js
+ * Vector artwork for screen printing and cutting: the Halftone slot's dots, or the flat colors of
+ * Dither GRADE output merged into rectangles, as layers that SvgEncoder and PdfEncoder write.
+ *
+ * Layer: { name, color: '#hex', process: [c, m, y, k] 0-1 or null, blend: 'normal' | 'multiply', shapes }
+ * Shapes, in image pixels (y down):
+ *   { type: 'ellipse', cx, cy, rx, ry, angle (degrees) }
+ *   { type: 'polygons', polygons: [[x0, y0, x1, y1, ...]...] } (nonzero fill)
+ *   { type: 'rects', rects: Int32Array [x, y, w, h, ...] }
+ */
+
+import { SvgEncoder } from '../codecs/SvgEncoder.js';
+import { PdfEncoder } from '../codecs/PdfEncoder.js';
+
+export const VECTOR_SOURCES = {
+    halftone: "Halftone Dots",
+    dither: "Dither Colors (Grade)"
+};
+
+const SOURCE_EFFECTS = { halftone: 'halftone_v1', dither: 'dither_v1' };
+const MAX_TRACE_COLORS = 256;
+
+export class VectorExporter {
+    constructor() { }
+
+    /**
+     * Run the chain on a background buffer and build the source's layers: the dots of the first
+     * enabled Halftone slot (from what it screens), or the colors the first enabled Dither slot outputs.
+     * @param {Object} buf - Background at export size (processed in place)
+     * @param {EffectChain} chain
+     * @param {string} source - VECTOR_SOURCES key
+     * @returns {Array} Layers
+     */
+    static fromChain(buf, chain, source, scaleFactor = 1.0, env = {}) {
+        const slot = chain.find(inst => inst.effect.id === SOURCE_EFFECTS[source] && inst.params.enabled);
+        if (!slot) throw new Error(source === 'dither' ? "Enable a Dither slot (GRADE mode) to trace vectors." : "Enable a Halftone slot to export vector dots.");
+        if (source === 'dither' && slot.params.renderMode !== 'grade') throw new Error("Vector tracing needs Dither in GRADE mode (flat palette colors).");
+
+        for (const inst of chain.instances) {
+            if (inst === slot && source === 'halftone') break;
+            if (inst.params.enabled) inst.effect.apply(buf, inst.params, scaleFactor, chain.envFor(inst, env));
+            if (inst === slot) break;
+        }
+        return source === 'dither'
+            ? VectorExporter.ditherLayers(buf)
+            : VectorExporter.halftoneLayers(buf, slot.effect, slot.params, scaleFactor, chain.envFor(slot, env));
+    }
+
+    /**
+     * One layer per ink, in print order, at full strength (the slot's opacity is a preview setting).
+     * @param {Object} buf - { data, width, height }: the image the slot screens
+     * @param {Object} effect - The slot's effect (HalftoneEffect)
+     */
+    static halftoneLayers(buf, effect, params, scaleFactor = 1.0, env = {}) {
+        return effect.vectorPlates(buf, params, scaleFactor, env).map(plate => ({
+            name: plate.name,
+            color: plate.color,
+            process: plate.process,
+            blend: 'multiply',
+            shapes: plate.shapes || [{ type: 'rects', rects: traceRects(Int16Array.from(plate.mask, m => m - 1), buf.width, buf.height, 1)[0] }]
+        }));
+    }
+
+    /**
+     * One layer per color of flat (Dither GRADE) output, each a set of merged rectangles.
+     * Transparent pixels (knockout) are left out.
+     * @param {Object} buf - { data, width, height }
+     */
+    static ditherLayers(buf) {
+        const { data, width, height } = buf;
+        const labels = new Int16Array(width * height).fill(-1);
+        const index = new Map();
+        const colors = [];
+        for (let p = 0, i = 0; p < labels.length; p++, i += 4) {
+            if (data[i + 3] < 128) continue;
+            const key = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+            let k = index.get(key);
+            if (k === undefined) {
+                if (colors.length >= MAX_TRACE_COLORS) throw new Error(`More than ${MAX_TRACE_COLORS} colors: vector tracing needs flat output (Dither in GRADE mode, nothing after it that blends colors).`);
+                k = colors.length;
+                index.set(key, k);
+                colors.push(key);
+            }
+            labels[p] = k;
+        }
+
+        const rects = traceRects(labels, width, height, colors.length);
+        return colors.map((key, k) => {
+            const color = '#' + key.toString(16).padStart(6, '0');
+            return { name: color, color, process: null, blend: 'normal', shapes: [{ type: 'rects', rects: rects[k] }] };
+        });
+    }
+
+    /**
+     * @param {Array} layers - From halftoneLayers / ditherLayers
+     * @param {string} format - 'svg' | 'pdf'
+     * @param {Object} options - { dpi } sets the physical size
+     * @returns {Promise<Blob>}
+     */
+    static async encode(layers, width, height, format, options = {}) {
+        return format === 'pdf'
+            ? PdfEncoder.encode(layers, width, height, options)
+            : SvgEncoder.encode(layers, width, height, options);
+    }
+}
+
+/**
+ * Merge a label image into rectangles: horizontal runs per row, grown downward while
+ * the next row repeats the same run.
+ * @param {Int16Array|Uint8Array} labels - Per pixel label (< 0 or >= count = none)
+ * @returns {Array} Per label, an Int32Array [x, y, w, h, ...]
+ */
+export function traceRects(labels, width, height, count) {
+    const out = Array.from({ length: count }, () => []);
+    let open = new Map(); // Run start x -> rect still growing from the row above
+
+    for (let y = 0; y < height; y++) {
+        const next = new Map();
+        let x = 0;
+        while (x < width) {
+            const k = labels[y * width + x];
+            let end = x + 1;
+            while (end < width && labels[y * width + end] === k) end++;
+            if (k >= 0 && k < count) {
+                const above = open.get(x);
+                if (above && above.k === k && above.w === end - x) {
+                    above.h++;
+                    next.set(x, above);
+                } else {
+                    const rect = { k, x, y, w: end - x, h: 1 };
+                    out[k].push(rect);
+                    next.set(x, rect);
+                }
+            }
+            x = end;
+        }
+        open = next;
+    }
+
+    return out.map(list => {
+        const flat = new Int32Array(list.length * 4);
+        list.forEach((r, i) => flat.set([r.x, r.y, r.w, r.h], i * 4));
+        return flat;
+    });
+}
@@ -80,6 +80,7 @@ export class VideoExporter {
             const timeStep = 1 / fps;
             video.pause();
             const originalTime = video.currentTime;
+            const histories = {}; // Frame-to-frame state (temporal dither, datamosh), fresh for each export
 
             for (let i = 0; i < totalFrames; i++) {
                 if (this.stopFlag) break;
@@ -95,9 +96,12 @@ export class VideoExporter {
                 });
 
                 // DRAW & PROCESS
+                // Seeded by time, so GIF / WebM / preview get the same noise at the same moment
+                const env = { ...processor.seeds.env(t), histories };
+
                 // Render Frame
                 if (processor.useGPU) {
-                    processor.tryGPURender(video, isFullRes ? 1.0 : 1.0); // Scale factor 1.0 as we resized canvas
+                    processor.tryGPURender(video, isFullRes ? 1.0 : 1.0, env); // Scale factor 1.0 as we resized canvas
                     // Copy result to renderCanvas
                     ctx.drawImage(processor.canvas, 0, 0);
                 } else {
@@ -111,9 +115,7 @@ export class VideoExporter {
                     }
                     // Transparent: Do nothing
 
-                    processor.pipeline.forEach(effect => {
-                        effect.process(ctx, width, height, processor.state[effect.id], 1.0);
-                    });
+                    processor.applyPipeline(ctx, width, height, 1.0, processor.state, env);
                 }
 
                 // ENCODE
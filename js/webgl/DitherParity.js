@@ -0,0 +1,111 @@
+/**
+ * DitherParity.js
+ * Renders an image through DitherEffect on the CPU and on the GPU for every GPU-capable
+ * algorithm (TONAL and GRADE) and counts the pixels that differ.
+ * Each case runs alone and behind a Halftone slot, so chained GPU passes are checked too,
+ * plus Halftone -> Halftone (several Halftone slots chain the same way).
+ * The CPU side is the preview's reference path (EffectChain.applyBuffer, as in applyPipeline),
+ * the GPU side the preview's shader pass runner (WebGLManager.runPasses).
+ * Used by the GPU panel (current frame) and tests/dither-parity.html (fixed sample, run by
+ * `npm run check:dither-parity`).
+ */
+
+import { DitherEffect } from '../effects/DitherEffect.js';
+import { HalftoneEffect } from '../effects/HalftoneEffect.js';
+import { EffectChain } from '../pipeline/EffectChain.js';
+
+// Channel difference still counted as a match (float vs double rounding of TONAL gradients)
+export const PARITY_TOLERANCE = 1;
+
+// Share of pixels (%) allowed past the tolerance: threshold ties that float32 and float64 round apart
+export const PARITY_MAX_PERCENT = 0.1;
+
+export const PARITY_ALGORITHMS = ['none', 'bayer4', 'bayer8', 'bluenoise64', 'bluenoise128', 'thread', 'bitwave', 'grid', 'stitched', 'modulation'];
+
+// Slots run before the Dither pass: none, then a CMYK Halftone (GPU -> GPU chain)
+const CHAINS = [
+    { name: '', slots: [] },
+    { name: 'halftone > ', slots: [{ effect: HalftoneEffect, params: { ...HalftoneEffect.params, enabled: true, scale: 6 } }] }
+];
+
+// Halftone -> Halftone: CMYK, then a coarse mono screen over it
+const HALFTONE_CHAIN = [
+    { effect: HalftoneEffect, params: { ...HalftoneEffect.params, enabled: true, scale: 6 } },
+    { effect: HalftoneEffect, params: { ...HalftoneEffect.params, enabled: true, scale: 11, inkMode: 'mono' } }
+];
+
+/**
+ * @param {WebGLManager} glManager - A supported WebGL2 manager (its canvas is drawn over)
+ * @param {ImageData} base - Input image
+ * @param {Object} baseParams - Dither params to start from (the rack's slot, or defaults)
+ * @returns {Array} [{ algorithm, mode, mismatched, percent, maxDiff, passed }] (algorithm prefixed by the chain, e.g. "halftone > bayer8")
+ */
+export function checkDitherParity(glManager, base, baseParams = DitherEffect.params) {
+    const scratch = document.createElement('canvas');
+    scratch.width = base.width;
+    scratch.height = base.height;
+    const ctx = scratch.getContext('2d', { willReadFrequently: true });
+
+    const results = [];
+    CHAINS.forEach(chain => {
+        ['tonal', 'grade'].forEach(mode => {
+            PARITY_ALGORITHMS.forEach(algorithm => {
+                const params = {
+                    ...baseParams,
+                    enabled: true,
+                    algorithm,
+                    renderMode: mode,
+                    roundness: 0,
+                    resampling: 'nearest',
+                    palette: baseParams.palette && !baseParams.palette.startsWith('extract') ? baseParams.palette : 'pico8'
+                };
+                if (!DitherEffect.isGPUSupported(params)) return;
+                const slots = [...chain.slots, { effect: DitherEffect, params }];
+                results.push({ algorithm: chain.name + algorithm, mode, ...compare(glManager, ctx, base, slots) });
+            });
+        });
+    });
+    results.push({ algorithm: 'halftone > halftone', mode: 'cmyk > mono', ...compare(glManager, ctx, base, HALFTONE_CHAIN) });
+    return results;
+}
+
+/**
+ * One line per case, for alerts and the test page.
+ */
+export function describeParity(result) {
+    const status = result.passed ? 'PASS' : 'FAIL';
+    const detail = result.mismatched ? `${result.mismatched} px (${result.percent}%) differ, max ${result.maxDiff}` : 'identical';
+    return `${status} ${result.mode.toUpperCase()} ${result.algorithm}: ${detail}`;
+}
+
+/**
+ * Run slots on the CPU and through the GPU pass runner (as the preview does) and count differing pixels.
+ * @param {CanvasRenderingContext2D} ctx - Scratch context, base-sized
+ * @returns {Object} { mismatched, percent, maxDiff, passed }
+ */
+function compare(glManager, ctx, base, slots) {
+    const { width, height } = base;
+
+    // CPU
+    const chain = new EffectChain([]);
+    slots.forEach(slot => chain.add(slot.effect.id, slot.params));
+    const cpu = { data: new Uint8ClampedArray(base.data), width, height };
+    chain.applyBuffer(cpu, 1.0, {});
+
+    // GPU (drawn back like ImageProcessor.runGPUPasses)
+    ctx.putImageData(base, 0, 0);
+    glManager.runPasses(ctx.canvas, chain.instances, width, height, 1.0);
+    ctx.clearRect(0, 0, width, height);
+    ctx.drawImage(glManager.canvas, 0, 0);
+    const gpu = ctx.getImageData(0, 0, width, height).data;
+
+    let mismatched = 0, maxDiff = 0;
+    for (let i = 0; i < gpu.length; i += 4) {
+        let diff = 0;
+        for (let c = 0; c < 4; c++) diff = Math.max(diff, Math.abs(gpu[i + c] - cpu.data[i + c]));
+        if (diff > PARITY_TOLERANCE) mismatched++;
+        if (diff > maxDiff) maxDiff = diff;
+    }
+    const percent = +(100 * mismatched / (width * height)).toFixed(3);
+    return { mismatched, percent, maxDiff, passed: percent <= PARITY_MAX_PERCENT };
+}
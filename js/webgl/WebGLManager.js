@@ -1,10 +1,18 @@
 /**
  * WebGLManager - Handles GL Context, Shader Compilation, and Basic Quad Rendering.
  */
+
+// Texture unit used while (re)allocating the pass target, clear of u_image (0) and effect data textures
+const PASS_TARGET_UNIT = 7;
+
+// Shader uniforms set as ints (everything else is float / vecN)
+const INT_UNIFORMS = ['u_mode', 'u_algo', 'u_linear', 'u_metric', 'u_knockout', 'u_inkCount', 'u_shape', 'u_fm'];
+
 export class WebGLManager {
     constructor(canvas) {
         this.canvas = canvas;
-        this.gl = canvas.getContext('webgl2', { preserveDrawingBuffer: true, alpha: false });
+        // Straight (unpremultiplied) alpha, so shaders can knock pixels out like the CPU path
+        this.gl = canvas.getContext('webgl2', { preserveDrawingBuffer: true, alpha: true, premultipliedAlpha: false });
         
         if (!this.gl) {
             console.warn("WebGL2 not supported, falling back to CPU.");
@@ -107,6 +115,7 @@ export class WebGLManager {
             case '1f': gl.uniform1f(loc, value); break;
             case '2f': gl.uniform2f(loc, value[0], value[1]); break;
             case '3f': gl.uniform3f(loc, value[0], value[1], value[2]); break;
+            case '4f': gl.uniform4f(loc, value[0], value[1], value[2], value[3]); break;
             case '1i': gl.uniform1i(loc, value); break;
         }
     }
@@ -130,6 +139,123 @@ export class WebGLManager {
         gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, imageOrVideo);
     }
 
+    /**
+     * Float texture (threshold maps, palettes, LUTs) on a given unit, sampled with texelFetch.
+     * Re-uploaded only when `data` changes.
+     * @param {number} channels - 1 (R32F) or 4 (RGBA32F)
+     */
+    uploadDataTexture(name, unit, data, width, height, channels = 1) {
+        const gl = this.gl;
+        if (!this.dataTextures) this.dataTextures = {};
+        let entry = this.dataTextures[name];
+        if (!entry) {
+            entry = this.dataTextures[name] = { texture: gl.createTexture(), data: null };
+        }
+
+        gl.activeTexture(gl.TEXTURE0 + unit);
+        gl.bindTexture(gl.TEXTURE_2D, entry.texture);
+        if (entry.data !== data) {
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.REPEAT);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.REPEAT);
+            gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
+            if (channels === 4) gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA32F, width, height, 0, gl.RGBA, gl.FLOAT, data);
+            else gl.texImage2D(gl.TEXTURE_2D, 0, gl.R32F, width, height, 0, gl.RED, gl.FLOAT, data);
+            entry.data = data;
+        }
+        this.setUniform(name, '1i', unit);
+        gl.activeTexture(gl.TEXTURE0); // Keep unit 0 (u_image) active for the pass chain
+    }
+
+    /**
+     * Run effect shader passes back to back on a source image; the result is left on this.canvas
+     * (resized to width x height). Shared by the preview, video export and the parity check.
+     * @param {HTMLCanvasElement|HTMLVideoElement} source - Input, drawn at width x height
+     * @param {Array} instances - [{ effect, params }] with shaderSource / getUniforms / getTextures
+     */
+    runPasses(source, instances, width, height, scaleFactor = 1.0) {
+        const gl = this.gl;
+        this.canvas.width = width;
+        this.canvas.height = height;
+        gl.viewport(0, 0, width, height);
+
+        this.uploadTexture(source); // Texture0
+
+        instances.forEach((inst, i) => {
+            const prog = inst.effect.id; // Programs are shared between instances of an effect
+            if (!this.programs[prog]) this.createProgram(prog, inst.effect.shaderSource);
+            this.useProgram(prog);
+
+            const uniforms = inst.effect.getUniforms(inst.params, width, height, scaleFactor);
+            for (let k in uniforms) {
+                const type = Array.isArray(uniforms[k]) ? (uniforms[k].length + 'f') : '1f';
+                this.setUniform(k, INT_UNIFORMS.includes(k) ? '1i' : type, uniforms[k]);
+            }
+            const textures = inst.effect.getTextures ? inst.effect.getTextures(inst.params) : {};
+            for (let k in textures) {
+                const t = textures[k];
+                this.uploadDataTexture(k, t.unit, t.data, t.width, t.height, t.channels);
+            }
+
+            // Chain: all but the last pass render offscreen and become the next pass's source
+            const chained = i < instances.length - 1;
+            this.renderTo(chained, width, height);
+            this.draw();
+            if (chained) this.chainPass(width, height);
+        });
+    }
+
+    /**
+     * Offscreen pass target (RGBA8, same size as the canvas), reallocated when the size changes.
+     */
+    passTarget(width, height) {
+        const gl = this.gl;
+        if (!this.target) {
+            this.target = { texture: gl.createTexture(), fbo: gl.createFramebuffer(), sourceFbo: gl.createFramebuffer(), width: 0, height: 0 };
+        }
+        const target = this.target;
+        if (target.width !== width || target.height !== height) {
+            gl.activeTexture(gl.TEXTURE0 + PASS_TARGET_UNIT);
+            gl.bindTexture(gl.TEXTURE_2D, target.texture);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA8, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+            gl.bindFramebuffer(gl.FRAMEBUFFER, target.fbo);
+            gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, target.texture, 0);
+            gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+            gl.activeTexture(gl.TEXTURE0);
+            target.width = width;
+            target.height = height;
+        }
+        return target;
+    }
+
+    /**
+     * Direct the next draw to the offscreen target (true) or the canvas (false).
+     */
+    renderTo(offscreen, width, height) {
+        const gl = this.gl;
+        gl.bindFramebuffer(gl.FRAMEBUFFER, offscreen ? this.passTarget(width, height).fbo : null);
+    }
+
+    /**
+     * Pass chaining: copy the offscreen target into the source texture (u_image) for the next pass.
+     * Shaders write image row 0 to the top of the framebuffer (the last GL row), while u_image
+     * holds row 0 first (as uploaded from a canvas), so the copy flips rows. Every pass then
+     * reads its input the same way, whether it comes from a canvas or from another pass.
+     */
+    chainPass(width, height) {
+        const gl = this.gl;
+        const target = this.passTarget(width, height);
+        gl.bindFramebuffer(gl.READ_FRAMEBUFFER, target.fbo);
+        gl.bindFramebuffer(gl.DRAW_FRAMEBUFFER, target.sourceFbo);
+        gl.framebufferTexture2D(gl.DRAW_FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.texture, 0);
+        gl.blitFramebuffer(0, 0, width, height, 0, height, width, 0, gl.COLOR_BUFFER_BIT, gl.NEAREST);
+        gl.bindFramebuffer(gl.READ_FRAMEBUFFER, null);
+        gl.bindFramebuffer(gl.DRAW_FRAMEBUFFER, null);
+    }
+
     draw() {
         const gl = this.gl;
         gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
@@ -0,0 +1,24 @@
+#!/usr/bin/env node
+/**
+ * blue-noise - Checks that the precomputed blue-noise maps (js/utils/BlueNoiseData.js) match
+ * the void-and-cluster generator in js/utils/BlueNoise.js (Node 18+, no dependencies).
+ * Run it after changing the generator; it takes a few seconds.
+ * Exit code: 0 all sizes match, 1 a size differs.
+ *
+ * Usage:
+ *   node tests/blue-noise.mjs          (or npm run check:blue-noise)
+ */
+
+import { BLUE_NOISE_SIZES, blueNoiseMap, generateBlueNoiseMap } from '../js/utils/BlueNoise.js';
+
+let failed = 0;
+for (const size of BLUE_NOISE_SIZES) {
+    const shipped = blueNoiseMap(size);
+    const generated = generateBlueNoiseMap(size);
+    let diff = 0;
+    for (let i = 0; i < generated.length; i++) if (shipped[i] !== generated[i]) diff++;
+    if (diff) failed++;
+    console.log(`${diff ? 'FAIL' : 'ok  '} ${size}x${size}${diff ? `: ${diff} thresholds differ` : ''}`);
+}
+console.log(`blue-noise: ${BLUE_NOISE_SIZES.length - failed}/${BLUE_NOISE_SIZES.length} match`);
+process.exit(failed ? 1 : 0);
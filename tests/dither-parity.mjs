@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+/**
+ * dither-parity - Runs tests/dither-parity.html in headless Chrome / Chromium (Node 18+, no dependencies).
+ * Serves the repo over HTTP, dumps the page once it has rendered and reports #result.
+ * Exit code: 0 all cases match, 1 GPU and CPU differ (or the page failed), 2 no browser / no WebGL2.
+ *
+ * Usage:
+ *   node tests/dither-parity.mjs          (or npm run check:dither-parity)
+ *   CHROME=/path/to/chrome node tests/dither-parity.mjs
+ */
+
+import { createServer } from 'node:http';
+import { readFile } from 'node:fs/promises';
+import { spawn } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { join, normalize, extname, sep } from 'node:path';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const PAGE = '/tests/dither-parity.html';
+
+// Browsers tried in order when CHROME is not set
+const BROWSERS = ['google-chrome', 'google-chrome-stable', 'chromium', 'chromium-browser', 'chrome'];
+
+// Wall-clock limit for one browser run (ms)
+const TIMEOUT = 180000;
+
+const TYPES = {
+    '.html': 'text/html',
+    '.js': 'text/javascript',
+    '.mjs': 'text/javascript',
+    '.css': 'text/css',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg'
+};
+
+async function main() {
+    const server = createServer(serve);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const url = `http://127.0.0.1:${server.address().port}${PAGE}`;
+
+    let dom;
+    try {
+        dom = await dumpDom(url);
+    } finally {
+        server.close();
+    }
+
+    const match = dom.match(/<pre id="result" data-status="(\w+)">([\s\S]*?)<\/pre>/);
+    if (!match) fail('no result in the page (did it finish within the time budget?)', 1);
+    const [, status, text] = match;
+    console.log(decodeEntities(text));
+
+    if (status === 'pass') return;
+    if (status === 'unsupported') fail('the browser has no WebGL2.', 2);
+    fail(status === 'fail' ? 'GPU and CPU dithering differ.' : `the page did not complete (${status}).`, 1);
+}
+
+/**
+ * Static files from the repo root (the page imports ../js and ../samples).
+ */
+async function serve(req, res) {
+    const path = normalize(join(ROOT, decodeURIComponent(new URL(req.url, 'http://localhost').pathname)));
+    if (!path.startsWith(ROOT.endsWith(sep) ? ROOT : ROOT + sep)) {
+        res.writeHead(403).end();
+        return;
+    }
+    try {
+        const body = await readFile(path);
+        res.writeHead(200, { 'Content-Type': TYPES[extname(path)] || 'application/octet-stream' }).end(body);
+    } catch (e) {
+        res.writeHead(404).end();
+    }
+}
+
+/**
+ * Load the page in the first browser that starts and return its DOM once rendering is idle.
+ * SwiftShader gives a software WebGL2 where there is no GPU.
+ */
+async function dumpDom(url) {
+    const candidates = process.env.CHROME ? [process.env.CHROME] : BROWSERS;
+    for (const bin of candidates) {
+        const dom = await run(bin, [
+            '--headless=new',
+            '--no-sandbox',
+            '--use-angle=swiftshader',
+            '--enable-unsafe-swiftshader',
+            '--virtual-time-budget=120000',
+            '--dump-dom',
+            url
+        ]);
+        if (dom !== null) return dom;
+    }
+    fail(`no browser found (tried ${candidates.join(', ')}); set CHROME to a Chrome / Chromium binary.`, 2);
+}
+
+/**
+ * @returns {Promise<string|null>} stdout, or null if the binary could not be started
+ */
+function run(bin, args) {
+    return new Promise(resolve => {
+        const child = spawn(bin, args, { stdio: ['ignore', 'pipe', 'ignore'] });
+        const chunks = [];
+        const timer = setTimeout(() => child.kill(), TIMEOUT);
+        child.stdout.on('data', chunk => chunks.push(chunk));
+        child.on('error', () => { clearTimeout(timer); resolve(null); });
+        child.on('close', () => { clearTimeout(timer); resolve(Buffer.concat(chunks).toString('utf8')); });
+    });
+}
+
+function decodeEntities(text) {
+    return text.replace(/&gt;/g, '>').replace(/&lt;/g, '<').replace(/&quot;/g, '"').replace(/&amp;/g, '&');
+}
+
+function fail(message, code) {
+    console.error(`dither-parity: ${message}`);
+    process.exit(code);
+}
+
+main().catch(err => {
+    console.error(`dither-parity: ${err.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+/**
+ * glyphs - Regression cases for SVG glyph parsing in js/utils/Glyphs.js (Node 18+, no dependencies).
+ * Each case runs in a worker with a time limit, so a parser that loops forever fails instead of hanging.
+ * Exit code: 0 all cases pass, 1 a case failed or timed out.
+ *
+ * Usage:
+ *   node tests/glyphs.mjs          (or npm run check:glyphs)
+ */
+
+import { Worker } from 'node:worker_threads';
+
+const GLYPHS = new URL('../js/utils/Glyphs.js', import.meta.url).href;
+
+// Wall-clock limit for one case (ms)
+const TIMEOUT = 5000;
+
+const CASES = [
+    {
+        name: 'numbers after Z end the path',
+        source: 'M0 0 L10 0 L10 10 Z 5 5',
+        expect: (d) => d === 'M-1,-1 L1,-1 L1,1 Z'
+    },
+    {
+        name: 'arc flags without separators',
+        source: 'M0 5a5 5 0 1110 0a5 5 0 11-10 0z',
+        expect: (d, ref) => d !== null && d === ref,
+        ref: 'M0 5a5 5 0 1 1 10 0a5 5 0 1 1-10 0z'
+    }
+];
+
+function run(source) {
+    const code = `
+        const { parentPort, workerData } = require('node:worker_threads');
+        import(workerData.url).then(({ normalizeGlyph }) => parentPort.postMessage(normalizeGlyph(workerData.source)));
+    `;
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(code, { eval: true, workerData: { url: GLYPHS, source } });
+        const timer = setTimeout(() => {
+            worker.terminate();
+            reject(new Error(`timed out after ${TIMEOUT} ms`));
+        }, TIMEOUT);
+        worker.once('message', (d) => {
+            clearTimeout(timer);
+            worker.terminate();
+            resolve(d);
+        });
+        worker.once('error', (err) => {
+            clearTimeout(timer);
+            reject(err);
+        });
+    });
+}
+
+async function main() {
+    let failed = 0;
+    for (const c of CASES) {
+        try {
+            const d = await run(c.source);
+            const ref = c.ref ? await run(c.ref) : null;
+            const ok = c.expect(d, ref);
+            if (!ok) failed++;
+            console.log(`${ok ? 'ok  ' : 'FAIL'} ${c.name}${ok ? '' : `: got ${JSON.stringify(d)}`}`);
+        } catch (err) {
+            failed++;
+            console.log(`FAIL ${c.name}: ${err.message}`);
+        }
+    }
+    console.log(`glyphs: ${CASES.length - failed}/${CASES.length} passed`);
+    process.exit(failed ? 1 : 0);
+}
+
+main();
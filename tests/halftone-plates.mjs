@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+/**
+ * halftone-plates - Checks that print output ignores the simulated dot gain (Node 18+, no dependencies):
+ * HalftoneEffect.screenPlates masks and vectorPlates shapes must not change with the dotGain* params,
+ * for AM and FM screening and for CMYK and duotone inks. The preview (apply) must change, or the case proves nothing.
+ * Exit code: 0 all cases pass, 1 a case failed.
+ *
+ * Usage:
+ *   node tests/halftone-plates.mjs          (or npm run check:halftone-plates)
+ */
+
+import { HalftoneEffect } from '../js/effects/HalftoneEffect.js';
+
+const WIDTH = 96, HEIGHT = 64;
+
+const CASES = [
+    { name: 'CMYK AM', params: { inkMode: 'cmyk', screening: 'am', separation: 'gcr_medium' } },
+    { name: 'CMYK FM', params: { inkMode: 'cmyk', screening: 'fm', separation: 'gcr_medium' } },
+    { name: 'Duotone AM', params: { inkMode: 'duotone', screening: 'am' } }
+];
+
+const GAIN = { dotGainC: 30, dotGainM: 20, dotGainY: 10, dotGainK: 30 };
+
+// Horizontal hue sweep, vertical lightness ramp
+function sample() {
+    const data = new Uint8ClampedArray(WIDTH * HEIGHT * 4);
+    for (let y = 0; y < HEIGHT; y++) {
+        for (let x = 0; x < WIDTH; x++) {
+            const i = (y * WIDTH + x) * 4, l = y / (HEIGHT - 1), h = x / WIDTH * 2 * Math.PI;
+            data[i] = 255 * l * (0.5 + 0.5 * Math.cos(h));
+            data[i + 1] = 255 * l * (0.5 + 0.5 * Math.cos(h - 2.1));
+            data[i + 2] = 255 * l * (0.5 + 0.5 * Math.cos(h + 2.1));
+            data[i + 3] = 255;
+        }
+    }
+    return { data, width: WIDTH, height: HEIGHT };
+}
+
+function render(params) {
+    const buf = sample();
+    const preview = sample();
+    HalftoneEffect.apply(preview, params);
+    return {
+        preview: preview.data,
+        plates: HalftoneEffect.screenPlates(buf, params).map(p => p.mask),
+        vectors: JSON.stringify(HalftoneEffect.vectorPlates(buf, params))
+    };
+}
+
+const same = (a, b) => a.length === b.length && a.every((v, i) => v === b[i]);
+
+let failed = 0;
+for (const c of CASES) {
+    const params = { ...HalftoneEffect.params, enabled: true, ...c.params };
+    const plain = render(params);
+    const gained = render({ ...params, ...GAIN });
+    const problems = [];
+    if (same(plain.preview, gained.preview)) problems.push('preview ignores dot gain');
+    if (!plain.plates.every((mask, i) => same(mask, gained.plates[i]))) problems.push('plate coverage changes with dot gain');
+    if (plain.vectors !== gained.vectors) problems.push('vector shapes change with dot gain');
+    if (problems.length) failed++;
+    console.log(`${problems.length ? 'FAIL' : 'ok  '} ${c.name}${problems.length ? ': ' + problems.join(', ') : ''}`);
+}
+console.log(`halftone-plates: ${CASES.length - failed}/${CASES.length} passed`);
+process.exit(failed ? 1 : 0);